@@ -1,8 +1,19 @@
 // Audio management system for the game
+
+// Scale and tempo (notes per second) of the synthesized music of each level
+// theme, used when its music file is missing
+const MUSIC_SCALES = {
+  backgroundMusic: { notes: [220, 261.63, 329.63, 392, 440], tempo: 0.25 },
+  iceMusic: { notes: [329.63, 392, 493.88, 587.33, 659.25], tempo: 0.125 },
+  lavaMusic: { notes: [110, 130.81, 146.83, 164.81, 196], tempo: 0.5 },
+  hiveMusic: { notes: [233.08, 246.94, 277.18, 311.13, 349.23], tempo: 0.375 },
+};
+
 export default class AudioManager {
   constructor() {
     this.sounds = {};
     this.music = null;
+    this.musicId = null; // Sound id of the music playing
     this.isMuted = false;
 
     // Set default volumes
@@ -53,8 +64,13 @@ export default class AudioManager {
       'backgroundMusic',
       '/sounds/placeholders/background_music.mp3'
     );
+    this.loadSound('iceMusic', '/sounds/placeholders/ice_music.mp3');
+    this.loadSound('lavaMusic', '/sounds/placeholders/lava_music.mp3');
+    this.loadSound('hiveMusic', '/sounds/placeholders/hive_music.mp3');
     this.loadSound('menuSelect', '/sounds/placeholders/menu_select.mp3');
     this.loadSound('healSound', '/sounds/placeholders/heal.mp3');
+    this.loadSound('alarm', '/sounds/placeholders/alarm.mp3');
+    this.loadSound('doorOpen', '/sounds/placeholders/door_open.mp3');
   }
   // Load a sound file
   loadSound(id, url) {
@@ -128,7 +144,10 @@ export default class AudioManager {
         buffer = this.createSynthesizedEngineSound();
         break;
       case 'backgroundMusic':
-        buffer = this.createSynthesizedBackgroundMusic();
+      case 'iceMusic':
+      case 'lavaMusic':
+      case 'hiveMusic':
+        buffer = this.createSynthesizedBackgroundMusic(MUSIC_SCALES[id]);
         break;
       case 'playerDamage':
         buffer = this.createSynthesizedDamageSound();
@@ -142,6 +161,12 @@ export default class AudioManager {
       case 'gameOver':
         buffer = this.createSynthesizedGameOverSound();
         break;
+      case 'alarm':
+        buffer = this.createSynthesizedAlarmSound();
+        break;
+      case 'doorOpen':
+        buffer = this.createSynthesizedDoorSound();
+        break;
       default:
         // Create a generic beep sound for any unhandled sound types
         buffer = this.createGenericBeepSound();
@@ -248,20 +273,20 @@ export default class AudioManager {
   }
 
   // Create synthesized background music
-  createSynthesizedBackgroundMusic() {
+  createSynthesizedBackgroundMusic(scale = MUSIC_SCALES.backgroundMusic) {
     const duration = 30; // 30 seconds of music that can loop
     const ctx = this.context;
     const sampleRate = ctx.sampleRate;
     const buffer = ctx.createBuffer(1, sampleRate * duration, sampleRate);
     const data = buffer.getChannelData(0);
 
-    // Use pentatonic scale for sci-fi feel
-    const notes = [220, 261.63, 329.63, 392, 440];
+    // Use a five-note scale for sci-fi feel
+    const notes = scale.notes;
     const baseFreq = notes[0];
 
     for (let i = 0; i < data.length; i++) {
       const t = i / sampleRate;
-      const noteIndex = Math.floor(t * 0.25) % 16;
+      const noteIndex = Math.floor(t * scale.tempo) % 16;
       const octave = Math.floor(noteIndex / 5);
       const note = notes[noteIndex % 5];
       const freq = note * (1 + octave * 0.5);
@@ -361,6 +386,48 @@ export default class AudioManager {
 
     return buffer;
   }
+
+  // Create synthesized two-tone alarm siren (loops seamlessly)
+  createSynthesizedAlarmSound() {
+    const duration = 1.0;
+    const ctx = this.context;
+    const sampleRate = ctx.sampleRate;
+    const buffer = ctx.createBuffer(1, sampleRate * duration, sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const frequency = t < duration / 2 ? 880 : 660;
+      data[i] = 0.35 * Math.sign(Math.sin(2 * Math.PI * frequency * t));
+    }
+
+    return buffer;
+  }
+
+  // Create synthesized door sound: a low grinding slide with a clunk at the end
+  createSynthesizedDoorSound() {
+    const duration = 1.0;
+    const ctx = this.context;
+    const sampleRate = ctx.sampleRate;
+    const buffer = ctx.createBuffer(1, sampleRate * duration, sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const slide =
+        t < 0.8
+          ? 0.15 * Math.sin(2 * Math.PI * (70 + 30 * t) * t) +
+            0.05 * (Math.random() * 2 - 1)
+          : 0;
+      const clunk =
+        t >= 0.8
+          ? 0.4 * Math.exp(-(t - 0.8) * 30) * Math.sin(2 * Math.PI * 50 * t)
+          : 0;
+      data[i] = slide + clunk;
+    }
+
+    return buffer;
+  }
   // Play a sound with various options
   playSound(id, options = {}) {
     if (!this.initialized || this.isMuted) {
@@ -429,6 +496,7 @@ export default class AudioManager {
       startTime: this.context.currentTime,
       options: settings,
       fadeOut: (duration) => {
+        sourceInfo.fadingOut = true;
         const now = this.context.currentTime;
         gainNode.gain.setValueAtTime(gainNode.gain.value, now);
         gainNode.gain.linearRampToValueAtTime(0, now + duration);
@@ -465,7 +533,7 @@ export default class AudioManager {
     // Cleanup when finished
     source.onended = () => {
       this.sounds[id].playing.delete(sourceInfo);
-      if (settings.isMusic) {
+      if (this.music === sourceInfo) {
         this.music = null;
       }
     };
@@ -473,6 +541,20 @@ export default class AudioManager {
     return sourceInfo;
   }
 
+  // Play a looping music track, fading out the one playing before
+  playMusic(id, volume = 0.4) {
+    if (this.music && this.musicId === id && !this.music.fadingOut) {
+      return this.music;
+    }
+    if (this.music) {
+      this.music.fadeOut(1.0);
+      this.music = null;
+    }
+
+    this.musicId = id;
+    return this.playSound(id, { isMusic: true, loop: true, volume });
+  }
+
   // Stop all instances of a sound
   stopSound(id) {
     if (!this.initialized || !this.sounds[id] || !this.sounds[id].playing) {
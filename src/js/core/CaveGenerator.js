@@ -0,0 +1,254 @@
+// Cave Generator for the organic tunnel walls: each segment is a tube whose
+// cross-section is pushed inwards by noise sampled in level space, so
+// neighbouring segments meet with the same wall along their shared edge
+import * as THREE from 'three';
+import Noise3D from '../utils/Noise3D.js';
+
+const TWO_PI = Math.PI * 2;
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function smoothstep(t) {
+  const x = Math.min(1, Math.max(0, t));
+  return x * x * (3 - 2 * x);
+}
+
+// Collision shape of a cave tube: the wall distance from the segment's centre
+// line on the same grid of angles and rings the mesh is built from, so the
+// player collides with the wall they see
+export class CaveCollider {
+  constructor(radii, rings, radialSegments, length, path = null) {
+    this.radii = radii; // rings * radialSegments wall distances
+    this.rings = rings;
+    this.radialSegments = radialSegments;
+    this.length = length;
+    this.path = path; // Centre line of curved segments, null when straight
+    this.center = new THREE.Vector3();
+  }
+
+  // Wall distance at an angle around the centre line (0 = +X, counter-
+  // clockwise) and a share t of the way along the segment
+  getWallRadius(angle, t) {
+    const around =
+      ((((angle % TWO_PI) + TWO_PI) % TWO_PI) / TWO_PI) * this.radialSegments;
+    const j0 = Math.floor(around) % this.radialSegments;
+    const j1 = (j0 + 1) % this.radialSegments;
+    const fj = around - Math.floor(around);
+
+    const along = Math.min(1, Math.max(0, t)) * (this.rings - 1);
+    const i0 = Math.floor(along);
+    const i1 = Math.min(i0 + 1, this.rings - 1);
+    const fi = along - i0;
+
+    const r = (i, j) => this.radii[i * this.radialSegments + j];
+    return lerp(
+      lerp(r(i0, j0), r(i0, j1), fj),
+      lerp(r(i1, j0), r(i1, j1), fj),
+      fi
+    );
+  }
+
+  // Whether a point in the segment's local frame is inside the cave, at
+  // least `margin` away from the wall
+  containsPoint(local, margin = 0) {
+    const t = -local.z / this.length;
+    if (t < 0 || t > 1) return false;
+
+    // Rings stay square to the segment's axis and are centred on the centre
+    // line where it crosses them
+    let x = local.x;
+    let y = local.y;
+    if (this.path) {
+      this.path.getPoint(t, this.center);
+      x -= this.center.x;
+      y -= this.center.y;
+    }
+
+    const distance = Math.hypot(x, y);
+    return distance <= this.getWallRadius(Math.atan2(y, x), t) - margin;
+  }
+}
+
+class CaveGenerator {
+  constructor(rng) {
+    this.noise = new Noise3D(rng);
+
+    this.radialSegments = 24; // Vertices around the tube
+    this.lengthSegments = 10; // Rings along a segment
+    this.roughness = 0.2; // Deepest bulge of the wall, as share of the radius
+    this.noiseScale = 0.12; // Noise features are about 1 / noiseScale apart
+    this.caveExponent = 2.6; // Superellipse exponent of the cave profile
+    this.flushExponent = 12; // Nearly rectangular, fills chamber openings
+    this.flushLength = 0.25; // Share of the segment used to blend to flush
+  }
+
+  // Wall distance from the centre line at an angle and a share t of the way
+  // along the segment. spec describes the segment:
+  //   length            - segment length
+  //   width, height     - size in the middle of the segment
+  //   endWidth, endHeight - size at both ends, shared with the neighbours
+  //   origin, quaternion - frame of the segment entry in level space, where
+  //                       the noise is sampled
+  //   flushStart, flushEnd - ends that open into panel walls and blend into a
+  //                       smooth, nearly rectangular opening
+  //   path              - optional centre line (a THREE.Curve from the entry
+  //                       at t = 0 to the far end at t = 1) for curved
+  //                       segments, straight along -Z without
+  getRadius(angle, t, spec) {
+    // Grow from the shared end size to the segment's own size in the middle,
+    // with no slope at the ends so neighbours meet without a kink
+    const bulge = Math.sin(Math.PI * t) ** 2;
+    const halfWidth = lerp(spec.endWidth, spec.width, bulge) / 2;
+    const halfHeight = lerp(spec.endHeight, spec.height, bulge) / 2;
+
+    const flush = Math.max(
+      spec.flushStart ? 1 - smoothstep(t / this.flushLength) : 0,
+      spec.flushEnd ? 1 - smoothstep((1 - t) / this.flushLength) : 0
+    );
+    const exponent = lerp(this.caveExponent, this.flushExponent, flush);
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const base =
+      1 /
+      Math.pow(
+        Math.pow(Math.abs(cos) / halfWidth, exponent) +
+          Math.pow(Math.abs(sin) / halfHeight, exponent),
+        1 / exponent
+      );
+    if (flush >= 1) return base;
+
+    // Sample the noise where the smooth wall point lies in level space
+    const point = this.getCenter(t, spec)
+      .add(new THREE.Vector3(base * cos, base * sin, 0))
+      .applyQuaternion(spec.quaternion)
+      .add(spec.origin)
+      .multiplyScalar(this.noiseScale);
+    const depth = Math.min(
+      1,
+      Math.max(0, this.noise.fbm(point.x, point.y, point.z) * 0.5 + 0.5)
+    );
+
+    return base * (1 - this.roughness * (1 - flush) * depth);
+  }
+
+  // Point on the centre line in the segment's local frame
+  getCenter(t, spec, target = new THREE.Vector3()) {
+    return spec.path
+      ? spec.path.getPoint(t, target)
+      : target.set(0, 0, -t * spec.length);
+  }
+
+  // Point on the wall in the segment's local frame
+  getWallPoint(angle, t, spec, target = new THREE.Vector3()) {
+    const radius = this.getRadius(angle, t, spec);
+    return this.getCenter(t, spec, target).add(
+      new THREE.Vector3(radius * Math.cos(angle), radius * Math.sin(angle), 0)
+    );
+  }
+
+  // Build the tube of one segment. The mesh uses material 0 for the walls and
+  // material 1 for the floor strip. Normals come from the wall function
+  // itself instead of the triangles, so the lighting runs on smoothly across
+  // segment seams.
+  createTube(spec) {
+    const radial = this.radialSegments;
+    const rings = this.lengthSegments + 1;
+    const columns = radial + 1; // The first column is repeated for the UVs
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const radii = new Float32Array(rings * radial);
+
+    const point = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    const aroundPlus = new THREE.Vector3();
+    const aroundMinus = new THREE.Vector3();
+    const alongPlus = new THREE.Vector3();
+    const alongMinus = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const step = 0.001;
+
+    for (let i = 0; i < rings; i++) {
+      const t = i / (rings - 1);
+      this.getCenter(t, spec, center);
+
+      for (let j = 0; j < columns; j++) {
+        const angle = ((j % radial) / radial) * TWO_PI;
+        this.getWallPoint(angle, t, spec, point);
+        positions.push(point.x, point.y, point.z);
+
+        if (j < radial) {
+          radii[i * radial + j] = Math.hypot(
+            point.x - center.x,
+            point.y - center.y
+          );
+        }
+
+        // Facing the centre line: around x along
+        this.getWallPoint(angle + step, t, spec, aroundPlus);
+        this.getWallPoint(angle - step, t, spec, aroundMinus);
+        this.getWallPoint(angle, t + step, spec, alongPlus);
+        this.getWallPoint(angle, t - step, spec, alongMinus);
+        normal
+          .crossVectors(
+            aroundPlus.sub(aroundMinus),
+            alongPlus.sub(alongMinus)
+          )
+          .normalize();
+        normals.push(normal.x, normal.y, normal.z);
+
+        uvs.push(j / radial, t);
+      }
+    }
+
+    // Triangles wound to face into the tube, with the strip under the
+    // centre line (between 225 and 315 degrees) drawn as floor
+    const floorStart = Math.round(radial * 0.625);
+    const floorEnd = Math.round(radial * 0.875);
+    const wallIndices = [];
+    const floorIndices = [];
+
+    for (let i = 0; i < rings - 1; i++) {
+      for (let j = 0; j < radial; j++) {
+        const a = i * columns + j;
+        const b = a + 1;
+        const c = a + columns;
+        const d = c + 1;
+        const target =
+          j >= floorStart && j < floorEnd ? floorIndices : wallIndices;
+        target.push(a, b, c, b, d, c);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    geometry.setAttribute(
+      'normal',
+      new THREE.Float32BufferAttribute(normals, 3)
+    );
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex([...wallIndices, ...floorIndices]);
+    geometry.addGroup(0, wallIndices.length, 0);
+    geometry.addGroup(wallIndices.length, floorIndices.length, 1);
+
+    return {
+      geometry,
+      collider: new CaveCollider(
+        radii,
+        rings,
+        radial,
+        spec.length,
+        spec.path || null
+      ),
+    };
+  }
+}
+
+export default CaveGenerator;
@@ -0,0 +1,269 @@
+// Checkpoint Manager for the checkpoints of blueprint levels: flying through
+// one saves the run there, and losing a life brings the player back to the
+// last one saved with the level as it was at that moment
+
+const INACTIVE_COLOR = 0xffaa00;
+const ACTIVE_COLOR = 0x00ff88;
+
+class CheckpointManager {
+  constructor(levelManager, gameState, audioManager, uiManager) {
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+    this.audioManager = audioManager;
+    this.uiManager = uiManager;
+
+    // Assigned by main.js
+    this.enemyManager = null;
+    this.projectileManager = null;
+    this.objectiveManager = null;
+    this.powerUpManager = null;
+    this.hostageManager = null;
+    this.reactorManager = null;
+    this.spaceship = null;
+
+    this.reachDistance = 4; // How close the player has to fly to a checkpoint
+    this.respawnShield = 2000; // ms the ship cannot be hurt after respawning
+
+    this.snapshot = null; // State saved at the last checkpoint
+    this.reached = new Set(); // Indices of the checkpoints flown through
+    this.time = 0;
+  }
+
+  // A new level starts from its entry, which counts as the first checkpoint
+  // once everything else has been reset
+  reset() {
+    this.snapshot = null;
+    this.reached.clear();
+    this.time = 0;
+  }
+
+  update(delta) {
+    if (this.gameState.isRespawning) {
+      this.respawn();
+      return;
+    }
+
+    const level = this.levelManager.currentLevel;
+    if (this.levelManager.isEndless || !level) return;
+
+    if (!this.snapshot) {
+      this.snapshot = this.takeSnapshot(
+        -1,
+        this.levelManager.getPlayerLevelPosition()
+      );
+    }
+
+    const playerPosition = this.levelManager.getPlayerLevelPosition();
+    level.checkpoints.forEach((checkpoint, index) => {
+      if (
+        checkpoint.position &&
+        index !== this.snapshot.index &&
+        playerPosition.distanceTo(checkpoint.position) < this.reachDistance
+      ) {
+        this.activate(index);
+      }
+    });
+
+    // Spin the rings, the current one pulses
+    this.time += delta;
+    for (const marker of this.levelManager.checkpoints) {
+      marker.mesh.rotation.z += delta * 0.5;
+      const scale =
+        marker.index === this.snapshot.index
+          ? 1 + 0.05 * Math.sin(this.time * 4)
+          : 1;
+      marker.mesh.scale.setScalar(scale);
+    }
+  }
+
+  // Save the run at a checkpoint
+  activate(index) {
+    const checkpoint = this.levelManager.currentLevel.checkpoints[index];
+    this.snapshot = this.takeSnapshot(index, checkpoint.position);
+    this.reached.add(index);
+
+    for (const marker of this.levelManager.checkpoints) {
+      this.updateMarker(marker);
+    }
+
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('powerup', { volume: 0.5 });
+    }
+    if (this.uiManager) {
+      this.uiManager.showMessage('CHECKPOINT REACHED', 2000, '#00ff88', 60);
+    }
+  }
+
+  // Color a marker by whether its checkpoint was reached
+  updateMarker(marker) {
+    const color = this.reached.has(marker.index)
+      ? ACTIVE_COLOR
+      : INACTIVE_COLOR;
+    marker.mesh.traverse((child) => {
+      if (child.material) child.material.color.setHex(color);
+    });
+  }
+
+  // Everything a respawn puts back: the player's score, shield and weapons,
+  // and what of the level was already done, including the power-ups picked
+  // up and the state of the reactor
+  takeSnapshot(index, position) {
+    const gameState = this.gameState;
+    const levelManager = this.levelManager;
+    const weaponInventory = {};
+    for (const [weapon, state] of Object.entries(gameState.weaponInventory)) {
+      weaponInventory[weapon] = { ...state };
+    }
+
+    return {
+      index,
+      position: position.clone(),
+      score: gameState.score,
+      playerHealth: gameState.playerHealth,
+      currentWeapon: gameState.currentWeapon,
+      weaponInventory,
+      enemyKills: { ...gameState.enemyKills },
+      keys: new Set(gameState.keys),
+      destroyedEnemies: new Set(
+        this.enemyManager ? this.enemyManager.destroyedPredefinedEnemies : []
+      ),
+      openDoors: new Set(levelManager.openDoors),
+      destroyedObstacles: new Set(levelManager.destroyedObstacles),
+      collectedPowerUps: new Set(
+        this.powerUpManager ? this.powerUpManager.collectedSpawns : []
+      ),
+      reactor: this.reactorManager
+        ? this.reactorManager.getProgressState()
+        : null,
+      objectives: this.objectiveManager
+        ? this.objectiveManager.getProgressState()
+        : null,
+    };
+  }
+
+  // Bring the player back after losing a life. Blueprint levels are rebuilt
+  // as they were at the last checkpoint; the endless tunnel has none, so the
+  // ship carries on where it is with a fresh shield.
+  respawn() {
+    const gameState = this.gameState;
+    const snapshot = this.snapshot;
+    const reached = new Set(this.reached);
+
+    this.clearProjectiles();
+
+    if (!this.levelManager.isEndless && snapshot) {
+      // Hostages taken on board since the level started were rescued or
+      // went down with a ship, either way for good, and the reactor's
+      // countdown keeps running
+      const takenHostages = new Set(
+        this.hostageManager ? this.hostageManager.rescuedSpawns : []
+      );
+      const escapeTimeLeft = this.reactorManager
+        ? this.reactorManager.timeLeft
+        : 0;
+
+      this.levelManager.loadLevel(this.levelManager.currentLevelIndex);
+      this.restore(snapshot, takenHostages, escapeTimeLeft);
+      this.snapshot = snapshot;
+      this.reached = reached;
+
+      // The segments around the start were built before the doors and
+      // obstacles were restored
+      const node = this.levelManager.movePlayerTo(snapshot.position);
+      this.levelManager.rebuildSegments();
+      if (node) {
+        this.levelManager.camera.quaternion.copy(node.quaternion);
+      }
+    } else {
+      gameState.playerHealth = gameState.maxPlayerHealth;
+    }
+
+    if (this.spaceship) {
+      this.spaceship.velocity.set(0, 0, 0);
+    }
+
+    gameState.isRespawning = false;
+    gameState.invulnerableUntil = Date.now() + this.respawnShield;
+
+    if (this.uiManager) {
+      this.uiManager.updateHUD();
+      this.uiManager.hideHazardWarning();
+    }
+  }
+
+  // Put the saved state back into the freshly loaded level
+  restore(snapshot, takenHostages, escapeTimeLeft) {
+    const gameState = this.gameState;
+    const levelManager = this.levelManager;
+
+    gameState.score = snapshot.score;
+    gameState.playerHealth = snapshot.playerHealth;
+    gameState.enemyKills = { ...snapshot.enemyKills };
+
+    gameState.weaponInventory = {};
+    for (const [weapon, state] of Object.entries(snapshot.weaponInventory)) {
+      gameState.weaponInventory[weapon] = { ...state };
+    }
+    gameState.currentWeapon = snapshot.currentWeapon;
+
+    for (const color of snapshot.keys) {
+      gameState.addKey(color);
+    }
+
+    if (this.enemyManager) {
+      for (const id of snapshot.destroyedEnemies) {
+        this.enemyManager.destroyedPredefinedEnemies.add(id);
+      }
+    }
+
+    // Segments are built again as the player gets near, with these doors
+    // open and these obstacles gone
+    for (const id of snapshot.openDoors) {
+      levelManager.openDoors.add(id);
+    }
+    for (const key of snapshot.destroyedObstacles) {
+      levelManager.destroyedObstacles.add(key);
+    }
+
+    if (this.powerUpManager) {
+      for (const index of snapshot.collectedPowerUps) {
+        this.powerUpManager.collectedSpawns.add(index);
+      }
+    }
+    if (this.hostageManager) {
+      for (const index of takenHostages) {
+        this.hostageManager.rescuedSpawns.add(index);
+      }
+    }
+    if (this.reactorManager && snapshot.reactor) {
+      this.reactorManager.restoreProgressState(
+        snapshot.reactor,
+        escapeTimeLeft
+      );
+    }
+
+    if (this.objectiveManager && snapshot.objectives) {
+      this.objectiveManager.restoreProgressState(snapshot.objectives);
+    }
+
+    if (this.uiManager) {
+      this.uiManager.updateWeaponUI();
+      if (this.uiManager.updateKillCounter) {
+        this.uiManager.updateKillCounter(gameState.enemyKills);
+      }
+    }
+  }
+
+  // Shots in flight belong to the life that was lost
+  clearProjectiles() {
+    const projectileManager = this.projectileManager;
+    if (!projectileManager) return;
+
+    for (const projectile of [...projectileManager.getProjectiles()]) {
+      projectileManager.removeProjectile(projectile);
+    }
+    projectileManager.clearEnemyProjectiles();
+  }
+}
+
+export default CheckpointManager;
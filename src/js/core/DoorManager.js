@@ -0,0 +1,95 @@
+// Door Manager for the locked doors of blueprint levels: a door opens when
+// the player comes close holding the keycard of its color
+import * as THREE from 'three';
+import { KeyColorValue } from './levels/SegmentTypes.js';
+
+class DoorManager {
+  constructor(levelManager, gameState, audioManager, uiManager) {
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+    this.audioManager = audioManager;
+    this.uiManager = uiManager;
+
+    this.openDistance = 8; // How close the player has to be to open a door
+    this.openDuration = 1.0; // Seconds for the halves to slide apart
+    this.warningInterval = 3000; // ms between "key required" messages
+
+    this.lastWarningTime = 0;
+  }
+
+  // Keycards only work in the level they were found in
+  reset() {
+    this.gameState.resetKeys();
+    this.lastWarningTime = 0;
+  }
+
+  update(delta) {
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+    const doorPosition = new THREE.Vector3();
+
+    // Copy the list, opened doors are removed from it
+    for (const obstacle of [...this.levelManager.obstacles]) {
+      const door = obstacle.door;
+      if (!door) continue;
+
+      if (door.state === 'opening') {
+        this.animateDoor(obstacle, delta);
+        continue;
+      }
+
+      obstacle.mesh.getWorldPosition(doorPosition);
+      if (doorPosition.distanceTo(playerPosition) > this.openDistance) continue;
+
+      if (this.gameState.hasKey(door.color)) {
+        this.openDoor(obstacle);
+      } else {
+        this.showKeyRequired(door.color);
+      }
+    }
+  }
+
+  openDoor(obstacle) {
+    obstacle.door.state = 'opening';
+
+    // Remember the door so it stays open when its segment is streamed again
+    this.levelManager.openDoors.add(obstacle.door.nodeId);
+
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('doorOpen', { volume: 0.6 });
+    }
+  }
+
+  // Slide the two halves into the walls, then take the door away
+  animateDoor(obstacle, delta) {
+    const door = obstacle.door;
+    door.progress = Math.min(1, door.progress + delta / this.openDuration);
+
+    // Ease out so the halves slow down as they reach the walls
+    const eased = 1 - Math.pow(1 - door.progress, 3);
+    for (const half of obstacle.mesh.children) {
+      const side = half.userData.side;
+      half.position.x = side * (door.width / 4 + (eased * door.width) / 2);
+    }
+
+    if (door.progress >= 1) {
+      door.state = 'open';
+      this.levelManager.removeObstacle(obstacle);
+    }
+  }
+
+  showKeyRequired(color) {
+    const now = Date.now();
+    if (now - this.lastWarningTime < this.warningInterval) return;
+    this.lastWarningTime = now;
+
+    if (this.uiManager) {
+      this.uiManager.showMessage(
+        `${color.toUpperCase()} KEY REQUIRED`,
+        1500,
+        `#${KeyColorValue[color].toString(16).padStart(6, '0')}`
+      );
+    }
+  }
+}
+
+export default DoorManager;
@@ -1,10 +1,21 @@
 // Game state management
 import { shakeCamera } from '../utils/effectsUtils.js';
 
+// Screen flash of each damage source, red for anything not listed
+const DAMAGE_FLASH_COLORS = {
+  lava: 'rgba(255, 100, 0, 0.35)',
+  forceField: 'rgba(50, 200, 255, 0.3)',
+  arcEmitter: 'rgba(170, 130, 255, 0.35)',
+};
+
 class GameState {
   constructor() {
     this.playerHealth = 100;
     this.maxPlayerHealth = 100;
+    this.startingLives = 3;
+    this.lives = this.startingLives;
+    this.isRespawning = false; // Set until the CheckpointManager respawns
+    this.invulnerableUntil = 0; // Date.now() time the respawn shield ends
     this.score = 0;
     this.isGameOver = false;
     this.isGameStarted = false;
@@ -41,6 +52,16 @@ class GameState {
       missile: 0,
       plasma: 0,
     };
+
+    // Keycards held in the current level
+    this.keys = new Set();
+
+    // Hostages picked up in the current level, scored at the exit
+    this.hostagesOnBoard = 0;
+    this.hostagesRescued = 0; // Brought out over the whole run
+
+    // What last hurt the ship: 'collision', 'enemyFire' or a hazard type
+    this.lastDamageSource = null;
   }
 
   // Record an enemy kill
@@ -114,6 +135,28 @@ class GameState {
     }
   }
 
+  // Pick up a keycard for the doors of its color
+  addKey(color) {
+    this.keys.add(color);
+
+    if (this.uiManager) {
+      this.uiManager.updateKeys(this.keys);
+    }
+  }
+
+  hasKey(color) {
+    return this.keys.has(color);
+  }
+
+  // Drop all keycards (e.g. when a level is loaded)
+  resetKeys() {
+    this.keys.clear();
+
+    if (this.uiManager) {
+      this.uiManager.updateKeys(this.keys);
+    }
+  }
+
   // Set references to other game components
   setReferences(
     camera,
@@ -130,8 +173,14 @@ class GameState {
   }
 
   // Handle player taking damage
-  takeDamage(amount) {
+  // Damage the ship. source tags what hurt it, for the feedback and for
+  // lastDamageSource.
+  takeDamage(amount, source = 'unknown') {
+    // A lost ship waiting to respawn, or one that just did, takes no damage
+    if (this.isRespawning || Date.now() < this.invulnerableUntil) return;
+
     this.playerHealth -= amount;
+    this.lastDamageSource = source;
 
     // Play damage sound
     if (this.audioManager && this.audioManager.initialized) {
@@ -140,7 +189,7 @@ class GameState {
 
     if (this.playerHealth <= 0) {
       this.playerHealth = 0;
-      this.gameOver();
+      this.loseLife();
     }
 
     // Update HUD
@@ -155,7 +204,8 @@ class GameState {
     flashEffect.style.left = '0';
     flashEffect.style.width = '100%';
     flashEffect.style.height = '100%';
-    flashEffect.style.backgroundColor = 'rgba(255, 0, 0, 0.3)';
+    flashEffect.style.backgroundColor =
+      DAMAGE_FLASH_COLORS[source] || 'rgba(255, 0, 0, 0.3)';
     flashEffect.style.pointerEvents = 'none';
     flashEffect.style.zIndex = '1000';
     flashEffect.style.transition = 'opacity 0.5s ease-out';
@@ -217,6 +267,47 @@ class GameState {
     }
   }
 
+  // The ship was destroyed. With lives left it respawns at the last
+  // checkpoint at the start of the next frame, so nothing that is being
+  // updated right now disappears under it; otherwise the game is over.
+  loseLife() {
+    this.lives = Math.max(0, this.lives - 1);
+
+    // Hostages on board go down with the ship
+    if (this.game && this.game.hostageManager) {
+      this.game.hostageManager.loseHostagesOnBoard();
+    }
+
+    if (this.lives === 0 || !this.game || !this.game.checkpointManager) {
+      this.gameOver();
+      return;
+    }
+
+    this.isRespawning = true;
+
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('explosion', { volume: 0.8 });
+    }
+    if (this.uiManager) {
+      this.uiManager.showMessage(
+        `SHIP LOST - ${this.lives} ${this.lives === 1 ? 'LIFE' : 'LIVES'} LEFT`,
+        2500,
+        '#ff4444'
+      );
+    }
+  }
+
+  // Start a new game with a full set of lives
+  resetLives() {
+    this.lives = this.startingLives;
+    this.isRespawning = false;
+    this.invulnerableUntil = 0;
+
+    if (this.uiManager) {
+      this.uiManager.updateHUD();
+    }
+  }
+
   // Game over handling
   gameOver() {
     if (this.isGameOver) return;
@@ -226,6 +317,9 @@ class GameState {
     // Update UI
     if (this.uiManager) {
       this.uiManager.updateHUD();
+      this.uiManager.hideEscapeTimer();
+      this.uiManager.hideHazardWarning();
+      this.uiManager.hideBossHealth();
       this.uiManager.showGameOver();
     }
 
@@ -241,6 +335,9 @@ class GameState {
         this.audioManager.music.fadeOut(2.0);
       }
 
+      // Silence a reactor alarm that may still be running
+      this.audioManager.stopSound('alarm');
+
       // Play game over sound
       this.audioManager.playSound('gameOver', { volume: 0.6 });
     }
@@ -251,38 +348,57 @@ class GameState {
     }
   }
 
+  // Bonus points for a completed level, line by line
+  getLevelBreakdown() {
+    const levelManager = this.game ? this.game.levelManager : null;
+    const level = levelManager ? levelManager.currentLevel : null;
+    const hostagesInLevel = level ? level.hostageSpawns.length : 0;
+    const rescued = this.hostagesOnBoard;
+
+    const lines = [{ label: 'LEVEL BONUS', points: 1000 }];
+
+    if (hostagesInLevel > 0) {
+      lines.push({
+        label: `HOSTAGES RESCUED ${rescued}/${hostagesInLevel}`,
+        points: rescued * 500,
+      });
+      if (rescued === hostagesInLevel) {
+        lines.push({ label: 'FULL RESCUE BONUS', points: 1000 });
+      }
+    }
+
+    const total = lines.reduce((sum, line) => sum + line.points, 0);
+    return { lines, total };
+  }
+
   // Handle level completion
   levelCompleted() {
     if (this.isGameOver) return;
 
-    // Visual feedback
-    if (this.uiManager) {
-      this.uiManager.showMessage('LEVEL COMPLETE!', 3000, '#00ff00');
-    }
-
     // Victory sound
     if (this.audioManager && this.audioManager.initialized) {
       this.audioManager.playSound('powerup', { volume: 0.7 });
     }
 
-    // Award bonus points
-    const levelBonus = 1000;
-    this.score += levelBonus;
+    // Score the level and the hostages brought out
+    const breakdown = this.getLevelBreakdown();
+    this.score += breakdown.total;
+    this.hostagesRescued += this.hostagesOnBoard;
+    this.hostagesOnBoard = 0;
 
-    // Show bonus notification
+    if (this.uiManager) {
+      this.uiManager.updateHUD();
+      this.uiManager.hideHazardWarning();
+      this.uiManager.hideBossHealth();
+      this.uiManager.showLevelBreakdown(breakdown);
+    }
+
+    // Progress to next level after a delay
     setTimeout(() => {
       if (this.uiManager) {
-        this.uiManager.showMessage(
-          `BONUS: +${levelBonus} POINTS`,
-          2000,
-          '#ffff00',
-          80 // Default position
-        );
+        this.uiManager.hideLevelBreakdown();
       }
-    }, 1500);
 
-    // Progress to next level after a delay
-    setTimeout(() => {
       // Check if there's another level
       if (this.game && this.game.levelManager) {
         const nextLevelIndex = this.game.levelManager.currentLevelIndex + 1;
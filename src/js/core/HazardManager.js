@@ -0,0 +1,235 @@
+// Hazard Manager for the environmental hazards of blueprint segments: lava
+// floors burn a ship flying low over them, force fields switch on and off on
+// a timer and arc emitters strike a ship that comes close
+import * as THREE from 'three';
+import { HazardType } from './levels/SegmentTypes.js';
+
+// Settings of each hazard type, overridden by the fields of a segment's
+// hazard definition. damage is per second of exposure.
+export const HAZARD_DEFAULTS = {
+  [HazardType.LAVA]: { from: 0, to: 1, damage: 10 },
+  [HazardType.FORCE_FIELD]: {
+    along: 0.5,
+    onTime: 2,
+    offTime: 2,
+    phase: 0,
+    damage: 15,
+  },
+  [HazardType.ARC_EMITTER]: {
+    along: 0.5,
+    side: 'left',
+    range: 6,
+    damage: 20,
+  },
+};
+
+const HAZARD_COLORS = {
+  [HazardType.LAVA]: '#ff5500',
+  [HazardType.FORCE_FIELD]: '#33ccff',
+  [HazardType.ARC_EMITTER]: '#aa88ff',
+};
+
+class HazardManager {
+  constructor(levelManager, gameState, uiManager) {
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+    this.uiManager = uiManager;
+
+    this.warningDistance = 15; // How close a hazard has to be to be announced
+    this.lavaHeatHeight = 2.5; // Height above the lava that still burns
+    this.fieldThickness = 1.2; // Distance from a force field that shocks
+    this.damageInterval = 0.5; // Seconds between damage ticks
+
+    this.time = 0; // Level clock the force fields switch on
+    this.pendingDamage = {}; // key: damage source, value: damage this tick
+    this.damageTimer = 0;
+    this.warningText = null; // Last warning, to only touch the DOM on change
+  }
+
+  // Force fields start their cycles again with the level
+  reset() {
+    this.time = 0;
+    this.pendingDamage = {};
+    this.damageTimer = 0;
+    this.showWarning(null);
+  }
+
+  update(delta) {
+    this.time += delta;
+
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+    const local = new THREE.Vector3();
+
+    // The closest hazard is announced on the HUD
+    let warning = null;
+
+    for (const hazard of this.levelManager.hazards) {
+      hazard.segment.updateMatrixWorld();
+      local.copy(playerPosition);
+      hazard.segment.worldToLocal(local);
+
+      let result;
+      switch (hazard.type) {
+        case HazardType.LAVA:
+          result = this.updateLava(hazard, local);
+          break;
+        case HazardType.FORCE_FIELD:
+          result = this.updateForceField(hazard, local);
+          break;
+        case HazardType.ARC_EMITTER:
+          result = this.updateArcEmitter(hazard, local);
+          break;
+        default:
+          continue;
+      }
+
+      if (result.hurting) {
+        this.hurt(hazard.type, hazard.damage * delta);
+      }
+      if (
+        result.distance < this.warningDistance &&
+        (!warning || result.distance < warning.distance)
+      ) {
+        warning = { ...result, type: hazard.type };
+      }
+    }
+
+    this.applyDamage(delta);
+    this.showWarning(warning);
+  }
+
+  // Burns while the ship is low over the pool. The surface glows brighter
+  // and dimmer.
+  updateLava(hazard, local) {
+    const length = this.levelManager.segmentLength;
+    const t = -local.z / length;
+    const center = hazard.centerline.getPoint(
+      Math.min(hazard.to, Math.max(hazard.from, t))
+    );
+    const dx = local.x - center.x;
+    const dy = local.y - center.y;
+
+    hazard.mesh.material.color.setHSL(
+      0.04,
+      1,
+      0.45 + 0.08 * Math.sin(this.time * 3)
+    );
+
+    const over =
+      t >= hazard.from && t <= hazard.to && Math.abs(dx) < hazard.width / 2;
+    const distance = Math.hypot(
+      (t - Math.min(hazard.to, Math.max(hazard.from, t))) * length,
+      Math.max(0, Math.abs(dx) - hazard.width / 2),
+      Math.max(0, dy - hazard.surfaceY)
+    );
+
+    return {
+      distance,
+      hurting: over && dy < hazard.surfaceY + this.lavaHeatHeight,
+      text: 'LAVA BELOW - STAY HIGH',
+    };
+  }
+
+  // Switch the field on and off with the level clock and shock a ship
+  // touching it while it is on
+  updateForceField(hazard, local) {
+    const period = hazard.onTime + hazard.offTime;
+    const cycle = (this.time + hazard.phase) % period;
+    hazard.active = cycle < hazard.onTime;
+
+    hazard.mesh.visible = hazard.active;
+    hazard.mesh.material.opacity = 0.3 + 0.1 * Math.sin(this.time * 12);
+
+    const length = this.levelManager.segmentLength;
+    const center = hazard.centerline.getPoint(hazard.along);
+    const distance = Math.hypot(
+      local.z + hazard.along * length,
+      Math.max(0, Math.abs(local.x - center.x) - hazard.width / 2),
+      Math.max(0, Math.abs(local.y - center.y) - hazard.height / 2)
+    );
+
+    const text = hazard.active
+      ? 'FORCE FIELD ACTIVE'
+      : `FORCE FIELD DOWN - ${(period - cycle).toFixed(1)}s`;
+
+    return {
+      distance,
+      hurting: hazard.active && distance < this.fieldThickness,
+      text,
+    };
+  }
+
+  // Strike a ship in range with a flickering arc
+  updateArcEmitter(hazard, local) {
+    const distance = local.distanceTo(hazard.mesh.position);
+    const inRange = distance < hazard.range;
+
+    hazard.arc.visible = inRange;
+    if (inRange) {
+      this.updateArc(hazard.arc, hazard.mesh.position, local);
+    }
+
+    return {
+      distance: Math.max(0, distance - hazard.range),
+      hurting: inRange,
+      text: inRange ? 'ARC DISCHARGE' : 'ARC EMITTER - KEEP CLEAR',
+    };
+  }
+
+  // Bend the arc into a new jagged line from the emitter to the ship
+  updateArc(arc, from, to) {
+    const positions = arc.geometry.attributes.position;
+    const point = new THREE.Vector3();
+    const last = positions.count - 1;
+
+    for (let i = 0; i <= last; i++) {
+      point.lerpVectors(from, to, i / last);
+      if (i > 0 && i < last) {
+        point.x += (Math.random() - 0.5) * 0.6;
+        point.y += (Math.random() - 0.5) * 0.6;
+        point.z += (Math.random() - 0.5) * 0.6;
+      }
+      positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+  }
+
+  // Collect damage per source and hand it to the game state in ticks, so the
+  // ship is not flashed and shaken every frame
+  hurt(source, amount) {
+    this.pendingDamage[source] = (this.pendingDamage[source] || 0) + amount;
+  }
+
+  applyDamage(delta) {
+    this.damageTimer += delta;
+    if (this.damageTimer < this.damageInterval) return;
+    this.damageTimer = 0;
+
+    for (const [source, amount] of Object.entries(this.pendingDamage)) {
+      if (amount > 0 && !this.gameState.isGameOver) {
+        this.gameState.takeDamage(amount, source);
+      }
+    }
+    this.pendingDamage = {};
+  }
+
+  showWarning(warning) {
+    if (!this.uiManager || !this.uiManager.showHazardWarning) return;
+
+    const text = warning ? `${warning.text}:${warning.hurting}` : null;
+    if (text === this.warningText) return;
+    this.warningText = text;
+
+    if (warning) {
+      this.uiManager.showHazardWarning(
+        warning.text,
+        HAZARD_COLORS[warning.type],
+        warning.hurting
+      );
+    } else {
+      this.uiManager.hideHazardWarning();
+    }
+  }
+}
+
+export default HazardManager;
@@ -64,6 +64,27 @@ class InputManager {
     // Always set keyStates, even if pointer lock is not active
     this.keyStates[event.code] = true;
 
+    // Toggle the automap, Escape closes it instead of opening the pause menu
+    const automap = this.game && this.game.automap;
+    if (
+      automap &&
+      this.gameState.isGameStarted &&
+      !this.gameState.isGameOver &&
+      (event.code === 'KeyM' || (event.code === 'Escape' && automap.isOpen))
+    ) {
+      automap.toggle();
+      return;
+    }
+
+    // Toggle the render budget readout (the browser would search with F3)
+    if (event.code === 'F3') {
+      event.preventDefault();
+      if (this.uiManager) {
+        this.uiManager.toggleRenderReadout();
+      }
+      return;
+    }
+
     // Handle escape key for pause menu
     if (
       event.code === 'Escape' &&
@@ -102,6 +123,16 @@ class InputManager {
 
   // Handle click - request pointer lock and fire projectile if appropriate
   onClick() {
+    // The level editor uses the mouse for its own camera and dragging
+    if (this.game && this.game.levelEditor && this.game.levelEditor.isActive) {
+      return;
+    }
+
+    // So does the automap for rotating and zooming
+    if (this.game && this.game.automap && this.game.automap.isOpen) {
+      return;
+    }
+
     this.canvas.requestPointerLock();
 
     // Only shoot if game has started and is in progress
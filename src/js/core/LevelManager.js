@@ -4,7 +4,68 @@ import createLevel1 from './levels/Level1.js';
 import createLevel2 from './levels/Level2.js';
 import createLevel3 from './levels/Level3.js';
 import createExampleLevel from './levels/ExampleLevel.js';
-import { SegmentType, ObstaclePattern } from './levels/SegmentTypes.js';
+import {
+  SegmentType,
+  ObstaclePattern,
+  ExitDirection,
+  KeyColorValue,
+  HazardType,
+  HazardSide,
+} from './levels/SegmentTypes.js';
+import { loadLevelManifest } from './levels/LevelLoader.js';
+import { DEFAULT_THEME } from './levels/LevelThemes.js';
+import TunnelGraph, {
+  getExitSide,
+  getSegmentCenterline,
+  getSegmentSize,
+  isChamberType,
+} from './levels/TunnelGraph.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import ObjectPool from '../utils/ObjectPool.js';
+import CaveGenerator from './CaveGenerator.js';
+import { HAZARD_DEFAULTS } from './HazardManager.js';
+import { OBSTACLE_MOTION } from './MovingObstacleManager.js';
+import WorldOrigin from './WorldOrigin.js';
+
+// Hit points of obstacles by type, unless a level sets its own
+export const OBSTACLE_HEALTH = {
+  rock: 6,
+  pipe: 4,
+  crate: 3,
+};
+
+// Materials of the obstacle types and door panels. Every obstacle of a type
+// shares one material, as nothing changes them per obstacle.
+const OBSTACLE_MATERIALS = {
+  rock: { color: 0x888888, roughness: 0.8, metalness: 0.2 },
+  pipe: { color: 0x555555, roughness: 0.6, metalness: 0.8 },
+  crate: { color: 0x775533, roughness: 0.9, metalness: 0.1 },
+  fan: { color: 0x666677, roughness: 0.4, metalness: 0.9 },
+  pistonHead: { color: 0x884422, roughness: 0.5, metalness: 0.8 },
+  pistonRod: { color: 0xaaaaaa, roughness: 0.3, metalness: 0.9 },
+  pistonStripe: { color: 0xffcc00, emissive: 0x664400 },
+  slidingDoor: { color: 0x445566, roughness: 0.5, metalness: 0.8 },
+  doorPanel: { color: 0x333340, roughness: 0.5, metalness: 0.8 },
+};
+
+// Free the GPU resources of an object and its children, except geometries
+// and materials marked as shared (userData.shared)
+function disposeObject(root) {
+  const disposeMaterial = (material) => {
+    if (material && !material.userData.shared) material.dispose();
+  };
+
+  root.traverse((child) => {
+    if (child.geometry && !child.geometry.userData.shared) {
+      child.geometry.dispose();
+    }
+    if (Array.isArray(child.material)) {
+      child.material.forEach(disposeMaterial);
+    } else if (child.material) {
+      disposeMaterial(child.material);
+    }
+  });
+}
 
 class LevelManager {
   constructor(scene, camera) {
@@ -17,25 +78,40 @@ class LevelManager {
     this.tunnelHeight = 12;
     this.segmentCount = 15; // How many segments to keep active at once
 
+    // Random generation (replaced with a seeded stream by the game)
+    this.rng = new SeededRandom();
+
+    // Noise-driven cave walls, rebuilt when the run seed changes
+    this.caveGenerator = null;
+    this.caveSeed = null;
+
     // Textures and materials
     this.wallTexture = null;
     this.floorTexture = null;
     this.wallMaterial = null;
     this.floorMaterial = null;
+    this.textures = new Map(); // Texture requests by file and tiling
+    this.theme = null; // Theme the materials were last dressed in
 
     // Geometry caches for reuse
     this._planeGeometry = new THREE.PlaneGeometry(
       this.tunnelWidth,
       this.tunnelHeight
     );
-    this._segmentWallGeometry = new THREE.PlaneGeometry(
-      this.segmentLength,
-      this.tunnelHeight
-    );
     this._glowSphereGeometry = new THREE.SphereGeometry(0.15, 6, 6); // Lower segment count
+    this._planeGeometry.userData.shared = true;
+    this._glowSphereGeometry.userData.shared = true;
+
+    // Materials shared between segments, by name (see getSharedMaterial)
+    this.sharedMaterials = new Map();
+
+    // Groups and lights of dropped segments, reused by the next segments
+    this.segmentPool = new ObjectPool();
 
     // Obstacles
     this.obstacles = []; // Level system properties
+    this.hazards = []; // Lava floors, force fields and arc emitters
+    this.checkpoints = []; // Checkpoint markers of the loaded segments
     this.levels = [
       createLevel1(),
       createLevel2(),
@@ -50,105 +126,201 @@ class LevelManager {
     // Bidirectional segment management
     this.segmentMap = new Map(); // key: segment index, value: segment object
     this.buffer = 7; // segments ahead and behind to keep loaded
-  }
-
-  // Initialize textures and materials
-  async initMaterials() {
-    const textureLoader = new THREE.TextureLoader();
 
-    // Load textures (using promises for async loading)
-    const loadTexture = (url) => {
-      return new Promise((resolve, reject) => {
-        textureLoader.load(
-          url,
-          (texture) => resolve(texture),
-          undefined,
-          (err) => reject(err)
-        );
-      });
-    };
+    // Branching blueprint levels
+    this.tunnelGraph = null; // Layout of the current blueprint
+    this.loadedNodes = new Map(); // key: segment id, value: segment object
+    this.currentNodeId = null; // Segment the player is in
+    this.openDoors = new Set(); // Ids of segments whose door was opened
+    this.destroyedObstacles = new Set(); // Keys of obstacles shot apart
 
-    try {
-      this.wallTexture = await loadTexture('/textures/wall.jpg');
-      this.floorTexture = await loadTexture('/textures/floor.jpg');
+    // Segments the player has been in, for the automap
+    this.visitedSegments = new Map(); // key: segment id, value: map entry
 
-      // Configure textures
-      this.wallTexture.wrapS = THREE.RepeatWrapping;
-      this.wallTexture.wrapT = THREE.RepeatWrapping;
-      this.wallTexture.repeat.set(4, 2);
+    // Moves the world around the player and knows where the player is
+    this.worldOrigin = new WorldOrigin(scene, camera);
+  }
 
-      this.floorTexture.wrapS = THREE.RepeatWrapping;
-      this.floorTexture.wrapT = THREE.RepeatWrapping;
-      this.floorTexture.repeat.set(4, 8);
+  // Initialize textures and materials, dressed in a level theme. The
+  // materials are shared by every segment, so changing the theme recolors
+  // the segments already built as well.
+  async initMaterials(theme = DEFAULT_THEME) {
+    this.theme = theme;
 
+    if (!this.wallMaterial) {
       // Use MeshLambertMaterial for much faster rendering (no PBR lighting calculations)
-      this.wallMaterial = new THREE.MeshLambertMaterial({
-        map: this.wallTexture,
-        color: 0x888888,
-      });
+      this.wallMaterial = new THREE.MeshLambertMaterial();
+      this.floorMaterial = new THREE.MeshLambertMaterial();
+      this.wallMaterial.userData.shared = true;
+      this.floorMaterial.userData.shared = true;
+    }
+    this.wallMaterial.color.setHex(theme.wallColor);
+    this.floorMaterial.color.setHex(theme.floorColor);
 
-      this.floorMaterial = new THREE.MeshLambertMaterial({
-        map: this.floorTexture,
-        color: 0x666666,
-      });
+    try {
+      const [wallTexture, floorTexture] = await Promise.all([
+        this.loadTexture(theme.wallTexture, 4, 2),
+        this.loadTexture(theme.floorTexture, 4, 8),
+      ]);
+
+      // Another theme may have been applied while these were loading
+      if (this.theme !== theme) return true;
+
+      this.wallTexture = wallTexture;
+      this.floorTexture = floorTexture;
+      this.wallMaterial.map = wallTexture;
+      this.floorMaterial.map = floorTexture;
+      this.wallMaterial.needsUpdate = true;
+      this.floorMaterial.needsUpdate = true;
 
       return true;
     } catch (error) {
       console.error('Error loading textures:', error);
 
-      // Fallback materials if textures fail to load
-      this.wallMaterial = new THREE.MeshLambertMaterial({
-        color: 0x555555,
-      });
+      // Fall back to plain, darker colors if textures fail to load
+      if (this.theme === theme) {
+        this.wallMaterial.map = null;
+        this.floorMaterial.map = null;
+        this.wallMaterial.color.setHex(theme.wallColor).multiplyScalar(0.6);
+        this.floorMaterial.color.setHex(theme.floorColor).multiplyScalar(0.5);
+        this.wallMaterial.needsUpdate = true;
+        this.floorMaterial.needsUpdate = true;
+      }
+
+      return false;
+    }
+  }
 
-      this.floorMaterial = new THREE.MeshLambertMaterial({
-        color: 0x333333,
+  // Load a repeating texture once; themes that use the same file with the
+  // same tiling share it
+  loadTexture(url, repeatX, repeatY) {
+    const key = `${url} ${repeatX}x${repeatY}`;
+    if (!this.textures.has(key)) {
+      const request = new Promise((resolve, reject) => {
+        new THREE.TextureLoader().load(
+          url,
+          (texture) => {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.repeat.set(repeatX, repeatY);
+            resolve(texture);
+          },
+          undefined,
+          (err) => reject(err)
+        );
       });
+      // Try again next time instead of remembering the failure
+      request.catch(() => this.textures.delete(key));
+      this.textures.set(key, request);
+    }
+    return this.textures.get(key);
+  }
 
-      return false;
+  // Material shared by every segment that asks for the same name, created
+  // on first use. Shared materials stay alive when segments are dropped.
+  getSharedMaterial(name, create) {
+    if (!this.sharedMaterials.has(name)) {
+      const material = create();
+      material.userData.shared = true;
+      this.sharedMaterials.set(name, material);
     }
+    return this.sharedMaterials.get(name);
   }
 
-  // Create a tunnel segment
-  createTunnelSegment(position, addEndWall = true) {
-    const segment = new THREE.Group();
-    segment.position.copy(position);
+  // Shared material of an obstacle part (see OBSTACLE_MATERIALS)
+  getObstacleMaterial(name) {
+    return this.getSharedMaterial(
+      `obstacle:${name}`,
+      () => new THREE.MeshStandardMaterial(OBSTACLE_MATERIALS[name])
+    );
+  }
 
-    // Use cached geometries
-    const planeGeometry = this._planeGeometry;
-    const wallGeometry = this._segmentWallGeometry;
+  // Empty segment group, taken from the pool when a dropped one is there
+  acquireSegment() {
+    const segment =
+      this.segmentPool.getFromPool('segment') || new THREE.Group();
+    segment.visible = true;
+    segment.position.set(0, 0, 0);
+    segment.quaternion.identity();
+    segment.userData = {};
+    return segment;
+  }
 
-    // Floor
-    const floor = new THREE.Mesh(planeGeometry, this.floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.y = -this.tunnelHeight / 2;
-    floor.position.z = -this.segmentLength / 2;
-    segment.add(floor);
+  // Drop a segment: children taken from the pool (userData.pool) go back to
+  // it, everything else is disposed, and the empty group is kept for the
+  // next segment
+  releaseSegment(segment) {
+    this.scene.remove(segment);
 
-    // Ceiling
-    const ceiling = new THREE.Mesh(planeGeometry, this.wallMaterial);
-    ceiling.rotation.x = Math.PI / 2;
-    ceiling.position.y = this.tunnelHeight / 2;
-    ceiling.position.z = -this.segmentLength / 2;
-    segment.add(ceiling);
+    for (const child of [...segment.children]) {
+      segment.remove(child);
+      if (child.userData.pool) {
+        this.segmentPool.returnToPool(child.userData.pool, child);
+      } else {
+        disposeObject(child);
+      }
+    }
 
-    // Left wall
-    const leftWall = new THREE.Mesh(wallGeometry, this.wallMaterial);
-    leftWall.rotation.y = Math.PI / 2;
-    leftWall.position.x = -this.tunnelWidth / 2;
-    leftWall.position.z = -this.segmentLength;
-    segment.add(leftWall);
+    this.segmentPool.returnToPool('segment', segment);
+  }
 
-    // Right wall
-    const rightWall = new THREE.Mesh(wallGeometry, this.wallMaterial);
-    rightWall.rotation.y = -Math.PI / 2;
-    rightWall.position.x = this.tunnelWidth / 2;
-    rightWall.position.z = -this.segmentLength;
-    segment.add(rightWall);
+  // Object of a kind from the pool, or a new one from create
+  acquirePooled(pool, create) {
+    const object = this.segmentPool.getFromPool(pool) || create();
+    object.userData.pool = pool;
+    object.visible = true;
+    return object;
+  }
+
+  // Sizes of the segment pools and the shared materials, for the readout
+  getPoolStats() {
+    const pools = this.segmentPool.pools;
+    return {
+      loadedSegments: this.levelSegments.length,
+      pooledSegments: pools.segment ? pools.segment.length : 0,
+      sharedMaterials: this.sharedMaterials.size,
+    };
+  }
+
+  // Append JSON levels listed in a manifest to the built-in levels
+  async loadLevelManifest(manifestUrl) {
+    try {
+      const levels = await loadLevelManifest(manifestUrl);
+      this.levels.push(...levels);
+      console.log(`Loaded ${levels.length} level(s) from ${manifestUrl}`);
+      return levels;
+    } catch (error) {
+      // Keep the built-in levels playable if the manifest is missing or broken
+      console.error('Error loading level manifest:', error.message);
+      return [];
+    }
+  }
+
+  // Create a tunnel segment of the endless tunnel at a level position
+  createTunnelSegment(
+    position,
+    addEndWall = true,
+    index = Math.round(-position.z / this.segmentLength)
+  ) {
+    const segment = this.acquireSegment();
+    segment.userData.levelPosition = position.clone();
+    this.levelToWorld(position, segment.position);
+
+    // Each segment gets its own stream so it is identical for a given seed
+    const rng = this.rng.fork(`segment:${index}`);
+
+    // Cave walls, with the noise sampled where the segment sits in the
+    // endless tunnel so neighbours line up
+    this.createCaveWalls(segment, {
+      width: this.tunnelWidth,
+      height: this.tunnelHeight,
+      origin: new THREE.Vector3(0, 0, -index * this.segmentLength),
+      quaternion: new THREE.Quaternion(),
+    });
 
     // End wall (only if requested)
     if (addEndWall) {
-      const endWall = new THREE.Mesh(planeGeometry, this.wallMaterial);
+      const endWall = new THREE.Mesh(this._planeGeometry, this.wallMaterial);
       endWall.rotation.y = Math.PI;
       endWall.position.z = -this.segmentLength;
       endWall.name = 'endWall';
@@ -159,8 +331,8 @@ class LevelManager {
     this.addLightsToSegment(segment);
 
     // Add some obstacles
-    if (Math.random() > 0.5) {
-      this.addObstacles(segment);
+    if (rng.next() > 0.5) {
+      this.addObstacles(segment, rng);
     }
 
     this.scene.add(segment);
@@ -169,80 +341,157 @@ class LevelManager {
     return segment;
   }
 
-  // Add lights to a tunnel segment (optimized)
+  // Add lights to a tunnel segment (optimized). The lights and the glow
+  // sphere are reused from dropped segments.
   addLightsToSegment(segment, color = 0x4466aa) {
     // Only one point light per segment for performance
-    const light = new THREE.PointLight(color, 1.5, 20, 2);
+    const light = this.acquirePooled(
+      'pointLight',
+      () => new THREE.PointLight(color, 1.5, 20, 2)
+    );
+    light.color.setHex(color);
+    light.intensity = 1.5;
+    delete light.userData.baseIntensity; // Left by the reactor alarm
     light.position.set(0, 0, -this.segmentLength / 2);
     segment.add(light);
 
     // Make light source visible with a glowing sphere (lower geometry complexity)
-    const glowMaterial = new THREE.MeshBasicMaterial({
-      color: color,
-      transparent: true,
-      opacity: 0.7,
-    });
-    const glowSphere = new THREE.Mesh(this._glowSphereGeometry, glowMaterial);
+    const glowMaterial = this.getSharedMaterial(
+      `glow:${color}`,
+      () =>
+        new THREE.MeshBasicMaterial({
+          color: color,
+          transparent: true,
+          opacity: 0.7,
+        })
+    );
+    const glowSphere = this.acquirePooled(
+      'glowSphere',
+      () => new THREE.Mesh(this._glowSphereGeometry, glowMaterial)
+    );
+    glowSphere.material = glowMaterial;
     glowSphere.position.copy(light.position);
     segment.add(glowSphere);
 
     // Add a subtle ambient light
-    const ambientLight = new THREE.AmbientLight(color, 0.25);
+    const ambientLight = this.acquirePooled(
+      'ambientLight',
+      () => new THREE.AmbientLight(color, 0.25)
+    );
+    ambientLight.color.setHex(color);
+    ambientLight.intensity = 0.25;
+    delete ambientLight.userData.baseIntensity;
     segment.add(ambientLight);
   }
 
   // Add obstacles to a tunnel segment (bounding box only once)
-  addObstacles(segment) {
-    const obstacleCount = Math.floor(Math.random() * 2) + 1;
+  addObstacles(segment, rng = this.rng) {
+    const obstacleCount = Math.floor(rng.next() * 2) + 1;
     for (let i = 0; i < obstacleCount; i++) {
-      const x = (Math.random() - 0.5) * (this.tunnelWidth - 2);
-      const y = (Math.random() - 0.5) * (this.tunnelHeight - 2);
-      const z = -Math.random() * (this.segmentLength - 5) - 5;
-      const obstacleType = Math.random();
-      let obstacle;
+      const x = (rng.next() - 0.5) * (this.tunnelWidth - 2);
+      const y = (rng.next() - 0.5) * (this.tunnelHeight - 2);
+      const z = -rng.next() * (this.segmentLength - 5) - 5;
+      const obstacleType = rng.next();
+      let type;
       if (obstacleType < 0.4) {
-        const size = 0.5 + Math.random() * 1.0;
-        const geometry = new THREE.DodecahedronGeometry(size, 0);
-        const material = new THREE.MeshStandardMaterial({
-          color: 0x888888,
-          roughness: 0.8,
-          metalness: 0.2,
-        });
-        obstacle = new THREE.Mesh(geometry, material);
+        type = 'rock';
       } else if (obstacleType < 0.7) {
-        const height = 0.5 + Math.random() * 2.0;
-        const radius = 0.2 + Math.random() * 0.3;
-        const geometry = new THREE.CylinderGeometry(radius, radius, height, 8);
-        const material = new THREE.MeshStandardMaterial({
-          color: 0x555555,
-          roughness: 0.6,
-          metalness: 0.8,
-        });
-        obstacle = new THREE.Mesh(geometry, material);
-        obstacle.rotation.x = Math.random() * Math.PI;
-        obstacle.rotation.z = Math.random() * Math.PI;
+        type = 'pipe';
       } else {
-        const size = 0.8 + Math.random() * 0.8;
-        const geometry = new THREE.BoxGeometry(size, size, size);
-        const material = new THREE.MeshStandardMaterial({
-          color: 0x775533,
-          roughness: 0.9,
-          metalness: 0.1,
-        });
-        obstacle = new THREE.Mesh(geometry, material);
-        obstacle.rotation.y = Math.random() * Math.PI;
+        type = 'crate';
       }
+      const obstacle = this.createObstacleByType(type, rng);
       obstacle.position.set(x, y, z);
-      // Only calculate bounding box once (not every frame)
-      obstacle.userData.isObstacle = true;
-      obstacle.userData.boundingBox = new THREE.Box3().setFromObject(obstacle);
-      segment.add(obstacle);
-      this.obstacles.push({
-        mesh: obstacle,
-        segment: segment,
+      this.addObstacle(segment, obstacle, type);
+    }
+  }
+
+  // Give an obstacle its collider and hit points and add it to a segment.
+  // options.health overrides the hit points of the type and options.contents
+  // names a power-up released when it is shot apart. options.motion is merged
+  // over the motion of the type (see OBSTACLE_MOTION); obstacles with a
+  // motion are moved by the MovingObstacleManager. Obstacles of blueprint
+  // segments that were shot apart before the segment was last unloaded stay
+  // gone; they are numbered in the order the segment creates them.
+  addObstacle(segment, mesh, type, options = {}) {
+    const index = segment.userData.obstacleCount || 0;
+    segment.userData.obstacleCount = index + 1;
+
+    const nodeId = segment.userData.nodeId;
+    const key =
+      nodeId !== null && nodeId !== undefined ? `${nodeId}:${index}` : null;
+    if (key && this.destroyedObstacles.has(key)) return null;
+
+    // Add collider data
+    mesh.userData.isObstacle = true;
+    mesh.userData.boundingBox = new THREE.Box3().setFromObject(mesh);
+
+    // Add to segment and track obstacle
+    segment.add(mesh);
+    const obstacle = {
+      mesh,
+      segment,
+      type,
+      key,
+      health:
+        options.health !== undefined ? options.health : OBSTACLE_HEALTH[type],
+      contents: options.contents || null,
+    };
+
+    const motion =
+      OBSTACLE_MOTION[type] || options.motion
+        ? { ...OBSTACLE_MOTION[type], ...options.motion }
+        : null;
+    if (motion) {
+      // Moved around where it was built, and checked part by part
+      obstacle.motion = motion;
+      obstacle.basePosition = mesh.position.clone();
+      obstacle.baseQuaternion = mesh.quaternion.clone();
+      obstacle.parts = [];
+      mesh.traverse((child) => {
+        if (child.isMesh) obstacle.parts.push(child);
       });
+
+      // Segments streamed in later join the motion where it is now
+      if (this.movingObstacleManager) {
+        this.movingObstacleManager.pose(
+          obstacle,
+          this.movingObstacleManager.time
+        );
+      }
+    }
+
+    this.obstacles.push(obstacle);
+    return obstacle;
+  }
+
+  // Take an obstacle out of its segment and free what only it used
+  removeObstacle(obstacle) {
+    obstacle.segment.remove(obstacle.mesh);
+    disposeObject(obstacle.mesh);
+    this.obstacles = this.obstacles.filter((other) => other !== obstacle);
+
+    // Enemies may fly where it stood
+    if (this.navigationManager) {
+      this.navigationManager.invalidate(obstacle.segment);
     }
   }
+
+  // Remove an obstacle that was shot apart and release what it held
+  destroyObstacle(obstacle) {
+    const position = new THREE.Vector3();
+    obstacle.mesh.getWorldPosition(position);
+
+    this.removeObstacle(obstacle);
+    if (obstacle.key) {
+      this.destroyedObstacles.add(obstacle.key);
+    }
+
+    if (obstacle.contents && this.powerUpManager) {
+      this.powerUpManager.spawnPowerup(position, obstacle.contents);
+    }
+  }
+
   // Load a specific level by index
   loadLevel(levelIndex) {
     // Clear existing level
@@ -259,21 +508,74 @@ class LevelManager {
     // Initialize the new level
     this.initLevel();
 
+    // Dress the scene in the level's theme
+    if (this.game) {
+      this.game.applyTheme(this.currentLevel.getTheme());
+    }
+
     // Reset enemy tracking for the new level (if we have an enemyManager reference)
     if (this.enemyManager && this.enemyManager.resetLevel) {
       this.enemyManager.resetLevel();
     }
 
+    // Put the level's power-ups (and keycards) back
+    if (this.powerUpManager && this.powerUpManager.resetLevel) {
+      this.powerUpManager.resetLevel();
+    }
+
+    // Put the boss room reactor back for the new attempt
+    if (this.reactorManager) {
+      this.reactorManager.reset();
+    }
+
+    // Start a new hostage tally
+    if (this.hostageManager) {
+      this.hostageManager.resetLevel();
+    }
+
+    // Keycards from the previous attempt do not carry over
+    if (this.doorManager) {
+      this.doorManager.reset();
+    }
+
+    // Force fields start their cycles again
+    if (this.hazardManager) {
+      this.hazardManager.reset();
+    }
+
+    // So do the moving obstacles
+    if (this.movingObstacleManager) {
+      this.movingObstacleManager.reset();
+    }
+
+    // Start from the level entry until a checkpoint is reached
+    if (this.checkpointManager) {
+      this.checkpointManager.reset();
+    }
+
+    // Start tracking the objectives of the new level
+    if (this.objectiveManager) {
+      this.objectiveManager.reset();
+    }
+
     return this.currentLevel;
   }
 
   clearLevel() {
     // Remove all segments and obstacles
     for (const segment of this.levelSegments) {
-      this.scene.remove(segment);
+      this.releaseSegment(segment);
     }
     this.levelSegments = [];
     this.obstacles = [];
+    this.hazards = [];
+    this.checkpoints = [];
+    this.segmentMap.clear();
+    this.loadedNodes.clear();
+    this.openDoors.clear();
+    this.destroyedObstacles.clear();
+    this.visitedSegments.clear();
+    this.worldOrigin.reset();
   }
 
   // Override the existing initLevel method
@@ -287,17 +589,10 @@ class LevelManager {
     }
   }
 
+  // Start the endless tunnel with the segments around the player
   initEndlessLevel() {
-    // Original endless tunnel code
-    const initialPosition = new THREE.Vector3(0, 0, 0);
-    for (let i = 0; i < this.segmentCount; i++) {
-      const position = new THREE.Vector3(
-        initialPosition.x,
-        initialPosition.y,
-        initialPosition.z - i * this.segmentLength
-      );
-      this.createTunnelSegment(position);
-    }
+    this.segmentMap.clear();
+    this.updateEndlessLevel();
   }
 
   initBlueprintLevel() {
@@ -305,58 +600,176 @@ class LevelManager {
       this.currentLevel = this.levels[0];
     }
 
-    const initialPosition = new THREE.Vector3(0, 0, 0);
     const blueprint = this.currentLevel;
 
-    // Create the initial segments based on the blueprint
-    const segmentsToCreate = Math.min(
-      this.segmentCount,
-      blueprint.segments.length
-    );
+    // Lay the blueprint's segment graph out in level space
+    this.tunnelGraph = new TunnelGraph(blueprint.segments, this);
+    for (const warning of this.tunnelGraph.warnings) {
+      console.warn(`Level "${blueprint.name}": ${warning}`);
+    }
+    this.resolveSpawnAnchors(blueprint);
+
+    this.currentNodeId = this.tunnelGraph.startId;
+    if (this.currentNodeId !== null) {
+      this.visitNode(this.tunnelGraph.getNode(this.currentNodeId));
+    }
+    this.streamBlueprintSegments();
+  }
+
+  // Give spawns placed along a segment's centre line their level position now
+  // that the segments are laid out
+  resolveSpawnAnchors(blueprint) {
+    const spawns = [
+      ...blueprint.enemySpawns,
+      ...blueprint.powerupSpawns,
+      ...blueprint.hostageSpawns,
+      ...blueprint.checkpoints,
+    ];
+
+    for (const spawn of spawns) {
+      if (!spawn.anchor) continue;
+
+      spawn.position = this.tunnelGraph.getAnchorPosition(spawn.anchor);
+      if (!spawn.position) {
+        console.warn(
+          `Level "${blueprint.name}": spawn placed in unknown segment "${spawn.anchor.segment}"`
+        );
+        spawn.position = new THREE.Vector3(0, 0, -this.segmentLength / 2);
+      }
+    }
+  }
+
+  // Load the segments near the player's segment and unload the rest, so only
+  // the branch the player is in is streamed beyond the nearest junction
+  streamBlueprintSegments() {
+    const graph = this.tunnelGraph;
+    if (!graph || this.currentNodeId === null) return;
+
+    const wanted = graph.getNodesWithin(this.currentNodeId, this.buffer);
+
+    for (const [id, segment] of this.loadedNodes) {
+      if (!wanted.has(id)) {
+        this.unloadSegment(segment);
+        this.loadedNodes.delete(id);
+      }
+    }
+
+    for (const id of wanted) {
+      if (this.loadedNodes.has(id)) continue;
 
-    for (let i = 0; i < segmentsToCreate; i++) {
-      const segDef = blueprint.segments[i % blueprint.segments.length];
-      const position = new THREE.Vector3(
-        initialPosition.x,
-        initialPosition.y,
-        initialPosition.z - i * this.segmentLength
+      const node = graph.getNode(id);
+      const segment = this.createBlueprintSegment(
+        this.levelToWorld(node.position),
+        node.def,
+        node.index,
+        node
       );
+      segment.userData.levelPosition = node.position.clone();
+      this.loadedNodes.set(id, segment);
+    }
+  }
 
-      this.createBlueprintSegment(position, segDef, i);
-      this.segmentIndex = i + 1;
+  // Build the streamed segments again, e.g. once opened doors and destroyed
+  // obstacles were restored
+  rebuildSegments() {
+    for (const segment of this.loadedNodes.values()) {
+      this.unloadSegment(segment);
     }
+    this.loadedNodes.clear();
+    this.streamBlueprintSegments();
+  }
+
+  // Remove a streamed segment and the obstacles inside it
+  unloadSegment(segment) {
+    this.releaseSegment(segment);
+    this.levelSegments = this.levelSegments.filter((s) => s !== segment);
+    this.obstacles = this.obstacles.filter((obs) => obs.segment !== segment);
+    this.hazards = this.hazards.filter((hazard) => hazard.segment !== segment);
+    this.checkpoints = this.checkpoints.filter(
+      (checkpoint) => checkpoint.segment !== segment
+    );
   }
 
-  // Create a segment based on a blueprint definition
-  createBlueprintSegment(position, segmentDef, index) {
-    const segment = new THREE.Group();
+  // Create a segment based on a blueprint definition. The tunnel graph node
+  // gives the segment's frame and exits; without one it faces -Z and leads
+  // straight on.
+  createBlueprintSegment(
+    position,
+    segmentDef,
+    index,
+    node = null,
+    graph = this.tunnelGraph
+  ) {
+    const segment = this.acquireSegment();
     segment.position.copy(position);
+    if (node) segment.quaternion.copy(node.quaternion);
+
+    const exits = node
+      ? node.exits
+      : segmentDef.type === SegmentType.END
+      ? []
+      : [{ direction: ExitDirection.FORWARD }];
 
     // Store segment type in userData for reference by other systems
     segment.userData = {
       type: segmentDef.type,
       index: index,
+      nodeId: node ? node.id : null,
       segmentLength: this.segmentLength,
+      bounds: getSegmentSize(segmentDef.type, this), // Size in the local frame
+      centerline: node
+        ? node.centerline
+        : getSegmentCenterline(segmentDef.type, this),
     };
 
+    // Random obstacle layouts are seeded per segment
+    const rng = this.rng.fork(`blueprint:${index}`);
+
     // Create the basic tunnel structure (walls, floor, ceiling)
-    this.createBaseTunnelStructure(segment, segmentDef);
+    if (isChamberType(segmentDef.type)) {
+      this.createChamberStructure(segment, segmentDef.type, exits);
+    } else {
+      this.createCaveStructure(segment, segmentDef, exits, node, graph);
+    }
 
     // Add lights with the specified color
     const lightColor = segmentDef.lightColor || 0x4466aa;
     this.addLightsToSegment(segment, lightColor);
 
     // Add obstacles based on the pattern
-    if (segmentDef.obstacles !== ObstaclePattern.NONE) {
-      if (segmentDef.obstacles === ObstaclePattern.CUSTOM) {
-        this.addCustomObstacles(segment, segmentDef.customObstacles);
-      } else {
-        this.addObstaclePattern(segment, segmentDef.obstacles);
-      }
+    if (
+      segmentDef.obstacles !== ObstaclePattern.NONE &&
+      segmentDef.obstacles !== ObstaclePattern.CUSTOM
+    ) {
+      this.addObstaclePattern(segment, segmentDef.obstacles, rng);
+    }
+
+    // The light and obstacle patterns are laid out along the straight axis
+    this.alignToCenterline(segment);
+
+    // Custom obstacles are placed at their level positions
+    if (segmentDef.obstacles === ObstaclePattern.CUSTOM) {
+      this.addCustomObstacles(segment, segmentDef.customObstacles, rng);
+    }
+
+    // Locked door across the entrance, unless it was opened before the
+    // segment was last unloaded
+    if (segmentDef.door && !this.openDoors.has(segment.userData.nodeId)) {
+      this.createDoor(segment, segmentDef.door);
+    }
+
+    // Environmental hazards, placed along the centre line
+    for (const hazardDef of segmentDef.hazards || []) {
+      this.createHazard(segment, hazardDef);
+    }
+
+    // Checkpoints placed inside this segment
+    if (node && graph === this.tunnelGraph) {
+      this.addCheckpointMarkers(segment, node);
     }
 
     // Add fog particles for atmosphere
-    this.addAtmosphericEffects(segment, lightColor);
+    this.addAtmosphericEffects(segment, lightColor, rng);
 
     this.scene.add(segment);
     this.levelSegments.push(segment);
@@ -364,623 +777,773 @@ class LevelManager {
     return segment;
   }
 
-  // Add atmospheric effects to tunnel segments
-  addAtmosphericEffects(segment, lightColor) {
-    // Skip for some segments to vary density
-    if (Math.random() > 0.9) return; // Changed from 0.85 to 0.90 (even less frequent)
+  // Add markers for the level's checkpoints that lie in a segment. The
+  // CheckpointManager lights them up once they are reached.
+  addCheckpointMarkers(segment, node) {
+    const checkpoints = this.currentLevel ? this.currentLevel.checkpoints : [];
+
+    segment.updateMatrixWorld();
+    checkpoints.forEach((checkpoint, index) => {
+      if (
+        !checkpoint.position ||
+        !this.tunnelGraph.findNodeAt(checkpoint.position, [node.id])
+      ) {
+        return;
+      }
 
-    // Create dust/fog particles
-    const particleCount = 25; // Reduced from 50 to 25
-    const particleGeometry = new THREE.BufferGeometry();
-    const particlePositions = new Float32Array(particleCount * 3);
+      const mesh = this.createCheckpointMarker();
+      mesh.position.copy(
+        segment.worldToLocal(this.levelToWorld(checkpoint.position))
+      );
 
-    // Create particles throughout the segment volume
-    for (let i = 0; i < particleCount; i++) {
-      const i3 = i * 3;
-      particlePositions[i3] = (Math.random() - 0.5) * this.tunnelWidth * 0.8;
-      particlePositions[i3 + 1] =
-        (Math.random() - 0.5) * this.tunnelHeight * 0.8;
-      particlePositions[i3 + 2] = -Math.random() * this.segmentLength;
-    }
+      // Face along the centre line, which turns in curves
+      const t = THREE.MathUtils.clamp(
+        -mesh.position.z / this.segmentLength,
+        0,
+        1
+      );
+      const tangent = segment.userData.centerline.getTangent(t);
+      mesh.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 0, -1),
+        tangent.normalize()
+      );
 
-    particleGeometry.setAttribute(
-      'position',
-      new THREE.BufferAttribute(particlePositions, 3)
-    );
+      segment.add(mesh);
+      const marker = { index, mesh, segment };
+      this.checkpoints.push(marker);
 
-    // Derive particle color from the light color but make it subtle
-    const color = new THREE.Color(lightColor);
-    const particleMaterial = new THREE.PointsMaterial({
-      color: color,
-      size: 0.05,
-      transparent: true,
-      opacity: 0.3,
-      blending: THREE.NormalBlending, // Changed from AdditiveBlending
-      sizeAttenuation: true,
+      if (this.checkpointManager) {
+        this.checkpointManager.updateMarker(marker);
+      }
     });
-
-    const particles = new THREE.Points(particleGeometry, particleMaterial);
-    segment.add(particles);
   }
 
-  // Create the basic tunnel structure
-  createBaseTunnelStructure(segment, segmentDef) {
-    // Adjust tunnel width/height based on segment type
-    let width = this.tunnelWidth;
-    let height = this.tunnelHeight;
-
-    if (segmentDef.type === SegmentType.NARROW_PATH) {
-      width = this.tunnelWidth * 0.7;
-    } else if (segmentDef.type === SegmentType.BOSS_ROOM) {
-      width = this.tunnelWidth * 1.5;
-      height = this.tunnelHeight * 1.5;
-    }
-
-    // Create walls, floor and ceiling
-    const planeGeometry = new THREE.PlaneGeometry(width, height);
+  // A glowing ring across the tunnel with a faint disc inside
+  createCheckpointMarker() {
+    const marker = new THREE.Group();
 
-    // Floor
-    const floor = new THREE.Mesh(planeGeometry, this.floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.y = -height / 2;
-    floor.position.z = -this.segmentLength / 2;
-    segment.add(floor);
+    const ring = new THREE.Mesh(
+      new THREE.TorusGeometry(3, 0.12, 8, 32),
+      new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.9 })
+    );
+    ring.name = 'ring';
+    marker.add(ring);
+
+    const disc = new THREE.Mesh(
+      new THREE.CircleGeometry(2.9, 32),
+      new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity: 0.08,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      })
+    );
+    disc.name = 'disc';
+    marker.add(disc);
 
-    // Ceiling
-    const ceiling = new THREE.Mesh(planeGeometry, this.wallMaterial);
-    ceiling.rotation.x = Math.PI / 2;
-    ceiling.position.y = height / 2;
-    ceiling.position.z = -this.segmentLength / 2;
-    segment.add(ceiling);
+    return marker;
+  }
 
-    // Left wall
-    const leftWall = new THREE.Mesh(
-      new THREE.PlaneGeometry(this.segmentLength, height),
-      this.wallMaterial
+  // Build a door of the given key color across the entrance of a segment.
+  // It blocks the player until the DoorManager opens it.
+  createDoor(segment, color) {
+    const { width, height } = segment.userData.bounds;
+    const door = new THREE.Group();
+    door.position.set(0, 0, -0.5);
+
+    const panelMaterial = this.getObstacleMaterial('doorPanel');
+    const stripeMaterial = this.getSharedMaterial(
+      `doorStripe:${color}`,
+      () =>
+        new THREE.MeshStandardMaterial({
+          color: KeyColorValue[color],
+          emissive: KeyColorValue[color],
+          emissiveIntensity: 0.8,
+        })
     );
-    leftWall.rotation.y = Math.PI / 2;
-    leftWall.position.x = -width / 2;
-    leftWall.position.z = -this.segmentLength;
-    segment.add(leftWall);
 
-    // Right wall
-    const rightWall = new THREE.Mesh(
-      new THREE.PlaneGeometry(this.segmentLength, height),
-      this.wallMaterial
-    );
-    rightWall.rotation.y = -Math.PI / 2;
-    rightWall.position.x = width / 2;
-    rightWall.position.z = -this.segmentLength;
-    segment.add(rightWall);
+    // Two halves that slide apart when the door opens
+    for (const side of [-1, 1]) {
+      const half = new THREE.Group();
+      half.position.x = (side * width) / 4;
+      half.userData.side = side;
 
-    // End wall for non-straight segments or end segments
-    if (
-      segmentDef.type !== SegmentType.STRAIGHT ||
-      segmentDef.type === SegmentType.END
-    ) {
-      const endWall = new THREE.Mesh(
-        new THREE.PlaneGeometry(width, height),
-        this.wallMaterial
+      const panel = new THREE.Mesh(
+        new THREE.BoxGeometry(width / 2, height, 0.4),
+        panelMaterial
       );
-      endWall.rotation.y = Math.PI;
-      endWall.position.z = -this.segmentLength;
-      segment.add(endWall);
+      half.add(panel);
+
+      // Glowing stripe in the key color along the inner edge
+      const stripe = new THREE.Mesh(
+        new THREE.BoxGeometry(0.4, height, 0.5),
+        stripeMaterial
+      );
+      stripe.position.x = -side * (width / 4 - 0.2);
+      half.add(stripe);
+
+      door.add(half);
     }
 
-    // Apply curvature for curved segments
-    if (
-      segmentDef.type === SegmentType.CURVE_LEFT ||
-      segmentDef.type === SegmentType.CURVE_RIGHT
-    ) {
-      // Apply a curve transformation to the segment
-      const direction = segmentDef.type === SegmentType.CURVE_LEFT ? 1 : -1;
-      this.applyCurveToSegment(segment, direction);
-    }
-  }
-
-  // Apply curve transformation to a segment
-  applyCurveToSegment(segment, direction) {
-    // Create a properly curved tunnel segment instead of simply rotating
-    // Store the original uncurved geometry for reference
-    const oldFloor = segment.children.find(
-      (child) =>
-        child.position.y < 0 &&
-        child.rotation.x < 0 &&
-        child.geometry &&
-        child.geometry.type === 'PlaneGeometry'
-    );
+    door.userData.isObstacle = true;
+    segment.add(door);
+    this.obstacles.push({
+      mesh: door,
+      segment: segment,
+      door: {
+        color,
+        nodeId: segment.userData.nodeId,
+        width,
+        state: 'locked', // locked, opening or open
+        progress: 0,
+      },
+    });
 
-    const oldCeiling = segment.children.find(
-      (child) =>
-        child.position.y > 0 &&
-        child.rotation.x > 0 &&
-        child.geometry &&
-        child.geometry.type === 'PlaneGeometry'
-    );
+    return door;
+  }
 
-    const oldLeftWall = segment.children.find(
-      (child) => child.rotation.y > 0 && child.position.x < 0 && child.geometry
-    );
+  // Build an environmental hazard in a segment. The HazardManager switches,
+  // animates and applies its damage.
+  createHazard(segment, hazardDef) {
+    const defaults = HAZARD_DEFAULTS[hazardDef.type];
+    if (!defaults) {
+      console.warn(`Unknown hazard type "${hazardDef.type}"`);
+      return null;
+    }
 
-    const oldRightWall = segment.children.find(
-      (child) => child.rotation.y < 0 && child.position.x > 0 && child.geometry
-    );
+    const { width, height } = segment.userData.bounds;
+    const hazard = {
+      ...defaults,
+      ...hazardDef,
+      segment,
+      centerline: segment.userData.centerline,
+      width,
+      height,
+    };
 
-    // Remove the old walls if found
-    if (oldLeftWall) segment.remove(oldLeftWall);
-    if (oldRightWall) segment.remove(oldRightWall);
-
-    // Get dimensions
-    const width = oldFloor
-      ? oldFloor.geometry.parameters.width
-      : this.tunnelWidth;
-    const height = this.tunnelHeight;
-    const length = this.segmentLength;
-    const halfWidth = width / 2;
-    const halfHeight = height / 2;
-
-    // Create curved walls with segments
-    const wallSegments = 4; // Reduced from 8 to 4 for performance
-    const curveAmount = direction * 0.4; // How much the tunnel curves
-    const curveAngle = direction * (Math.PI / 4); // 45 degree turn    // Create curved wall geometries
-    const leftWallGeom = new THREE.BufferGeometry();
-    const rightWallGeom = new THREE.BufferGeometry();
-
-    const leftVertices = [];
-    const rightVertices = [];
-    const wallUVs = [];
-    const wallIndices = [];
-
-    // Variables to store final segment angle values for the end wall
-    let finalCosAngle, finalSinAngle;
-
-    // Generate curved walls vertex by vertex
-    for (let i = 0; i <= wallSegments; i++) {
-      const t = i / wallSegments;
-      const segmentAngle = t * curveAngle;
-      const cosAngle = Math.cos(segmentAngle);
-      const sinAngle = Math.sin(segmentAngle);
-
-      // Save the last segment's angle values for the end wall
-      if (i === wallSegments) {
-        finalCosAngle = cosAngle;
-        finalSinAngle = sinAngle;
-      }
+    switch (hazard.type) {
+      case HazardType.LAVA:
+        hazard.surfaceY = -height * 0.35; // Above the lowest cave floor
+        hazard.mesh = this.createLavaMesh(hazard);
+        break;
+      case HazardType.FORCE_FIELD:
+        hazard.active = true;
+        hazard.mesh = this.createForceFieldMesh(hazard);
+        // Blocks the ship and its shots while it is on
+        this.obstacles.push({
+          mesh: hazard.mesh,
+          segment,
+          forceField: hazard,
+        });
+        break;
+      case HazardType.ARC_EMITTER:
+        hazard.mesh = this.createArcEmitterMesh(hazard);
+        hazard.arc = this.createArcLine();
+        segment.add(hazard.arc);
+        break;
+    }
 
-      // Calculate positions along the curve
-      const xOffset = length * t * sinAngle * curveAmount;
-      const zPos = -t * length;
-      const zOffset = length * t * (1 - cosAngle) * curveAmount;
-
-      // Left wall vertices (bottom and top)
-      leftVertices.push(
-        -halfWidth + xOffset,
-        -halfHeight,
-        zPos - zOffset,
-        -halfWidth + xOffset,
-        halfHeight,
-        zPos - zOffset
-      );
+    segment.add(hazard.mesh);
+    this.hazards.push(hazard);
+    return hazard;
+  }
 
-      // Right wall vertices (bottom and top)
-      rightVertices.push(
-        halfWidth + xOffset,
-        -halfHeight,
-        zPos - zOffset,
-        halfWidth + xOffset,
-        halfHeight,
-        zPos - zOffset
-      );
+  // Glowing pool over the floor between hazard.from and hazard.to, bent
+  // along the centre line
+  createLavaMesh(hazard) {
+    const length = (hazard.to - hazard.from) * this.segmentLength;
+    const geometry = new THREE.PlaneGeometry(hazard.width, length, 4, 8);
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(
+      0,
+      hazard.surfaceY,
+      -((hazard.from + hazard.to) / 2) * this.segmentLength
+    );
 
-      // UVs
-      wallUVs.push(t, 0, t, 1);
-
-      // Create triangles (except for the first segment)
-      if (i > 0) {
-        const base = (i - 1) * 2;
-        // Each segment creates two triangles
-        wallIndices.push(
-          base,
-          base + 1,
-          base + 2,
-          base + 1,
-          base + 3,
-          base + 2
-        );
-      }
+    const positions = geometry.attributes.position;
+    const center = new THREE.Vector3();
+    for (let i = 0; i < positions.count; i++) {
+      const t = -positions.getZ(i) / this.segmentLength;
+      hazard.centerline.getPoint(t, center);
+      positions.setX(i, positions.getX(i) + center.x);
+      positions.setY(i, positions.getY(i) + center.y);
     }
+    geometry.computeBoundingSphere();
+
+    const lava = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: 0xff5500,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.DoubleSide,
+      })
+    );
+    lava.userData.isHazard = true;
+    return lava;
+  }
 
-    // Create the buffer geometry attributes
-    leftWallGeom.setAttribute(
-      'position',
-      new THREE.Float32BufferAttribute(leftVertices, 3)
+  // Shimmering wall across the tunnel at hazard.along
+  createForceFieldMesh(hazard) {
+    const field = new THREE.Mesh(
+      new THREE.BoxGeometry(hazard.width, hazard.height, 0.2),
+      new THREE.MeshBasicMaterial({
+        color: 0x33ccff,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      })
     );
-    leftWallGeom.setAttribute(
-      'uv',
-      new THREE.Float32BufferAttribute(wallUVs, 2)
+    field.position.copy(hazard.centerline.getPoint(hazard.along));
+    field.userData.isObstacle = true;
+    field.userData.isHazard = true;
+    return field;
+  }
+
+  // Coil mounted on the wall on hazard.side, at hazard.along
+  createArcEmitterMesh(hazard) {
+    const angles = {
+      [HazardSide.RIGHT]: 0,
+      [HazardSide.TOP]: Math.PI / 2,
+      [HazardSide.LEFT]: Math.PI,
+      [HazardSide.BOTTOM]: Math.PI * 1.5,
+    };
+    const angle = angles[hazard.side];
+    const collider = hazard.segment.userData.collider;
+    const wall = collider
+      ? collider.getWallRadius(angle, hazard.along)
+      : Math.abs(Math.cos(angle)) > 0.5
+      ? hazard.width / 2
+      : hazard.height / 2;
+
+    const emitter = new THREE.Group();
+    const core = new THREE.Mesh(
+      new THREE.SphereGeometry(0.35, 12, 12),
+      new THREE.MeshBasicMaterial({ color: 0xccbbff })
     );
-    leftWallGeom.setIndex(wallIndices);
-    leftWallGeom.computeVertexNormals();
+    emitter.add(core);
+
+    const coil = new THREE.Mesh(
+      new THREE.TorusGeometry(0.5, 0.1, 6, 16),
+      new THREE.MeshStandardMaterial({
+        color: 0x555566,
+        emissive: 0x6644ff,
+        emissiveIntensity: 0.6,
+        metalness: 0.8,
+        roughness: 0.4,
+      })
+    );
+    coil.rotation.x = Math.PI / 2;
+    emitter.add(coil);
+
+    emitter.position
+      .copy(hazard.centerline.getPoint(hazard.along))
+      .add(
+        new THREE.Vector3(
+          Math.cos(angle) * (wall - 0.5),
+          Math.sin(angle) * (wall - 0.5),
+          0
+        )
+      );
+    emitter.userData.isHazard = true;
+    return emitter;
+  }
 
-    rightWallGeom.setAttribute(
+  // Line the HazardManager bends into an arc when a ship comes close
+  createArcLine() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
       'position',
-      new THREE.Float32BufferAttribute(rightVertices, 3)
+      new THREE.Float32BufferAttribute(new Float32Array(8 * 3), 3)
     );
-    rightWallGeom.setAttribute(
-      'uv',
-      new THREE.Float32BufferAttribute(wallUVs, 2)
+    const arc = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: 0xbbaaff })
     );
-    rightWallGeom.setIndex(wallIndices.slice()); // Copy the indices
-    rightWallGeom.computeVertexNormals();
+    arc.visible = false;
+    arc.frustumCulled = false;
+    return arc;
+  }
 
-    // Create the curved wall meshes
-    const leftWall = new THREE.Mesh(leftWallGeom, this.wallMaterial);
-    const rightWall = new THREE.Mesh(rightWallGeom, this.wallMaterial);
+  // Add atmospheric effects to tunnel segments
+  addAtmosphericEffects(segment, lightColor, rng = this.rng) {
+    // Skip for some segments to vary density
+    if (rng.next() > 0.9) return; // Changed from 0.85 to 0.90 (even less frequent)
 
-    // Add new curved walls to segment
-    segment.add(leftWall);
-    segment.add(rightWall);
+    // Create dust/fog particles
+    const particleCount = 25; // Reduced from 50 to 25
+    const particleGeometry = new THREE.BufferGeometry();
+    const particlePositions = new Float32Array(particleCount * 3);
 
-    // Add curved end wall at the end of the segment to close the tunnel
-    const endWall = new THREE.Mesh(
-      new THREE.PlaneGeometry(width, height),
-      this.wallMaterial
+    // Create particles throughout the segment volume
+    for (let i = 0; i < particleCount; i++) {
+      const i3 = i * 3;
+      particlePositions[i3] = (rng.next() - 0.5) * this.tunnelWidth * 0.8;
+      particlePositions[i3 + 1] =
+        (rng.next() - 0.5) * this.tunnelHeight * 0.8;
+      particlePositions[i3 + 2] = -rng.next() * this.segmentLength;
+    }
+
+    particleGeometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(particlePositions, 3)
     );
-    endWall.rotation.y = Math.PI + curveAngle;
-    endWall.position.set(
-      length * finalSinAngle * curveAmount,
-      0,
-      -length - length * (1 - finalCosAngle) * curveAmount
+
+    // Derive particle color from the light color but make it subtle
+    const particleMaterial = this.getSharedMaterial(
+      `dust:${lightColor}`,
+      () =>
+        new THREE.PointsMaterial({
+          color: new THREE.Color(lightColor),
+          size: 0.05,
+          transparent: true,
+          opacity: 0.3,
+          blending: THREE.NormalBlending, // Changed from AdditiveBlending
+          sizeAttenuation: true,
+        })
     );
-    segment.add(endWall);
 
-    // Adjust floor and ceiling to follow the curve if they exist
-    if (oldFloor && oldCeiling) {
-      // Use curved geometry for floor and ceiling too
-      oldFloor.geometry = this.createCurvedSurface(
-        width,
-        length,
-        curveAmount,
-        curveAngle,
-        wallSegments,
-        true
-      );
-      oldCeiling.geometry = this.createCurvedSurface(
-        width,
-        length,
-        curveAmount,
-        curveAngle,
-        wallSegments,
-        false
-      );
+    const particles = new THREE.Points(particleGeometry, particleMaterial);
+    segment.add(particles);
+  }
 
-      // Properly update UVs for floor/ceiling
-      const floorUVs = oldFloor.geometry.attributes.uv;
-      const ceilingUVs = oldCeiling.geometry.attributes.uv;
+  // Cave generator for the current run seed
+  getCaveGenerator() {
+    if (!this.caveGenerator || this.caveSeed !== this.rng.seed) {
+      this.caveGenerator = new CaveGenerator(this.rng.fork('cave'));
+      this.caveSeed = this.rng.seed;
+    }
+    return this.caveGenerator;
+  }
 
-      for (let i = 0; i < floorUVs.count; i++) {
-        const u = floorUVs.getX(i);
-        floorUVs.setXY(i, u * 2, i % 2);
-        ceilingUVs.setXY(i, u * 2, i % 2);
-      }
+  // Add a noise-driven cave tube to a segment and keep its collision shape.
+  // The tube always starts and ends at the normal tunnel size so it lines up
+  // with the segments around it; see CaveGenerator.getRadius for the spec.
+  createCaveWalls(segment, spec) {
+    const { geometry, collider } = this.getCaveGenerator().createTube({
+      length: this.segmentLength,
+      endWidth: this.tunnelWidth,
+      endHeight: this.tunnelHeight,
+      flushStart: false,
+      flushEnd: false,
+      ...spec,
+    });
 
-      floorUVs.needsUpdate = true;
-      ceilingUVs.needsUpdate = true;
-    }
+    const walls = new THREE.Mesh(geometry, [
+      this.wallMaterial,
+      this.floorMaterial,
+    ]);
+    walls.name = 'caveWalls';
+    segment.add(walls);
+    segment.userData.collider = collider;
+
+    return walls;
   }
 
-  // Helper method to create curved floor/ceiling
-  createCurvedSurface(
-    width,
-    length,
-    curveAmount,
-    curveAngle,
-    segments,
-    isFloor
-  ) {
-    const geom = new THREE.BufferGeometry();
-    const vertices = [];
-    const uvs = [];
-    const indices = [];
-    const halfWidth = width / 2;
-
-    // Generate points along the curve
-    for (let i = 0; i <= segments; i++) {
-      const t = i / segments;
-      const segmentAngle = t * curveAngle;
-      const cosAngle = Math.cos(segmentAngle);
-      const sinAngle = Math.sin(segmentAngle);
-
-      // Calculate position along curve
-      const xOffset = length * t * sinAngle * curveAmount;
-      const zPos = -t * length;
-      const zOffset = length * t * (1 - cosAngle) * curveAmount;
-
-      // Left and right points at this segment
-      vertices.push(
-        -halfWidth + xOffset,
-        0,
-        zPos - zOffset, // left point
-        halfWidth + xOffset,
+  // Move what was placed along a segment's straight axis onto its centre
+  // line, so the lights and obstacles of curves stay inside the tunnel
+  alignToCenterline(segment) {
+    const centerline = segment.userData.centerline;
+    if (!centerline) return;
+
+    const point = new THREE.Vector3();
+    for (const child of segment.children) {
+      if (child.name === 'caveWalls') continue;
+
+      const t = THREE.MathUtils.clamp(
+        -child.position.z / this.segmentLength,
         0,
-        zPos - zOffset // right point
+        1
       );
+      centerline.getPoint(t, point);
+      child.position.x += point.x;
+      child.position.y += point.y;
+    }
+  }
 
-      // UVs
-      uvs.push(0, t, 1, t);
+  // Cave tube for every segment that is not a chamber
+  createCaveStructure(segment, segmentDef, exits, node = null, graph = null) {
+    const size = getSegmentSize(segmentDef.type, this);
+    const width =
+      segmentDef.type === SegmentType.NARROW_PATH
+        ? this.tunnelWidth * 0.7
+        : size.width;
+
+    // Ends that meet a chamber fill its rectangular opening
+    const opensIntoPanels = (id) => {
+      const other = graph && graph.getNode(id);
+      return !!other && isChamberType(other.def.type);
+    };
+    const flushStart = !!node && node.prev.some(opensIntoPanels);
+    const flushEnd = exits.some(
+      (exit) =>
+        exit.direction === ExitDirection.FORWARD && opensIntoPanels(exit.next)
+    );
 
-      // Create triangles (except for the first segment)
-      if (i > 0) {
-        const base = (i - 1) * 2;
+    this.createCaveWalls(segment, {
+      width,
+      height: size.height,
+      origin: node ? node.position : segment.position,
+      quaternion: node ? node.quaternion : segment.quaternion,
+      path: segment.userData.centerline,
+      flushStart,
+      flushEnd,
+    });
 
-        if (isFloor) {
-          // Floor triangles (face down)
-          indices.push(base, base + 2, base + 3, base, base + 3, base + 1);
-        } else {
-          // Ceiling triangles (face up)
-          indices.push(base, base + 1, base + 3, base, base + 3, base + 2);
-        }
-      }
+    // End wall for segments that do not lead anywhere
+    if (!exits.some((exit) => exit.direction === ExitDirection.FORWARD)) {
+      const endWall = new THREE.Mesh(this._planeGeometry, this.wallMaterial);
+      endWall.rotation.y = Math.PI;
+      endWall.position.z = -this.segmentLength;
+      segment.add(endWall);
     }
+  }
 
-    // Create the buffer geometry
-    geom.setAttribute(
-      'position',
-      new THREE.Float32BufferAttribute(vertices, 3)
+  // Create a chamber for junctions, turns and shafts with a tunnel-sized
+  // opening in the entry wall and in every side an exit leaves through
+  createChamberStructure(segment, type, exits) {
+    const depth = this.segmentLength;
+    const { width, height } = getSegmentSize(type, this);
+    const openSides = new Set(
+      exits.map((exit) => getExitSide(type, exit.direction))
     );
-    geom.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-    geom.setIndex(indices);
-    geom.computeVertexNormals();
+    openSides.add('back');
+
+    // Each side faces into the chamber
+    const sides = {
+      back: {
+        size: [width, height],
+        position: [0, 0, 0],
+        rotation: [0, Math.PI, 0],
+      },
+      forward: {
+        size: [width, height],
+        position: [0, 0, -depth],
+        rotation: [0, 0, 0],
+      },
+      left: {
+        size: [depth, height],
+        position: [-width / 2, 0, -depth / 2],
+        rotation: [0, Math.PI / 2, 0],
+      },
+      right: {
+        size: [depth, height],
+        position: [width / 2, 0, -depth / 2],
+        rotation: [0, -Math.PI / 2, 0],
+      },
+      down: {
+        size: [width, depth],
+        position: [0, -height / 2, -depth / 2],
+        rotation: [-Math.PI / 2, 0, 0],
+        material: this.floorMaterial,
+      },
+      up: {
+        size: [width, depth],
+        position: [0, height / 2, -depth / 2],
+        rotation: [Math.PI / 2, 0, 0],
+      },
+    };
 
-    return geom;
+    for (const [name, side] of Object.entries(sides)) {
+      const wall = this.createWallWithOpening(
+        side.size[0],
+        side.size[1],
+        openSides.has(name) ? this.tunnelWidth : 0,
+        openSides.has(name) ? this.tunnelHeight : 0,
+        side.material || this.wallMaterial
+      );
+      wall.position.set(...side.position);
+      wall.rotation.set(...side.rotation);
+      segment.add(wall);
+    }
+  }
+
+  // Build a wall in its local XY plane with a centred rectangular opening
+  createWallWithOpening(width, height, openingWidth, openingHeight, material) {
+    const wall = new THREE.Group();
+    openingWidth = Math.min(openingWidth, width);
+    openingHeight = Math.min(openingHeight, height);
+
+    // Strips left and right of the opening span the full height, strips
+    // above and below only the opening's width
+    const sideWidth = (width - openingWidth) / 2;
+    const capHeight = (height - openingHeight) / 2;
+    const pieces = [
+      [sideWidth, height, -(width + openingWidth) / 4, 0],
+      [sideWidth, height, (width + openingWidth) / 4, 0],
+      [openingWidth, capHeight, 0, -(height + openingHeight) / 4],
+      [openingWidth, capHeight, 0, (height + openingHeight) / 4],
+    ];
+
+    for (const [pieceWidth, pieceHeight, x, y] of pieces) {
+      if (pieceWidth <= 0 || pieceHeight <= 0) continue;
+      const piece = new THREE.Mesh(
+        new THREE.PlaneGeometry(pieceWidth, pieceHeight),
+        material
+      );
+      piece.position.set(x, y, 0);
+      wall.add(piece);
+    }
+
+    return wall;
   }
 
   // Add custom obstacle pattern
-  addObstaclePattern(segment, pattern) {
+  addObstaclePattern(segment, pattern, rng = this.rng) {
     switch (pattern) {
       case ObstaclePattern.RANDOM:
-        this.addObstacles(segment); // Use existing random obstacle code
+        this.addObstacles(segment, rng); // Use existing random obstacle code
         break;
       case ObstaclePattern.CENTER_BLOCK:
-        this.addCenterObstacle(segment);
+        this.addCenterObstacle(segment, rng);
         break;
       case ObstaclePattern.SIDE_BLOCKS:
-        this.addSideObstacles(segment);
+        this.addSideObstacles(segment, rng);
         break;
       case ObstaclePattern.NARROW_PATH:
-        this.addNarrowPathObstacles(segment);
+        this.addNarrowPathObstacles(segment, rng);
         break;
     }
   }
 
   // Add center obstacle
-  addCenterObstacle(segment) {
-    const size = 1.5 + Math.random() * 1.0;
+  addCenterObstacle(segment, rng = this.rng) {
+    const size = 1.5 + rng.next() * 1.0;
     const geometry = new THREE.BoxGeometry(size, size, size);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x775533,
-      roughness: 0.9,
-      metalness: 0.1,
-    });
-    const obstacle = new THREE.Mesh(geometry, material);
+    const obstacle = new THREE.Mesh(
+      geometry,
+      this.getObstacleMaterial('crate')
+    );
 
     // Position in center of tunnel
-    const z = -Math.random() * (this.segmentLength - 5) - 5;
+    const z = -rng.next() * (this.segmentLength - 5) - 5;
     obstacle.position.set(0, 0, z);
 
-    // Add collider data
-    obstacle.userData.isObstacle = true;
-    obstacle.userData.boundingBox = new THREE.Box3().setFromObject(obstacle);
-
-    // Add to segment and track obstacle
-    segment.add(obstacle);
-    this.obstacles.push({
-      mesh: obstacle,
-      segment: segment,
-    });
+    this.addObstacle(segment, obstacle, 'crate');
   }
 
   // Add side obstacles
-  addSideObstacles(segment) {
+  addSideObstacles(segment, rng = this.rng) {
     const sideOffset = this.tunnelWidth / 2 - 1.5;
 
     // Left obstacle
     const leftGeometry = new THREE.CylinderGeometry(0.8, 0.8, 6, 8);
-    const leftMaterial = new THREE.MeshStandardMaterial({
-      color: 0x555555,
-      roughness: 0.6,
-      metalness: 0.8,
-    });
-    const leftObstacle = new THREE.Mesh(leftGeometry, leftMaterial);
+    const leftObstacle = new THREE.Mesh(
+      leftGeometry,
+      this.getObstacleMaterial('pipe')
+    );
     leftObstacle.rotation.x = Math.PI / 2;
 
-    const leftZ = -Math.random() * (this.segmentLength - 10) - 5;
+    const leftZ = -rng.next() * (this.segmentLength - 10) - 5;
     leftObstacle.position.set(-sideOffset, 0, leftZ);
 
-    // Add collider data
-    leftObstacle.userData.isObstacle = true;
-    leftObstacle.userData.boundingBox = new THREE.Box3().setFromObject(
-      leftObstacle
-    );
-
-    // Add to segment and track obstacle
-    segment.add(leftObstacle);
-    this.obstacles.push({
-      mesh: leftObstacle,
-      segment: segment,
-    });
+    this.addObstacle(segment, leftObstacle, 'pipe');
 
     // Right obstacle
     const rightGeometry = new THREE.CylinderGeometry(0.8, 0.8, 6, 8);
-    const rightMaterial = new THREE.MeshStandardMaterial({
-      color: 0x555555,
-      roughness: 0.6,
-      metalness: 0.8,
-    });
-    const rightObstacle = new THREE.Mesh(rightGeometry, rightMaterial);
+    const rightObstacle = new THREE.Mesh(
+      rightGeometry,
+      this.getObstacleMaterial('pipe')
+    );
     rightObstacle.rotation.x = Math.PI / 2;
 
-    const rightZ = -Math.random() * (this.segmentLength - 10) - 5;
+    const rightZ = -rng.next() * (this.segmentLength - 10) - 5;
     rightObstacle.position.set(sideOffset, 0, rightZ);
 
-    // Add collider data
-    rightObstacle.userData.isObstacle = true;
-    rightObstacle.userData.boundingBox = new THREE.Box3().setFromObject(
-      rightObstacle
-    );
-
-    // Add to segment and track obstacle
-    segment.add(rightObstacle);
-    this.obstacles.push({
-      mesh: rightObstacle,
-      segment: segment,
-    });
+    this.addObstacle(segment, rightObstacle, 'pipe');
   }
 
   // Add narrow path obstacles (obstacles on both sides creating a narrow path)
-  addNarrowPathObstacles(segment) {
+  addNarrowPathObstacles(segment, rng = this.rng) {
     const numObstacles = 3;
     const zSpacing = this.segmentLength / (numObstacles + 1);
 
     for (let i = 0; i < numObstacles; i++) {
       const z = -zSpacing * (i + 1);
-      const leftX = -this.tunnelWidth / 2 + 2 + Math.random() * 1;
-      const rightX = this.tunnelWidth / 2 - 2 - Math.random() * 1;
+      const leftX = -this.tunnelWidth / 2 + 2 + rng.next() * 1;
+      const rightX = this.tunnelWidth / 2 - 2 - rng.next() * 1;
 
       // Create obstacles
-      const size = 1.0 + Math.random() * 0.5;
+      const size = 1.0 + rng.next() * 0.5;
 
       // Left obstacle
       const leftGeometry = new THREE.DodecahedronGeometry(size, 0);
-      const leftMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        roughness: 0.8,
-        metalness: 0.2,
-      });
-      const leftObstacle = new THREE.Mesh(leftGeometry, leftMaterial);
-      leftObstacle.position.set(leftX, 0, z);
-
-      // Add collider data
-      leftObstacle.userData.isObstacle = true;
-      leftObstacle.userData.boundingBox = new THREE.Box3().setFromObject(
-        leftObstacle
+      const leftObstacle = new THREE.Mesh(
+        leftGeometry,
+        this.getObstacleMaterial('rock')
       );
+      leftObstacle.position.set(leftX, 0, z);
 
-      // Add to segment and track obstacle
-      segment.add(leftObstacle);
-      this.obstacles.push({
-        mesh: leftObstacle,
-        segment: segment,
-      });
+      this.addObstacle(segment, leftObstacle, 'rock');
 
       // Right obstacle
       const rightGeometry = new THREE.DodecahedronGeometry(size, 0);
-      const rightMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        roughness: 0.8,
-        metalness: 0.2,
-      });
-      const rightObstacle = new THREE.Mesh(rightGeometry, rightMaterial);
-      rightObstacle.position.set(rightX, 0, z);
-
-      // Add collider data
-      rightObstacle.userData.isObstacle = true;
-      rightObstacle.userData.boundingBox = new THREE.Box3().setFromObject(
-        rightObstacle
+      const rightObstacle = new THREE.Mesh(
+        rightGeometry,
+        this.getObstacleMaterial('rock')
       );
+      rightObstacle.position.set(rightX, 0, z);
 
-      // Add to segment and track obstacle
-      segment.add(rightObstacle);
-      this.obstacles.push({
-        mesh: rightObstacle,
-        segment: segment,
-      });
+      this.addObstacle(segment, rightObstacle, 'rock');
     }
   }
 
   // Add custom obstacles at specific positions
-  addCustomObstacles(segment, customObstacles) {
+  addCustomObstacles(segment, customObstacles, rng = this.rng) {
     if (!customObstacles) return;
 
+    // Positions are in level coordinates, so convert through the segment's
+    // transform (segments on branches are rotated)
+    segment.updateMatrixWorld();
+
     for (const obsDef of customObstacles) {
-      const obstacle = this.createObstacleByType(obsDef.type);
-      const worldPosition = obsDef.position.clone();
-      const localPosition = worldPosition.sub(segment.position);
+      const obstacle = this.createObstacleByType(obsDef.type, rng);
+      const worldPosition = this.levelToWorld(obsDef.position);
+      const localPosition = segment.worldToLocal(worldPosition);
       obstacle.position.copy(localPosition);
 
-      // Add collider data
-      obstacle.userData.isObstacle = true;
-      obstacle.userData.boundingBox = new THREE.Box3().setFromObject(obstacle);
-
-      // Add to segment and track obstacle
-      segment.add(obstacle);
-      this.obstacles.push({
-        mesh: obstacle,
-        segment: segment,
+      this.addObstacle(segment, obstacle, obsDef.type, {
+        health: obsDef.health,
+        contents: obsDef.contents,
+        motion: obsDef.motion,
       });
     }
   }
 
   // Create an obstacle of a specific type
-  createObstacleByType(type) {
+  createObstacleByType(type, rng = this.rng) {
     switch (type) {
       case 'rock':
-        return this.createRockObstacle();
+        return this.createRockObstacle(rng);
       case 'pipe':
-        return this.createPipeObstacle();
+        return this.createPipeObstacle(rng);
       case 'crate':
-        return this.createCrateObstacle();
+        return this.createCrateObstacle(rng);
+      case 'fan':
+        return this.createFanObstacle();
+      case 'piston':
+        return this.createPistonObstacle();
+      case 'slidingDoor':
+        return this.createSlidingDoorObstacle();
+      case 'debris':
+        return this.createDebrisObstacle(rng);
       default:
-        return this.createRockObstacle();
+        return this.createRockObstacle(rng);
     }
   }
 
   // Helper methods to create different obstacle types
-  createRockObstacle() {
-    const size = 0.5 + Math.random() * 1.0;
+  createRockObstacle(rng = this.rng) {
+    const size = 0.5 + rng.next() * 1.0;
     const geometry = new THREE.DodecahedronGeometry(size, 0);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x888888,
-      roughness: 0.8,
-      metalness: 0.2,
-    });
-    return new THREE.Mesh(geometry, material);
+    return new THREE.Mesh(geometry, this.getObstacleMaterial('rock'));
   }
 
-  createPipeObstacle() {
-    const height = 0.5 + Math.random() * 2.0;
-    const radius = 0.2 + Math.random() * 0.3;
+  createPipeObstacle(rng = this.rng) {
+    const height = 0.5 + rng.next() * 2.0;
+    const radius = 0.2 + rng.next() * 0.3;
     const geometry = new THREE.CylinderGeometry(radius, radius, height, 8);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x555555,
-      roughness: 0.6,
-      metalness: 0.8,
-    });
-    const obstacle = new THREE.Mesh(geometry, material);
+    const obstacle = new THREE.Mesh(geometry, this.getObstacleMaterial('pipe'));
 
     // Random rotation
-    obstacle.rotation.x = Math.random() * Math.PI;
-    obstacle.rotation.z = Math.random() * Math.PI;
+    obstacle.rotation.x = rng.next() * Math.PI;
+    obstacle.rotation.z = rng.next() * Math.PI;
 
     return obstacle;
   }
 
-  createCrateObstacle() {
-    const size = 0.8 + Math.random() * 0.8;
+  createCrateObstacle(rng = this.rng) {
+    const size = 0.8 + rng.next() * 0.8;
     const geometry = new THREE.BoxGeometry(size, size, size);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x775533,
-      roughness: 0.9,
-      metalness: 0.1,
-    });
-    const obstacle = new THREE.Mesh(geometry, material);
+    const obstacle = new THREE.Mesh(
+      geometry,
+      this.getObstacleMaterial('crate')
+    );
 
     // Random rotation
-    obstacle.rotation.y = Math.random() * Math.PI;
+    obstacle.rotation.y = rng.next() * Math.PI;
 
     return obstacle;
   }
 
+  // Moving obstacle types, animated by the MovingObstacleManager. Their parts
+  // are not scaled, as the collision checks measure in each part's frame.
+
+  // Three blades around a hub, spinning across the tunnel
+  createFanObstacle() {
+    const fan = new THREE.Group();
+    const material = this.getObstacleMaterial('fan');
+
+    const hub = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.8, 0.8, 1, 12),
+      material
+    );
+    hub.rotation.x = Math.PI / 2;
+    fan.add(hub);
+
+    const bladeLength = Math.min(this.tunnelWidth, this.tunnelHeight) / 2;
+    for (let i = 0; i < 3; i++) {
+      const blade = new THREE.Mesh(
+        new THREE.BoxGeometry(bladeLength, 1.2, 0.3),
+        material
+      );
+      const angle = (i / 3) * Math.PI * 2;
+      blade.position.set(
+        (Math.cos(angle) * bladeLength) / 2,
+        (Math.sin(angle) * bladeLength) / 2,
+        0
+      );
+      blade.rotation.z = angle;
+      fan.add(blade);
+    }
+
+    return fan;
+  }
+
+  // Heavy head on a rod reaching up into the ceiling
+  createPistonObstacle() {
+    const piston = new THREE.Group();
+
+    const head = new THREE.Mesh(
+      new THREE.BoxGeometry(4, 1.5, 4),
+      this.getObstacleMaterial('pistonHead')
+    );
+    piston.add(head);
+
+    const rod = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.5, 0.5, this.tunnelHeight, 10),
+      this.getObstacleMaterial('pistonRod')
+    );
+    rod.position.y = this.tunnelHeight / 2;
+    piston.add(rod);
+
+    // Warning stripes along the bottom edge
+    const stripe = new THREE.Mesh(
+      new THREE.BoxGeometry(4.1, 0.3, 4.1),
+      this.getObstacleMaterial('pistonStripe')
+    );
+    stripe.position.y = -0.6;
+    piston.add(stripe);
+
+    return piston;
+  }
+
+  // Panel as tall as the tunnel and half as wide, sliding across it
+  createSlidingDoorObstacle() {
+    return new THREE.Mesh(
+      new THREE.BoxGeometry(this.tunnelWidth / 2, this.tunnelHeight, 0.5),
+      this.getObstacleMaterial('slidingDoor')
+    );
+  }
+
+  // Chunk of rock circling its position
+  createDebrisObstacle(rng = this.rng) {
+    const debris = this.createRockObstacle(rng);
+    debris.rotation.set(rng.next() * Math.PI, rng.next() * Math.PI, 0);
+    return debris;
+  }
+
   // Create special end segment
   createEndSegment() {
     const position = new THREE.Vector3(
@@ -990,7 +1553,7 @@ class LevelManager {
         this.segmentLength
     );
 
-    const segment = new THREE.Group();
+    const segment = this.acquireSegment();
     segment.position.copy(position);
 
     // Create a larger area for the end segment
@@ -1068,8 +1631,19 @@ class LevelManager {
   // Update level segments based on player position
   updateLevel() {
     if (this.segmentLength === 0) return;
-    const playerZ = this.camera.position.z;
-    const currentIndex = Math.round(-playerZ / this.segmentLength);
+
+    // Blueprint levels stream along their tunnel graph instead
+    if (!this.isEndless) {
+      this.updateBlueprintLevel();
+      return;
+    }
+    this.updateEndlessLevel();
+  }
+
+  // Stream the straight segments of the endless tunnel around the player
+  updateEndlessLevel() {
+    const playerPosition = this.getPlayerLevelPosition();
+    const currentIndex = Math.round(-playerPosition.z / this.segmentLength);
 
     // Load needed segments ahead and behind
     for (
@@ -1101,10 +1675,10 @@ class LevelManager {
       }
     }
 
-    // Unload segments far away (optional, for memory)
+    // Unload segments far away, with their obstacles
     for (const [i, segment] of this.segmentMap.entries()) {
       if (Math.abs(i - currentIndex) > this.buffer) {
-        this.scene.remove(segment);
+        this.unloadSegment(segment);
         this.segmentMap.delete(i);
       }
     }
@@ -1113,20 +1687,189 @@ class LevelManager {
     this.levelSegments = Array.from(this.segmentMap.values()).sort(
       (a, b) => a.position.z - b.position.z
     );
+
+    // Remember the straight segments the player flies through
+    for (const [i, segment] of this.segmentMap.entries()) {
+      const entryZ = segment.userData.levelPosition.z;
+      if (
+        playerPosition.z <= entryZ &&
+        playerPosition.z > entryZ - this.segmentLength
+      ) {
+        this.markVisited(String(i), {
+          center: segment.userData.levelPosition
+            .clone()
+            .add(new THREE.Vector3(0, 0, -this.segmentLength / 2)),
+          quaternion: new THREE.Quaternion(),
+          width: this.tunnelWidth,
+          height: this.tunnelHeight,
+          type: SegmentType.STRAIGHT,
+          lightColor: null,
+        });
+      }
+    }
+  }
+
+  // Track which segment the player is in and stream its neighbours
+  updateBlueprintLevel() {
+    if (!this.tunnelGraph) return;
+
+    const node = this.tunnelGraph.findNodeAt(
+      this.getPlayerLevelPosition(),
+      this.loadedNodes.keys()
+    );
+
+    if (node && node.id !== this.currentNodeId) {
+      this.currentNodeId = node.id;
+      this.visitNode(node);
+      this.streamBlueprintSegments();
+    }
+  }
+
+  // Remember a blueprint segment the player has entered
+  visitNode(node) {
+    const { width, height } = this.tunnelGraph.getSize(node);
+    this.markVisited(node.id, {
+      center: this.tunnelGraph.getCenter(node),
+      quaternion: node.quaternion.clone(),
+      width,
+      height,
+      type: node.def.type,
+      lightColor: node.def.lightColor,
+    });
+  }
+
+  // Add a segment to the automap. Entries are in level coordinates, so they
+  // stay valid after the segment itself is unloaded.
+  markVisited(id, entry) {
+    if (!this.visitedSegments.has(id)) {
+      this.visitedSegments.set(id, entry);
+    }
   }
 
-  // Move all tunnel segments and obstacles by offset (Vector3)
-  offsetLevel(offset) {
-    // Move tunnel segments
-    for (const segment of this.segments.values()) {
-      segment.group.position.add(offset);
+  // Put the player at a level position: move the world so the position is
+  // where the camera is and stream in the segments around it. Returns the
+  // segment the position is in.
+  movePlayerTo(position) {
+    this.worldOrigin.movePlayerTo(position);
+    if (this.isEndless || !this.tunnelGraph) return null;
+
+    const node = this.tunnelGraph.findNodeAt(position);
+    if (node && node.id !== this.currentNodeId) {
+      this.currentNodeId = node.id;
+      this.visitNode(node);
+      this.streamBlueprintSegments();
     }
-    // Move obstacles
-    for (const obs of this.obstacles) {
-      if (obs && obs.mesh && obs.mesh.position) {
-        obs.mesh.position.add(offset);
+    return node;
+  }
+
+  // Convert a position in level coordinates to the current world position
+  levelToWorld(position, target) {
+    return this.worldOrigin.levelToWorld(position, target);
+  }
+
+  // Player position in world and in level coordinates
+  getPlayerWorldPosition(target) {
+    return this.worldOrigin.getPlayerWorldPosition(target);
+  }
+
+  getPlayerLevelPosition(target) {
+    return this.worldOrigin.getPlayerLevelPosition(target);
+  }
+
+  // Whether the player is inside the END segment of a blueprint level
+  isPlayerAtExit() {
+    if (!this.tunnelGraph) return false;
+
+    const node = this.tunnelGraph.findNodeAt(
+      this.getPlayerLevelPosition(),
+      this.loadedNodes.keys()
+    );
+    return !!node && node.def.type === SegmentType.END;
+  }
+
+  // World position a share t of the way along a segment's centre line, moved
+  // sideways (offsetX) and up (offsetY) in the segment's frame. Segments
+  // without a centre line run straight along their local -Z axis.
+  getPointAlongSegment(segment, t, offsetX = 0, offsetY = 0) {
+    const point = new THREE.Vector3(0, 0, -t * this.segmentLength);
+    if (segment.userData.centerline) {
+      segment.userData.centerline.getPoint(t, point);
+    }
+    point.x += offsetX;
+    point.y += offsetY;
+
+    segment.updateMatrixWorld();
+    return segment.localToWorld(point);
+  }
+
+  // Loaded segment a world position lies in along its length, and the share
+  // t of the way along it. Where segments overlap the one whose centre line
+  // passes closest wins.
+  findSegmentAlong(position) {
+    let best = null;
+    let bestDistance = Infinity;
+    const local = new THREE.Vector3();
+    const center = new THREE.Vector3();
+
+    for (const segment of this.levelSegments) {
+      segment.updateMatrixWorld();
+      local.copy(position);
+      segment.worldToLocal(local);
+      if (local.z > 0 || local.z < -this.segmentLength) continue;
+
+      const t = -local.z / this.segmentLength;
+      center.set(0, 0, local.z);
+      if (segment.userData.centerline) {
+        segment.userData.centerline.getPoint(t, center);
+      }
+
+      const distance = Math.hypot(local.x - center.x, local.y - center.y);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { segment, t };
       }
     }
+
+    return best;
+  }
+
+  // Check a world position against the walls of the loaded segments, each in
+  // its own frame. Positions outside the length of every segment (e.g. in
+  // front of the entrance) are not limited.
+  isInsideTunnel(position, margin = 0) {
+    let withinLength = false;
+    const local = new THREE.Vector3();
+
+    for (const segment of this.levelSegments) {
+      segment.updateMatrixWorld();
+      local.copy(position);
+      segment.worldToLocal(local);
+      if (local.z > 0 || local.z < -this.segmentLength) continue;
+      withinLength = true;
+
+      if (this.isInsideSegment(segment, local, margin)) return true;
+    }
+
+    return !withinLength;
+  }
+
+  // Check a position in a segment's local frame against the segment alone:
+  // it has to lie within its length and inside its walls
+  isInsideSegment(segment, local, margin = 0) {
+    if (local.z > 0 || local.z < -this.segmentLength) return false;
+
+    // Cave segments test their real wall, chambers their box
+    const collider = segment.userData.collider;
+    if (collider) return collider.containsPoint(local, margin);
+
+    const bounds = segment.userData.bounds || {
+      width: this.tunnelWidth,
+      height: this.tunnelHeight,
+    };
+    return (
+      Math.abs(local.x) <= bounds.width / 2 - margin &&
+      Math.abs(local.y) <= bounds.height / 2 - margin
+    );
   }
 
   // Get all active level segments
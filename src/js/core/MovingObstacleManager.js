@@ -0,0 +1,147 @@
+// Moving Obstacle Manager for the kinematic obstacles of blueprint levels:
+// spinning fans, crushing pistons, sliding doors and orbiting debris. Each
+// obstacle moves around the place it was built at in its segment's frame, so
+// shifting the world origin never disturbs it.
+import * as THREE from 'three';
+import { obstacleIntersectsSphere } from '../utils/collisionUtils.js';
+
+// Motion of the moving obstacle types, overridden by an obstacle's motion.
+// Offsets, axes and orbits are in the segment's frame: x across, y up and z
+// along the tunnel (negative z is forward).
+//   rotate - { axis: 'x' | 'y' | 'z', speed } turning at speed radians/s
+//   path   - offsets from the obstacle's position, visited in order and then
+//            back to the first, one lap per period
+//   orbit  - { radius, axis } circling the position once per period
+//   phase  - share of the period (or of a turn) the obstacle starts at
+export const OBSTACLE_MOTION = {
+  fan: { rotate: { axis: 'z', speed: 1.5 } },
+  piston: {
+    path: [
+      [0, 0, 0],
+      [0, -6, 0],
+    ],
+    period: 3,
+  },
+  slidingDoor: {
+    path: [
+      [-4, 0, 0],
+      [4, 0, 0],
+    ],
+    period: 4,
+  },
+  debris: { orbit: { radius: 3, axis: 'z' }, period: 5 },
+};
+
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+class MovingObstacleManager {
+  constructor(levelManager, gameState) {
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+
+    this.impactDamage = 10; // Damage when a moving obstacle hits the ship
+    this.impactCooldown = 1.0; // Seconds before the next hit can hurt
+    this.playerRadius = 0.5; // Same as the collision checks
+
+    this.time = 0; // Level clock all obstacles move on
+    this.impactTimer = 0;
+  }
+
+  // Obstacles start their motion again with the level
+  reset() {
+    this.time = 0;
+    this.impactTimer = 0;
+  }
+
+  update(delta) {
+    this.time += delta;
+    this.impactTimer = Math.max(0, this.impactTimer - delta);
+
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+    const playerSphere = new THREE.Sphere(playerPosition, this.playerRadius);
+
+    for (const obstacle of this.levelManager.obstacles) {
+      if (!obstacle.motion) continue;
+
+      this.pose(obstacle, this.time);
+
+      // The world transform is needed right away for the collision checks
+      obstacle.segment.updateWorldMatrix(false, false);
+      obstacle.mesh.updateMatrixWorld(true);
+
+      if (
+        this.impactTimer === 0 &&
+        !this.gameState.isGameOver &&
+        obstacleIntersectsSphere(obstacle, playerSphere)
+      ) {
+        this.impactTimer = this.impactCooldown;
+        this.gameState.takeDamage(this.impactDamage, 'crush');
+      }
+    }
+  }
+
+  // Put an obstacle where its motion has it at a time, relative to the
+  // position and rotation it was built with
+  pose(obstacle, time) {
+    const { motion, basePosition, baseQuaternion, mesh } = obstacle;
+    const period = motion.period || 1;
+    const phase = motion.phase || 0;
+    const share = (((time / period + phase) % 1) + 1) % 1;
+
+    mesh.position.copy(basePosition);
+
+    if (motion.path) {
+      // Ease in and out of every point, so pistons and doors pause at the
+      // ends of their travel
+      const legs = motion.path.length;
+      const progress = share * legs;
+      const leg = Math.floor(progress) % legs;
+      const from = motion.path[leg];
+      const to = motion.path[(leg + 1) % legs];
+      const t = smoothstep(progress - Math.floor(progress));
+      mesh.position.x += from[0] + (to[0] - from[0]) * t;
+      mesh.position.y += from[1] + (to[1] - from[1]) * t;
+      mesh.position.z += from[2] + (to[2] - from[2]) * t;
+    }
+
+    if (motion.orbit) {
+      const angle = share * Math.PI * 2;
+      const a = Math.cos(angle) * motion.orbit.radius;
+      const b = Math.sin(angle) * motion.orbit.radius;
+      switch (motion.orbit.axis) {
+        case 'x':
+          mesh.position.y += a;
+          mesh.position.z += b;
+          break;
+        case 'y':
+          mesh.position.x += a;
+          mesh.position.z += b;
+          break;
+        default:
+          mesh.position.x += a;
+          mesh.position.y += b;
+      }
+    }
+
+    mesh.quaternion.copy(baseQuaternion);
+    if (motion.rotate) {
+      const angle = motion.rotate.speed * time + phase * Math.PI * 2;
+      mesh.quaternion.premultiply(
+        new THREE.Quaternion().setFromAxisAngle(
+          AXES[motion.rotate.axis] || AXES.z,
+          angle
+        )
+      );
+    }
+  }
+}
+
+export default MovingObstacleManager;
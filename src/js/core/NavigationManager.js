@@ -0,0 +1,423 @@
+// Navigation Manager for the enemies: waypoint graphs they find their way
+// through the tunnel along. Every loaded segment gets a lattice of waypoints
+// in its own frame, spread along its centre line and across its width and
+// height, so the lattice follows curves and fills chambers. Waypoints and
+// links that come too close to a wall or an obstacle are left out, and links
+// join the waypoints of neighbouring segments through their openings, so
+// paths lead around obstacles, through junctions and around corners. All
+// positions are in level coordinates, so moving the world origin never
+// disturbs them.
+import * as THREE from 'three';
+
+class NavigationManager {
+  constructor(levelManager) {
+    this.levelManager = levelManager;
+
+    this.spacing = 5; // Distance between the waypoints of a segment
+    this.clearance = 1; // Room kept to walls and obstacles
+    this.checkStep = 1; // Distance between the points a line is checked at
+    this.maxTries = 4; // Nearest waypoints tried to get onto the graph
+
+    this.navigations = []; // Navigation of every loaded segment
+    this.neighbors = new Map(); // Linked waypoints of each waypoint
+    this.segmentLinks = new WeakMap(); // Links between two navigations
+
+    this.ray = new THREE.Ray();
+    this.hit = new THREE.Vector3();
+  }
+
+  // Build the navigation of the segments loaded since the last query and
+  // join the segments up again when the loaded ones changed. A segment
+  // keeps its navigation in userData, so a segment reused from the pool
+  // starts without one.
+  refresh() {
+    const segments = this.levelManager.levelSegments;
+    let changed = segments.length !== this.navigations.length;
+
+    const navigations = segments.map((segment, i) => {
+      if (!segment.userData.navigation) {
+        segment.userData.navigation = this.buildNavigation(segment);
+      }
+      if (segment.userData.navigation !== this.navigations[i]) {
+        changed = true;
+      }
+      return segment.userData.navigation;
+    });
+
+    if (changed) {
+      this.navigations = navigations;
+      this.joinSegments();
+    }
+  }
+
+  // Build a segment's navigation again, e.g. once an obstacle in it is gone
+  invalidate(segment) {
+    delete segment.userData.navigation;
+  }
+
+  // Waypoints of a segment and the links between them
+  buildNavigation(segment) {
+    const levelManager = this.levelManager;
+    const navigation = {
+      segment,
+      position: segment.userData.levelPosition
+        ? segment.userData.levelPosition.clone()
+        : levelManager.worldOrigin.worldToLevel(segment.position),
+      quaternion: segment.quaternion.clone(),
+      inverse: segment.quaternion.clone().invert(),
+      boxes: this.getObstacleBoxes(segment),
+      waypoints: [],
+    };
+
+    const { width, height } = segment.userData.bounds || {
+      width: levelManager.tunnelWidth,
+      height: levelManager.tunnelHeight,
+    };
+    const columns = this.getOffsets(width);
+    const rows = this.getOffsets(height);
+    const slices = Math.max(
+      2,
+      Math.round(levelManager.segmentLength / this.spacing)
+    );
+
+    // Slices across the centre line, each a grid of waypoints
+    const center = new THREE.Vector3();
+    const local = new THREE.Vector3();
+    for (let i = 0; i < slices; i++) {
+      const t = (i + 0.5) / slices;
+      center.set(0, 0, -t * levelManager.segmentLength);
+      if (segment.userData.centerline) {
+        segment.userData.centerline.getPoint(t, center);
+      }
+
+      for (const x of columns) {
+        for (const y of rows) {
+          local.set(center.x + x, center.y + y, center.z);
+          if (!levelManager.isInsideSegment(segment, local, this.clearance)) {
+            continue;
+          }
+
+          const position = local
+            .clone()
+            .applyQuaternion(navigation.quaternion)
+            .add(navigation.position);
+          if (navigation.boxes.some((box) => box.containsPoint(position))) {
+            continue;
+          }
+          navigation.waypoints.push({ position, links: [], navigation });
+        }
+      }
+    }
+
+    // Link the waypoints close enough to each other that have a clear line
+    const waypoints = navigation.waypoints;
+    for (let i = 0; i < waypoints.length; i++) {
+      for (let j = i + 1; j < waypoints.length; j++) {
+        if (this.canLink(waypoints[i], waypoints[j], [navigation])) {
+          waypoints[i].links.push(waypoints[j]);
+          waypoints[j].links.push(waypoints[i]);
+        }
+      }
+    }
+
+    return navigation;
+  }
+
+  // Offsets across a segment for its lattice: an odd number of them, so one
+  // runs along the centre line, about spacing apart
+  getOffsets(size) {
+    let count = Math.max(1, Math.round(size / this.spacing));
+    if (count % 2 === 0) count++;
+    if (count === 1) return [0];
+
+    const reach = size * 0.3;
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      offsets.push(reach * ((2 * i) / (count - 1) - 1));
+    }
+    return offsets;
+  }
+
+  // Bounding boxes of the obstacles in a segment that paths go around, in
+  // level coordinates and grown by the clearance. Moving obstacles and force
+  // fields are left out, as they clear the way in turn.
+  getObstacleBoxes(segment) {
+    const origin = this.levelManager.worldOrigin.origin;
+    segment.updateMatrixWorld(true);
+
+    return this.levelManager.obstacles
+      .filter(
+        (obstacle) =>
+          obstacle.segment === segment &&
+          !obstacle.motion &&
+          !obstacle.forceField
+      )
+      .map((obstacle) =>
+        new THREE.Box3()
+          .setFromObject(obstacle.mesh)
+          .translate(origin.clone().negate())
+          .expandByScalar(this.clearance)
+      );
+  }
+
+  // Join the waypoints of every segment with those of its neighbours
+  joinSegments() {
+    this.neighbors = new Map();
+    for (const navigation of this.navigations) {
+      for (const waypoint of navigation.waypoints) {
+        this.neighbors.set(waypoint, [...waypoint.links]);
+      }
+    }
+
+    const indices = new Map(this.navigations.map((nav, i) => [nav, i]));
+    for (const navigation of this.navigations) {
+      for (const other of this.getNeighborNavigations(navigation)) {
+        // Every pair once
+        if (indices.get(other) < indices.get(navigation)) continue;
+
+        for (const [a, b] of this.getSegmentLinks(navigation, other)) {
+          this.neighbors.get(a).push(b);
+          this.neighbors.get(b).push(a);
+        }
+      }
+    }
+  }
+
+  // Navigations of the loaded segments connected to a segment: its
+  // neighbours in the tunnel graph, or the segments right before and after
+  // it in the endless tunnel
+  getNeighborNavigations(navigation) {
+    const levelManager = this.levelManager;
+    const nodeId = navigation.segment.userData.nodeId;
+
+    if (levelManager.tunnelGraph && nodeId !== null && nodeId !== undefined) {
+      return levelManager.tunnelGraph
+        .getNeighbors(nodeId)
+        .map((id) => levelManager.loadedNodes.get(id))
+        .filter((segment) => segment && segment.userData.navigation)
+        .map((segment) => segment.userData.navigation);
+    }
+
+    return this.navigations.filter(
+      (other) =>
+        other !== navigation &&
+        Math.abs(
+          other.position.distanceTo(navigation.position) -
+            levelManager.segmentLength
+        ) < 1
+    );
+  }
+
+  // Links between the waypoints of two neighbouring segments, kept until
+  // either of them is built again
+  getSegmentLinks(a, b) {
+    if (this.segmentLinks.has(b) && this.segmentLinks.get(b).has(a)) {
+      return this.segmentLinks
+        .get(b)
+        .get(a)
+        .map(([from, to]) => [to, from]);
+    }
+
+    if (!this.segmentLinks.has(a)) {
+      this.segmentLinks.set(a, new WeakMap());
+    }
+    const cache = this.segmentLinks.get(a);
+    if (!cache.has(b)) {
+      const links = [];
+      for (const from of a.waypoints) {
+        for (const to of b.waypoints) {
+          if (this.canLink(from, to, [a, b])) links.push([from, to]);
+        }
+      }
+      cache.set(b, links);
+    }
+    return cache.get(b);
+  }
+
+  // Whether two waypoints are close enough to link and have a clear line
+  canLink(a, b, navigations) {
+    return (
+      a.position.distanceTo(b.position) <= this.spacing * 1.5 &&
+      this.isLineClear(a.position, b.position, navigations)
+    );
+  }
+
+  // Whether a line between two level positions keeps clear of the walls and
+  // obstacles of the given segments: every point checked between the ends
+  // has to lie inside one of them. Lines starting inside the room of an
+  // obstacle may leave it.
+  isLineClear(from, to, navigations) {
+    const direction = new THREE.Vector3().subVectors(to, from);
+    const length = direction.length();
+    if (length < 1e-6) return true;
+
+    const point = new THREE.Vector3();
+    const local = new THREE.Vector3();
+    const steps = Math.ceil(length / this.checkStep);
+    for (let i = 1; i < steps; i++) {
+      point.copy(from).addScaledVector(direction, i / steps);
+      const inside = navigations.some((navigation) => {
+        local
+          .copy(point)
+          .sub(navigation.position)
+          .applyQuaternion(navigation.inverse);
+        return this.levelManager.isInsideSegment(
+          navigation.segment,
+          local,
+          this.clearance
+        );
+      });
+      if (!inside) return false;
+    }
+
+    this.ray.set(from, direction.divideScalar(length));
+    for (const navigation of navigations) {
+      for (const box of navigation.boxes) {
+        if (box.containsPoint(from)) continue;
+        if (
+          this.ray.intersectBox(box, this.hit) &&
+          this.hit.distanceTo(from) <= length
+        ) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // Whether an enemy can fly straight between two world positions
+  isClear(from, to) {
+    this.refresh();
+    return this.isLineClear(
+      this.toLevel(from),
+      this.toLevel(to),
+      this.navigations
+    );
+  }
+
+  // Path between two world positions along the waypoints, as level
+  // positions ending at the goal. Null when either end cannot get onto the
+  // waypoints or there is no way between them.
+  findPath(from, to) {
+    this.refresh();
+    const goal = this.toLevel(to);
+    const start = this.findNearestWaypoint(this.toLevel(from));
+    const end = this.findNearestWaypoint(goal);
+    if (!start || !end) return null;
+
+    const cost = new Map([[start, 0]]);
+    const previous = new Map();
+    const open = new Set([start]);
+    const estimate = (waypoint) =>
+      cost.get(waypoint) + waypoint.position.distanceTo(end.position);
+
+    while (open.size > 0) {
+      let current = null;
+      for (const waypoint of open) {
+        if (!current || estimate(waypoint) < estimate(current)) {
+          current = waypoint;
+        }
+      }
+      if (current === end) {
+        return [...this.tracePath(previous, end), goal];
+      }
+      open.delete(current);
+
+      for (const next of this.neighbors.get(current)) {
+        const nextCost =
+          cost.get(current) + current.position.distanceTo(next.position);
+        if (!cost.has(next) || nextCost < cost.get(next)) {
+          cost.set(next, nextCost);
+          previous.set(next, current);
+          open.add(next);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Path away from a threat (world position) to the waypoint farthest from
+  // it within `distance` of flying, as level positions. It never leads
+  // closer to the threat than the enemy already is, so it does not slip
+  // past the player to get away.
+  findRetreatPath(from, threat, distance) {
+    this.refresh();
+    const start = this.findNearestWaypoint(this.toLevel(from));
+    if (!start) return null;
+
+    const threatPosition = this.toLevel(threat);
+    const minDistance = start.position.distanceTo(threatPosition) * 0.75;
+    const cost = new Map([[start, 0]]);
+    const previous = new Map();
+    const open = new Set([start]);
+    let best = start;
+
+    while (open.size > 0) {
+      let current = null;
+      for (const waypoint of open) {
+        if (!current || cost.get(waypoint) < cost.get(current)) {
+          current = waypoint;
+        }
+      }
+      open.delete(current);
+
+      if (
+        current.position.distanceTo(threatPosition) >
+        best.position.distanceTo(threatPosition)
+      ) {
+        best = current;
+      }
+
+      for (const next of this.neighbors.get(current)) {
+        const nextCost =
+          cost.get(current) + current.position.distanceTo(next.position);
+        if (
+          nextCost <= distance &&
+          next.position.distanceTo(threatPosition) >= minDistance &&
+          (!cost.has(next) || nextCost < cost.get(next))
+        ) {
+          cost.set(next, nextCost);
+          previous.set(next, current);
+          open.add(next);
+        }
+      }
+    }
+
+    return this.tracePath(previous, best);
+  }
+
+  // Nearest waypoint with a clear line from a level position
+  findNearestWaypoint(position) {
+    const candidates = [];
+    for (const waypoint of this.neighbors.keys()) {
+      const distance = waypoint.position.distanceTo(position);
+      if (distance <= this.spacing * 3) {
+        candidates.push({ waypoint, distance });
+      }
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    for (const { waypoint } of candidates.slice(0, this.maxTries)) {
+      if (this.isLineClear(position, waypoint.position, this.navigations)) {
+        return waypoint;
+      }
+    }
+    return null;
+  }
+
+  // Level positions of the waypoints leading to a waypoint
+  tracePath(previous, waypoint) {
+    const path = [];
+    for (let current = waypoint; current; current = previous.get(current)) {
+      path.unshift(current.position.clone());
+    }
+    return path;
+  }
+
+  toLevel(position) {
+    return this.levelManager.worldOrigin.worldToLevel(position);
+  }
+}
+
+export default NavigationManager;
@@ -0,0 +1,213 @@
+// Objective Manager for tracking the mission objectives of blueprint levels
+// and finishing the level once all of them are met
+import { ObjectiveType } from './levels/SegmentTypes.js';
+
+class ObjectiveManager {
+  constructor(levelManager, gameState, uiManager) {
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+    this.uiManager = uiManager;
+
+    // Assigned by main.js
+    this.enemyManager = null;
+    this.reactorManager = null;
+
+    this.objectives = [];
+    this.isComplete = false;
+    this.elapsedTime = 0;
+    this.collectedItems = {}; // key: item type, value: count
+    this.killsAtStart = {};
+    this.hudText = null; // Last HUD text, to only touch the DOM on change
+  }
+
+  // Start tracking the objectives of the current level
+  reset() {
+    const level = this.levelManager.currentLevel;
+
+    this.isComplete = false;
+    this.elapsedTime = 0;
+    this.collectedItems = {};
+    this.killsAtStart = { ...this.gameState.enemyKills };
+    this.hudText = null;
+
+    this.objectives =
+      level && !this.levelManager.isEndless
+        ? level.getObjectives().map((def) => ({
+            def,
+            progress: 0,
+            required: this.getRequiredCount(def, level),
+            complete: false,
+          }))
+        : [];
+
+    this.updateHUD();
+  }
+
+  // How many of something an objective needs (1 for yes/no objectives)
+  getRequiredCount(def, level) {
+    switch (def.type) {
+      case ObjectiveType.SURVIVE:
+        return def.seconds;
+      case ObjectiveType.COLLECT:
+        return def.count || 1;
+      case ObjectiveType.RESCUE_HOSTAGES:
+        return def.count || level.hostageSpawns.length || 1;
+      case ObjectiveType.DESTROY_TARGET:
+        if (def.count) return def.count;
+        if (!def.target || def.target === 'all') {
+          return level.enemySpawns.length;
+        }
+        if (def.target === 'reactor') return 1;
+        return (
+          level.enemySpawns.filter((spawn) => spawn.enemyType === def.target)
+            .length || 1
+        );
+      default:
+        return 1;
+    }
+  }
+
+  update(delta) {
+    if (this.isComplete || this.objectives.length === 0) return;
+
+    this.elapsedTime += delta;
+
+    for (const objective of this.objectives) {
+      objective.progress = Math.min(
+        objective.required,
+        this.getProgress(objective.def)
+      );
+
+      // Reaching the exit only counts while the player is there and
+      // hostages can be lost again, the other objectives stay done once met
+      if (
+        objective.def.type === ObjectiveType.REACH_EXIT ||
+        objective.def.type === ObjectiveType.RESCUE_HOSTAGES
+      ) {
+        objective.complete = objective.progress >= objective.required;
+      } else if (!objective.complete && objective.required > 0) {
+        objective.complete = objective.progress >= objective.required;
+      }
+    }
+
+    this.updateHUD();
+
+    if (this.objectives.every((objective) => objective.complete)) {
+      this.completeLevel();
+    }
+  }
+
+  getProgress(def) {
+    switch (def.type) {
+      case ObjectiveType.REACH_EXIT:
+        return this.levelManager.isPlayerAtExit() ? 1 : 0;
+      case ObjectiveType.SURVIVE:
+        return this.elapsedTime;
+      case ObjectiveType.COLLECT:
+        return def.item
+          ? this.collectedItems[def.item] || 0
+          : Object.values(this.collectedItems).reduce((a, b) => a + b, 0);
+      case ObjectiveType.DESTROY_TARGET:
+        return this.getDestroyedCount(def.target);
+      case ObjectiveType.RESCUE_HOSTAGES:
+        // Hostages count once on board, they are brought out at the exit
+        return this.gameState.hostagesOnBoard;
+      default:
+        return 0;
+    }
+  }
+
+  getDestroyedCount(target = 'all') {
+    if (target === 'reactor') {
+      return this.reactorManager && this.reactorManager.isDestroyed ? 1 : 0;
+    }
+    if (target === 'all') {
+      return this.enemyManager
+        ? this.enemyManager.destroyedPredefinedEnemies.size
+        : 0;
+    }
+    // Kills of one enemy type since the level started
+    const kills = this.gameState.enemyKills[target] || 0;
+    return kills - (this.killsAtStart[target] || 0);
+  }
+
+  // Progress a respawn at a checkpoint picks up again from
+  getProgressState() {
+    return {
+      elapsedTime: this.elapsedTime,
+      collectedItems: { ...this.collectedItems },
+      killsAtStart: { ...this.killsAtStart },
+    };
+  }
+
+  restoreProgressState(state) {
+    this.elapsedTime = state.elapsedTime;
+    this.collectedItems = { ...state.collectedItems };
+    this.killsAtStart = { ...state.killsAtStart };
+    this.hudText = null;
+    this.updateHUD();
+  }
+
+  // Called by the PowerUpManager when the player picks something up
+  onItemCollected(itemType) {
+    this.collectedItems[itemType] = (this.collectedItems[itemType] || 0) + 1;
+  }
+
+  completeLevel() {
+    this.isComplete = true;
+    console.log('Level completed! All objectives met.');
+
+    // Escaping in time ends the reactor countdown
+    if (this.reactorManager && this.reactorManager.isCountingDown) {
+      this.reactorManager.finishCountdown();
+    }
+
+    this.gameState.levelCompleted();
+  }
+
+  // Text for one objective line in the HUD
+  describe(objective) {
+    const { def, progress, required } = objective;
+    const count = `${Math.floor(progress)}/${required}`;
+
+    switch (def.type) {
+      case ObjectiveType.REACH_EXIT:
+        return def.label || 'REACH THE EXIT';
+      case ObjectiveType.SURVIVE: {
+        const left = Math.ceil(required - progress);
+        return `${def.label || 'SURVIVE'} ${left}s`;
+      }
+      case ObjectiveType.COLLECT:
+        return `${def.label || `COLLECT ${def.item || 'ITEMS'}`} ${count}`;
+      case ObjectiveType.DESTROY_TARGET: {
+        if (def.target === 'reactor') {
+          return def.label || 'DESTROY THE REACTOR';
+        }
+        const target =
+          !def.target || def.target === 'all' ? 'ENEMIES' : def.target;
+        return `${def.label || `DESTROY ${target}`} ${count}`;
+      }
+      case ObjectiveType.RESCUE_HOSTAGES:
+        return `${def.label || 'RESCUE HOSTAGES'} ${count}`;
+      default:
+        return def.label || def.type;
+    }
+  }
+
+  updateHUD() {
+    if (!this.uiManager || !this.uiManager.updateObjectives) return;
+
+    const lines = this.objectives.map((objective) => ({
+      text: this.describe(objective).toUpperCase(),
+      complete: objective.complete,
+    }));
+
+    const text = lines.map((l) => `${l.complete}:${l.text}`).join('|');
+    if (text === this.hudText) return;
+    this.hudText = text;
+
+    this.uiManager.updateObjectives(lines);
+  }
+}
+
+export default ObjectiveManager;
@@ -0,0 +1,289 @@
+// Reactor Manager for the boss room reactor: destroying it starts a
+// countdown, and the player has to escape through the END segment in time.
+// Whether that wins the level is up to the ObjectiveManager.
+import * as THREE from 'three';
+import { SegmentType } from './levels/SegmentTypes.js';
+import { checkProjectileEnemyCollision } from '../utils/collisionUtils.js';
+
+class ReactorManager {
+  constructor(scene, levelManager, gameState, audioManager, uiManager) {
+    this.scene = scene;
+    this.levelManager = levelManager;
+    this.gameState = gameState;
+    this.audioManager = audioManager;
+    this.uiManager = uiManager;
+    this.effectsManager = null; // Assigned by main.js
+
+    // Hit points against player shots, which do 1-3 damage each: a few
+    // dozen hits, a little tougher than a bomber
+    this.maxHealth = 60;
+
+    this.reset();
+  }
+
+  // Forget the reactor state, e.g. when a level is (re)loaded
+  reset() {
+    this.reactor = null; // { mesh, core, collider, segment } while loaded
+    this.health = this.maxHealth;
+    this.isDestroyed = false;
+    this.isCountingDown = false;
+    this.timeLeft = 0;
+    this.pulseTime = 0;
+
+    if (this.audioManager) {
+      this.audioManager.stopSound('alarm');
+    }
+    if (this.uiManager) {
+      this.uiManager.hideEscapeTimer();
+    }
+  }
+
+  // Progress a respawn at a checkpoint picks up again from
+  getProgressState() {
+    return { health: this.health, isDestroyed: this.isDestroyed };
+  }
+
+  // Once destroyed, the reactor's countdown goes on with the time that was
+  // left when the ship was lost: respawning does not turn the clock back
+  restoreProgressState(state, timeLeft) {
+    this.health = state.health;
+    if (!state.isDestroyed) return;
+
+    this.isDestroyed = true;
+    this.timeLeft = timeLeft;
+    this.isCountingDown = true;
+
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('alarm', { volume: 0.5, loop: true });
+    }
+    if (this.uiManager) {
+      this.uiManager.showEscapeTimer(this.timeLeft);
+    }
+  }
+
+  // Whether the current level has a reactor to destroy
+  hasReactorObjective() {
+    const level = this.levelManager.currentLevel;
+    return (
+      !this.levelManager.isEndless &&
+      !!level &&
+      level.segments.some((segment) => segment.type === SegmentType.BOSS_ROOM)
+    );
+  }
+
+  update(delta, projectiles) {
+    if (!this.hasReactorObjective()) return;
+
+    this.updateReactorMesh();
+
+    if (this.reactor) {
+      // Slow spin so the reactor reads as a machine, not a rock
+      this.reactor.mesh.rotation.y += delta * 0.6;
+      this.checkProjectileHits(projectiles || []);
+    }
+
+    if (this.isCountingDown) {
+      this.updateCountdown(delta);
+    }
+  }
+
+  // Build the reactor when its boss room is streamed in and drop our
+  // reference when the room is unloaded again. Unloaded segment groups are
+  // reused, so the room is gone once the reactor is no longer in it.
+  updateReactorMesh() {
+    const segments = this.levelManager.levelSegments;
+
+    if (
+      this.reactor &&
+      (!segments.includes(this.reactor.segment) ||
+        this.reactor.mesh.parent !== this.reactor.segment)
+    ) {
+      this.reactor = null;
+    }
+
+    if (this.reactor || this.isDestroyed) return;
+
+    const bossRoom = segments.find(
+      (segment) => segment.userData.type === SegmentType.BOSS_ROOM
+    );
+    if (bossRoom) {
+      this.reactor = this.createReactor(bossRoom);
+    }
+  }
+
+  createReactor(segment) {
+    const mesh = new THREE.Group();
+
+    const core = new THREE.Mesh(
+      new THREE.IcosahedronGeometry(1.6, 1),
+      new THREE.MeshStandardMaterial({
+        color: 0xff6600,
+        emissive: 0xff3300,
+        emissiveIntensity: 0.8,
+        roughness: 0.4,
+        metalness: 0.3,
+      })
+    );
+    mesh.add(core);
+
+    // Containment rings around the core
+    const ringMaterial = new THREE.MeshStandardMaterial({
+      color: 0x666677,
+      roughness: 0.6,
+      metalness: 0.8,
+    });
+    for (let i = 0; i < 2; i++) {
+      const ring = new THREE.Mesh(
+        new THREE.TorusGeometry(2.4, 0.2, 8, 24),
+        ringMaterial
+      );
+      ring.rotation.x = Math.PI / 2;
+      ring.position.y = i === 0 ? -1.2 : 1.2;
+      mesh.add(ring);
+    }
+
+    const glow = new THREE.PointLight(0xff5500, 2, 15, 2);
+    mesh.add(glow);
+
+    mesh.position.set(0, 0, -this.levelManager.segmentLength * 0.65);
+    segment.add(mesh);
+
+    // The ship cannot fly through the reactor
+    core.userData.isObstacle = true;
+    this.levelManager.obstacles.push({ mesh: core, segment, reactor: true });
+    this.invalidateNavigation(segment);
+
+    return { mesh, core, collider: new THREE.Box3(), segment };
+  }
+
+  // Enemies find their way around the reactor only while it stands
+  invalidateNavigation(segment) {
+    if (this.levelManager.navigationManager) {
+      this.levelManager.navigationManager.invalidate(segment);
+    }
+  }
+
+  checkProjectileHits(projectiles) {
+    const target = { mesh: this.reactor.core, collider: this.reactor.collider };
+
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const projectile = projectiles[i];
+      if (!projectile.mesh || !projectile.mesh.geometry) continue;
+      if (!checkProjectileEnemyCollision(projectile, target)) continue;
+
+      this.health -= projectile.power || 10;
+
+      if (this.effectsManager) {
+        this.effectsManager.createHitEffect(projectile.mesh.position.clone());
+      }
+
+      // Remove projectile
+      this.scene.remove(projectile.mesh);
+      projectile.mesh.geometry.dispose();
+      projectile.mesh.material.dispose();
+      if (projectile.trail) {
+        this.scene.remove(projectile.trail);
+        projectile.trail.geometry.dispose();
+        projectile.trail.material.dispose();
+      }
+      projectiles.splice(i, 1);
+
+      // Flash the core brighter as it takes damage
+      const damage = 1 - Math.max(0, this.health) / this.maxHealth;
+      this.reactor.core.material.emissiveIntensity = 0.8 + damage * 1.5;
+
+      if (this.health <= 0) {
+        this.destroyReactor();
+        return;
+      }
+    }
+  }
+
+  destroyReactor() {
+    const { mesh, core, segment } = this.reactor;
+
+    const position = new THREE.Vector3();
+    core.getWorldPosition(position);
+    if (this.effectsManager) {
+      this.effectsManager.createExplosion(position, 0xff5500, true, 4.0);
+    }
+
+    segment.remove(mesh);
+    this.levelManager.obstacles = this.levelManager.obstacles.filter(
+      (obstacle) => obstacle.mesh !== core
+    );
+    this.invalidateNavigation(segment);
+    this.reactor = null;
+    this.isDestroyed = true;
+
+    this.gameState.score += 2500;
+    this.startCountdown();
+  }
+
+  startCountdown() {
+    const level = this.levelManager.currentLevel;
+    this.timeLeft = level.escapeTime;
+    this.isCountingDown = true;
+
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('explosion', { volume: 1.0 });
+      this.audioManager.playSound('alarm', { volume: 0.5, loop: true });
+    }
+
+    if (this.uiManager) {
+      this.uiManager.showMessage(
+        'REACTOR CRITICAL - GET OUT!',
+        3000,
+        '#ff3300'
+      );
+      this.uiManager.showEscapeTimer(this.timeLeft);
+    }
+  }
+
+  updateCountdown(delta) {
+    this.timeLeft = Math.max(0, this.timeLeft - delta);
+    this.pulseTime += delta;
+
+    if (this.uiManager) {
+      this.uiManager.showEscapeTimer(this.timeLeft);
+    }
+    this.pulseSegmentLights();
+
+    if (this.timeLeft <= 0) {
+      this.finishCountdown();
+      if (this.uiManager) {
+        this.uiManager.showMessage('REACTOR MELTDOWN', 3000, '#ff0000');
+      }
+      this.gameState.gameOver();
+    }
+  }
+
+  finishCountdown() {
+    this.isCountingDown = false;
+    if (this.audioManager) {
+      this.audioManager.stopSound('alarm');
+    }
+    if (this.uiManager) {
+      this.uiManager.hideEscapeTimer();
+    }
+  }
+
+  // Turn every segment light red and pulse it, faster as time runs out
+  pulseSegmentLights() {
+    const speed = this.timeLeft < 10 ? 10 : 5;
+    const pulse = 0.5 + 0.5 * Math.sin(this.pulseTime * speed);
+
+    for (const segment of this.levelManager.levelSegments) {
+      for (const child of segment.children) {
+        if (!child.isLight) continue;
+        if (child.userData.baseIntensity === undefined) {
+          child.userData.baseIntensity = child.intensity;
+        }
+        child.color.setRGB(1, 0.05, 0);
+        child.intensity = child.userData.baseIntensity * (0.4 + pulse);
+      }
+    }
+  }
+}
+
+export default ReactorManager;
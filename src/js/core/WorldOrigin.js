@@ -0,0 +1,74 @@
+// World Origin for the fixed-camera movement model: the camera stays where
+// it is and the world moves the other way when the ship flies. Everything in
+// the scene is part of that world and moves with it, except the objects
+// pinned to the view (the camera and the scene lights).
+import * as THREE from 'three';
+
+class WorldOrigin {
+  constructor(scene, camera) {
+    this.scene = scene;
+    this.camera = camera;
+
+    this.player = camera; // The ship once there is one (set by main.js)
+    this.origin = new THREE.Vector3(); // World position of the level origin
+    this.pinned = new Set(); // Scene children that never move
+  }
+
+  // Keep a scene child where it is when the world moves
+  pin(object) {
+    this.pinned.add(object);
+    return object;
+  }
+
+  // Move the world by offset (Vector3). Objects with a
+  // userData.levelPosition (the tunnel segments) are placed from it again
+  // instead of being moved, so however far the player flies their world
+  // position is exactly their level position plus the origin, without the
+  // rounding of thousands of small steps. Children move with their parents.
+  shift(offset) {
+    this.origin.add(offset);
+
+    for (const object of this.scene.children) {
+      if (this.pinned.has(object)) continue;
+
+      if (object.userData.levelPosition) {
+        object.position.copy(object.userData.levelPosition).add(this.origin);
+      } else {
+        object.position.add(offset);
+      }
+    }
+  }
+
+  // Start a level with its origin where the world origin is
+  reset() {
+    this.origin.set(0, 0, 0);
+  }
+
+  // Convert a position in level coordinates to the current world position
+  levelToWorld(position, target = new THREE.Vector3()) {
+    return target.copy(position).add(this.origin);
+  }
+
+  // Convert a world position to level coordinates
+  worldToLevel(position, target = new THREE.Vector3()) {
+    return target.copy(position).sub(this.origin);
+  }
+
+  // World position of the player. Every system asks here, so the player is
+  // wherever this says.
+  getPlayerWorldPosition(target = new THREE.Vector3()) {
+    return this.player.getWorldPosition(target);
+  }
+
+  // Player position in level coordinates
+  getPlayerLevelPosition(target = new THREE.Vector3()) {
+    return this.worldToLevel(this.getPlayerWorldPosition(target), target);
+  }
+
+  // Move the world so the player is at a level position
+  movePlayerTo(position) {
+    this.shift(this.getPlayerLevelPosition().sub(position));
+  }
+}
+
+export default WorldOrigin;
@@ -1,6 +1,11 @@
 // Example level demonstrating all level design concepts
 import LevelBlueprint from './LevelBlueprint.js';
-import { SegmentType, ObstaclePattern } from './SegmentTypes.js';
+import {
+  SegmentType,
+  ObstaclePattern,
+  LevelTheme,
+  Formation,
+} from './SegmentTypes.js';
 import * as THREE from 'three';
 
 export default function createExampleLevel() {
@@ -11,6 +16,8 @@ export default function createExampleLevel() {
     segmentCount: 20, // How many segments to keep loaded at once
     difficulty: 2, // Difficulty rating (used for enemy strength/frequency)
     hasEndSegment: true, // Whether this level has an ending or loops
+    // Ice cave look, with thinner fog than the plain ice theme
+    theme: { base: LevelTheme.ICE, fogDensity: 0.025 },
   });
 
   // SECTION 1: Simple Introduction Area
@@ -69,7 +76,7 @@ export default function createExampleLevel() {
   level.addEnemySpawn(new THREE.Vector3(0, 0, -120), 'scout');
 
   // Add weapon powerup to help with combat
-  level.addPowerupSpawn(new THREE.Vector3(2, 1, -125), 'weaponUpgrade');
+  level.addPowerupSpawn(new THREE.Vector3(-1, 1, -125), 'weaponUpgrade');
 
   // SECTION 4: Curved Path Section
   // -------------------------------
@@ -115,7 +122,7 @@ export default function createExampleLevel() {
 
   // Narrow path challenge
   level.addSegment({
-    type: SegmentType.NARROW_PATH, // Narrower segment type
+    type: SegmentType.STRAIGHT,
     obstacles: ObstaclePattern.NARROW_PATH,
     lightColor: 0xaaaaaa, // Grey light for focus
   });
@@ -134,16 +141,17 @@ export default function createExampleLevel() {
     lightColor: 0xff4444, // Red danger light
   });
 
-  // Add stronger enemy
-  level.addEnemySpawn(
-    new THREE.Vector3(0, 0, -240),
-    'fighter' // Stronger enemy type
-  );
-
-  // Add supporting enemies
-  level.addEnemySpawn(new THREE.Vector3(-3, 1, -245), 'scout');
+  // A fighter leading two scouts in a V: the fighter draws fire once they
+  // notice the player while the scouts flank it
+  level.addSquad(new THREE.Vector3(0, 0, -240), {
+    formation: Formation.V,
+    leader: 'fighter',
+    wingmen: ['scout', 'scout'],
+  });
 
-  level.addEnemySpawn(new THREE.Vector3(3, 1, -245), 'scout');
+  // The mid-boss itself: a dreadnought fights in phases, and its side
+  // turrets are weak points that can be shot off
+  level.addEnemySpawn(new THREE.Vector3(0, 0, -230), 'dreadnought');
 
   // Health pickup to recover after the fight
   level.addPowerupSpawn(new THREE.Vector3(0, 0, -260), 'health');
@@ -0,0 +1,42 @@
+// Squad formations: where the wingmen of a squad fly relative to its leader
+import { Formation } from './SegmentTypes.js';
+
+// Distance between neighbouring members of a squad, unless it sets its own
+export const FORMATION_SPACING = 3;
+
+// Offsets [x, y, back] of the members of a squad from its leader, the
+// leader first. x is across the tunnel, y up and back the distance further
+// along it, away from a player flying in. Wingmen alternate sides, left
+// first, and each pair flies further out than the one before.
+//   v      - the wingmen trail the leader
+//   line   - the wingmen fly abreast of the leader
+//   pincer - the wingmen fly ahead of the leader on both sides, stacked
+//            above and below each other, to close in from two directions
+export function getFormationOffsets(
+  formation,
+  count,
+  spacing = FORMATION_SPACING
+) {
+  const offsets = [[0, 0, 0]];
+
+  for (let i = 1; i < count; i++) {
+    const side = i % 2 === 1 ? -1 : 1;
+    const rank = Math.ceil(i / 2);
+
+    switch (formation) {
+      case Formation.LINE:
+        offsets.push([side * rank * spacing, 0, 0]);
+        break;
+      case Formation.PINCER: {
+        // Further pairs stack above and below the first
+        const tier = Math.floor(rank / 2) * (rank % 2 === 0 ? 1 : -1);
+        offsets.push([side * 1.5 * spacing, tier * spacing, -spacing]);
+        break;
+      }
+      default:
+        offsets.push([side * rank * spacing * 0.75, 0, rank * spacing]);
+    }
+  }
+
+  return offsets;
+}
@@ -57,6 +57,9 @@ export default function createLevel1() {
     lightColor: 0xaa4466,
   });
 
+  // Checkpoint once the first scouts are behind the player
+  level.addCheckpoint(new THREE.Vector3(0, 0, -58));
+
   // Introduce weapon pickup (laser)
   level.addPowerupSpawn(new THREE.Vector3(0, 1, -90), 'weaponPickup');
   
@@ -82,6 +85,9 @@ export default function createLevel1() {
     });
   }
 
+  // Checkpoint before the final stretch
+  level.addCheckpoint(new THREE.Vector3(0, 0, -205));
+
   // Final enemy encounters
   level.addEnemySpawn(new THREE.Vector3(-2, -1, -150), 'scout');
   level.addEnemySpawn(new THREE.Vector3(2, 0, -160), 'fighter');
@@ -55,6 +55,9 @@ export default function createLevel2() {
   // Health pickup after the challenges
   level.addPowerupSpawn(new THREE.Vector3(0, -1, -100), 'health');
 
+  // Checkpoint halfway through the level
+  level.addCheckpoint(new THREE.Vector3(0, 0, -105));
+
   // More bomber enemies
   level.addEnemySpawn(new THREE.Vector3(2, 1, -110), 'fighter');
   level.addEnemySpawn(new THREE.Vector3(-2, -1, -115), 'bomber');
@@ -105,6 +108,9 @@ export default function createLevel2() {
   // Health before boss
   level.addPowerupSpawn(new THREE.Vector3(0, 0, -190), 'health');
 
+  // Checkpoint outside the boss room
+  level.addCheckpoint(new THREE.Vector3(0, 0, -195));
+
   // Boss room at the end - destroyer mini-boss
   level.addSegment({
     type: SegmentType.BOSS_ROOM,
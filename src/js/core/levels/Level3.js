@@ -1,6 +1,6 @@
 // Level 3 - Final level with boss battle
 import LevelBlueprint from './LevelBlueprint.js';
-import { SegmentType, ObstaclePattern } from './SegmentTypes.js';
+import { SegmentType, ObstaclePattern, LevelTheme } from './SegmentTypes.js';
 import * as THREE from 'three';
 
 export default function createLevel3() {
@@ -8,6 +8,7 @@ export default function createLevel3() {
     segmentCount: 30,
     difficulty: 3,
     hasEndSegment: true,
+    theme: LevelTheme.LAVA,
   });
 
   // Starting area
@@ -25,7 +26,7 @@ export default function createLevel3() {
   level.addEnemySpawn(new THREE.Vector3(0, 1, -50), 'bomber');
   
   // Weapon pickup for early advantage
-  level.addPowerupSpawn(new THREE.Vector3(0, 0, -60), 'weaponPickup');
+  level.addPowerupSpawn(new THREE.Vector3(0, 0, -65), 'weaponPickup');
   
   // Complex pathway with curves
   level.addSegment({
@@ -54,6 +55,9 @@ export default function createLevel3() {
   level.addPowerupSpawn(new THREE.Vector3(0, 1, -95), 'health');
   level.addPowerupSpawn(new THREE.Vector3(2, 0, -100), 'ammoPickup');
   
+  // Checkpoint after the first battle
+  level.addCheckpoint(new THREE.Vector3(0, 0, -105));
+
   // Challenging narrow pathway
   for (let i = 0; i < 4; i++) {
     level.addSegment({
@@ -94,6 +98,9 @@ export default function createLevel3() {
     });
   }
 
+  // Checkpoint at the door of the boss arena
+  level.addCheckpoint(new THREE.Vector3(0, 0, -195));
+
   // Boss arena
   level.addSegment({
     type: SegmentType.BOSS_ROOM,
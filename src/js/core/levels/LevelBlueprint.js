@@ -1,4 +1,44 @@
 // Level Blueprint class for defining level structure and content
+import {
+  SegmentType,
+  ObjectiveType,
+  LevelTheme,
+  Formation,
+} from './SegmentTypes.js';
+import { resolveTheme } from './LevelThemes.js';
+import { getFormationOffsets, FORMATION_SPACING } from './Formations.js';
+
+// Spawn positions are either a THREE.Vector3 in level coordinates or a place
+// along a segment's centre line: { segment, along, offset: [x, y] }, with
+// `along` the share of the way through the segment (0.5 by default). Those
+// get their position once the level is laid out. Squads also give their
+// wingmen a `depth`, a distance further along the centre line.
+function createSpawn(position, fields = {}) {
+  if (position && position.isVector3) {
+    return { position, ...fields };
+  }
+  const anchor = {
+    segment: String(position.segment),
+    along: position.along !== undefined ? position.along : 0.5,
+    offset: position.offset ? [...position.offset] : [0, 0],
+  };
+  if (position.depth) anchor.depth = position.depth;
+  return { position: null, anchor, ...fields };
+}
+
+// Position of a squad member: the squad's position moved by the member's
+// formation offset, along the tunnel's -Z axis or the segment's centre line
+function offsetSpawnPosition(position, [x, y, back]) {
+  if (position && position.isVector3) {
+    return position.clone().add({ x, y, z: -back });
+  }
+  const [offsetX, offsetY] = position.offset || [0, 0];
+  return {
+    ...position,
+    offset: [offsetX + x, offsetY + y],
+    depth: (position.depth || 0) + back,
+  };
+}
 
 export default class LevelBlueprint {
   constructor(id, name, config = {}) {
@@ -7,9 +47,15 @@ export default class LevelBlueprint {
     this.segmentCount = config.segmentCount || 15;
     this.segments = []; // Will hold segment definitions
     this.enemySpawns = []; // Predefined enemy spawn points
+    this.squads = []; // Enemies flying in formation, see addSquad
     this.powerupSpawns = []; // Predefined power-up spawn points
+    this.hostageSpawns = []; // Hostages waiting to be rescued
+    this.checkpoints = []; // Where the player respawns after losing a life
+    this.objectives = []; // Mission objectives, all required to finish
     this.difficulty = config.difficulty || 1;
     this.endSegment = config.hasEndSegment || false; // Whether this level has an ending
+    this.escapeTime = config.escapeTime || 60; // Seconds to escape once the boss room reactor is destroyed
+    this.theme = config.theme || LevelTheme.CAVE; // Or { base, ...changes }
   }
 
   addSegment(segmentDef) {
@@ -18,12 +64,90 @@ export default class LevelBlueprint {
   }
 
   addEnemySpawn(position, enemyType) {
-    this.enemySpawns.push({ position, enemyType });
+    this.enemySpawns.push(createSpawn(position, { enemyType }));
+    return this;
+  }
+
+  // Add a squad: a leader and wingmen in formation, which fight together
+  // once one of them notices the player. squad is { formation, leader,
+  // wingmen, spacing }, with the leader and wingmen as enemy type names.
+  // Every member is an enemy spawn of its own, tagged with the index of the
+  // squad and its slot in it (the leader is slot 0).
+  addSquad(position, squad) {
+    const index = this.squads.length;
+    const definition = createSpawn(position, {
+      formation: squad.formation || Formation.V,
+      leader: squad.leader,
+      wingmen: [...(squad.wingmen || [])],
+      spacing: squad.spacing || FORMATION_SPACING,
+    });
+    this.squads.push(definition);
+
+    const types = [definition.leader, ...definition.wingmen];
+    const offsets = getFormationOffsets(
+      definition.formation,
+      types.length,
+      definition.spacing
+    );
+    types.forEach((enemyType, slot) => {
+      this.enemySpawns.push(
+        createSpawn(offsetSpawnPosition(position, offsets[slot]), {
+          enemyType,
+          squad: index,
+          slot,
+        })
+      );
+    });
     return this;
   }
 
   addPowerupSpawn(position, powerupType) {
-    this.powerupSpawns.push({ position, powerupType });
+    this.powerupSpawns.push(createSpawn(position, { powerupType }));
+    return this;
+  }
+
+  addHostageSpawn(position) {
+    this.hostageSpawns.push(createSpawn(position));
     return this;
   }
+
+  addCheckpoint(position) {
+    this.checkpoints.push(createSpawn(position));
+    return this;
+  }
+
+  addObjective(objective) {
+    this.objectives.push(objective);
+    return this;
+  }
+
+  // Objectives to play the level with. Levels that do not list any keep the
+  // old rules: boss room levels are won by destroying the reactor and
+  // escaping, others by destroying every predefined enemy.
+  getObjectives() {
+    if (this.objectives.length > 0) return this.objectives;
+
+    if (this.segments.some((s) => s.type === SegmentType.BOSS_ROOM)) {
+      return [
+        { type: ObjectiveType.DESTROY_TARGET, target: 'reactor' },
+        { type: ObjectiveType.REACH_EXIT },
+      ];
+    }
+
+    if (this.enemySpawns.length > 0) {
+      return [{ type: ObjectiveType.DESTROY_TARGET, target: 'all' }];
+    }
+
+    return [{ type: ObjectiveType.REACH_EXIT }];
+  }
+
+  // The complete theme to dress the level in, resolved once so reloading the
+  // level keeps the same theme
+  getTheme() {
+    if (!this.resolvedTheme || this.resolvedThemeSetting !== this.theme) {
+      this.resolvedTheme = resolveTheme(this.theme);
+      this.resolvedThemeSetting = this.theme;
+    }
+    return this.resolvedTheme;
+  }
 }
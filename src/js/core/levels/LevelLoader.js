@@ -0,0 +1,1278 @@
+// Level Loader for building LevelBlueprints from JSON level files
+import * as THREE from 'three';
+import LevelBlueprint from './LevelBlueprint.js';
+import { getSegmentId } from './TunnelGraph.js';
+import {
+  SegmentType,
+  ObstaclePattern,
+  ExitDirection,
+  ObjectiveType,
+  KeyColor,
+  HazardType,
+  HazardSide,
+  LevelTheme,
+  Formation,
+} from './SegmentTypes.js';
+import { enemyTypes } from '../../entities/EnemyTypes.js';
+import { powerupTypes } from '../../entities/PowerUpManager.js';
+
+// Current version of the JSON level format
+export const LEVEL_FORMAT_VERSION = 1;
+
+const OBSTACLE_TYPES = [
+  'rock',
+  'pipe',
+  'crate',
+  'fan',
+  'piston',
+  'slidingDoor',
+  'debris',
+];
+const MOTION_AXES = ['x', 'y', 'z'];
+
+// Optional fields of each hazard type and the values they take: a share of
+// the way through the segment, a positive number, seconds from 0 or a wall
+const HAZARD_FIELDS = {
+  [HazardType.LAVA]: { from: 'share', to: 'share', damage: 'positive' },
+  [HazardType.FORCE_FIELD]: {
+    along: 'share',
+    onTime: 'positive',
+    offTime: 'positive',
+    phase: 'seconds',
+    damage: 'positive',
+  },
+  [HazardType.ARC_EMITTER]: {
+    along: 'share',
+    side: 'side',
+    range: 'positive',
+    damage: 'positive',
+  },
+};
+
+// Fields a theme object may change and the values they take
+const THEME_FIELDS = {
+  wallTexture: 'text',
+  floorTexture: 'text',
+  wallColor: 'color',
+  floorColor: 'color',
+  fogColor: 'color',
+  fogDensity: 'positive',
+  ambientColor: 'color',
+  ambientIntensity: 'positive',
+  music: 'text',
+};
+const PARTICLE_FIELDS = {
+  color: 'color',
+  count: 'count',
+  size: 'positive',
+  opacity: 'positive',
+  drift: 'number',
+  rise: 'number',
+};
+
+// Error thrown when a level file cannot be loaded or fails validation
+export class LevelLoadError extends Error {
+  constructor(message, errors = [], source = null) {
+    super(message);
+    this.name = 'LevelLoadError';
+    this.errors = errors; // List of individual validation problems
+    this.source = source; // URL or name of the offending level file
+  }
+}
+
+// Check whether a value is a usable [x, y, z] array or {x, y, z} object
+function isVectorLike(value) {
+  if (Array.isArray(value)) {
+    return value.length === 3 && value.every((n) => Number.isFinite(n));
+  }
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Number.isFinite(value.x) &&
+    Number.isFinite(value.y) &&
+    Number.isFinite(value.z)
+  );
+}
+
+function toVector3(value) {
+  if (Array.isArray(value)) {
+    return new THREE.Vector3(value[0], value[1], value[2]);
+  }
+  return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+// Colors may be numbers (0x4466aa) or strings ('#4466aa' / '0x4466aa')
+function parseColor(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return value >= 0 && value <= 0xffffff ? value : null;
+  }
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(?:#|0x)([0-9a-f]{6})$/i);
+    if (match) return parseInt(match[1], 16);
+  }
+  return null;
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Segment ids and links may be strings or integers
+function isSegmentRef(value) {
+  return (
+    (typeof value === 'string' && value.trim() !== '') ||
+    Number.isInteger(value)
+  );
+}
+
+// Validate the links from a segment to the segments it leads on to
+function validateSegmentLinks(segment, path, errors) {
+  if (segment.id !== undefined && !isSegmentRef(segment.id)) {
+    errors.push(
+      `${path}.id: expected a string or integer, got ${describe(segment.id)}`
+    );
+  }
+
+  if (
+    segment.next !== undefined &&
+    segment.next !== null &&
+    !isSegmentRef(segment.next)
+  ) {
+    errors.push(
+      `${path}.next: expected a segment id or null, got ${describe(
+        segment.next
+      )}`
+    );
+  }
+
+  if (segment.exits === undefined) return;
+
+  if (segment.type !== SegmentType.JUNCTION) {
+    errors.push(
+      `${path}.exits: only "${SegmentType.JUNCTION}" segments have exits`
+    );
+  }
+  if (segment.next !== undefined) {
+    errors.push(`${path}: use either next or exits, not both`);
+  }
+  if (!Array.isArray(segment.exits)) {
+    errors.push(`${path}.exits: expected an array`);
+    return;
+  }
+
+  const directions = Object.values(ExitDirection);
+  const used = new Set();
+  segment.exits.forEach((exit, j) => {
+    const exitPath = `${path}.exits[${j}]`;
+    if (!exit || typeof exit !== 'object') {
+      errors.push(`${exitPath}: expected an object`);
+      return;
+    }
+    if (!directions.includes(exit.direction)) {
+      errors.push(
+        `${exitPath}.direction: unknown direction ${describe(
+          exit.direction
+        )} (expected one of ${directions.join(', ')})`
+      );
+    } else if (used.has(exit.direction)) {
+      errors.push(`${exitPath}.direction: "${exit.direction}" is used twice`);
+    }
+    used.add(exit.direction);
+    if (exit.next !== null && !isSegmentRef(exit.next)) {
+      errors.push(
+        `${exitPath}.next: expected a segment id or null, got ${describe(
+          exit.next
+        )}`
+      );
+    }
+  });
+}
+
+// Check that segment ids are unique and that every link points at one
+function validateSegmentGraph(segments, errors) {
+  const ids = new Map();
+  segments.forEach((segment, i) => {
+    if (!segment || typeof segment !== 'object') return;
+    const id = getSegmentId(segment, i);
+    if (ids.has(id)) {
+      errors.push(
+        `segments[${i}].id: "${id}" is already used by segments[${ids.get(
+          id
+        )}]`
+      );
+    } else {
+      ids.set(id, i);
+    }
+  });
+
+  segments.forEach((segment, i) => {
+    if (!segment || typeof segment !== 'object') return;
+    const links = Array.isArray(segment.exits)
+      ? segment.exits.map((exit) => exit && exit.next)
+      : [segment.next];
+    for (const next of links) {
+      if (isSegmentRef(next) && !ids.has(String(next))) {
+        errors.push(
+          `segments[${i}]: leads to unknown segment ${describe(next)}`
+        );
+      }
+    }
+  });
+}
+
+// Validate where a spawn is placed: at a level position, or along the centre
+// line of one of the level's segments ({ segment, along, offset })
+function validatePlacement(spawn, path, segmentIds, errors) {
+  if (spawn.segment === undefined) {
+    if (!isVectorLike(spawn.position)) {
+      errors.push(
+        `${path}.position: expected [x, y, z] or {x, y, z}, got ${describe(
+          spawn.position
+        )}`
+      );
+    }
+    return;
+  }
+
+  if (spawn.position !== undefined) {
+    errors.push(`${path}: use either position or segment, not both`);
+  }
+  if (!isSegmentRef(spawn.segment)) {
+    errors.push(
+      `${path}.segment: expected a segment id, got ${describe(spawn.segment)}`
+    );
+  } else if (!segmentIds.has(String(spawn.segment))) {
+    errors.push(`${path}.segment: unknown segment ${describe(spawn.segment)}`);
+  }
+  if (
+    spawn.along !== undefined &&
+    !(Number.isFinite(spawn.along) && spawn.along >= 0 && spawn.along <= 1)
+  ) {
+    errors.push(
+      `${path}.along: expected a number from 0 to 1, got ${describe(
+        spawn.along
+      )}`
+    );
+  }
+  if (
+    spawn.offset !== undefined &&
+    !(
+      Array.isArray(spawn.offset) &&
+      spawn.offset.length === 2 &&
+      spawn.offset.every((n) => Number.isFinite(n))
+    )
+  ) {
+    errors.push(
+      `${path}.offset: expected [x, y], got ${describe(spawn.offset)}`
+    );
+  }
+}
+
+// Validate a position/type spawn entry shared by enemies, power-ups and
+// custom obstacles. Only spawns get segmentIds and may be placed along a
+// segment instead of at a position.
+function validateSpawn(
+  spawn,
+  path,
+  typeKey,
+  validTypes,
+  errors,
+  segmentIds = null
+) {
+  if (!spawn || typeof spawn !== 'object') {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  if (segmentIds) {
+    validatePlacement(spawn, path, segmentIds, errors);
+  } else if (!isVectorLike(spawn.position)) {
+    errors.push(
+      `${path}.position: expected [x, y, z] or {x, y, z}, got ${describe(
+        spawn.position
+      )}`
+    );
+  }
+  if (!validTypes.includes(spawn[typeKey])) {
+    errors.push(
+      `${path}.${typeKey}: unknown type ${describe(
+        spawn[typeKey]
+      )} (expected one of ${validTypes.join(', ')})`
+    );
+  }
+}
+
+// Validate a squad: its placement, formation, leader and wingmen types and
+// the spacing between its members
+function validateSquad(squad, path, enemyNames, errors, segmentIds) {
+  validateSpawn(squad, path, 'leader', enemyNames, errors, segmentIds);
+  if (!squad || typeof squad !== 'object') return;
+
+  const formations = Object.values(Formation);
+  if (
+    squad.formation !== undefined &&
+    !formations.includes(squad.formation)
+  ) {
+    errors.push(
+      `${path}.formation: unknown formation ${describe(
+        squad.formation
+      )} (expected one of ${formations.join(', ')})`
+    );
+  }
+
+  if (squad.wingmen !== undefined && !Array.isArray(squad.wingmen)) {
+    errors.push(
+      `${path}.wingmen: expected an array of enemy types, got ${describe(
+        squad.wingmen
+      )}`
+    );
+  } else {
+    (squad.wingmen || []).forEach((type, i) => {
+      if (!enemyNames.includes(type)) {
+        errors.push(
+          `${path}.wingmen[${i}]: unknown type ${describe(
+            type
+          )} (expected one of ${enemyNames.join(', ')})`
+        );
+      }
+    });
+  }
+
+  if (
+    squad.spacing !== undefined &&
+    !(Number.isFinite(squad.spacing) && squad.spacing > 0)
+  ) {
+    errors.push(
+      `${path}.spacing: expected a positive number, got ${describe(
+        squad.spacing
+      )}`
+    );
+  }
+}
+
+// Validate a custom obstacle: its type and position, and optionally its hit
+// points and the power-up a crate releases when it is shot apart
+function validateObstacle(obstacle, path, errors) {
+  validateSpawn(obstacle, path, 'type', OBSTACLE_TYPES, errors);
+  if (!obstacle || typeof obstacle !== 'object') return;
+
+  if (
+    obstacle.health !== undefined &&
+    !(Number.isFinite(obstacle.health) && obstacle.health > 0)
+  ) {
+    errors.push(
+      `${path}.health: expected a positive number, got ${describe(
+        obstacle.health
+      )}`
+    );
+  }
+
+  if (obstacle.motion !== undefined) {
+    validateMotion(obstacle.motion, `${path}.motion`, errors);
+  }
+
+  if (obstacle.contents !== undefined) {
+    const powerupNames = powerupTypes.map((t) => t.name);
+    if (obstacle.type !== 'crate') {
+      errors.push(`${path}.contents: only crates hold contents`);
+    } else if (!powerupNames.includes(obstacle.contents)) {
+      errors.push(
+        `${path}.contents: unknown power-up ${describe(
+          obstacle.contents
+        )} (expected one of ${powerupNames.join(', ')})`
+      );
+    }
+  }
+}
+
+// Validate the motion of a moving obstacle: rotate, path and orbit in the
+// segment's frame, with the period and phase they share
+function validateMotion(motion, path, errors) {
+  if (!motion || typeof motion !== 'object' || Array.isArray(motion)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+
+  for (const field of Object.keys(motion)) {
+    if (!['rotate', 'path', 'orbit', 'period', 'phase'].includes(field)) {
+      errors.push(`${path}.${field}: not a motion field`);
+    }
+  }
+
+  const checkAxis = (axis, axisPath) => {
+    if (axis !== undefined && !MOTION_AXES.includes(axis)) {
+      errors.push(
+        `${axisPath}: unknown axis ${describe(
+          axis
+        )} (expected one of ${MOTION_AXES.join(', ')})`
+      );
+    }
+  };
+
+  if (motion.rotate !== undefined) {
+    const rotate = motion.rotate;
+    if (!rotate || typeof rotate !== 'object') {
+      errors.push(`${path}.rotate: expected an object`);
+    } else {
+      checkAxis(rotate.axis, `${path}.rotate.axis`);
+      if (!Number.isFinite(rotate.speed)) {
+        errors.push(
+          `${path}.rotate.speed: expected radians per second, got ${describe(
+            rotate.speed
+          )}`
+        );
+      }
+    }
+  }
+
+  if (motion.path !== undefined) {
+    if (!Array.isArray(motion.path) || motion.path.length < 2) {
+      errors.push(`${path}.path: expected an array of at least two points`);
+    } else {
+      motion.path.forEach((point, i) => {
+        if (!isVectorLike(point)) {
+          errors.push(`${path}.path[${i}]: expected [x, y, z]`);
+        }
+      });
+    }
+  }
+
+  if (motion.orbit !== undefined) {
+    const orbit = motion.orbit;
+    if (!orbit || typeof orbit !== 'object') {
+      errors.push(`${path}.orbit: expected an object`);
+    } else {
+      checkAxis(orbit.axis, `${path}.orbit.axis`);
+      if (!(Number.isFinite(orbit.radius) && orbit.radius > 0)) {
+        errors.push(
+          `${path}.orbit.radius: expected a positive number, got ${describe(
+            orbit.radius
+          )}`
+        );
+      }
+    }
+  }
+
+  if (
+    motion.period !== undefined &&
+    !(Number.isFinite(motion.period) && motion.period > 0)
+  ) {
+    errors.push(
+      `${path}.period: expected a positive number of seconds, got ${describe(
+        motion.period
+      )}`
+    );
+  }
+
+  if (
+    motion.phase !== undefined &&
+    !(Number.isFinite(motion.phase) && motion.phase >= 0 && motion.phase <= 1)
+  ) {
+    errors.push(
+      `${path}.phase: expected a number from 0 to 1, got ${describe(
+        motion.phase
+      )}`
+    );
+  }
+}
+
+// Validate one environmental hazard of a segment
+function validateHazard(hazard, path, errors) {
+  if (!hazard || typeof hazard !== 'object') {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+
+  const hazardTypes = Object.values(HazardType);
+  if (!hazardTypes.includes(hazard.type)) {
+    errors.push(
+      `${path}.type: unknown hazard ${describe(
+        hazard.type
+      )} (expected one of ${hazardTypes.join(', ')})`
+    );
+    return;
+  }
+
+  const fields = HAZARD_FIELDS[hazard.type];
+  const sides = Object.values(HazardSide);
+  for (const [field, value] of Object.entries(hazard)) {
+    if (field === 'type') continue;
+
+    const fieldPath = `${path}.${field}`;
+    switch (fields[field]) {
+      case 'share':
+        if (!(Number.isFinite(value) && value >= 0 && value <= 1)) {
+          errors.push(
+            `${fieldPath}: expected a number from 0 to 1, got ${describe(
+              value
+            )}`
+          );
+        }
+        break;
+      case 'positive':
+        if (!(Number.isFinite(value) && value > 0)) {
+          errors.push(
+            `${fieldPath}: expected a positive number, got ${describe(value)}`
+          );
+        }
+        break;
+      case 'seconds':
+        if (!(Number.isFinite(value) && value >= 0)) {
+          errors.push(
+            `${fieldPath}: expected a number of seconds, got ${describe(
+              value
+            )}`
+          );
+        }
+        break;
+      case 'side':
+        if (!sides.includes(value)) {
+          errors.push(
+            `${fieldPath}: unknown side ${describe(
+              value
+            )} (expected one of ${sides.join(', ')})`
+          );
+        }
+        break;
+      default:
+        errors.push(`${fieldPath}: not a field of "${hazard.type}" hazards`);
+    }
+  }
+
+  if (
+    hazard.type === HazardType.LAVA &&
+    (hazard.from !== undefined ? hazard.from : 0) >=
+      (hazard.to !== undefined ? hazard.to : 1)
+  ) {
+    errors.push(`${path}: from must be less than to`);
+  }
+}
+
+// Validate theme fields against a table of the values they take
+function validateThemeFields(values, fields, path, errors) {
+  for (const [field, value] of Object.entries(values)) {
+    const fieldPath = `${path}.${field}`;
+    switch (fields[field]) {
+      case 'text':
+        if (typeof value !== 'string' || value.trim() === '') {
+          errors.push(`${fieldPath}: expected a non-empty string`);
+        }
+        break;
+      case 'color':
+        if (parseColor(value) === null) {
+          errors.push(
+            `${fieldPath}: expected a color like "#4466aa", got ${describe(
+              value
+            )}`
+          );
+        }
+        break;
+      case 'positive':
+        if (!(Number.isFinite(value) && value > 0)) {
+          errors.push(
+            `${fieldPath}: expected a positive number, got ${describe(value)}`
+          );
+        }
+        break;
+      case 'count':
+        if (!(Number.isInteger(value) && value > 0)) {
+          errors.push(
+            `${fieldPath}: expected a positive integer, got ${describe(value)}`
+          );
+        }
+        break;
+      case 'number':
+        if (!Number.isFinite(value)) {
+          errors.push(
+            `${fieldPath}: expected a number, got ${describe(value)}`
+          );
+        }
+        break;
+      default:
+        errors.push(`${fieldPath}: not a theme field`);
+    }
+  }
+}
+
+// Validate a level theme: a theme name, or an object that changes some
+// fields of a base theme
+function validateTheme(theme, path, errors) {
+  const themes = Object.values(LevelTheme);
+  if (typeof theme === 'string') {
+    if (!themes.includes(theme)) {
+      errors.push(
+        `${path}: unknown theme ${describe(
+          theme
+        )} (expected one of ${themes.join(', ')})`
+      );
+    }
+    return;
+  }
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    errors.push(`${path}: expected a theme name or an object`);
+    return;
+  }
+
+  const { base, particles, ...fields } = theme;
+  if (base !== undefined && !themes.includes(base)) {
+    errors.push(
+      `${path}.base: unknown theme ${describe(
+        base
+      )} (expected one of ${themes.join(', ')})`
+    );
+  }
+  validateThemeFields(fields, THEME_FIELDS, path, errors);
+
+  if (particles !== undefined) {
+    if (!particles || typeof particles !== 'object') {
+      errors.push(`${path}.particles: expected an object`);
+    } else {
+      validateThemeFields(
+        particles,
+        PARTICLE_FIELDS,
+        `${path}.particles`,
+        errors
+      );
+    }
+  }
+}
+
+// Colors of a theme object as numbers (toNumber) or '#rrggbb' strings
+function mapThemeColors(theme, convert) {
+  if (!theme || typeof theme !== 'object') return theme;
+
+  const copy = { ...theme };
+  for (const [field, kind] of Object.entries(THEME_FIELDS)) {
+    if (kind === 'color' && copy[field] !== undefined) {
+      copy[field] = convert(copy[field]);
+    }
+  }
+  if (theme.particles) {
+    copy.particles = { ...theme.particles };
+    if (copy.particles.color !== undefined) {
+      copy.particles.color = convert(copy.particles.color);
+    }
+  }
+  return copy;
+}
+
+// Validate one mission objective entry
+function validateObjective(objective, path, errors) {
+  if (!objective || typeof objective !== 'object') {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+
+  const objectiveTypes = Object.values(ObjectiveType);
+  if (!objectiveTypes.includes(objective.type)) {
+    errors.push(
+      `${path}.type: unknown objective ${describe(
+        objective.type
+      )} (expected one of ${objectiveTypes.join(', ')})`
+    );
+  }
+
+  if (
+    objective.type === ObjectiveType.SURVIVE &&
+    !(Number.isFinite(objective.seconds) && objective.seconds > 0)
+  ) {
+    errors.push(`${path}.seconds: expected a positive number of seconds`);
+  }
+  if (
+    objective.count !== undefined &&
+    !(Number.isInteger(objective.count) && objective.count > 0)
+  ) {
+    errors.push(`${path}.count: expected a positive integer`);
+  }
+  for (const key of ['label', 'item', 'target']) {
+    if (objective[key] !== undefined && typeof objective[key] !== 'string') {
+      errors.push(`${path}.${key}: expected a string`);
+    }
+  }
+}
+
+/**
+ * Validate raw level data against the level file schema
+ * @param {Object} data - Parsed JSON level data
+ * @returns {Array<String>} - List of problems, empty when the level is valid
+ */
+export function validateLevelData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['level: expected a JSON object'];
+  }
+
+  if (data.version !== LEVEL_FORMAT_VERSION) {
+    errors.push(
+      `version: unsupported level format version ${describe(
+        data.version
+      )} (expected ${LEVEL_FORMAT_VERSION})`
+    );
+  }
+
+  if (!Number.isFinite(data.id)) {
+    errors.push(`id: expected a number, got ${describe(data.id)}`);
+  }
+
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    errors.push('name: expected a non-empty string');
+  }
+
+  if (data.config !== undefined) {
+    const config = data.config;
+    if (!config || typeof config !== 'object') {
+      errors.push('config: expected an object');
+    } else {
+      if (
+        config.segmentCount !== undefined &&
+        !(Number.isInteger(config.segmentCount) && config.segmentCount > 0)
+      ) {
+        errors.push('config.segmentCount: expected a positive integer');
+      }
+      if (
+        config.difficulty !== undefined &&
+        !Number.isFinite(config.difficulty)
+      ) {
+        errors.push('config.difficulty: expected a number');
+      }
+      if (
+        config.hasEndSegment !== undefined &&
+        typeof config.hasEndSegment !== 'boolean'
+      ) {
+        errors.push('config.hasEndSegment: expected a boolean');
+      }
+      if (
+        config.escapeTime !== undefined &&
+        !(Number.isFinite(config.escapeTime) && config.escapeTime > 0)
+      ) {
+        errors.push('config.escapeTime: expected a positive number of seconds');
+      }
+      if (config.theme !== undefined) {
+        validateTheme(config.theme, 'config.theme', errors);
+      }
+    }
+  }
+
+  // Segments
+  const segmentTypes = Object.values(SegmentType);
+  const obstaclePatterns = Object.values(ObstaclePattern);
+
+  if (!Array.isArray(data.segments) || data.segments.length === 0) {
+    errors.push('segments: expected a non-empty array');
+  } else {
+    data.segments.forEach((segment, i) => {
+      const path = `segments[${i}]`;
+      if (!segment || typeof segment !== 'object') {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+
+      if (!segmentTypes.includes(segment.type)) {
+        errors.push(
+          `${path}.type: unknown segment type ${describe(
+            segment.type
+          )} (expected one of ${segmentTypes.join(', ')})`
+        );
+      }
+
+      if (!obstaclePatterns.includes(segment.obstacles)) {
+        errors.push(
+          `${path}.obstacles: unknown obstacle pattern ${describe(
+            segment.obstacles
+          )} (expected one of ${obstaclePatterns.join(', ')})`
+        );
+      }
+
+      if (
+        segment.lightColor !== undefined &&
+        parseColor(segment.lightColor) === null
+      ) {
+        errors.push(
+          `${path}.lightColor: expected a color like "#4466aa", got ${describe(
+            segment.lightColor
+          )}`
+        );
+      }
+
+      const keyColors = Object.values(KeyColor);
+      if (segment.door !== undefined && !keyColors.includes(segment.door)) {
+        errors.push(
+          `${path}.door: unknown key color ${describe(
+            segment.door
+          )} (expected one of ${keyColors.join(', ')})`
+        );
+      }
+
+      if (segment.obstacles === ObstaclePattern.CUSTOM) {
+        if (!Array.isArray(segment.customObstacles)) {
+          errors.push(
+            `${path}.customObstacles: required when obstacles is "${ObstaclePattern.CUSTOM}"`
+          );
+        }
+      }
+
+      validateSegmentLinks(segment, path, errors);
+
+      if (segment.hazards !== undefined) {
+        if (!Array.isArray(segment.hazards)) {
+          errors.push(`${path}.hazards: expected an array`);
+        } else {
+          segment.hazards.forEach((hazard, j) => {
+            validateHazard(hazard, `${path}.hazards[${j}]`, errors);
+          });
+        }
+      }
+
+      if (segment.customObstacles !== undefined) {
+        if (!Array.isArray(segment.customObstacles)) {
+          errors.push(`${path}.customObstacles: expected an array`);
+        } else {
+          segment.customObstacles.forEach((obstacle, j) => {
+            validateObstacle(obstacle, `${path}.customObstacles[${j}]`, errors);
+          });
+        }
+      }
+    });
+
+    validateSegmentGraph(data.segments, errors);
+
+    // The END segment must be last when the level declares one. Branching
+    // levels link their segments explicitly, so the END can be anywhere.
+    const isBranching = data.segments.some(
+      (segment) =>
+        segment && (segment.exits !== undefined || segment.next !== undefined)
+    );
+    if (data.config && data.config.hasEndSegment) {
+      if (isBranching) {
+        if (!data.segments.some((s) => s && s.type === SegmentType.END)) {
+          errors.push(
+            `segments: hasEndSegment is true but no segment is "${SegmentType.END}"`
+          );
+        }
+      } else {
+        const last = data.segments[data.segments.length - 1];
+        if (!last || last.type !== SegmentType.END) {
+          errors.push(
+            `segments: hasEndSegment is true but the last segment is not "${SegmentType.END}"`
+          );
+        }
+      }
+    }
+  }
+
+  // Spawns
+  const enemyNames = enemyTypes.map((t) => t.name);
+  const powerupNames = powerupTypes.map((t) => t.name);
+  const segmentIds = new Set(
+    (Array.isArray(data.segments) ? data.segments : [])
+      .map((segment, i) =>
+        segment && typeof segment === 'object' ? getSegmentId(segment, i) : null
+      )
+      .filter((id) => id !== null)
+  );
+
+  if (data.enemySpawns !== undefined && !Array.isArray(data.enemySpawns)) {
+    errors.push('enemySpawns: expected an array');
+  } else {
+    (data.enemySpawns || []).forEach((spawn, i) => {
+      validateSpawn(
+        spawn,
+        `enemySpawns[${i}]`,
+        'enemyType',
+        enemyNames,
+        errors,
+        segmentIds
+      );
+    });
+  }
+
+  if (data.squads !== undefined && !Array.isArray(data.squads)) {
+    errors.push('squads: expected an array');
+  } else {
+    (data.squads || []).forEach((squad, i) => {
+      validateSquad(squad, `squads[${i}]`, enemyNames, errors, segmentIds);
+    });
+  }
+
+  if (data.powerupSpawns !== undefined && !Array.isArray(data.powerupSpawns)) {
+    errors.push('powerupSpawns: expected an array');
+  } else {
+    (data.powerupSpawns || []).forEach((spawn, i) => {
+      validateSpawn(
+        spawn,
+        `powerupSpawns[${i}]`,
+        'powerupType',
+        powerupNames,
+        errors,
+        segmentIds
+      );
+    });
+  }
+
+  if (data.hostageSpawns !== undefined && !Array.isArray(data.hostageSpawns)) {
+    errors.push('hostageSpawns: expected an array');
+  } else {
+    (data.hostageSpawns || []).forEach((spawn, i) => {
+      const path = `hostageSpawns[${i}]`;
+      if (!spawn || typeof spawn !== 'object') {
+        errors.push(`${path}: expected an object`);
+      } else {
+        validatePlacement(spawn, path, segmentIds, errors);
+      }
+    });
+  }
+
+  if (data.checkpoints !== undefined && !Array.isArray(data.checkpoints)) {
+    errors.push('checkpoints: expected an array');
+  } else {
+    (data.checkpoints || []).forEach((checkpoint, i) => {
+      const path = `checkpoints[${i}]`;
+      if (!checkpoint || typeof checkpoint !== 'object') {
+        errors.push(`${path}: expected an object`);
+      } else {
+        validatePlacement(checkpoint, path, segmentIds, errors);
+      }
+    });
+  }
+
+  // Every locked door needs its keycard somewhere in the level, out in the
+  // open or inside a crate
+  if (Array.isArray(data.segments)) {
+    const spawns = Array.isArray(data.powerupSpawns) ? data.powerupSpawns : [];
+    const keys = spawns.map((spawn) => spawn && spawn.powerupType);
+    for (const segment of data.segments) {
+      if (segment && Array.isArray(segment.customObstacles)) {
+        for (const obstacle of segment.customObstacles) {
+          if (obstacle) keys.push(obstacle.contents);
+        }
+      }
+    }
+    data.segments.forEach((segment, i) => {
+      if (
+        segment &&
+        Object.values(KeyColor).includes(segment.door) &&
+        !keys.includes(`${segment.door}Key`)
+      ) {
+        errors.push(
+          `segments[${i}].door: no "${segment.door}Key" in powerupSpawns or a crate opens this door`
+        );
+      }
+    });
+  }
+
+  // Objectives
+  if (data.objectives !== undefined && !Array.isArray(data.objectives)) {
+    errors.push('objectives: expected an array');
+  } else {
+    (data.objectives || []).forEach((objective, i) => {
+      validateObjective(objective, `objectives[${i}]`, errors);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Build a LevelBlueprint from parsed JSON level data
+ * @param {Object} data - Parsed JSON level data
+ * @param {String} source - Optional file name used in error messages
+ * @returns {LevelBlueprint} - The constructed blueprint
+ * @throws {LevelLoadError} - When the data does not match the schema
+ */
+export function parseLevel(data, source = null) {
+  const errors = validateLevelData(data);
+  if (errors.length > 0) {
+    const where = source ? ` (${source})` : '';
+    throw new LevelLoadError(
+      `Invalid level file${where}:\n  - ${errors.join('\n  - ')}`,
+      errors,
+      source
+    );
+  }
+
+  const config = data.config || {};
+  const level = new LevelBlueprint(data.id, data.name, {
+    ...config,
+    theme: mapThemeColors(config.theme, parseColor),
+  });
+
+  for (const segment of data.segments) {
+    const segmentDef = {
+      type: segment.type,
+      obstacles: segment.obstacles,
+    };
+
+    if (segment.id !== undefined) {
+      segmentDef.id = String(segment.id);
+    }
+
+    if (segment.next !== undefined) {
+      segmentDef.next = segment.next === null ? null : String(segment.next);
+    }
+
+    if (segment.exits) {
+      segmentDef.exits = segment.exits.map((exit) => ({
+        direction: exit.direction,
+        next: exit.next === null ? null : String(exit.next),
+      }));
+    }
+
+    if (segment.lightColor !== undefined) {
+      segmentDef.lightColor = parseColor(segment.lightColor);
+    }
+
+    if (segment.door !== undefined) {
+      segmentDef.door = segment.door;
+    }
+
+    if (segment.hazards) {
+      segmentDef.hazards = segment.hazards.map((hazard) => ({ ...hazard }));
+    }
+
+    if (segment.customObstacles) {
+      segmentDef.customObstacles = segment.customObstacles.map((obstacle) => {
+        const obstacleDef = {
+          position: toVector3(obstacle.position),
+          type: obstacle.type,
+        };
+        if (obstacle.health !== undefined) {
+          obstacleDef.health = obstacle.health;
+        }
+        if (obstacle.contents !== undefined) {
+          obstacleDef.contents = obstacle.contents;
+        }
+        if (obstacle.motion !== undefined) {
+          obstacleDef.motion = toMotion(obstacle.motion);
+        }
+        return obstacleDef;
+      });
+    }
+
+    level.addSegment(segmentDef);
+  }
+
+  for (const spawn of data.enemySpawns || []) {
+    level.addEnemySpawn(toSpawnPosition(spawn), spawn.enemyType);
+  }
+
+  for (const squad of data.squads || []) {
+    level.addSquad(toSpawnPosition(squad), {
+      formation: squad.formation,
+      leader: squad.leader,
+      wingmen: squad.wingmen,
+      spacing: squad.spacing,
+    });
+  }
+
+  for (const spawn of data.powerupSpawns || []) {
+    level.addPowerupSpawn(toSpawnPosition(spawn), spawn.powerupType);
+  }
+
+  for (const spawn of data.hostageSpawns || []) {
+    level.addHostageSpawn(toSpawnPosition(spawn));
+  }
+
+  for (const checkpoint of data.checkpoints || []) {
+    level.addCheckpoint(toSpawnPosition(checkpoint));
+  }
+
+  for (const objective of data.objectives || []) {
+    level.addObjective({ ...objective });
+  }
+
+  return level;
+}
+
+function toArray(vector) {
+  return [vector.x, vector.y, vector.z];
+}
+
+// Where a spawn's JSON entry puts it: a level position, or a place along a
+// segment's centre line that is resolved once the level is laid out
+function toSpawnPosition(spawn) {
+  if (spawn.segment === undefined) return toVector3(spawn.position);
+  const { segment, along, offset } = spawn;
+  return { segment, along, offset };
+}
+
+// JSON placement of a spawn, the inverse of toSpawnPosition
+function toSpawnData(spawn) {
+  if (!spawn.anchor) return { position: toArray(spawn.position) };
+  return {
+    segment: spawn.anchor.segment,
+    along: spawn.anchor.along,
+    offset: [...spawn.anchor.offset],
+  };
+}
+
+// Copy of an obstacle's motion with its path points as [x, y, z] arrays
+function toMotion(motion) {
+  const copy = { ...motion };
+  if (motion.rotate) copy.rotate = { ...motion.rotate };
+  if (motion.orbit) copy.orbit = { ...motion.orbit };
+  if (motion.path) {
+    copy.path = motion.path.map((point) => toArray(toVector3(point)));
+  }
+  return copy;
+}
+
+function toHexColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Convert a LevelBlueprint into plain JSON level data
+ * @param {LevelBlueprint} level - The blueprint to serialize
+ * @returns {Object} - Level data that parseLevel can load back
+ */
+export function serializeLevel(level) {
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    id: level.id,
+    name: level.name,
+    config: {
+      segmentCount: level.segmentCount,
+      difficulty: level.difficulty,
+      hasEndSegment: level.endSegment,
+      escapeTime: level.escapeTime,
+      theme: mapThemeColors(level.theme, toHexColor),
+    },
+    segments: level.segments.map((segment) => {
+      const data = {
+        type: segment.type,
+        obstacles: segment.obstacles,
+      };
+      if (segment.id !== undefined) {
+        data.id = segment.id;
+      }
+      if (segment.next !== undefined) {
+        data.next = segment.next;
+      }
+      if (segment.exits) {
+        data.exits = segment.exits.map((exit) => ({
+          direction: exit.direction,
+          next: exit.next,
+        }));
+      }
+      if (segment.lightColor !== undefined) {
+        data.lightColor = toHexColor(segment.lightColor);
+      }
+      if (segment.door !== undefined) {
+        data.door = segment.door;
+      }
+      if (segment.hazards) {
+        data.hazards = segment.hazards.map((hazard) => ({ ...hazard }));
+      }
+      if (segment.customObstacles) {
+        data.customObstacles = segment.customObstacles.map((obstacle) => {
+          const obstacleData = {
+            position: toArray(obstacle.position),
+            type: obstacle.type,
+          };
+          if (obstacle.health !== undefined) {
+            obstacleData.health = obstacle.health;
+          }
+          if (obstacle.contents !== undefined) {
+            obstacleData.contents = obstacle.contents;
+          }
+          if (obstacle.motion !== undefined) {
+            obstacleData.motion = toMotion(obstacle.motion);
+          }
+          return obstacleData;
+        });
+      }
+      return data;
+    }),
+    // Squad members are written as their squad
+    enemySpawns: level.enemySpawns
+      .filter((spawn) => spawn.squad === undefined)
+      .map((spawn) => ({
+        ...toSpawnData(spawn),
+        enemyType: spawn.enemyType,
+      })),
+    squads: level.squads.map((squad) => ({
+      ...toSpawnData(squad),
+      formation: squad.formation,
+      leader: squad.leader,
+      wingmen: [...squad.wingmen],
+      spacing: squad.spacing,
+    })),
+    powerupSpawns: level.powerupSpawns.map((spawn) => ({
+      ...toSpawnData(spawn),
+      powerupType: spawn.powerupType,
+    })),
+    hostageSpawns: level.hostageSpawns.map((spawn) => toSpawnData(spawn)),
+    checkpoints: level.checkpoints.map((spawn) => toSpawnData(spawn)),
+    objectives: level.objectives.map((objective) => ({ ...objective })),
+  };
+}
+
+/**
+ * Fetch and parse a single JSON level file
+ * @param {String} url - URL of the level file
+ * @returns {Promise<LevelBlueprint>} - The constructed blueprint
+ */
+export async function loadLevelFromUrl(url) {
+  let data;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    data = await response.json();
+  } catch (error) {
+    throw new LevelLoadError(
+      `Could not load level file ${url}: ${error.message}`,
+      [error.message],
+      url
+    );
+  }
+
+  return parseLevel(data, url);
+}
+
+/**
+ * Load every level listed in a manifest file
+ * The manifest is { "levels": ["level4.json", ...] } with paths relative to it.
+ * A level file that fails to load or validate is reported and skipped.
+ * @param {String} manifestUrl - URL of the manifest file
+ * @returns {Promise<Array<LevelBlueprint>>} - Blueprints in manifest order
+ */
+export async function loadLevelManifest(manifestUrl) {
+  let manifest;
+  try {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    manifest = await response.json();
+  } catch (error) {
+    throw new LevelLoadError(
+      `Could not load level manifest ${manifestUrl}: ${error.message}`,
+      [error.message],
+      manifestUrl
+    );
+  }
+
+  if (!manifest || !Array.isArray(manifest.levels)) {
+    throw new LevelLoadError(
+      `Invalid level manifest ${manifestUrl}: expected { "levels": [...] }`,
+      ['levels: expected an array of level file paths'],
+      manifestUrl
+    );
+  }
+
+  const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+  const levels = [];
+  for (const entry of manifest.levels) {
+    const url = /^(\/|[a-z]+:)/i.test(entry) ? entry : baseUrl + entry;
+    try {
+      levels.push(await loadLevelFromUrl(url));
+    } catch (error) {
+      // One broken file should not take the other levels down with it
+      console.error(`Skipping level ${url}: ${error.message}`);
+    }
+  }
+
+  return levels;
+}
@@ -0,0 +1,106 @@
+// Environment themes: what a level looks and sounds like beyond the light
+// colors of its segments
+import { LevelTheme } from './SegmentTypes.js';
+
+// Every theme sets all of these. Textures are tinted with the wall and floor
+// colors, and the dust particles drift towards the player at `drift` and
+// upwards at `rise` (negative values fall).
+export const THEMES = {
+  [LevelTheme.CAVE]: {
+    wallTexture: '/textures/wall.jpg',
+    floorTexture: '/textures/floor.jpg',
+    wallColor: 0x888888,
+    floorColor: 0x666666,
+    fogColor: 0x000511,
+    fogDensity: 0.03,
+    ambientColor: 0x333333,
+    ambientIntensity: 0.3,
+    particles: {
+      color: 0x80b3ff,
+      count: 1000,
+      size: 0.05,
+      opacity: 0.6,
+      drift: 0.5,
+      rise: 0,
+    },
+    music: 'backgroundMusic',
+  },
+  [LevelTheme.ICE]: {
+    wallTexture: '/textures/ceiling.jpg',
+    floorTexture: '/textures/floor.jpg',
+    wallColor: 0xaaccee,
+    floorColor: 0xddeeff,
+    fogColor: 0x0a1a2a,
+    fogDensity: 0.04,
+    ambientColor: 0x446688,
+    ambientIntensity: 0.45,
+    particles: {
+      color: 0xeef6ff,
+      count: 1400,
+      size: 0.07,
+      opacity: 0.8,
+      drift: 0.3,
+      rise: -0.4,
+    },
+    music: 'iceMusic',
+  },
+  [LevelTheme.LAVA]: {
+    wallTexture: '/textures/wall.jpg',
+    floorTexture: '/textures/floor.jpg',
+    wallColor: 0x774433,
+    floorColor: 0x993311,
+    fogColor: 0x1a0500,
+    fogDensity: 0.035,
+    ambientColor: 0x552211,
+    ambientIntensity: 0.4,
+    particles: {
+      color: 0xff6622,
+      count: 600,
+      size: 0.08,
+      opacity: 0.9,
+      drift: 0.4,
+      rise: 0.6,
+    },
+    music: 'lavaMusic',
+  },
+  [LevelTheme.HIVE]: {
+    wallTexture: '/textures/ceiling.jpg',
+    floorTexture: '/textures/wall.jpg',
+    wallColor: 0x557744,
+    floorColor: 0x664477,
+    fogColor: 0x081004,
+    fogDensity: 0.045,
+    ambientColor: 0x334422,
+    ambientIntensity: 0.35,
+    particles: {
+      color: 0x99ff44,
+      count: 800,
+      size: 0.06,
+      opacity: 0.7,
+      drift: 0.8,
+      rise: 0.1,
+    },
+    music: 'hiveMusic',
+  },
+};
+
+export const DEFAULT_THEME = THEMES[LevelTheme.CAVE];
+
+/**
+ * Turn a level's theme setting into a complete theme
+ * @param {string|Object} [theme] - A theme name, or an object with a `base`
+ *   theme name and any fields to change (particles may be changed in part)
+ * @returns {Object} - A theme with every field set
+ */
+export function resolveTheme(theme) {
+  if (!theme) return DEFAULT_THEME;
+  if (typeof theme === 'string') return THEMES[theme] || DEFAULT_THEME;
+
+  const { base, particles, ...fields } = theme;
+  const baseTheme = THEMES[base] || DEFAULT_THEME;
+  return {
+    ...baseTheme,
+    ...fields,
+    particles: { ...baseTheme.particles, ...particles },
+  };
+}
@@ -5,6 +5,10 @@ export const SegmentType = {
   CURVE_LEFT: 'curveLeft',
   CURVE_RIGHT: 'curveRight',
   JUNCTION: 'junction',
+  TURN_LEFT: 'turnLeft',
+  TURN_RIGHT: 'turnRight',
+  SHAFT_UP: 'shaftUp',
+  SHAFT_DOWN: 'shaftDown',
   BOSS_ROOM: 'bossRoom',
   END: 'end',
 };
@@ -17,3 +21,63 @@ export const ObstaclePattern = {
   NARROW_PATH: 'narrowPath',
   CUSTOM: 'custom',
 };
+
+// Directions a segment can lead on to. Only junctions open left or right.
+export const ExitDirection = {
+  FORWARD: 'forward',
+  LEFT: 'left',
+  RIGHT: 'right',
+};
+
+// Mission objectives a level can require before it counts as completed
+export const ObjectiveType = {
+  REACH_EXIT: 'reachExit',
+  SURVIVE: 'survive',
+  COLLECT: 'collect',
+  DESTROY_TARGET: 'destroyTarget',
+  RESCUE_HOSTAGES: 'rescueHostages',
+};
+
+// Colors of keycards and the locked doors they open
+export const KeyColor = {
+  BLUE: 'blue',
+  YELLOW: 'yellow',
+  RED: 'red',
+};
+
+// Display color of each key color
+export const KeyColorValue = {
+  blue: 0x3388ff,
+  yellow: 0xffcc00,
+  red: 0xff2222,
+};
+
+// Environmental hazards a segment can hold
+export const HazardType = {
+  LAVA: 'lava',
+  FORCE_FIELD: 'forceField',
+  ARC_EMITTER: 'arcEmitter',
+};
+
+// Walls an arc emitter can be mounted on
+export const HazardSide = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  TOP: 'top',
+  BOTTOM: 'bottom',
+};
+
+// Formations a squad of enemies can fly in, defined in Formations.js
+export const Formation = {
+  V: 'v',
+  LINE: 'line',
+  PINCER: 'pincer',
+};
+
+// Environment themes a level can use, defined in LevelThemes.js
+export const LevelTheme = {
+  CAVE: 'cave',
+  ICE: 'ice',
+  LAVA: 'lava',
+  HIVE: 'hive',
+};
@@ -0,0 +1,381 @@
+// Tunnel Graph for laying out branching level blueprints in level space
+import * as THREE from 'three';
+import { SegmentType, ExitDirection } from './SegmentTypes.js';
+
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+
+// Segment types built as chambers with openings instead of plain tunnels
+const CHAMBER_TYPES = [
+  SegmentType.JUNCTION,
+  SegmentType.TURN_LEFT,
+  SegmentType.TURN_RIGHT,
+  SegmentType.SHAFT_UP,
+  SegmentType.SHAFT_DOWN,
+];
+
+// Side of the segment an exit leaves through. Turns and shafts have a single
+// forward exit that leaves through a side wall, the ceiling or the floor.
+// Directions are relative to the segment's own frame, so a shaftDown at the
+// top of a vertical shaft levels the tunnel out again.
+export function getExitSide(type, direction) {
+  switch (type) {
+    case SegmentType.JUNCTION:
+      return direction;
+    case SegmentType.TURN_LEFT:
+      return 'left';
+    case SegmentType.TURN_RIGHT:
+      return 'right';
+    case SegmentType.SHAFT_UP:
+      return 'up';
+    case SegmentType.SHAFT_DOWN:
+      return 'down';
+    default:
+      return 'forward';
+  }
+}
+
+export function isChamberType(type) {
+  return CHAMBER_TYPES.includes(type);
+}
+
+// How far the centre line of a curve swings out, as share of the tunnel width
+const CURVE_SWING = 0.3;
+
+// Centre line of a curved segment in its local frame. It swings out to one
+// side and back in, leaving and rejoining the axis without a kink, so the
+// segment still ends straight ahead of its entry and everything laid out
+// beyond it stays where it was.
+export class SwerveCurve extends THREE.Curve {
+  constructor(length, offset) {
+    super();
+    this.length = length;
+    this.offset = offset; // Sideways swing at the middle, negative is left
+  }
+
+  getPoint(t, optionalTarget = new THREE.Vector3()) {
+    return optionalTarget.set(
+      this.offset * Math.sin(Math.PI * t) ** 2,
+      0,
+      -t * this.length
+    );
+  }
+}
+
+// Centre line of a segment in its local frame, from the entry (t = 0) to the
+// far end (t = 1). Only curves bend, every other segment runs straight along
+// its local -Z axis.
+export function getSegmentCenterline(type, dimensions) {
+  const { segmentLength, tunnelWidth } = dimensions;
+  switch (type) {
+    case SegmentType.CURVE_LEFT:
+      return new SwerveCurve(segmentLength, -tunnelWidth * CURVE_SWING);
+    case SegmentType.CURVE_RIGHT:
+      return new SwerveCurve(segmentLength, tunnelWidth * CURVE_SWING);
+    default:
+      return new THREE.LineCurve3(
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(0, 0, -segmentLength)
+      );
+  }
+}
+
+// Width and height of the space inside a segment in its local frame. The
+// segment always runs segmentLength along its local -Z axis.
+export function getSegmentSize(type, dimensions) {
+  const { segmentLength, tunnelWidth, tunnelHeight } = dimensions;
+  switch (type) {
+    case SegmentType.JUNCTION:
+    case SegmentType.TURN_LEFT:
+    case SegmentType.TURN_RIGHT:
+      return { width: segmentLength, height: tunnelHeight };
+    case SegmentType.SHAFT_UP:
+    case SegmentType.SHAFT_DOWN:
+      return { width: tunnelWidth, height: segmentLength };
+    case SegmentType.BOSS_ROOM:
+      return { width: tunnelWidth * 1.5, height: tunnelHeight * 1.5 };
+    default:
+      return { width: tunnelWidth, height: tunnelHeight };
+  }
+}
+
+// Get the id of a segment definition, defaulting to its index in the list
+export function getSegmentId(segmentDef, index) {
+  return segmentDef.id !== undefined ? String(segmentDef.id) : String(index);
+}
+
+// Resolve the exits of a segment definition. Segments without explicit links
+// lead on to the next segment in the list, except END segments.
+export function getSegmentExits(segments, index) {
+  const segmentDef = segments[index];
+
+  if (segmentDef.exits) {
+    return segmentDef.exits
+      .filter((exit) => exit.next !== null && exit.next !== undefined)
+      .map((exit) => ({ direction: exit.direction, next: String(exit.next) }));
+  }
+
+  if (segmentDef.next !== undefined) {
+    return segmentDef.next === null
+      ? []
+      : [{ direction: ExitDirection.FORWARD, next: String(segmentDef.next) }];
+  }
+
+  if (segmentDef.type === SegmentType.END || index + 1 >= segments.length) {
+    return [];
+  }
+
+  return [
+    {
+      direction: ExitDirection.FORWARD,
+      next: getSegmentId(segments[index + 1], index + 1),
+    },
+  ];
+}
+
+class TunnelGraph {
+  constructor(segments, dimensions) {
+    this.segmentLength = dimensions.segmentLength;
+    this.tunnelWidth = dimensions.tunnelWidth;
+    this.tunnelHeight = dimensions.tunnelHeight;
+
+    this.nodes = new Map(); // key: segment id, value: node
+    this.startId = null;
+    this.warnings = []; // Layout problems worth telling the level designer
+
+    this.build(segments);
+    this.layout();
+  }
+
+  // Create a node for every segment and link them through their exits
+  build(segments) {
+    segments.forEach((segmentDef, index) => {
+      const id = getSegmentId(segmentDef, index);
+      if (this.nodes.has(id)) {
+        this.warnings.push(`duplicate segment id "${id}" (segment ${index})`);
+        return;
+      }
+
+      this.nodes.set(id, {
+        id,
+        index,
+        def: segmentDef,
+        exits: getSegmentExits(segments, index),
+        prev: [],
+        centerline: getSegmentCenterline(segmentDef.type, this),
+        position: null, // Entry point in level coordinates
+        quaternion: new THREE.Quaternion(), // Local frame, identity faces -Z
+      });
+    });
+
+    for (const node of this.nodes.values()) {
+      node.exits = node.exits.filter((exit) => {
+        const target = this.nodes.get(exit.next);
+        if (!target) {
+          this.warnings.push(
+            `segment "${node.id}" leads to unknown segment "${exit.next}"`
+          );
+          return false;
+        }
+        target.prev.push(node.id);
+        return true;
+      });
+    }
+
+    if (segments.length > 0) {
+      this.startId = getSegmentId(segments[0], 0);
+    }
+  }
+
+  // Place every reachable node, walking out from the first segment
+  layout() {
+    if (this.startId === null) return;
+
+    const start = this.nodes.get(this.startId);
+    start.position = new THREE.Vector3(0, 0, 0);
+
+    const queue = [start];
+    while (queue.length > 0) {
+      const node = queue.shift();
+
+      for (const exit of node.exits) {
+        const target = this.nodes.get(exit.next);
+        if (target.position) continue; // Loops reuse the existing placement
+
+        const frame = this.getExitFrame(node, exit.direction);
+        target.position = frame.position;
+        target.quaternion = frame.quaternion;
+        queue.push(target);
+      }
+    }
+
+    for (const node of this.nodes.values()) {
+      if (!node.position) {
+        this.warnings.push(`segment "${node.id}" cannot be reached`);
+      }
+    }
+
+    this.checkOverlaps();
+  }
+
+  // Entry point and frame of the segment attached to an exit
+  getExitFrame(node, direction) {
+    const length = this.segmentLength;
+    const offset = new THREE.Vector3(0, 0, -length);
+    const turn = new THREE.Quaternion();
+
+    switch (getExitSide(node.def.type, direction)) {
+      case 'left':
+        offset.set(-length / 2, 0, -length / 2);
+        turn.setFromAxisAngle(AXIS_Y, Math.PI / 2);
+        break;
+      case 'right':
+        offset.set(length / 2, 0, -length / 2);
+        turn.setFromAxisAngle(AXIS_Y, -Math.PI / 2);
+        break;
+      case 'up':
+        offset.set(0, length / 2, -length / 2);
+        turn.setFromAxisAngle(AXIS_X, Math.PI / 2);
+        break;
+      case 'down':
+        offset.set(0, -length / 2, -length / 2);
+        turn.setFromAxisAngle(AXIS_X, -Math.PI / 2);
+        break;
+    }
+
+    return {
+      position: offset.applyQuaternion(node.quaternion).add(node.position),
+      quaternion: node.quaternion.clone().multiply(turn),
+    };
+  }
+
+  // Warn about branches that were laid out on top of each other
+  checkOverlaps() {
+    const placed = [...this.nodes.values()].filter((node) => node.position);
+    const minDistance = this.segmentLength * 0.9;
+
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        const a = this.getCenter(placed[i]);
+        const b = this.getCenter(placed[j]);
+        if (a.distanceTo(b) < minDistance) {
+          this.warnings.push(
+            `segments "${placed[i].id}" and "${placed[j].id}" overlap`
+          );
+        }
+      }
+    }
+  }
+
+  getNode(id) {
+    return this.nodes.get(id);
+  }
+
+  // Ids of the segments directly connected to a node, in both directions
+  getNeighbors(id) {
+    const node = this.nodes.get(id);
+    if (!node) return [];
+    return [...node.exits.map((exit) => exit.next), ...node.prev];
+  }
+
+  // Ids of all segments at most `depth` links away from a node
+  getNodesWithin(id, depth) {
+    const result = new Set([id]);
+    let frontier = [id];
+
+    for (let i = 0; i < depth && frontier.length > 0; i++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const neighbor of this.getNeighbors(current)) {
+          if (!result.has(neighbor) && this.nodes.get(neighbor).position) {
+            result.add(neighbor);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return result;
+  }
+
+  // Width and height of the space inside a segment
+  getSize(node) {
+    return getSegmentSize(node.def.type, this);
+  }
+
+  // Centre of a segment in level coordinates
+  getCenter(node) {
+    return this.toLevel(
+      node,
+      new THREE.Vector3(0, 0, -this.segmentLength / 2)
+    );
+  }
+
+  // Level position a share t of the way along a segment's centre line,
+  // moved sideways (offsetX) and up (offsetY) in the segment's frame
+  getPointOnCenterline(node, t, offsetX = 0, offsetY = 0) {
+    const point = node.centerline.getPoint(THREE.MathUtils.clamp(t, 0, 1));
+    point.x += offsetX;
+    point.y += offsetY;
+    return this.toLevel(node, point);
+  }
+
+  // Level position of a spawn placed along a segment's centre line:
+  // { segment, along, offset: [x, y], depth }, with depth a distance further
+  // along it. Null when the segment is missing or cannot be reached.
+  getAnchorPosition(anchor) {
+    const node = this.nodes.get(String(anchor.segment));
+    if (!node || !node.position) return null;
+
+    const [offsetX, offsetY] = anchor.offset || [0, 0];
+    const along = anchor.along !== undefined ? anchor.along : 0.5;
+    return this.getPointOnCenterline(
+      node,
+      along + (anchor.depth || 0) / this.segmentLength,
+      offsetX,
+      offsetY
+    );
+  }
+
+  // Convert a level position into a segment's local coordinates
+  toLocal(node, position) {
+    const inverse = node.quaternion.clone().invert();
+    return position.clone().sub(node.position).applyQuaternion(inverse);
+  }
+
+  // Convert a position in a segment's local coordinates to level coordinates
+  toLevel(node, localPosition) {
+    return localPosition
+      .clone()
+      .applyQuaternion(node.quaternion)
+      .add(node.position);
+  }
+
+  // Find the segment containing a level position
+  findNodeAt(position, candidateIds = this.nodes.keys()) {
+    for (const id of candidateIds) {
+      const node = this.nodes.get(id);
+      if (!node || !node.position) continue;
+
+      const local = this.toLocal(node, position);
+      if (local.z > 0 || local.z < -this.segmentLength) continue;
+
+      // Measure across from the centre line, which swings out in curves
+      const center = node.centerline.getPoint(-local.z / this.segmentLength);
+      local.x -= center.x;
+      local.y -= center.y;
+
+      const { width, height } = this.getSize(node);
+      if (
+        Math.abs(local.x) <= width / 2 &&
+        Math.abs(local.y) <= height / 2
+      ) {
+        return node;
+      }
+    }
+    return null;
+  }
+}
+
+export default TunnelGraph;
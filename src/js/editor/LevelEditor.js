@@ -0,0 +1,1636 @@
+// Level Editor for building, play-testing and exporting levels in the browser
+import * as THREE from 'three';
+import { MapControls } from 'three/examples/jsm/controls/MapControls.js';
+import {
+  SegmentType,
+  ObstaclePattern,
+  ExitDirection,
+  KeyColor,
+  LevelTheme,
+  Formation,
+} from '../core/levels/SegmentTypes.js';
+import TunnelGraph, { getSegmentId } from '../core/levels/TunnelGraph.js';
+import { getFormationOffsets } from '../core/levels/Formations.js';
+import {
+  LEVEL_FORMAT_VERSION,
+  parseLevel,
+  serializeLevel,
+  validateLevelData,
+} from '../core/levels/LevelLoader.js';
+import { OBSTACLE_HEALTH } from '../core/LevelManager.js';
+import { enemyTypes } from '../entities/EnemyTypes.js';
+import { powerupTypes } from '../entities/PowerUpManager.js';
+
+const OBSTACLE_TYPES = [
+  'rock',
+  'pipe',
+  'crate',
+  'fan',
+  'piston',
+  'slidingDoor',
+  'debris',
+];
+const DEFAULT_LIGHT_COLOR = '#4466aa';
+
+// Shared look for panel controls, matching the game's menus
+function styleControl(element) {
+  element.style.background = '#001830';
+  element.style.color = '#00ddff';
+  element.style.border = '1px solid #0088cc';
+  element.style.borderRadius = '3px';
+  element.style.padding = '3px 5px';
+  element.style.fontSize = '12px';
+  return element;
+}
+
+function createButton(label, onClick, color = '#00ddff') {
+  const button = styleControl(document.createElement('button'));
+  button.textContent = label;
+  button.style.color = color;
+  button.style.background = 'linear-gradient(to bottom, #003366, #001830)';
+  button.style.cursor = 'pointer';
+  button.style.textTransform = 'uppercase';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createSelect(options, value, onChange) {
+  const select = styleControl(document.createElement('select'));
+  for (const option of options) {
+    const element = document.createElement('option');
+    element.value = option;
+    element.textContent = option;
+    select.appendChild(element);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createHeading(text) {
+  const heading = document.createElement('div');
+  heading.textContent = text;
+  heading.style.color = '#ffffff';
+  heading.style.fontWeight = 'bold';
+  heading.style.letterSpacing = '1px';
+  heading.style.margin = '14px 0 6px';
+  heading.style.borderBottom = '1px solid #00aaff';
+  heading.style.paddingBottom = '3px';
+  return heading;
+}
+
+function createRow() {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '4px';
+  row.style.marginBottom = '4px';
+  return row;
+}
+
+class LevelEditor {
+  constructor(game) {
+    this.game = game;
+    this.isActive = false;
+
+    // The level being edited, kept in the JSON level file format
+    this.levelData = this.createEmptyLevel();
+    this.selectedSegment = 0;
+    this.selection = null; // { kind, index, segmentIndex } of the selected marker
+    this.playtestLevelIndex = null;
+    this.tunnelGraph = null; // Layout of the edited segments
+
+    // Editor view
+    this.camera = null;
+    this.controls = null;
+    this.overlay = new THREE.Group(); // Segment outlines and editor lighting
+    this.markers = new THREE.Group(); // Draggable spawn markers
+    this.overlay.name = 'levelEditorOverlay';
+    this.markers.name = 'levelEditorMarkers';
+
+    // Dragging
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.dragPlane = new THREE.Plane();
+    this.dragOffset = new THREE.Vector3();
+    this.dragMarker = null;
+
+    // Scene state hidden while the editor is open
+    this.savedFog = null;
+
+    this.panel = null;
+    this.statusElement = null;
+    this.inspectorElement = null;
+
+    // Bind methods
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onResize = this.onResize.bind(this);
+  }
+
+  createEmptyLevel() {
+    return {
+      version: LEVEL_FORMAT_VERSION,
+      id: 100,
+      name: 'Custom Level',
+      config: { segmentCount: 5, difficulty: 1, hasEndSegment: true },
+      segments: [
+        { type: SegmentType.STRAIGHT, obstacles: ObstaclePattern.NONE },
+        { type: SegmentType.STRAIGHT, obstacles: ObstaclePattern.RANDOM },
+        { type: SegmentType.CURVE_LEFT, obstacles: ObstaclePattern.NONE },
+        { type: SegmentType.STRAIGHT, obstacles: ObstaclePattern.SIDE_BLOCKS },
+        { type: SegmentType.END, obstacles: ObstaclePattern.NONE },
+      ],
+      enemySpawns: [],
+      squads: [],
+      powerupSpawns: [],
+      hostageSpawns: [],
+      checkpoints: [],
+    };
+  }
+
+  // Open the editor on top of the current scene
+  open() {
+    if (this.isActive) return;
+    this.isActive = true;
+
+    const { scene, renderer, levelManager } = this.game;
+
+    // Top-down camera looking at the start of the tunnel
+    this.camera = new THREE.PerspectiveCamera(
+      60,
+      window.innerWidth / window.innerHeight,
+      0.1,
+      2000
+    );
+    this.camera.position.set(0, 60, -20);
+
+    // Registered before the controls so a marker drag can disable panning
+    renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+
+    this.controls = new MapControls(this.camera, renderer.domElement);
+    this.controls.target.set(0, 0, -20);
+    this.controls.screenSpacePanning = false;
+    this.controls.maxPolarAngle = Math.PI / 2.2;
+    this.controls.update();
+
+    // Fog would hide most of the level from above
+    this.savedFog = scene.fog;
+    scene.fog = null;
+
+    if (this.game.spaceship) {
+      this.game.spaceship.group.visible = false;
+    }
+
+    // Remove any endless tunnel that was streamed in before the editor opened
+    for (const segment of levelManager.segmentMap.values()) {
+      scene.remove(segment);
+    }
+    levelManager.segmentMap.clear();
+
+    scene.add(this.overlay);
+    scene.add(this.markers);
+
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    document.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('resize', this.onResize);
+
+    this.createPanel();
+    this.rebuildPreview();
+  }
+
+  // Close the editor and hand the scene back to the game
+  close(returnToMenu = true) {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    const { scene, renderer, levelManager } = this.game;
+
+    renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    document.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('resize', this.onResize);
+
+    this.controls.dispose();
+    this.controls = null;
+    this.dragMarker = null;
+
+    this.clearGroup(this.markers);
+    this.clearGroup(this.overlay);
+    scene.remove(this.markers);
+    scene.remove(this.overlay);
+
+    scene.fog = this.savedFog;
+    if (this.game.spaceship) {
+      this.game.spaceship.group.visible = true;
+    }
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+
+    // Restore the level that was loaded before editing
+    levelManager.clearLevel();
+    levelManager.initLevel();
+
+    if (returnToMenu && this.game.uiManager) {
+      this.game.uiManager.createLevelSelect(this.game);
+    }
+  }
+
+  update() {
+    if (this.controls) {
+      this.controls.update();
+    }
+  }
+
+  onResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // Remove and dispose every child of an editor group
+  clearGroup(group) {
+    for (let i = group.children.length - 1; i >= 0; i--) {
+      const child = group.children[i];
+      group.remove(child);
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    }
+  }
+
+  // Build a segment definition the LevelManager understands from editor data
+  toSegmentDef(segment) {
+    const segmentDef = {
+      type: segment.type,
+      obstacles: segment.obstacles,
+      lightColor: parseInt(
+        (segment.lightColor || DEFAULT_LIGHT_COLOR).slice(1),
+        16
+      ),
+    };
+    if (segment.door) {
+      segmentDef.door = segment.door;
+    }
+    if (segment.hazards) {
+      segmentDef.hazards = segment.hazards.map((hazard) => ({ ...hazard }));
+    }
+    if (segment.customObstacles) {
+      segmentDef.customObstacles = segment.customObstacles.map(
+        (obstacle) => ({
+          position: new THREE.Vector3(...obstacle.position),
+          type: obstacle.type,
+        })
+      );
+    }
+    return segmentDef;
+  }
+
+  // Lay the segments out the same way the LevelManager will
+  createTunnelGraph() {
+    return new TunnelGraph(this.levelData.segments, this.game.levelManager);
+  }
+
+  // Rebuild the tunnel preview, outlines and markers from the level data
+  rebuildPreview() {
+    const { levelManager } = this.game;
+    const graph = this.createTunnelGraph();
+    this.tunnelGraph = graph;
+
+    levelManager.clearLevel();
+    for (const node of graph.nodes.values()) {
+      if (!node.position) continue;
+      levelManager.createBlueprintSegment(
+        node.position.clone(),
+        this.toSegmentDef(node.def),
+        node.index,
+        node,
+        graph
+      );
+    }
+
+    // Lighting and segment outlines
+    this.clearGroup(this.overlay);
+    this.overlay.add(new THREE.AmbientLight(0xffffff, 1.2));
+
+    for (const node of graph.nodes.values()) {
+      if (!node.position) continue;
+
+      const isSelected = node.index === this.selectedSegment;
+      const { width, height } = graph.getSize(node);
+      const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(
+          new THREE.BoxGeometry(width, height, levelManager.segmentLength)
+        ),
+        new THREE.LineBasicMaterial({
+          color: isSelected ? 0xffffff : 0x0088cc,
+          transparent: true,
+          opacity: isSelected ? 1.0 : 0.4,
+        })
+      );
+      outline.position.copy(graph.getCenter(node));
+      outline.quaternion.copy(node.quaternion);
+      this.overlay.add(outline);
+    }
+
+    if (graph.warnings.length > 0) {
+      this.setStatus(graph.warnings.join('\n'), '#ffaa00');
+    }
+
+    this.rebuildMarkers();
+  }
+
+  rebuildMarkers() {
+    this.clearGroup(this.markers);
+
+    this.levelData.enemySpawns.forEach((spawn, index) => {
+      const type = enemyTypes.find((t) => t.name === spawn.enemyType);
+      this.addMarker(
+        new THREE.OctahedronGeometry((type ? type.size : 0.5) + 0.5),
+        type ? type.color : 0xff0000,
+        this.getSpawnPosition(spawn),
+        { kind: 'enemy', index }
+      );
+    });
+
+    // Every member of a squad, all selecting the squad (wingmen in wireframe)
+    this.levelData.squads.forEach((squad, index) => {
+      this.getSquadMembers(squad).forEach(({ enemyType, position }, slot) => {
+        const type = enemyTypes.find((t) => t.name === enemyType);
+        this.addMarker(
+          new THREE.OctahedronGeometry((type ? type.size : 0.5) + 0.5),
+          type ? type.color : 0xff0000,
+          position,
+          { kind: 'squad', index },
+          slot > 0
+        );
+      });
+    });
+
+    this.levelData.powerupSpawns.forEach((spawn, index) => {
+      const type = powerupTypes.find((t) => t.name === spawn.powerupType);
+      this.addMarker(
+        new THREE.SphereGeometry(0.6, 12, 12),
+        type ? type.color : 0x00ff00,
+        this.getSpawnPosition(spawn),
+        { kind: 'powerup', index }
+      );
+    });
+
+    this.levelData.hostageSpawns.forEach((spawn, index) => {
+      this.addMarker(
+        new THREE.CylinderGeometry(0.5, 0.5, 1.4, 8),
+        0x00ff88,
+        this.getSpawnPosition(spawn),
+        { kind: 'hostage', index }
+      );
+    });
+
+    this.levelData.checkpoints.forEach((checkpoint, index) => {
+      this.addMarker(
+        new THREE.TorusGeometry(1.5, 0.2, 8, 24),
+        0xffaa00,
+        this.getSpawnPosition(checkpoint),
+        { kind: 'checkpoint', index }
+      );
+    });
+
+    this.levelData.segments.forEach((segment, segmentIndex) => {
+      (segment.customObstacles || []).forEach((obstacle, index) => {
+        this.addMarker(
+          new THREE.BoxGeometry(2.2, 2.2, 2.2),
+          0xff8800,
+          obstacle.position,
+          { kind: 'obstacle', index, segmentIndex },
+          true
+        );
+      });
+    });
+  }
+
+  addMarker(geometry, color, position, ref, wireframe = false) {
+    const isSelected =
+      this.selection &&
+      this.selection.kind === ref.kind &&
+      this.selection.index === ref.index &&
+      this.selection.segmentIndex === ref.segmentIndex;
+
+    const marker = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: isSelected ? 0xffffff : color,
+        wireframe,
+      })
+    );
+    marker.position.set(...position);
+    marker.userData.editorRef = ref;
+    this.markers.add(marker);
+    return marker;
+  }
+
+  // Look up the data entry a selection or marker refers to
+  getEntry(ref) {
+    if (!ref) return null;
+    switch (ref.kind) {
+      case 'enemy':
+        return this.levelData.enemySpawns[ref.index];
+      case 'squad':
+        return this.levelData.squads[ref.index];
+      case 'powerup':
+        return this.levelData.powerupSpawns[ref.index];
+      case 'hostage':
+        return this.levelData.hostageSpawns[ref.index];
+      case 'checkpoint':
+        return this.levelData.checkpoints[ref.index];
+      case 'obstacle': {
+        const segment = this.levelData.segments[ref.segmentIndex];
+        return segment && segment.customObstacles
+          ? segment.customObstacles[ref.index]
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Enemy types and level positions of the members of a squad entry, the
+  // leader first
+  getSquadMembers(squad) {
+    const types = [squad.leader, ...(squad.wingmen || [])];
+    const offsets = getFormationOffsets(
+      squad.formation || Formation.V,
+      types.length,
+      squad.spacing
+    );
+
+    return types.map((enemyType, slot) => {
+      const [x, y, back] = offsets[slot];
+      if (squad.segment === undefined) {
+        const [px, py, pz] = squad.position;
+        return { enemyType, position: [px + x, py + y, pz - back] };
+      }
+
+      const [offsetX, offsetY] = squad.offset || [0, 0];
+      const position = this.getSpawnPosition({
+        ...squad,
+        offset: [offsetX + x, offsetY + y],
+        depth: back,
+      });
+      return { enemyType, position };
+    });
+  }
+
+  // Level position of a spawn entry, which may be placed along a segment's
+  // centre line instead of at a position
+  getSpawnPosition(spawn) {
+    if (spawn.segment === undefined) return spawn.position;
+
+    const position = this.tunnelGraph.getAnchorPosition(spawn) || {
+      x: 0,
+      y: 0,
+      z: 0,
+    };
+    return [position.x, position.y, position.z].map(
+      (n) => Math.round(n * 10) / 10
+    );
+  }
+
+  // Layout node of a segment in the edited level
+  getNodeForSegment(index, graph = this.tunnelGraph) {
+    const segment = this.levelData.segments[index];
+    if (!graph || !segment) return null;
+    const node = graph.getNode(getSegmentId(segment, index));
+    return node && node.position ? node : null;
+  }
+
+  // Centre of the selected segment, used as the default spawn position
+  getSegmentCenter(y = 0) {
+    const node = this.getNodeForSegment(this.selectedSegment);
+    if (!node) return [0, y, -this.game.levelManager.segmentLength / 2];
+
+    // y is the height in the segment's own frame (sideways in shafts)
+    const center = this.tunnelGraph.getPointOnCenterline(node, 0.5, 0, y);
+    return [center.x, center.y, center.z].map((n) => Math.round(n * 10) / 10);
+  }
+
+  // Index of the segment containing a level position, or null
+  segmentIndexAt(position) {
+    const node = this.tunnelGraph && this.tunnelGraph.findNodeAt(position);
+    return node ? node.index : null;
+  }
+
+  // Keep a position inside the tunnel volume of the nearest segment
+  clampPosition(position) {
+    const graph = this.tunnelGraph;
+    let node = graph && graph.findNodeAt(position);
+    if (!node && graph) {
+      let nearest = Infinity;
+      for (const candidate of graph.nodes.values()) {
+        if (!candidate.position) continue;
+        const distance = graph.getCenter(candidate).distanceTo(position);
+        if (distance < nearest) {
+          nearest = distance;
+          node = candidate;
+        }
+      }
+    }
+    if (!node) return position;
+
+    const { width, height } = graph.getSize(node);
+    const { segmentLength } = this.game.levelManager;
+    const local = graph.toLocal(node, position);
+    local.z = THREE.MathUtils.clamp(local.z, -segmentLength + 1, -1);
+
+    // Clamp across from the centre line, which swings out in curves
+    const center = node.centerline.getPoint(-local.z / segmentLength);
+    local.x =
+      center.x +
+      THREE.MathUtils.clamp(local.x - center.x, -width / 2 + 1, width / 2 - 1);
+    local.y =
+      center.y +
+      THREE.MathUtils.clamp(
+        local.y - center.y,
+        -height / 2 + 1,
+        height / 2 - 1
+      );
+    return position.copy(graph.toLevel(node, local));
+  }
+
+  // Apply a change to the segment list while keeping every custom obstacle
+  // in the same place relative to its segment, wherever the segment ends up
+  changeSegments(change) {
+    const before = this.createTunnelGraph();
+    const localPositions = new Map();
+    this.levelData.segments.forEach((segment, index) => {
+      const node = this.getNodeForSegment(index, before);
+      if (!node || !segment.customObstacles) return;
+      localPositions.set(
+        segment,
+        segment.customObstacles.map((obstacle) =>
+          before.toLocal(node, new THREE.Vector3(...obstacle.position))
+        )
+      );
+    });
+
+    change();
+
+    const after = this.createTunnelGraph();
+    this.levelData.segments.forEach((segment, index) => {
+      const node = this.getNodeForSegment(index, after);
+      const locals = localPositions.get(segment);
+      if (!node || !locals) return;
+      segment.customObstacles.forEach((obstacle, i) => {
+        const position = after.toLevel(node, locals[i]);
+        obstacle.position = [position.x, position.y, position.z].map(
+          (n) => Math.round(n * 10) / 10
+        );
+      });
+    });
+  }
+
+  // Give a segment an explicit id so links to it survive reordering
+  ensureSegmentId(index) {
+    const segments = this.levelData.segments;
+    const segment = segments[index];
+    if (segment.id === undefined) {
+      const ids = new Set(segments.map((s, i) => getSegmentId(s, i)));
+      let n = index;
+      while (ids.has(`seg${n}`)) n++;
+      segment.id = `seg${n}`;
+    }
+    return String(segment.id);
+  }
+
+  // Set where a segment leads. Junctions link per exit direction, other
+  // segments through next (undefined follows the list, null ends the tunnel).
+  setSegmentLink(index, direction, targetIndex) {
+    const segment = this.levelData.segments[index];
+    const next =
+      targetIndex === undefined || targetIndex === null
+        ? targetIndex
+        : this.ensureSegmentId(targetIndex);
+
+    this.changeSegments(() => {
+      if (segment.type === SegmentType.JUNCTION) {
+        const exits = (segment.exits || []).filter(
+          (exit) => exit.direction !== direction
+        );
+        if (next) exits.push({ direction, next });
+        segment.exits = exits;
+        delete segment.next;
+      } else if (next === undefined) {
+        delete segment.next;
+      } else {
+        segment.next = next;
+      }
+    });
+    this.refresh();
+  }
+
+  // Rename a segment and every link pointing at it
+  renameSegment(index, newId) {
+    const segments = this.levelData.segments;
+    const oldId = getSegmentId(segments[index], index);
+    const id = newId.trim();
+
+    const retarget = (next) =>
+      next !== null && next !== undefined && String(next) === oldId
+        ? id || null
+        : next;
+    for (const segment of segments) {
+      if (segment.next !== undefined) segment.next = retarget(segment.next);
+      for (const exit of segment.exits || []) {
+        exit.next = retarget(exit.next);
+      }
+    }
+
+    if (id) {
+      segments[index].id = id;
+    } else {
+      delete segments[index].id;
+    }
+    this.refresh();
+  }
+
+  // ===== Editing operations =====
+
+  addSegment() {
+    const segments = this.levelData.segments;
+    const segment = {
+      type: SegmentType.STRAIGHT,
+      obstacles: ObstaclePattern.NONE,
+    };
+
+    // Keep a trailing END segment last
+    const last = segments[segments.length - 1];
+    if (last && last.type === SegmentType.END) {
+      segments.splice(segments.length - 1, 0, segment);
+      this.selectedSegment = segments.length - 2;
+    } else {
+      segments.push(segment);
+      this.selectedSegment = segments.length - 1;
+    }
+    this.refresh();
+  }
+
+  // Move a segment up or down the list, carrying its custom obstacles along
+  moveSegment(index, direction) {
+    const segments = this.levelData.segments;
+    const target = index + direction;
+    if (target < 0 || target >= segments.length) return;
+
+    this.changeSegments(() => {
+      [segments[index], segments[target]] = [
+        segments[target],
+        segments[index],
+      ];
+    });
+    this.selectedSegment = target;
+    this.selection = null;
+    this.refresh();
+  }
+
+  removeSegment(index) {
+    const segments = this.levelData.segments;
+    if (segments.length <= 1) {
+      this.setStatus('A level needs at least one segment', '#ff5555');
+      return;
+    }
+
+    // Drop links to the removed segment along with it
+    const removedId = getSegmentId(segments[index], index);
+    this.changeSegments(() => {
+      segments.splice(index, 1);
+      for (const segment of segments) {
+        if (segment.next !== undefined && String(segment.next) === removedId) {
+          segment.next = null;
+        }
+        if (segment.exits) {
+          segment.exits = segment.exits.filter(
+            (exit) => exit.next === null || String(exit.next) !== removedId
+          );
+        }
+      }
+    });
+    this.selectedSegment = Math.min(this.selectedSegment, segments.length - 1);
+    this.selection = null;
+    this.refresh();
+  }
+
+  updateSegment(index, key, value) {
+    const segment = this.levelData.segments[index];
+    segment[key] = value;
+
+    // Unset optional fields are left out of the file
+    if (value === undefined) {
+      delete segment[key];
+    }
+
+    // Custom patterns need somewhere to keep their obstacles
+    if (key === 'obstacles' && value === ObstaclePattern.CUSTOM) {
+      segment.customObstacles = segment.customObstacles || [];
+    }
+
+    // Only junctions branch, other segments keep their forward link
+    if (key === 'type' && value !== SegmentType.JUNCTION && segment.exits) {
+      const forward = segment.exits.find(
+        (exit) => exit.direction === ExitDirection.FORWARD
+      );
+      delete segment.exits;
+      if (forward) segment.next = forward.next;
+    }
+    this.selectedSegment = index;
+    this.refresh();
+  }
+
+  addEnemySpawn(enemyType) {
+    this.levelData.enemySpawns.push({
+      position: this.getSegmentCenter(),
+      enemyType,
+    });
+    this.selection = {
+      kind: 'enemy',
+      index: this.levelData.enemySpawns.length - 1,
+    };
+    this.refresh();
+  }
+
+  // A fighter leading two scouts, in the chosen formation
+  addSquad(formation) {
+    this.levelData.squads.push({
+      position: this.getSegmentCenter(),
+      formation,
+      leader: 'fighter',
+      wingmen: ['scout', 'scout'],
+    });
+    this.selection = {
+      kind: 'squad',
+      index: this.levelData.squads.length - 1,
+    };
+    this.refresh();
+  }
+
+  addPowerupSpawn(powerupType) {
+    this.levelData.powerupSpawns.push({
+      position: this.getSegmentCenter(-2),
+      powerupType,
+    });
+    this.selection = {
+      kind: 'powerup',
+      index: this.levelData.powerupSpawns.length - 1,
+    };
+    this.refresh();
+  }
+
+  addHostageSpawn() {
+    this.levelData.hostageSpawns.push({
+      position: this.getSegmentCenter(-2),
+    });
+    this.selection = {
+      kind: 'hostage',
+      index: this.levelData.hostageSpawns.length - 1,
+    };
+    this.refresh();
+  }
+
+  addCheckpoint() {
+    this.levelData.checkpoints.push({
+      position: this.getSegmentCenter(0),
+    });
+    this.selection = {
+      kind: 'checkpoint',
+      index: this.levelData.checkpoints.length - 1,
+    };
+    this.refresh();
+  }
+
+  addCustomObstacle(type) {
+    const segment = this.levelData.segments[this.selectedSegment];
+    segment.obstacles = ObstaclePattern.CUSTOM;
+    segment.customObstacles = segment.customObstacles || [];
+    segment.customObstacles.push({
+      position: this.getSegmentCenter(
+        -this.game.levelManager.tunnelHeight / 2 + 1
+      ),
+      type,
+    });
+    this.selection = {
+      kind: 'obstacle',
+      index: segment.customObstacles.length - 1,
+      segmentIndex: this.selectedSegment,
+    };
+    this.refresh();
+  }
+
+  deleteSelection() {
+    const ref = this.selection;
+    if (!ref) return;
+
+    if (ref.kind === 'enemy') {
+      this.levelData.enemySpawns.splice(ref.index, 1);
+    } else if (ref.kind === 'squad') {
+      this.levelData.squads.splice(ref.index, 1);
+    } else if (ref.kind === 'powerup') {
+      this.levelData.powerupSpawns.splice(ref.index, 1);
+    } else if (ref.kind === 'hostage') {
+      this.levelData.hostageSpawns.splice(ref.index, 1);
+    } else if (ref.kind === 'checkpoint') {
+      this.levelData.checkpoints.splice(ref.index, 1);
+    } else if (ref.kind === 'obstacle') {
+      this.levelData.segments[ref.segmentIndex].customObstacles.splice(
+        ref.index,
+        1
+      );
+    }
+    this.selection = null;
+    this.refresh();
+  }
+
+  // Write a new position for the selected entry
+  moveSelection(position) {
+    const ref = this.selection;
+    const entry = this.getEntry(ref);
+    if (!entry) return;
+
+    // Moving a spawn placed along a segment pins it to the new position
+    delete entry.segment;
+    delete entry.along;
+    delete entry.offset;
+
+    this.clampPosition(position);
+    entry.position = [
+      Math.round(position.x * 10) / 10,
+      Math.round(position.y * 10) / 10,
+      Math.round(position.z * 10) / 10,
+    ];
+
+    // Custom obstacles belong to the segment they are dropped in
+    if (ref.kind === 'obstacle') {
+      const newSegmentIndex = this.segmentIndexAt(position);
+      if (newSegmentIndex !== null && newSegmentIndex !== ref.segmentIndex) {
+        this.levelData.segments[ref.segmentIndex].customObstacles.splice(
+          ref.index,
+          1
+        );
+        const segment = this.levelData.segments[newSegmentIndex];
+        segment.obstacles = ObstaclePattern.CUSTOM;
+        segment.customObstacles = segment.customObstacles || [];
+        segment.customObstacles.push(entry);
+        this.selection = {
+          kind: 'obstacle',
+          index: segment.customObstacles.length - 1,
+          segmentIndex: newSegmentIndex,
+        };
+      }
+    }
+    this.refresh();
+  }
+
+  refresh() {
+    this.rebuildPreview();
+    this.renderSegmentList();
+    this.renderLinks();
+    this.renderInspector();
+  }
+
+  // ===== Pointer handling =====
+
+  updatePointer(event) {
+    const rect = this.game.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0) return;
+    this.updatePointer(event);
+
+    const hits = this.raycaster.intersectObjects(this.markers.children, false);
+    if (hits.length === 0) return;
+
+    // Start dragging the marker across a horizontal plane at its height
+    const marker = hits[0].object;
+    this.dragMarker = marker;
+    this.selection = { ...marker.userData.editorRef };
+    this.controls.enabled = false;
+
+    this.dragPlane.setFromNormalAndCoplanarPoint(
+      new THREE.Vector3(0, 1, 0),
+      marker.position
+    );
+    const point = new THREE.Vector3();
+    if (this.raycaster.ray.intersectPlane(this.dragPlane, point)) {
+      this.dragOffset.copy(marker.position).sub(point);
+    } else {
+      this.dragOffset.set(0, 0, 0);
+    }
+
+    marker.material.color.set(0xffffff);
+    this.renderInspector();
+  }
+
+  onPointerMove(event) {
+    if (!this.dragMarker) return;
+    this.updatePointer(event);
+
+    const point = new THREE.Vector3();
+    if (this.raycaster.ray.intersectPlane(this.dragPlane, point)) {
+      this.dragMarker.position.copy(
+        this.clampPosition(point.add(this.dragOffset))
+      );
+    }
+  }
+
+  onPointerUp() {
+    if (!this.dragMarker) return;
+
+    const position = this.dragMarker.position.clone();
+    this.dragMarker = null;
+    this.controls.enabled = true;
+    this.moveSelection(position);
+  }
+
+  onKeyDown(event) {
+    // Leave typing in panel inputs alone
+    const tag = event.target && event.target.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT') return;
+
+    if (event.code === 'Delete' || event.code === 'Backspace') {
+      this.deleteSelection();
+    }
+  }
+
+  // ===== Play-test, import and export =====
+
+  // Validate the level data, reporting problems in the panel
+  validate() {
+    const errors = validateLevelData(this.levelData);
+    if (errors.length > 0) {
+      this.setStatus(errors.join('\n'), '#ff5555');
+      console.warn('Level editor validation failed:\n' + errors.join('\n'));
+      return false;
+    }
+    return true;
+  }
+
+  playtest() {
+    if (!this.validate()) return;
+
+    const level = parseLevel(this.levelData, 'level editor');
+    level.isPlaytest = true;
+
+    // Reuse the play-test slot so the level list does not keep growing
+    const levels = this.game.levelManager.levels;
+    if (
+      this.playtestLevelIndex !== null &&
+      levels[this.playtestLevelIndex] &&
+      levels[this.playtestLevelIndex].isPlaytest
+    ) {
+      levels[this.playtestLevelIndex] = level;
+    } else {
+      levels.push(level);
+      this.playtestLevelIndex = levels.length - 1;
+    }
+
+    this.close(false);
+    this.game.selectLevel(this.playtestLevelIndex);
+    this.game.startGame();
+  }
+
+  exportLevel() {
+    if (!this.validate()) return;
+
+    const json = JSON.stringify(this.levelData, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const slug =
+      this.levelData.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'level';
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slug}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    this.setStatus(`Exported ${slug}.json`, '#00ff88');
+  }
+
+  async importLevel(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.setStatus(`${file.name}: not valid JSON`, '#ff5555');
+      return;
+    }
+
+    try {
+      // Round-trip through the loader to normalise positions and colors
+      this.setLevelData(serializeLevel(parseLevel(data, file.name)));
+      this.setStatus(`Imported ${file.name}`, '#00ff88');
+    } catch (error) {
+      this.setStatus(error.message, '#ff5555');
+    }
+  }
+
+  // Start editing one of the levels known to the LevelManager
+  loadExistingLevel(index) {
+    const level = this.game.levelManager.levels[index];
+    if (!level) return;
+    this.setLevelData(serializeLevel(level));
+    this.setStatus(`Loaded "${level.name}"`, '#00ff88');
+  }
+
+  setLevelData(data) {
+    this.levelData = data;
+    this.levelData.squads = this.levelData.squads || [];
+    this.levelData.hostageSpawns = this.levelData.hostageSpawns || [];
+    this.levelData.checkpoints = this.levelData.checkpoints || [];
+    this.selectedSegment = 0;
+    this.selection = null;
+    this.renderLevelFields();
+    this.refresh();
+  }
+
+  // ===== Panel =====
+
+  setStatus(message, color = '#aaaaaa') {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+    this.statusElement.style.color = color;
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'level-editor-panel';
+    panel.style.position = 'absolute';
+    panel.style.top = '0';
+    panel.style.right = '0';
+    panel.style.width = '360px';
+    panel.style.height = '100%';
+    panel.style.overflowY = 'auto';
+    panel.style.boxSizing = 'border-box';
+    panel.style.padding = '15px';
+    panel.style.background = 'rgba(0, 10, 30, 0.92)';
+    panel.style.borderLeft = '1px solid #00aaff';
+    panel.style.boxShadow = '0 0 20px #0066aa';
+    panel.style.color = '#00ddff';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.zIndex = '1000';
+
+    const title = document.createElement('h2');
+    title.textContent = 'LEVEL EDITOR';
+    title.style.margin = '0 0 5px';
+    title.style.color = '#ffffff';
+    title.style.letterSpacing = '3px';
+    title.style.textShadow = '0 0 10px #00aaff';
+    panel.appendChild(title);
+
+    const help = document.createElement('div');
+    help.textContent =
+      'Drag markers to move them. Left-drag pans, right-drag rotates, scroll zooms. Delete removes the selection.';
+    help.style.color = '#aaaaaa';
+    help.style.fontSize = '11px';
+    panel.appendChild(help);
+
+    // Level settings
+    panel.appendChild(createHeading('LEVEL'));
+    this.levelFieldsElement = document.createElement('div');
+    panel.appendChild(this.levelFieldsElement);
+
+    // Segments
+    panel.appendChild(createHeading('SEGMENTS'));
+    this.segmentListElement = document.createElement('div');
+    panel.appendChild(this.segmentListElement);
+    panel.appendChild(createButton('+ Add segment', () => this.addSegment()));
+
+    // Links between segments
+    panel.appendChild(createHeading('SELECTED SEGMENT LINKS'));
+    this.linksElement = document.createElement('div');
+    panel.appendChild(this.linksElement);
+
+    // Placement in the selected segment
+    panel.appendChild(createHeading('PLACE IN SELECTED SEGMENT'));
+    const placements = [
+      [enemyTypes.map((t) => t.name), (type) => this.addEnemySpawn(type)],
+      [Object.values(Formation), (formation) => this.addSquad(formation)],
+      [powerupTypes.map((t) => t.name), (type) => this.addPowerupSpawn(type)],
+      [['hostage'], () => this.addHostageSpawn()],
+      [['checkpoint'], () => this.addCheckpoint()],
+      [OBSTACLE_TYPES, (type) => this.addCustomObstacle(type)],
+    ];
+    const labels = [
+      'Enemy',
+      'Squad',
+      'Power-up',
+      'Hostage',
+      'Checkpoint',
+      'Obstacle',
+    ];
+    placements.forEach(([names, add], i) => {
+      const row = createRow();
+      const select = createSelect(names, names[0], () => {});
+      select.style.flex = '1';
+      const label = document.createElement('span');
+      label.textContent = labels[i];
+      label.style.width = '70px';
+      row.appendChild(label);
+      row.appendChild(select);
+      row.appendChild(createButton('Add', () => add(select.value)));
+      panel.appendChild(row);
+    });
+
+    // Selected spawn details
+    panel.appendChild(createHeading('SELECTION'));
+    this.inspectorElement = document.createElement('div');
+    panel.appendChild(this.inspectorElement);
+
+    // File and play-test actions
+    panel.appendChild(createHeading('ACTIONS'));
+
+    const loadRow = createRow();
+    const levelSelect = styleControl(document.createElement('select'));
+    levelSelect.style.flex = '1';
+    this.game.levelManager.levels.forEach((level, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `Level ${level.id}: ${level.name}`;
+      levelSelect.appendChild(option);
+    });
+    loadRow.appendChild(levelSelect);
+    loadRow.appendChild(
+      createButton('Edit', () =>
+        this.loadExistingLevel(parseInt(levelSelect.value, 10))
+      )
+    );
+    panel.appendChild(loadRow);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) {
+        this.importLevel(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    panel.appendChild(fileInput);
+
+    const fileRow = createRow();
+    fileRow.appendChild(
+      createButton('New', () => this.setLevelData(this.createEmptyLevel()))
+    );
+    fileRow.appendChild(createButton('Import JSON', () => fileInput.click()));
+    fileRow.appendChild(createButton('Export JSON', () => this.exportLevel()));
+    panel.appendChild(fileRow);
+
+    const playRow = createRow();
+    const playButton = createButton(
+      'Play-test',
+      () => this.playtest(),
+      '#00ff88'
+    );
+    playButton.style.flex = '1';
+    playButton.style.padding = '8px';
+    playButton.style.fontSize = '15px';
+    playRow.appendChild(playButton);
+    playRow.appendChild(createButton('Close', () => this.close(), '#aaaaaa'));
+    panel.appendChild(playRow);
+
+    this.statusElement = document.createElement('pre');
+    this.statusElement.style.whiteSpace = 'pre-wrap';
+    this.statusElement.style.fontSize = '11px';
+    this.statusElement.style.margin = '10px 0 0';
+    panel.appendChild(this.statusElement);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+
+    this.renderLevelFields();
+    this.renderSegmentList();
+    this.renderLinks();
+    this.renderInspector();
+  }
+
+  renderLevelFields() {
+    const container = this.levelFieldsElement;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const data = this.levelData;
+    data.config = data.config || {};
+
+    const fields = [
+      ['Name', 'text', data.name, (v) => (data.name = v)],
+      ['ID', 'number', data.id, (v) => (data.id = parseInt(v, 10))],
+      [
+        'Difficulty',
+        'number',
+        data.config.difficulty || 1,
+        (v) => (data.config.difficulty = parseFloat(v)),
+      ],
+      [
+        'Escape (s)',
+        'number',
+        data.config.escapeTime || 60,
+        (v) => (data.config.escapeTime = parseFloat(v)),
+      ],
+    ];
+    for (const [label, type, value, apply] of fields) {
+      const row = createRow();
+      const labelElement = document.createElement('span');
+      labelElement.textContent = label;
+      labelElement.style.width = '70px';
+      const input = styleControl(document.createElement('input'));
+      input.type = type;
+      input.value = value;
+      input.style.flex = '1';
+      input.addEventListener('change', () => apply(input.value));
+      row.appendChild(labelElement);
+      row.appendChild(input);
+      container.appendChild(row);
+    }
+
+    // Picking a theme replaces a theme object from a loaded file with the
+    // plain theme it was based on
+    const theme = data.config.theme;
+    const themeRow = createRow();
+    const themeLabel = document.createElement('span');
+    themeLabel.textContent = 'Theme';
+    themeLabel.style.width = '70px';
+    const themeSelect = createSelect(
+      Object.values(LevelTheme),
+      (theme && typeof theme === 'object' ? theme.base : theme) ||
+        LevelTheme.CAVE,
+      (v) => (data.config.theme = v)
+    );
+    themeSelect.style.flex = '1';
+    themeRow.appendChild(themeLabel);
+    themeRow.appendChild(themeSelect);
+    container.appendChild(themeRow);
+
+    const endRow = createRow();
+    const endCheckbox = document.createElement('input');
+    endCheckbox.type = 'checkbox';
+    endCheckbox.checked = !!data.config.hasEndSegment;
+    endCheckbox.addEventListener('change', () => {
+      data.config.hasEndSegment = endCheckbox.checked;
+    });
+    const endLabel = document.createElement('span');
+    endLabel.textContent = 'Level has an END segment';
+    endRow.appendChild(endCheckbox);
+    endRow.appendChild(endLabel);
+    container.appendChild(endRow);
+  }
+
+  renderSegmentList() {
+    const container = this.segmentListElement;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const segments = this.levelData.segments;
+    this.levelData.config.segmentCount = segments.length;
+
+    segments.forEach((segment, index) => {
+      const row = createRow();
+      row.style.padding = '2px';
+      row.style.border =
+        index === this.selectedSegment
+          ? '1px solid #ffffff'
+          : '1px solid transparent';
+
+      const label = document.createElement('span');
+      label.textContent = `#${index}`;
+      label.style.width = '26px';
+      label.style.cursor = 'pointer';
+      label.addEventListener('click', () => {
+        this.selectedSegment = index;
+        this.refresh();
+      });
+      row.appendChild(label);
+
+      const typeSelect = createSelect(
+        Object.values(SegmentType),
+        segment.type,
+        (value) => this.updateSegment(index, 'type', value)
+      );
+      typeSelect.style.width = '82px';
+      row.appendChild(typeSelect);
+
+      const obstacleSelect = createSelect(
+        Object.values(ObstaclePattern),
+        segment.obstacles,
+        (value) => this.updateSegment(index, 'obstacles', value)
+      );
+      obstacleSelect.style.width = '88px';
+      row.appendChild(obstacleSelect);
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = segment.lightColor || DEFAULT_LIGHT_COLOR;
+      colorInput.style.width = '26px';
+      colorInput.style.padding = '0';
+      colorInput.style.border = 'none';
+      colorInput.style.background = 'none';
+      colorInput.addEventListener('change', () =>
+        this.updateSegment(index, 'lightColor', colorInput.value)
+      );
+      row.appendChild(colorInput);
+
+      row.appendChild(createButton('↑', () => this.moveSegment(index, -1)));
+      row.appendChild(createButton('↓', () => this.moveSegment(index, 1)));
+      row.appendChild(
+        createButton('✕', () => this.removeSegment(index), '#ff5555')
+      );
+
+      container.appendChild(row);
+    });
+  }
+
+  // Id of the selected segment and where it leads
+  renderLinks() {
+    const container = this.linksElement;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const index = this.selectedSegment;
+    const segments = this.levelData.segments;
+    const segment = segments[index];
+    if (!segment) return;
+
+    const idRow = createRow();
+    const idLabel = document.createElement('span');
+    idLabel.textContent = 'ID';
+    idLabel.style.width = '70px';
+    const idInput = styleControl(document.createElement('input'));
+    idInput.type = 'text';
+    idInput.placeholder = String(index);
+    idInput.value = segment.id !== undefined ? segment.id : '';
+    idInput.style.flex = '1';
+    idInput.addEventListener('change', () =>
+      this.renameSegment(index, idInput.value)
+    );
+    idRow.appendChild(idLabel);
+    idRow.appendChild(idInput);
+    container.appendChild(idRow);
+
+    // Targets are listed by position, the link itself stores the id
+    const targetLabels = segments.map(
+      (s, i) => `#${i} ${s.type} (${getSegmentId(s, i)})`
+    );
+    const indexOf = (next) =>
+      segments.findIndex((s, i) => getSegmentId(s, i) === String(next));
+
+    const addLinkRow = (label, options, value, onChange) => {
+      const row = createRow();
+      const labelElement = document.createElement('span');
+      labelElement.textContent = label;
+      labelElement.style.width = '70px';
+      const select = createSelect(options, value, onChange);
+      select.style.flex = '1';
+      row.appendChild(labelElement);
+      row.appendChild(select);
+      container.appendChild(row);
+    };
+
+    if (segment.type === SegmentType.JUNCTION) {
+      const exits = segment.exits || [];
+      for (const direction of Object.values(ExitDirection)) {
+        const exit = exits.find((e) => e.direction === direction);
+        const target = exit && exit.next !== null ? indexOf(exit.next) : -1;
+        addLinkRow(
+          direction,
+          ['(closed)', ...targetLabels],
+          target >= 0 ? targetLabels[target] : '(closed)',
+          (value) =>
+            this.setSegmentLink(
+              index,
+              direction,
+              value === '(closed)' ? null : targetLabels.indexOf(value)
+            )
+        );
+      }
+    } else {
+      let value = '(next in list)';
+      if (segment.next === null) {
+        value = '(dead end)';
+      } else if (segment.next !== undefined && indexOf(segment.next) >= 0) {
+        value = targetLabels[indexOf(segment.next)];
+      }
+      addLinkRow(
+        'Next',
+        ['(next in list)', '(dead end)', ...targetLabels],
+        value,
+        (choice) => {
+          let target = targetLabels.indexOf(choice);
+          if (choice === '(next in list)') target = undefined;
+          if (choice === '(dead end)') target = null;
+          this.setSegmentLink(index, ExitDirection.FORWARD, target);
+        }
+      );
+    }
+
+    // Locked door at the entrance, opened by the keycard of its color
+    addLinkRow(
+      'Door',
+      ['(none)', ...Object.values(KeyColor)],
+      segment.door || '(none)',
+      (value) =>
+        this.updateSegment(
+          index,
+          'door',
+          value === '(none)' ? undefined : value
+        )
+    );
+  }
+
+  renderInspector() {
+    const container = this.inspectorElement;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const ref = this.selection;
+    const entry = this.getEntry(ref);
+    if (!entry) {
+      container.textContent = 'Click a marker to select it.';
+      container.style.color = '#aaaaaa';
+      return;
+    }
+    container.style.color = '#00ddff';
+
+    // Type
+    const typeRow = createRow();
+    const kindLabel = document.createElement('span');
+    kindLabel.style.width = '70px';
+    let typeSelect;
+    if (ref.kind === 'enemy') {
+      kindLabel.textContent = 'Enemy';
+      typeSelect = createSelect(
+        enemyTypes.map((t) => t.name),
+        entry.enemyType,
+        (value) => {
+          entry.enemyType = value;
+          this.refresh();
+        }
+      );
+    } else if (ref.kind === 'squad') {
+      kindLabel.textContent = 'Squad';
+      typeSelect = createSelect(
+        Object.values(Formation),
+        entry.formation || Formation.V,
+        (value) => {
+          entry.formation = value;
+          this.refresh();
+        }
+      );
+    } else if (ref.kind === 'powerup') {
+      kindLabel.textContent = 'Power-up';
+      typeSelect = createSelect(
+        powerupTypes.map((t) => t.name),
+        entry.powerupType,
+        (value) => {
+          entry.powerupType = value;
+          this.refresh();
+        }
+      );
+    } else if (ref.kind === 'hostage') {
+      kindLabel.textContent = 'Hostage';
+      typeSelect = createSelect(['hostage'], 'hostage', () => {});
+    } else if (ref.kind === 'checkpoint') {
+      kindLabel.textContent = 'Checkpoint';
+      typeSelect = createSelect(['checkpoint'], 'checkpoint', () => {});
+    } else {
+      kindLabel.textContent = `Obstacle #${ref.segmentIndex}`;
+      typeSelect = createSelect(OBSTACLE_TYPES, entry.type, (value) => {
+        entry.type = value;
+        if (value !== 'crate') delete entry.contents;
+        this.refresh();
+      });
+    }
+    typeSelect.style.flex = '1';
+    typeRow.appendChild(kindLabel);
+    typeRow.appendChild(typeSelect);
+    container.appendChild(typeRow);
+
+    // Position (y is only editable here, dragging keeps it fixed)
+    const positionRow = createRow();
+    const inputs = ['x', 'y', 'z'].map((axis, i) => {
+      const label = document.createElement('span');
+      label.textContent = axis;
+      const input = styleControl(document.createElement('input'));
+      input.type = 'number';
+      input.step = '0.5';
+      input.value = this.getSpawnPosition(entry)[i];
+      input.style.width = '60px';
+      positionRow.appendChild(label);
+      positionRow.appendChild(input);
+      return input;
+    });
+    inputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        const [x, y, z] = inputs.map((el) => parseFloat(el.value) || 0);
+        this.moveSelection(new THREE.Vector3(x, y, z));
+      });
+    });
+    container.appendChild(positionRow);
+
+    if (ref.kind === 'obstacle') {
+      this.renderObstacleFields(container, entry);
+    } else if (ref.kind === 'squad') {
+      this.renderSquadFields(container, entry);
+    }
+
+    container.appendChild(
+      createButton('Delete', () => this.deleteSelection(), '#ff5555')
+    );
+  }
+
+  // Enemy type of the leader and of each wingman
+  renderSquadFields(container, entry) {
+    const names = enemyTypes.map((t) => t.name);
+    const members = [entry.leader, ...(entry.wingmen || [])];
+
+    members.forEach((enemyType, slot) => {
+      const row = createRow();
+      const label = document.createElement('span');
+      label.textContent = slot === 0 ? 'Leader' : `Wingman ${slot}`;
+      label.style.width = '70px';
+      const select = createSelect(names, enemyType, (value) => {
+        if (slot === 0) {
+          entry.leader = value;
+        } else {
+          entry.wingmen[slot - 1] = value;
+        }
+        this.refresh();
+      });
+      select.style.flex = '1';
+      row.appendChild(label);
+      row.appendChild(select);
+      container.appendChild(row);
+    });
+  }
+
+  // Hit points and, for crates, the power-up inside
+  renderObstacleFields(container, entry) {
+    const healthRow = createRow();
+    const healthLabel = document.createElement('span');
+    healthLabel.textContent = 'HP';
+    healthLabel.style.width = '70px';
+    const healthInput = styleControl(document.createElement('input'));
+    healthInput.type = 'number';
+    healthInput.min = '1';
+    healthInput.step = '1';
+    healthInput.placeholder = String(OBSTACLE_HEALTH[entry.type] || '-');
+    healthInput.value = entry.health !== undefined ? entry.health : '';
+    healthInput.style.width = '60px';
+    healthInput.addEventListener('change', () => {
+      const health = parseFloat(healthInput.value);
+      if (health > 0) {
+        entry.health = health;
+      } else {
+        delete entry.health; // Blank uses the type's hit points
+        healthInput.value = '';
+      }
+    });
+    healthRow.appendChild(healthLabel);
+    healthRow.appendChild(healthInput);
+    container.appendChild(healthRow);
+
+    if (entry.type !== 'crate') return;
+
+    const contentsRow = createRow();
+    const contentsLabel = document.createElement('span');
+    contentsLabel.textContent = 'Contents';
+    contentsLabel.style.width = '70px';
+    const contentsSelect = createSelect(
+      ['(none)', ...powerupTypes.map((t) => t.name)],
+      entry.contents || '(none)',
+      (value) => {
+        if (value === '(none)') {
+          delete entry.contents;
+        } else {
+          entry.contents = value;
+        }
+      }
+    );
+    contentsSelect.style.flex = '1';
+    contentsRow.appendChild(contentsLabel);
+    contentsRow.appendChild(contentsSelect);
+    container.appendChild(contentsRow);
+  }
+}
+
+export default LevelEditor;
@@ -11,6 +11,12 @@ class EffectsManager {
     this.explosionEffects = [];
     this.activeHitLights = [];
     this.activeExplosionLights = [];
+    this.debrisEffects = [];
+
+    // Shared by the chunks of every broken obstacle. The chunks belong to
+    // the obstacle's segment, so the level must not dispose it with them.
+    this.debrisGeometry = new THREE.TetrahedronGeometry(1, 0);
+    this.debrisGeometry.userData.shared = true;
   }
 
   // Create a visual effect when a projectile hits an enemy
@@ -122,6 +128,73 @@ class EffectsManager {
     }
   }
 
+  // Break an obstacle apart into tumbling chunks of its color, with a flash
+  // where it stood. The chunks are added next to the obstacle, so they move
+  // along with the level around it.
+  createBreakApartEffect(mesh, chunkCount = 10) {
+    const parent = mesh.parent || this.scene;
+    if (!parent) return;
+
+    const box = new THREE.Box3().setFromObject(mesh);
+    const size = Math.max(0.5, box.getSize(new THREE.Vector3()).length() / 2);
+    const color =
+      mesh.material && mesh.material.color
+        ? mesh.material.color.getHex()
+        : 0x888888;
+
+    const material = new THREE.MeshStandardMaterial({
+      color: color,
+      roughness: 0.9,
+      metalness: 0.1,
+      transparent: true,
+      opacity: 1.0,
+    });
+
+    const chunks = [];
+    for (let i = 0; i < chunkCount; i++) {
+      const direction = new THREE.Vector3(
+        Math.random() - 0.5,
+        Math.random() - 0.5,
+        Math.random() - 0.5
+      ).normalize();
+
+      const chunk = new THREE.Mesh(this.debrisGeometry, material);
+      chunk.position
+        .copy(mesh.position)
+        .addScaledVector(direction, Math.random() * size * 0.5);
+      chunk.rotation.set(
+        Math.random() * Math.PI,
+        Math.random() * Math.PI,
+        Math.random() * Math.PI
+      );
+      chunk.scale.setScalar(size * (0.15 + Math.random() * 0.2));
+      parent.add(chunk);
+
+      chunks.push({
+        mesh: chunk,
+        velocity: direction.multiplyScalar(2 + Math.random() * 4),
+        spin: new THREE.Vector3(
+          (Math.random() - 0.5) * 10,
+          (Math.random() - 0.5) * 10,
+          (Math.random() - 0.5) * 10
+        ),
+      });
+    }
+
+    this.debrisEffects.push({
+      chunks,
+      material,
+      createdAt: Date.now(),
+      lastUpdate: Date.now(),
+      duration: 1200,
+    });
+
+    // Flash and dust cloud where the obstacle stood
+    const position = new THREE.Vector3();
+    mesh.getWorldPosition(position);
+    this.createExplosion(position, 0xffaa55, true, size * 0.6);
+  }
+
   // Create a reusable hit particle system
   createHitParticleSystem() {
     const particleCount = 5; // Reduced from 10
@@ -320,9 +393,49 @@ class EffectsManager {
     }
   }
 
+  // Move, spin and fade the chunks of broken obstacles
+  processDebrisEffects() {
+    if (this.debrisEffects.length === 0) return;
+
+    const currentTime = Date.now();
+
+    for (let i = this.debrisEffects.length - 1; i >= 0; i--) {
+      const effect = this.debrisEffects[i];
+      const delta = Math.min(0.1, (currentTime - effect.lastUpdate) / 1000);
+      const progress = Math.min(
+        (currentTime - effect.createdAt) / effect.duration,
+        1.0
+      );
+      effect.lastUpdate = currentTime;
+
+      for (const chunk of effect.chunks) {
+        chunk.mesh.position.addScaledVector(chunk.velocity, delta);
+        chunk.velocity.multiplyScalar(1 - delta * 1.5); // Slowed by the dust
+        chunk.mesh.rotation.x += chunk.spin.x * delta;
+        chunk.mesh.rotation.y += chunk.spin.y * delta;
+        chunk.mesh.rotation.z += chunk.spin.z * delta;
+      }
+
+      // Fade out
+      effect.material.opacity = 1.0 - progress;
+
+      // Remove completed effects
+      if (progress >= 1.0) {
+        for (const chunk of effect.chunks) {
+          if (chunk.mesh.parent) {
+            chunk.mesh.parent.remove(chunk.mesh);
+          }
+        }
+        effect.material.dispose();
+        this.debrisEffects.splice(i, 1);
+      }
+    }
+  }
+
   update() {
     this.processHitEffects();
     this.processExplosionEffects();
+    this.processDebrisEffects();
   }
 }
 
@@ -0,0 +1,328 @@
+// Boss encounters: enemy types with a `boss` entry (see EnemyTypes.js) fight
+// in phases. A phase starts once the boss's health drops to its threshold
+// and brings its own attacks: fans of shots, laser sweeps across the player
+// and summoned minions. Named parts of the boss's mesh are weak points that
+// take extra damage and break off once shot down, silencing the guns they
+// carry. The health bar shows the nearest boss that noticed the player.
+import * as THREE from 'three';
+import { BossAttack } from './EnemyTypes.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+const ACROSS = new THREE.Vector3(1, 0, 0);
+
+class BossManager {
+  constructor(enemyManager) {
+    this.enemyManager = enemyManager; // Fires, spawns and explodes for them
+    this.uiManager = null; // Shows the boss health bar (main.js)
+    this.shownBoss = null; // Boss whose health bar is shown
+  }
+
+  // Boss state of a new enemy whose type has a boss entry: its weak points,
+  // the guns its attacks fire from and the first phase's attacks
+  setup(enemy, currentTime) {
+    const config = enemy.type.boss;
+
+    const weakPoints = [];
+    for (const { part, health } of config.weakPoints || []) {
+      enemy.mesh.traverse((child) => {
+        if (child.name.startsWith(part)) {
+          weakPoints.push({ part: child, health, broken: false });
+        }
+      });
+    }
+
+    // Each gun belongs to the weak point it sits on, if any
+    const muzzles = [];
+    if (config.muzzle) {
+      enemy.mesh.traverse((child) => {
+        if (!child.name.startsWith(config.muzzle)) return;
+        const weakPoint = weakPoints.find((point) => {
+          let object = child;
+          while (object && object !== point.part) object = object.parent;
+          return object === point.part;
+        });
+        muzzles.push({ object: child, weakPoint });
+      });
+    }
+
+    enemy.boss = {
+      phase: 0,
+      weakPoints,
+      muzzles,
+      nextMuzzle: 0,
+      attacks: [], // Attacks of the current phase, with when they come next
+      sweeps: [], // Laser sweeps under way
+      minions: [], // Enemies it summoned
+    };
+    this.startPhase(enemy, 0, currentTime);
+  }
+
+  // Damage a player projectile does to a boss: more on a weak point, which
+  // breaks off once its health runs out, and the type's share elsewhere
+  takeHit(enemy, projectile) {
+    const position = projectile.mesh.position;
+    const box = new THREE.Box3();
+
+    for (const weakPoint of enemy.boss.weakPoints) {
+      if (weakPoint.broken) continue;
+
+      box.setFromObject(weakPoint.part).expandByScalar(0.2);
+      if (!box.containsPoint(position)) continue;
+
+      weakPoint.health -= projectile.power;
+      if (weakPoint.health <= 0) this.breakWeakPoint(enemy, weakPoint);
+      return projectile.power * (enemy.type.boss.weakPointDamage || 1);
+    }
+    return projectile.power * enemy.type.damageTaken;
+  }
+
+  // Blow a weak point off. The part is hidden rather than removed, so its
+  // resources are freed with the rest of the boss.
+  breakWeakPoint(enemy, weakPoint) {
+    weakPoint.broken = true;
+    weakPoint.part.visible = false;
+
+    const position = weakPoint.part.getWorldPosition(new THREE.Vector3());
+    this.enemyManager.effectsManager.createExplosion(
+      position,
+      enemy.type.color,
+      true,
+      enemy.type.size
+    );
+    if (this.enemyManager.audioManager) {
+      this.enemyManager.audioManager.playSound('explosion', { volume: 0.6 });
+    }
+  }
+
+  // Switch to a phase, with its attacks coming half an interval later
+  startPhase(enemy, index, currentTime) {
+    const boss = enemy.boss;
+    const phase = enemy.type.boss.phases[index];
+    boss.phase = index;
+    boss.attacks = phase.attacks.map((attack) => ({
+      attack,
+      nextTime: currentTime + attack.interval / 2,
+    }));
+    boss.sweeps = [];
+    enemy.ai.behavior = phase.behavior || null;
+  }
+
+  // Advance the phases, run the attacks and show the health bar. Called
+  // once a frame with the enemies of the EnemyManager.
+  update(enemies, currentTime, playerPosition) {
+    let shown = null;
+    let shownDistance = Infinity;
+
+    for (const enemy of enemies) {
+      if (!enemy.boss || !enemy.isActive) continue;
+
+      this.updatePhase(enemy, currentTime);
+      this.updateAttacks(enemy, currentTime, playerPosition);
+
+      const distance = enemy.mesh.position.distanceTo(playerPosition);
+      if (this.enemyManager.ai.isEngaged(enemy) && distance < shownDistance) {
+        shown = enemy;
+        shownDistance = distance;
+      }
+    }
+
+    this.showHealthBar(shown);
+  }
+
+  // Start the next phase once the health is down to its threshold
+  updatePhase(enemy, currentTime) {
+    const phases = enemy.type.boss.phases;
+    const share = enemy.health / enemy.type.health;
+
+    let index = enemy.boss.phase;
+    while (index + 1 < phases.length && share <= phases[index + 1].health) {
+      index++;
+    }
+    if (index === enemy.boss.phase) return;
+
+    this.startPhase(enemy, index, currentTime);
+    this.enemyManager.effectsManager.createExplosion(
+      enemy.mesh.position.clone(),
+      enemy.type.color,
+      true,
+      enemy.type.size * 2
+    );
+    if (this.uiManager && phases[index].message) {
+      this.uiManager.showMessage(phases[index].message, 2000, '#ff4444');
+    }
+  }
+
+  // Start the attacks that are due while the boss can fire at the player,
+  // and carry on with the sweeps under way
+  updateAttacks(enemy, currentTime, playerPosition) {
+    const boss = enemy.boss;
+    const range = enemy.type.boss.range || Infinity;
+    const inRange =
+      this.enemyManager.ai.canFire(enemy) &&
+      enemy.mesh.position.distanceTo(playerPosition) < range;
+
+    for (const timer of boss.attacks) {
+      if (currentTime < timer.nextTime) continue;
+      timer.nextTime = currentTime + timer.attack.interval;
+      if (!inRange) continue;
+
+      switch (timer.attack.type) {
+        case BossAttack.SPREAD:
+          this.fireSpread(enemy, timer.attack, playerPosition);
+          break;
+        case BossAttack.SWEEP:
+          boss.sweeps.push(
+            this.startSweep(enemy, timer.attack, playerPosition, currentTime)
+          );
+          break;
+        case BossAttack.SUMMON:
+          this.summonMinions(enemy, timer.attack);
+          break;
+      }
+    }
+
+    // A sweep stops when the boss loses sight of the player
+    if (!inRange) boss.sweeps.length = 0;
+    boss.sweeps = boss.sweeps.filter((sweep) =>
+      this.updateSweep(enemy, sweep, currentTime)
+    );
+  }
+
+  // Fan of shots across the attack's angle, centred on the player
+  fireSpread(enemy, attack, playerPosition) {
+    const aim = this.getAim(enemy, playerPosition);
+    const axis = this.getFanAxis(aim);
+    const angle = THREE.MathUtils.degToRad(attack.angle);
+
+    for (let i = 0; i < attack.count; i++) {
+      const share = attack.count > 1 ? i / (attack.count - 1) - 0.5 : 0;
+      this.fire(enemy, attack, aim.clone().applyAxisAngle(axis, share * angle));
+    }
+  }
+
+  // A sweep turns across its angle from one side of where the player was
+  // when it started to the other, so the player can get out of the way
+  startSweep(enemy, attack, playerPosition, currentTime) {
+    const aim = this.getAim(enemy, playerPosition);
+    return {
+      attack,
+      aim,
+      axis: this.getFanAxis(aim),
+      side: this.enemyManager.ai.rng.next() < 0.5 ? -1 : 1,
+      startTime: currentTime,
+      nextShot: currentTime,
+    };
+  }
+
+  // Fire the shots of a sweep that are due. Returns whether it goes on.
+  updateSweep(enemy, sweep, currentTime) {
+    const { attack } = sweep;
+    const angle = THREE.MathUtils.degToRad(attack.angle);
+
+    while (sweep.nextShot <= currentTime) {
+      const progress = (sweep.nextShot - sweep.startTime) / attack.duration;
+      if (progress > 1) return false;
+
+      const turn = (progress - 0.5) * angle * sweep.side;
+      const direction = sweep.aim.clone().applyAxisAngle(sweep.axis, turn);
+      this.fire(enemy, attack, direction);
+      sweep.nextShot += attack.rate;
+    }
+    return true;
+  }
+
+  // Call in minions around the boss, up to the attack's maximum at a time.
+  // They know where the boss saw the player.
+  summonMinions(enemy, attack) {
+    const boss = enemy.boss;
+    const levelManager = this.enemyManager.levelManager;
+    const enemies = this.enemyManager.enemies;
+    boss.minions = boss.minions.filter((minion) => enemies.includes(minion));
+
+    const count = Math.min(attack.count, attack.max - boss.minions.length);
+    for (let i = 0; i < count; i++) {
+      // A clear spot next to the boss, or the boss's own position
+      const position = enemy.mesh.position.clone();
+      for (let tries = 0; tries < 4; tries++) {
+        const spot = this.enemyManager.ai
+          .randomDirection()
+          .multiplyScalar(enemy.type.size * 2 + 1)
+          .add(enemy.mesh.position);
+        if (!levelManager || levelManager.isInsideTunnel(spot, 1)) {
+          position.copy(spot);
+          break;
+        }
+      }
+
+      const minion = this.enemyManager.spawnEnemy(position, attack.enemyType);
+      this.enemyManager.ai.alert(minion, enemy.ai.lastSeenPosition);
+      boss.minions.push(minion);
+    }
+
+    if (count > 0) {
+      this.enemyManager.effectsManager.createHitEffect(
+        enemy.mesh.position.clone()
+      );
+    }
+  }
+
+  // Fire one shot of an attack from the next gun still on the boss, or from
+  // its body once all are shot off
+  fire(enemy, attack, direction) {
+    const boss = enemy.boss;
+    const guns = boss.muzzles.filter(
+      (muzzle) => !muzzle.weakPoint || !muzzle.weakPoint.broken
+    );
+
+    let origin = null;
+    if (guns.length > 0) {
+      const gun = guns[boss.nextMuzzle++ % guns.length];
+      origin = gun.object.getWorldPosition(new THREE.Vector3());
+    }
+
+    this.enemyManager.projectileManager.fireEnemyProjectile(
+      enemy,
+      this.enemyManager.camera,
+      { type: attack.projectile, origin, direction }
+    );
+  }
+
+  // Direction from the boss to the player
+  getAim(enemy, playerPosition) {
+    return new THREE.Vector3()
+      .subVectors(playerPosition, enemy.mesh.position)
+      .normalize();
+  }
+
+  // Axis fans and sweeps turn around: up, unless aiming up or down a shaft
+  getFanAxis(aim) {
+    return Math.abs(aim.y) > 0.9 ? ACROSS : UP;
+  }
+
+  // Show the health and phase of a boss, or hide the bar for null
+  showHealthBar(enemy) {
+    const wasShown = this.shownBoss !== null;
+    this.shownBoss = enemy;
+    if (!this.uiManager) return;
+
+    if (!enemy) {
+      if (wasShown) this.uiManager.hideBossHealth();
+      return;
+    }
+    const config = enemy.type.boss;
+    this.uiManager.showBossHealth(
+      config.title || enemy.type.name,
+      Math.max(0, enemy.health / enemy.type.health),
+      enemy.boss.phase + 1,
+      config.phases.length
+    );
+  }
+
+  // Hide the health bar, e.g. for a new level
+  clear() {
+    this.shownBoss = null;
+    if (this.uiManager) this.uiManager.hideBossHealth();
+  }
+}
+
+export default BossManager;
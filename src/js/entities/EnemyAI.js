@@ -0,0 +1,453 @@
+// Enemy AI: a small state machine per enemy. An enemy patrols around where
+// it spawned until it notices the player, then fights with the behavior its
+// type names, and retreats once its health drops low enough. When it loses
+// sight of the player it searches where it saw the player last, and goes
+// back to patrolling if it does not find the player in time. The states
+// switch on the distance to the player, the enemy's health and whether it
+// can see the player; everything else is set in the type's `ai` entry (see
+// EnemyTypes.js). Where the straight way to a behavior's goal is blocked,
+// the enemy follows a path from the NavigationManager instead. Members of a
+// squad keep their place in formation while patrolling, and fight with the
+// behavior of their role in the squad (see SquadManager.js).
+import * as THREE from 'three';
+import { EnemyBehavior, SquadRole } from './EnemyTypes.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+// Parameters of the behaviors, overridden per type by an entry under the
+// behavior's name. Speeds are shares of the type's speed.
+export const BEHAVIOR_DEFAULTS = {
+  [EnemyBehavior.PATROL]: {
+    radius: 3, // How far from the spawn point it wanders
+    speed: 0.3,
+  },
+  [EnemyBehavior.PURSUE]: {
+    speed: 1,
+  },
+  [EnemyBehavior.STRAFE]: {
+    distance: 12, // Distance it circles the player at
+    switchTime: 3, // Seconds before it circles the other way
+    speed: 1,
+  },
+  [EnemyBehavior.HOLD_DISTANCE]: {
+    distance: 15, // Distance it keeps from the player
+    gain: 0.02, // Speed per unit it is off that distance
+    maxSpeed: 1.5,
+  },
+  [EnemyBehavior.RETREAT]: {
+    safeDistance: 25, // Distance it backs away to, then hovers
+    speed: 1.5,
+  },
+  [EnemyBehavior.SEARCH]: {
+    speed: 0.6,
+  },
+};
+
+// Settings of an ai entry besides the behavior parameters
+export const AI_DEFAULTS = {
+  behavior: EnemyBehavior.PURSUE, // How it fights once it noticed the player
+  awareness: 30, // Distance it notices a player it can see from
+  forgetTime: 5, // Seconds it searches for a player it lost sight of
+  retreatHealth: 0, // Share of its health it retreats below, 0 for never
+  jitter: 0, // Random wobble of its heading, for all axes or as [x, y, z]
+  bias: null, // Constant [x, y, z] added to its heading
+  steering: 0.05, // How quickly its velocity turns to the wanted one
+  repathTime: 0.5, // Seconds between looking for a way to its goal
+  waypointRadius: 2, // How close it gets to a waypoint before the next
+};
+
+// Behaviors the squad roles fight with, whatever the member's type
+export const ROLE_BEHAVIORS = {
+  [SquadRole.DECOY]: EnemyBehavior.HOLD_DISTANCE,
+  [SquadRole.FLANK]: EnemyBehavior.STRAFE,
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+class EnemyAI {
+  constructor() {
+    this.settings = new Map(); // Merged settings by enemy type name
+    this.rng = new SeededRandom(); // Wobble, strafing and patrols (seeded)
+  }
+
+  // Settings of an enemy type: its ai entry over the defaults, with the
+  // parameters of every behavior resolved
+  getSettings(type) {
+    if (!this.settings.has(type.name)) {
+      const ai = type.ai || {};
+      const settings = { ...AI_DEFAULTS, ...ai, params: {} };
+      for (const behavior of Object.values(EnemyBehavior)) {
+        settings.params[behavior] = {
+          ...BEHAVIOR_DEFAULTS[behavior],
+          ...ai[behavior],
+        };
+      }
+      this.settings.set(type.name, settings);
+    }
+    return this.settings.get(type.name);
+  }
+
+  // AI state of a new enemy. home is where it patrols, in whatever frame the
+  // caller passes it back in (see update).
+  createState(home) {
+    return {
+      state: EnemyBehavior.PATROL,
+      stateTime: 0, // Seconds in the current state
+      time: 0,
+      lastSeenTime: -Infinity,
+      lastSeenPosition: null, // Level position it saw the player at last
+      canSee: false, // Whether it saw the player this frame
+      home,
+      patrolOffset: null, // Where it is heading, relative to home
+      strafeSide: this.rng.next() < 0.5 ? -1 : 1,
+      role: null, // Its part in a squad, see SquadManager
+      behavior: null, // Replaces its type's behavior, e.g. in a boss phase
+      path: null, // Level positions it is following, see navigate
+      nextPathTime: 0,
+    };
+  }
+
+  // Whether the enemy noticed the player and is fighting or retreating
+  isEngaged(enemy) {
+    return enemy.ai.state !== EnemyBehavior.PATROL;
+  }
+
+  // Behavior the enemy fights with: that of its squad role, if it has one,
+  // else the one it was given or its type's
+  getBehavior(enemy, settings) {
+    return (
+      ROLE_BEHAVIORS[enemy.ai.role] || enemy.ai.behavior || settings.behavior
+    );
+  }
+
+  // Tell an enemy where another saw the player, so it searches there unless
+  // it sees the player itself
+  alert(enemy, lastSeenPosition) {
+    const ai = enemy.ai;
+    if (ai.canSee || !lastSeenPosition) return;
+
+    ai.lastSeenTime = ai.time;
+    ai.lastSeenPosition = (ai.lastSeenPosition || new THREE.Vector3()).copy(
+      lastSeenPosition
+    );
+  }
+
+  // Whether the enemy may shoot: it is fighting and sees the player
+  canFire(enemy) {
+    const state = enemy.ai.state;
+    return (
+      enemy.ai.canSee &&
+      state !== EnemyBehavior.PATROL &&
+      state !== EnemyBehavior.SEARCH
+    );
+  }
+
+  // World position the enemy saw the player at last, or null
+  getLastSeenPosition(enemy, origin) {
+    const position = enemy.ai.lastSeenPosition;
+    return position ? position.clone().add(origin) : null;
+  }
+
+  // Move an enemy for one frame. context holds the player's position, the
+  // distance to it, the enemy's home as a world position, the world origin
+  // (the last seen position and paths are kept in level coordinates, so they
+  // stay put when the world moves), whether the enemy can see the player
+  // (true when left out), the NavigationManager (optional) and, for a
+  // wingman flying in formation, the world position of its slot (optional).
+  update(enemy, context, delta) {
+    const settings = this.getSettings(enemy.type);
+    const ai = enemy.ai;
+    ai.time += delta;
+    ai.stateTime += delta;
+
+    this.updateState(enemy, settings, context);
+
+    const target = this.getTarget(enemy, context);
+    let direction = this.getDirection(enemy, settings, context, target);
+    if (context.navigation) {
+      direction = this.navigate(enemy, settings, context, target, direction);
+    }
+    if (ai.state !== EnemyBehavior.PATROL) {
+      this.addWobble(direction, settings);
+    }
+
+    enemy.velocity.lerp(
+      direction.multiplyScalar(enemy.type.speed),
+      settings.steering
+    );
+    enemy.mesh.position.add(enemy.velocity);
+
+    // Face the player while it sees it, else where it is going
+    if (ai.canSee && ai.state !== EnemyBehavior.PATROL) {
+      enemy.mesh.lookAt(context.playerPosition);
+    } else if (enemy.velocity.lengthSq() > 1e-8) {
+      enemy.mesh.lookAt(enemy.mesh.position.clone().add(enemy.velocity));
+    }
+  }
+
+  // Switch states on distance, line of sight and health
+  updateState(enemy, settings, context) {
+    const ai = enemy.ai;
+    ai.canSee =
+      context.canSee !== false && context.distance < settings.awareness;
+
+    if (ai.canSee) {
+      ai.lastSeenTime = ai.time;
+      ai.lastSeenPosition = (ai.lastSeenPosition || new THREE.Vector3())
+        .copy(context.playerPosition)
+        .sub(context.origin);
+    }
+    const isAware = ai.time - ai.lastSeenTime < settings.forgetTime;
+    const isDamaged =
+      enemy.health < enemy.type.health * settings.retreatHealth;
+
+    let state = ai.state;
+    if (!isAware) {
+      state = EnemyBehavior.PATROL;
+    } else if (isDamaged) {
+      state = EnemyBehavior.RETREAT;
+    } else if (!ai.canSee) {
+      state = EnemyBehavior.SEARCH;
+    } else {
+      // Also switches behavior when its squad role or boss phase changes
+      state = this.getBehavior(enemy, settings);
+    }
+
+    if (state !== ai.state) {
+      ai.state = state;
+      ai.stateTime = 0;
+      ai.patrolOffset = null;
+      ai.path = null;
+      ai.nextPathTime = 0;
+    }
+  }
+
+  // What the behaviors go for: the player while the enemy sees it, and
+  // where it was last seen otherwise. Returns the world position and the
+  // distance to it.
+  getTarget(enemy, context) {
+    if (enemy.ai.canSee) {
+      return { position: context.playerPosition, distance: context.distance };
+    }
+
+    const position =
+      this.getLastSeenPosition(enemy, context.origin) ||
+      context.playerPosition;
+    return { position, distance: enemy.mesh.position.distanceTo(position) };
+  }
+
+  // Sideways heading of a strafe around the target, on the enemy's side
+  getStrafeHeading(toTarget, side) {
+    const around = new THREE.Vector3().crossVectors(toTarget, UP);
+    if (around.lengthSq() < 1e-6) around.set(1, 0, 0);
+    return around.normalize().multiplyScalar(side);
+  }
+
+  // Heading of the current behavior towards or around the target, scaled by
+  // the share of the type's speed
+  getDirection(enemy, settings, context, target) {
+    const ai = enemy.ai;
+    const params = settings.params[ai.state];
+    const position = enemy.mesh.position;
+    const distance = target.distance;
+    const toPlayer = new THREE.Vector3()
+      .subVectors(target.position, position)
+      .normalize();
+
+    switch (ai.state) {
+      case EnemyBehavior.PATROL: {
+        // Keep to its slot in the formation, slowing as it gets there
+        if (context.formation) {
+          const toSlot = context.formation.clone().sub(position);
+          const speed = Math.min(1, toSlot.length() * 0.5);
+          return toSlot.normalize().multiplyScalar(speed);
+        }
+
+        // Head for a point around home, and pick another once there
+        const target = context.home.clone();
+        if (ai.patrolOffset) target.add(ai.patrolOffset);
+        if (!ai.patrolOffset || position.distanceTo(target) < 0.5) {
+          ai.patrolOffset = this.randomDirection().multiplyScalar(
+            this.rng.next() * params.radius
+          );
+          target.copy(context.home).add(ai.patrolOffset);
+        }
+        return target.sub(position).normalize().multiplyScalar(params.speed);
+      }
+
+      case EnemyBehavior.PURSUE:
+        return toPlayer.multiplyScalar(params.speed);
+
+      case EnemyBehavior.STRAFE: {
+        // Flankers keep to the side their squad sent them to
+        if (!ai.role && ai.stateTime > params.switchTime) {
+          ai.strafeSide = -ai.strafeSide;
+          ai.stateTime = 0;
+        }
+
+        // Around the player, drifting in or out towards the distance
+        const around = this.getStrafeHeading(toPlayer, ai.strafeSide);
+        const inOut = THREE.MathUtils.clamp(
+          (distance - params.distance) * 0.2,
+          -1,
+          1
+        );
+        return around
+          .addScaledVector(toPlayer, inOut)
+          .normalize()
+          .multiplyScalar(params.speed);
+      }
+
+      case EnemyBehavior.HOLD_DISTANCE:
+        return toPlayer.multiplyScalar(
+          THREE.MathUtils.clamp(
+            (distance - params.distance) * params.gain,
+            -params.maxSpeed,
+            params.maxSpeed
+          )
+        );
+
+      case EnemyBehavior.RETREAT:
+        return distance < params.safeDistance
+          ? toPlayer.multiplyScalar(-params.speed)
+          : toPlayer.multiplyScalar(0);
+
+      case EnemyBehavior.SEARCH:
+        // Fly to where the player was seen, and look around once there
+        return distance > 1
+          ? toPlayer.multiplyScalar(params.speed)
+          : toPlayer.multiplyScalar(0);
+
+      default:
+        return toPlayer;
+    }
+  }
+
+  // Follow a path to the goal of the current behavior while the straight
+  // way there is blocked, e.g. by an obstacle or a corner. Retreats always
+  // follow a path, so they back away along the tunnel instead of into a
+  // wall. The way is looked for again every repathTime seconds.
+  navigate(enemy, settings, context, target, direction) {
+    const ai = enemy.ai;
+    if (ai.time >= ai.nextPathTime) {
+      ai.nextPathTime = ai.time + settings.repathTime;
+      ai.path = this.findPath(enemy, settings, context, target);
+    }
+    if (!ai.path) return direction;
+
+    // Head for the next waypoint, passing those reached
+    const position = enemy.mesh.position;
+    const waypoint = new THREE.Vector3();
+    while (ai.path.length > 0) {
+      waypoint.copy(ai.path[0]).add(context.origin);
+      if (position.distanceTo(waypoint) > settings.waypointRadius) break;
+      ai.path.shift();
+    }
+    if (ai.path.length === 0) {
+      ai.path = null;
+      return direction;
+    }
+
+    const params = settings.params[ai.state];
+    const speed = params.speed || params.maxSpeed || 1;
+    return waypoint.sub(position).normalize().multiplyScalar(speed);
+  }
+
+  // Path to the goal of the current behavior, or null when the straight way
+  // there is clear or the behavior has no goal
+  findPath(enemy, settings, context, target) {
+    const navigation = context.navigation;
+    const position = enemy.mesh.position;
+    const params = settings.params[enemy.ai.state];
+
+    if (enemy.ai.state === EnemyBehavior.RETREAT) {
+      return target.distance < params.safeDistance
+        ? navigation.findRetreatPath(
+            position,
+            target.position,
+            params.safeDistance
+          )
+        : null;
+    }
+
+    const goal = this.getGoal(enemy, settings, context, target);
+    if (!goal || navigation.isClear(position, goal)) return null;
+
+    // Patrols pick another point rather than fly around to a blocked one
+    if (enemy.ai.state === EnemyBehavior.PATROL && !context.formation) {
+      enemy.ai.patrolOffset = null;
+      return null;
+    }
+    return navigation.findPath(position, goal);
+  }
+
+  // World position the current behavior is heading for, or null when it
+  // stays where it is
+  getGoal(enemy, settings, context, target) {
+    const ai = enemy.ai;
+    const params = settings.params[ai.state];
+    const toTarget = new THREE.Vector3()
+      .subVectors(target.position, enemy.mesh.position)
+      .normalize();
+
+    switch (ai.state) {
+      case EnemyBehavior.PATROL:
+        if (context.formation) return context.formation.clone();
+        return ai.patrolOffset
+          ? context.home.clone().add(ai.patrolOffset)
+          : null;
+
+      case EnemyBehavior.STRAFE:
+        // The player's flank, ahead on the side it circles to
+        return target.position
+          .clone()
+          .add(
+            this.getStrafeHeading(toTarget, ai.strafeSide)
+              .sub(toTarget)
+              .normalize()
+              .multiplyScalar(params.distance)
+          );
+
+      case EnemyBehavior.HOLD_DISTANCE:
+        return target.position
+          .clone()
+          .addScaledVector(toTarget, -params.distance);
+
+      case EnemyBehavior.SEARCH:
+        return target.distance > 1 ? target.position.clone() : null;
+
+      default:
+        return target.position.clone();
+    }
+  }
+
+  // Random unit vector like Vector3.randomDirection(), but from the seeded
+  // generator
+  randomDirection() {
+    const y = this.rng.next() * 2 - 1;
+    const angle = this.rng.next() * Math.PI * 2;
+    const radius = Math.sqrt(1 - y * y);
+    return new THREE.Vector3(
+      radius * Math.cos(angle),
+      y,
+      radius * Math.sin(angle)
+    );
+  }
+
+  // Random wobble and constant bias of the type
+  addWobble(direction, settings) {
+    const jitter = Array.isArray(settings.jitter)
+      ? settings.jitter
+      : [settings.jitter, settings.jitter, settings.jitter];
+    direction.x += (this.rng.next() - 0.5) * jitter[0];
+    direction.y += (this.rng.next() - 0.5) * jitter[1];
+    direction.z += (this.rng.next() - 0.5) * jitter[2];
+
+    if (settings.bias) {
+      direction.x += settings.bias[0];
+      direction.y += settings.bias[1];
+      direction.z += settings.bias[2];
+    }
+  }
+}
+
+export default EnemyAI;
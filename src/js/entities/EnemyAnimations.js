@@ -57,8 +57,8 @@ export function animateEnemy(enemy, delta) {
     animateRotatingComponent(child, delta);
   });
 
-  // Apply enemy type-specific animations
-  switch (enemy.type.name) {
+  // Apply enemy type-specific animations, shared by types with one mesh
+  switch (enemy.type.mesh || enemy.type.name) {
     case 'boss':
       animateBoss(enemy, currentTime, delta);
       break;
@@ -268,21 +268,3 @@ function animateScout(enemy, currentTime, delta) {
   enemy.mesh.rotation.y += (Math.random() - 0.5) * jitterAmount;
   enemy.mesh.rotation.z += (Math.random() - 0.5) * jitterAmount;
 }
-
-// Get firing range based on enemy type
-export function getEnemyFiringRange(enemyType) {
-  switch (enemyType) {
-    case 'bomber':
-      return 25; // Bombers have longer range
-    case 'destroyer':
-      return 30; // Destroyers have even longer range
-    case 'boss':
-      return 40; // Boss has the longest range
-    case 'fighter':
-      return 22; // Fighters have decent range
-    case 'scout':
-      return 15; // Scouts have shortest range
-    default:
-      return 20; // Default range
-  }
-}
@@ -28,8 +28,8 @@ class EnemyFactory {
       enemyType: enemyType.name,
     };
 
-    // Use appropriate mesh builder
-    const meshBuilder = this.meshBuilders[enemyType.name];
+    // Use appropriate mesh builder, which types may share
+    const meshBuilder = this.meshBuilders[enemyType.mesh || enemyType.name];
     if (meshBuilder) {
       meshBuilder.buildMesh(body, enemyType);
     }
@@ -1,13 +1,22 @@
 // Enemy entity module
 import * as THREE from 'three';
 import { createExplosionEffect } from '../utils/effectsUtils.js';
-import { checkProjectileEnemyCollision } from '../utils/collisionUtils.js';
-import { animateEnemy, getEnemyFiringRange } from './EnemyAnimations.js';
+import {
+  checkProjectileEnemyCollision,
+  hasLineOfSight,
+} from '../utils/collisionUtils.js';
+import { animateEnemy } from './EnemyAnimations.js';
 import { enemyTypes } from './EnemyTypes.js';
+import EnemyAI from './EnemyAI.js';
 import EnemyFactory from './EnemyFactory.js';
+import SquadManager from './SquadManager.js';
+import BossManager from './BossManager.js';
 import ProjectileManager from './ProjectileManager.js';
 import EffectsManager from '../effects/EffectsManager.js';
 import ObjectPool from '../utils/ObjectPool.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import { Formation } from '../core/levels/SegmentTypes.js';
+import { getFormationOffsets } from '../core/levels/Formations.js';
 
 class EnemyManager {
   constructor(scene, camera, gameState, audioManager, levelManager = null) {
@@ -19,9 +28,15 @@ class EnemyManager {
 
     // Initialize supporting systems
     this.enemyFactory = new EnemyFactory(scene);
-    this.projectileManager = new ProjectileManager(scene, audioManager);
+    this.projectileManager = new ProjectileManager(scene, camera, audioManager);
+    this.projectileManager.levelManager = levelManager; // Aims at the player
     this.effectsManager = new EffectsManager(scene);
     this.objectPool = new ObjectPool();
+    this.ai = new EnemyAI(); // Moves the enemies as their types say
+    this.squadManager = new SquadManager(this.ai); // Coordinates squads
+    this.bossManager = new BossManager(this); // Phases and weak points
+    this.sightInterval = 200; // ms between line-of-sight checks per enemy
+    this.navigationManager = null; // Finds ways around obstacles (main.js)
 
     // Enemy tracking
     this.enemies = [];
@@ -36,6 +51,12 @@ class EnemyManager {
     // For endless mode
     this.lastRandomSpawnTime = 0;
     this.randomSpawnInterval = 5000; // 5 seconds between spawns in endless mode
+    this.waveCount = 0; // Spawns so far, squads grow as it rises
+    this.squadChance = 0.3; // Chance a spawn is a squad instead of one enemy
+
+    // Random streams for spawns and drops (seeded by the game)
+    this.rng = new SeededRandom();
+    this.dropRng = new SeededRandom();
   }
 
   setLevelSegments(segments) {
@@ -47,7 +68,7 @@ class EnemyManager {
     // If no specific type requested, choose randomly
     const enemyType = typeName
       ? enemyTypes.find((t) => t.name === typeName)
-      : enemyTypes[Math.floor(Math.random() * enemyTypes.length)];
+      : enemyTypes[Math.floor(this.rng.next() * enemyTypes.length)];
 
     // Use the factory to create the enemy
     const enemy = this.enemyFactory.createEnemy(
@@ -56,51 +77,37 @@ class EnemyManager {
       this.camera
     );
 
+    // Patrols around where it spawned, kept in level coordinates as the
+    // world moves
+    enemy.ai = this.ai.createState(
+      this.levelManager
+        ? this.levelManager.worldOrigin.worldToLevel(position)
+        : position.clone()
+    );
+    enemy.canSeePlayer = false; // Line of sight, see updateEnemySight
+    enemy.nextSightCheck = 0;
+    if (enemyType.boss) this.bossManager.setup(enemy, Date.now());
+
     this.enemies.push(enemy);
     return enemy;
   }
 
   // Spawn enemies in the tunnel segments
-  spawnEnemiesInTunnel(segmentLength) {
+  spawnEnemiesInTunnel() {
     // Only consider segments beyond the first one to avoid enemies too close to player start
     const validSegments = this.levelSegments.slice(1);
 
     // Choose a random segment
-    if (validSegments.length === 0) return;
+    if (validSegments.length === 0 || !this.levelManager) return;
 
     // Choose a random segment closer to the player (between 20-60% of the way through the tunnel)
     const segmentIndex =
       Math.floor(validSegments.length * 0.2) +
-      Math.floor(Math.random() * (validSegments.length * 0.4));
+      Math.floor(this.rng.next() * (validSegments.length * 0.4));
 
     if (!validSegments[segmentIndex]) return;
 
-    let segment = validSegments[segmentIndex];
-
-    // Check if this segment is suitable for spawning
-    // Avoid spawning in curve segments as they cause position calculation issues
-    const isCurved =
-      segment.userData &&
-      segment.userData.type &&
-      (segment.userData.type === 'curveLeft' ||
-        segment.userData.type === 'curveRight');
-
-    // If the segment is curved, try to find a better segment
-    if (isCurved) {
-      // Try segments before or after this one
-      const trySegments = [];
-      if (validSegments[segmentIndex - 1])
-        trySegments.push(validSegments[segmentIndex - 1]);
-      if (validSegments[segmentIndex + 1])
-        trySegments.push(validSegments[segmentIndex + 1]);
-
-      // If we have alternatives, pick one randomly
-      if (trySegments.length > 0) {
-        const altSegment =
-          trySegments[Math.floor(Math.random() * trySegments.length)];
-        if (altSegment) segment = altSegment;
-      }
-    }
+    const segment = validSegments[segmentIndex];
 
     // Calculate a position somewhere in the segment
     const segmentPosition = segment.position.clone();
@@ -125,26 +132,35 @@ class EnemyManager {
     );
 
     // Get actual dimensions from geometry if possible
-    if (floor && floor.geometry && floor.geometry.parameters) {
+    if (segment.userData.bounds) {
+      segmentWidth = segment.userData.bounds.width * 0.7;
+      segmentHeight = segment.userData.bounds.height * 0.6;
+    } else if (floor && floor.geometry && floor.geometry.parameters) {
       segmentWidth = floor.geometry.parameters.width * 0.7; // More conservative width (70%)
     }
 
-    if (floor && ceiling) {
+    if (!segment.userData.bounds && floor && ceiling) {
       segmentHeight = Math.abs(ceiling.position.y - floor.position.y) * 0.6; // More conservative height (60%)
     }
 
     // Use more conservative position bounds within the segment
-    const x = (Math.random() - 0.5) * segmentWidth * 0.8;
-    const y = (Math.random() - 0.5) * segmentHeight * 0.8;
+    const x = (this.rng.next() - 0.5) * segmentWidth * 0.8;
+    const y = (this.rng.next() - 0.5) * segmentHeight * 0.8;
+
+    // Position along the segment length, between 20% and 80% through it
+    const t = this.rng.next() * 0.6 + 0.2;
 
-    // Position along the segment length (avoid edges)
-    const z = -segmentLength * (Math.random() * 0.6 + 0.2); // Position between 20% and 80% through segment
+    this.waveCount++;
+    if (this.rng.next() < this.squadChance) {
+      return this.spawnSquadInTunnel(segment, t, x, y);
+    }
 
-    // Convert local coordinates to world coordinates
-    // Apply the segment's world matrix to get the correct position
-    segment.updateMatrixWorld(true); // Ensure matrix is up to date
-    const spawnPosition = new THREE.Vector3(x, y, z).applyMatrix4(
-      segment.matrixWorld
+    // Offset from the centre line, which swings out in curved segments
+    const spawnPosition = this.levelManager.getPointAlongSegment(
+      segment,
+      t,
+      x,
+      y
     );
 
     // Verify position is inside level bounds - perform raycasting check
@@ -154,9 +170,10 @@ class EnemyManager {
     );
     if (tooCloseToWall) {
       // If too close to wall, try again with more conservative positioning
-      // Move towards center of tunnel
-      spawnPosition.x *= 0.5;
-      spawnPosition.y *= 0.5;
+      // Move towards the centre line of the segment
+      spawnPosition.copy(
+        this.levelManager.getPointAlongSegment(segment, t, x * 0.5, y * 0.5)
+      );
     }
 
     // Create debug visualization for spawn point (useful for development)
@@ -182,7 +199,7 @@ class EnemyManager {
     const enemyTypesForCurrentProgress = this.getEnemyTypesForCurrentProgress();
     const enemyType =
       enemyTypesForCurrentProgress[
-        Math.floor(Math.random() * enemyTypesForCurrentProgress.length)
+        Math.floor(this.rng.next() * enemyTypesForCurrentProgress.length)
       ];
 
     // Create and return the enemy
@@ -196,22 +213,87 @@ class EnemyManager {
     return enemy;
   }
 
+  // Spawn a squad in a random formation around a point along a segment.
+  // Squads start with a single wingman and grow with the waves; wingmen are
+  // never of a heavier type than their leader. Returns the members.
+  spawnSquadInTunnel(segment, t, x, y) {
+    const size = Math.min(4, 2 + Math.floor(this.waveCount / 10));
+    const formations = Object.values(Formation);
+    const formation =
+      formations[Math.floor(this.rng.next() * formations.length)];
+
+    const types = this.getEnemyTypesForCurrentProgress();
+    const leaderType = types[Math.floor(this.rng.next() * types.length)];
+    const wingmanTypes = types.filter(
+      (type) => type.health <= leaderType.health
+    );
+
+    const squad = this.squadManager.getSquad(`wave:${this.waveCount}`);
+    const offsets = getFormationOffsets(formation, size);
+    return offsets.map(([offsetX, offsetY, back], slot) => {
+      const type =
+        slot === 0
+          ? leaderType
+          : wingmanTypes[Math.floor(this.rng.next() * wingmanTypes.length)];
+
+      // Further along the segment for members flying behind the leader
+      const along = THREE.MathUtils.clamp(
+        t + back / this.levelManager.segmentLength,
+        0,
+        1
+      );
+      const position = this.levelManager.getPointAlongSegment(
+        segment,
+        along,
+        x + offsetX,
+        y + offsetY
+      );
+      if (this.isPositionTooCloseToWalls(position, segment)) {
+        position.copy(
+          this.levelManager.getPointAlongSegment(
+            segment,
+            along,
+            (x + offsetX) * 0.5,
+            (y + offsetY) * 0.5
+          )
+        );
+      }
+
+      const enemy = this.spawnEnemy(position, type.name);
+      enemy.mesh.userData.originSegment = segment.id;
+      this.squadManager.join(squad, enemy, slot);
+      return enemy;
+    });
+  }
+
   // Helper method to check if a position is too close to walls
   isPositionTooCloseToWalls(position, segment) {
-    // Simple distance check from segment center
-    const horizontalDistance = Math.sqrt(
-      Math.pow(position.x - segment.position.x, 2) +
-        Math.pow(position.z - segment.position.z, 2)
-    );
+    // Measure from the segment's centre line in its own frame, so shafts and
+    // turned segments are checked against their own walls
+    segment.updateMatrixWorld(true);
+    const local = segment.worldToLocal(position.clone());
+
+    // Cave segments know their real wall
+    if (segment.userData.collider) {
+      return !segment.userData.collider.containsPoint(local, 1.5);
+    }
+
+    const bounds = segment.userData.bounds || {
+      width: this.tunnelWidth,
+      height: this.tunnelHeight,
+    };
 
     // If more than 80% of the way to the edge, consider it too close
-    return horizontalDistance > this.tunnelWidth * 0.4;
+    return (
+      Math.abs(local.x) > bounds.width * 0.4 ||
+      Math.abs(local.y) > bounds.height * 0.4
+    );
   }
 
   // Get appropriate enemy types based on current game progress
   getEnemyTypesForCurrentProgress() {
-    // By default return all enemy types except boss
-    return enemyTypes.filter((type) => type.name !== 'boss');
+    // By default return all enemy types except bosses and mini-bosses
+    return enemyTypes.filter((type) => !type.boss);
   }
 
   // Spawn predefined enemies from level blueprint
@@ -223,15 +305,9 @@ class EnemyManager {
     // Set total enemies count once (first time we load the level)
     if (this.totalPredefinedEnemies === 0 && level.enemySpawns) {
       this.totalPredefinedEnemies = level.enemySpawns.length;
-      // Update UI with enemy count
-      if (this.gameState && this.gameState.uiManager) {
-        this.gameState.uiManager.updateEnemyCount(
-          this.destroyedPredefinedEnemies.size,
-          this.totalPredefinedEnemies
-        );
-      }
     }
 
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
     for (const spawnPoint of level.enemySpawns) {
       // Generate a unique ID for this spawn point
       const spawnPointId = `${spawnPoint.position.x}_${spawnPoint.position.y}_${spawnPoint.position.z}`;
@@ -241,10 +317,11 @@ class EnemyManager {
         continue;
       }
 
+      // Spawn positions are in level coordinates, which move with the level
+      const worldPosition = this.levelManager.levelToWorld(spawnPoint.position);
+
       // Check if enemy should be visible now (based on player position)
-      const distanceToPlayer = spawnPoint.position.distanceTo(
-        this.camera.position
-      );
+      const distanceToPlayer = worldPosition.distanceTo(playerPosition);
 
       // Only spawn if within reasonable distance and not already spawned
       if (distanceToPlayer < 50 && distanceToPlayer > 5) {
@@ -255,10 +332,7 @@ class EnemyManager {
 
         if (!alreadySpawned) {
           // Use the proper spawnEnemy method to create fully initialized enemy
-          const enemy = this.spawnEnemy(
-            spawnPoint.position,
-            spawnPoint.enemyType
-          );
+          const enemy = this.spawnEnemy(worldPosition, spawnPoint.enemyType);
 
           if (enemy && enemy.mesh) {
             // Mark it as a predefined spawn
@@ -266,28 +340,16 @@ class EnemyManager {
             enemy.mesh.userData.spawnPointId = spawnPointId;
             enemy.mesh.userData.spawnPosition = spawnPoint.position.clone();
           }
-        }
-      }
-    }
-
-    // Check win condition - all predefined enemies destroyed
-    this.checkLevelCompletion();
-  }
-
-  // Check if all enemies in the level are destroyed
-  checkLevelCompletion() {
-    if (
-      this.levelManager &&
-      this.levelManager.currentLevel &&
-      this.destroyedPredefinedEnemies.size >= this.totalPredefinedEnemies &&
-      this.totalPredefinedEnemies > 0
-    ) {
-      // All enemies destroyed - level complete!
-      console.log('Level completed! All enemies destroyed.');
 
-      // Notify game state that level is complete
-      if (this.gameState && this.gameState.levelCompleted) {
-        this.gameState.levelCompleted();
+          // Members of a squad in the blueprint fly and fight together
+          if (spawnPoint.squad !== undefined) {
+            this.squadManager.join(
+              this.squadManager.getSquad(`level:${spawnPoint.squad}`),
+              enemy,
+              spawnPoint.slot
+            );
+          }
+        }
       }
     }
   }
@@ -296,7 +358,7 @@ class EnemyManager {
   updateEndlessMode(currentTime) {
     // Check if it's time to spawn a new enemy
     if (currentTime - this.lastRandomSpawnTime > this.randomSpawnInterval) {
-      this.spawnEnemiesInTunnel(20); // Use a default segment length
+      this.spawnEnemiesInTunnel();
       this.lastRandomSpawnTime = currentTime;
 
       // Gradually decrease spawn interval for increasing difficulty
@@ -307,15 +369,6 @@ class EnemyManager {
 
   // Reset enemies for new level with defensive checks
   resetLevel() {
-    // Clear tracking of destroyed enemies
-    if (this.destroyedPredefinedEnemies) {
-      this.destroyedPredefinedEnemies.clear();
-    } else {
-      this.destroyedPredefinedEnemies = new Set();
-    }
-
-    this.totalPredefinedEnemies = 0;
-
     // Remove all existing enemies with defensive checks
     if (this.enemies && this.enemies.length) {
       for (let i = this.enemies.length - 1; i >= 0; i--) {
@@ -325,9 +378,22 @@ class EnemyManager {
 
     this.enemies = [];
 
+    // Clear tracking of destroyed enemies. This comes after removing the old
+    // enemies, which would otherwise count as destroyed in the new level.
+    if (this.destroyedPredefinedEnemies) {
+      this.destroyedPredefinedEnemies.clear();
+    } else {
+      this.destroyedPredefinedEnemies = new Set();
+    }
+
+    this.totalPredefinedEnemies = 0;
+    this.squadManager.clear();
+    this.bossManager.clear();
+
     // Reset endless mode timers
     this.lastRandomSpawnTime = 0;
     this.randomSpawnInterval = 5000;
+    this.waveCount = 0;
   }
 
   // Enemy update function
@@ -343,87 +409,34 @@ class EnemyManager {
       this.spawnPredefinedEnemies();
     }
 
+    // Squads break formation and share sightings before their members move
+    this.squadManager.update(this.enemies);
+
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
     for (let i = this.enemies.length - 1; i >= 0; i--) {
       const enemy = this.enemies[i];
       if (!enemy.isActive) continue;
 
-      // Update enemy position
-      const distanceToPlayer = enemy.mesh.position.distanceTo(
-        this.camera.position
+      const distanceToPlayer = enemy.mesh.position.distanceTo(playerPosition);
+      this.updateEnemySight(enemy, currentTime, playerPosition);
+
+      // Move as the enemy type's AI decides
+      this.ai.update(
+        enemy,
+        {
+          playerPosition,
+          distance: distanceToPlayer,
+          home: this.levelManager.levelToWorld(enemy.ai.home),
+          origin: this.levelManager.worldOrigin.origin,
+          canSee: enemy.canSeePlayer,
+          navigation: this.navigationManager,
+          formation: this.squadManager.getFormationTarget(enemy),
+        },
+        delta
       );
 
-      // Apply enemy type-specific movement
-      if (distanceToPlayer < 30) {
-        // Get direction to player
-        const direction = new THREE.Vector3();
-        direction
-          .subVectors(this.camera.position, enemy.mesh.position)
-          .normalize();
-
-        // Apply movement patterns based on enemy type
-        let movementSpeed = enemy.type.speed;
-
-        // Apply behavior modifications based on enemy type
-        switch (enemy.type.name) {
-          case 'boss':
-            // Boss moves more deliberately with minimal randomness
-            direction.x += (Math.random() - 0.5) * 0.05;
-            direction.y += (Math.random() - 0.5) * 0.05;
-            direction.z += (Math.random() - 0.5) * 0.05;
-
-            // Boss tries to maintain a certain distance from player
-            const optimalDistance = 15;
-            const distanceAdjustment =
-              (distanceToPlayer - optimalDistance) * 0.02;
-            movementSpeed *= Math.max(0, Math.min(1.5, distanceAdjustment));
-            break;
-
-          case 'bomber':
-            // Bombers tend to move to positions above the player to drop bombs
-            direction.y += 0.1; // Slight upward bias
-            direction.x += (Math.random() - 0.5) * 0.3;
-            direction.z += (Math.random() - 0.5) * 0.1;
-            break;
-
-          case 'destroyer':
-            // Destroyers move more deliberately with less randomness
-            direction.x += (Math.random() - 0.5) * 0.1;
-            direction.y += (Math.random() - 0.5) * 0.1;
-            direction.z += (Math.random() - 0.5) * 0.1;
-
-            // Destroyers also prefer a certain engagement distance
-            const destroyerOptimalDistance = 10;
-            const destroyerDistAdj =
-              (distanceToPlayer - destroyerOptimalDistance) * 0.01;
-            movementSpeed *= Math.max(0, Math.min(1.2, destroyerDistAdj));
-            break;
-
-          default:
-            // Default for scouts and fighters - more erratic movement
-            direction.x += (Math.random() - 0.5) * 0.2;
-            direction.y += (Math.random() - 0.5) * 0.2;
-            direction.z += (Math.random() - 0.5) * 0.2;
-        }
-
-        // Update velocity with smoothing - different smoothing per enemy type
-        let smoothingFactor = 0.05;
-        if (enemy.type.name === 'boss') smoothingFactor = 0.02;
-        else if (enemy.type.name === 'destroyer') smoothingFactor = 0.03;
-
-        enemy.velocity.lerp(
-          direction.multiplyScalar(movementSpeed),
-          smoothingFactor
-        );
-
-        // Apply velocity
-        enemy.mesh.position.add(enemy.velocity);
-
-        // Make enemy face the player
-        enemy.mesh.lookAt(this.camera.position);
-
-        // Apply animations to enemy mesh based on its type
-        animateEnemy(enemy, delta);
-      }
+      // Apply animations to enemy mesh based on its type
+      animateEnemy(enemy, delta);
 
       // Update enemy collider
       enemy.mesh.updateMatrixWorld(true);
@@ -433,7 +446,7 @@ class EnemyManager {
       const collisionDistance = enemy.type.size * 2;
       if (!this.gameState.isGameOver && distanceToPlayer < collisionDistance) {
         // Player takes damage
-        this.gameState.takeDamage(enemy.type.damage);
+        this.gameState.takeDamage(enemy.type.damage, 'collision');
 
         // Destroy the enemy
         this.destroyEnemy(i);
@@ -452,13 +465,11 @@ class EnemyManager {
         const projectile = projectiles[j];
 
         if (checkProjectileEnemyCollision(projectile, enemy)) {
-          // Enemy takes damage - different damage resistance based on enemy type
-          let damageMultiplier = 1.0;
-          if (enemy.type.name === 'boss')
-            damageMultiplier = 0.7; // Boss takes less damage
-          else if (enemy.type.name === 'destroyer') damageMultiplier = 0.8; // Destroyers have some armor
-
-          enemy.health -= projectile.power * damageMultiplier;
+          // Enemy takes damage, less for armored types and more on the
+          // weak points of bosses
+          enemy.health -= enemy.boss
+            ? this.bossManager.takeHit(enemy, projectile)
+            : projectile.power * enemy.type.damageTaken;
 
           // Visual hit feedback
           this.effectsManager.createHitEffect(projectile.mesh.position.clone());
@@ -515,69 +526,15 @@ class EnemyManager {
         }
       }
 
-      // Handle enemy firing projectiles
-      if (
-        enemy.type.name !== 'scout' &&
-        currentTime - enemy.lastFireTime > enemy.fireRate
-      ) {
-        // Only shoot if within range and in front of the player
-        const firingRange = getEnemyFiringRange(enemy.type.name);
-
-        // Check if player is in front of the enemy
-        const inFrontOf =
-          this.camera
-            .getWorldDirection(new THREE.Vector3())
-            .dot(
-              new THREE.Vector3()
-                .subVectors(enemy.mesh.position, this.camera.position)
-                .normalize()
-            ) < 0;
-
-        if (distanceToPlayer < firingRange && inFrontOf) {
-          this.projectileManager.fireEnemyProjectile(enemy, this.camera);
-          enemy.lastFireTime = currentTime;
-
-          // Set next fire rate based on enemy type
-          if (enemy.type.name === 'bomber') {
-            // Bombers fire slower but with more powerful explosives
-            enemy.fireRate = 3000 + Math.random() * 1000;
-          } else if (enemy.type.name === 'destroyer') {
-            // Destroyers fire at medium rate with accurate shots
-            enemy.fireRate = 2000 + Math.random() * 1000;
-          } else if (enemy.type.name === 'boss') {
-            // Boss fires faster and more frequently
-            enemy.fireRate = 800 + Math.random() * 700;
-
-            // Boss occasionally fires from multiple weapons at once
-            if (Math.random() < 0.3) {
-              setTimeout(() => {
-                if (enemy && enemy.mesh && enemy.mesh.parent) {
-                  this.projectileManager.fireEnemyProjectile(
-                    enemy,
-                    this.camera
-                  );
-                }
-              }, 200);
-
-              if (Math.random() < 0.2) {
-                setTimeout(() => {
-                  if (enemy && enemy.mesh && enemy.mesh.parent) {
-                    this.projectileManager.fireEnemyProjectile(
-                      enemy,
-                      this.camera
-                    );
-                  }
-                }, 400);
-              }
-            }
-          } else {
-            // Default fire rate for others
-            enemy.fireRate = 2000 + Math.random() * 1000;
-          }
-        }
-      }
+      // Shot down above
+      if (this.enemies[i] !== enemy) continue;
+
+      this.updateEnemyFire(enemy, currentTime, distanceToPlayer);
     }
 
+    // Boss phases, attacks and health bar
+    this.bossManager.update(this.enemies, currentTime, playerPosition);
+
     // Update enemy projectiles
     this.projectileManager.updateProjectiles(
       delta,
@@ -587,6 +544,40 @@ class EnemyManager {
     );
   }
 
+  // Check whether the enemy can see the player past the walls and obstacles.
+  // The raycast is costly, so each enemy only looks every sightInterval and
+  // keeps the answer in between.
+  updateEnemySight(enemy, currentTime, playerPosition) {
+    if (currentTime < enemy.nextSightCheck) return;
+    enemy.nextSightCheck = currentTime + this.sightInterval;
+
+    const { awareness } = this.ai.getSettings(enemy.type);
+    enemy.canSeePlayer =
+      enemy.mesh.position.distanceTo(playerPosition) < awareness &&
+      hasLineOfSight(enemy.mesh.position, playerPosition, this.levelManager);
+  }
+
+  // Fire at the player as the enemy type's fire settings say, while its AI
+  // is fighting and can see the player. Bosses attack in their phases on
+  // top of this (see BossManager).
+  updateEnemyFire(enemy, currentTime, distanceToPlayer) {
+    const fire = enemy.type.fire;
+    if (!fire) return;
+
+    if (
+      currentTime - enemy.lastFireTime > enemy.fireRate &&
+      distanceToPlayer < fire.range &&
+      this.ai.canFire(enemy)
+    ) {
+      this.projectileManager.fireEnemyProjectile(enemy, this.camera);
+      enemy.lastFireTime = currentTime;
+
+      const [minInterval, maxInterval] = fire.interval;
+      enemy.fireRate =
+        minInterval + this.ai.rng.next() * (maxInterval - minInterval);
+    }
+  }
+
   destroyEnemy(index) {
     // Check if we have a valid array and index
     if (!this.enemies || index < 0 || index >= this.enemies.length) {
@@ -603,18 +594,8 @@ class EnemyManager {
       enemy.mesh.userData.isPredefined &&
       enemy.mesh.userData.spawnPointId
     ) {
+      // The ObjectiveManager counts these towards the level objectives
       this.destroyedPredefinedEnemies.add(enemy.mesh.userData.spawnPointId);
-
-      // Update the UI with new count
-      if (this.gameState && this.gameState.uiManager) {
-        this.gameState.uiManager.updateEnemyCount(
-          this.destroyedPredefinedEnemies.size,
-          this.totalPredefinedEnemies
-        );
-      }
-
-      // Check if level is complete
-      this.checkLevelCompletion();
     }
 
     // First, let's make sure lights are removed first
@@ -735,6 +716,10 @@ class EnemyManager {
         dropChance = 0.7; // 70% chance
         weaponDropChance = 0.6; // 60% of drops are weapons (42% overall)
         break;
+      case 'dreadnought':
+        dropChance = 1.0; // Mini-boss, always drops something
+        weaponDropChance = 0.6;
+        break;
       case 'boss':
         dropChance = 1.0; // 100% chance to drop something
         weaponDropChance = 0.8; // 80% chance it's a weapon
@@ -745,10 +730,10 @@ class EnemyManager {
     }
 
     // Determine if we should drop something
-    if (Math.random() > dropChance) return;
+    if (this.dropRng.next() > dropChance) return;
 
     // Determine what type of item to drop
-    if (Math.random() < weaponDropChance) {
+    if (this.dropRng.next() < weaponDropChance) {
       // Weapon drop
       const weaponFound =
         this.gameState.weaponInventory.laser.unlocked &&
@@ -773,7 +758,7 @@ class EnemyManager {
       const weights = [0.4, 0.2, 0.2, 0.2]; // 40% health, 20% others
 
       // Weighted random selection
-      const rand = Math.random();
+      const rand = this.dropRng.next();
       let powerup;
       let cumulativeWeight = 0;
 
@@ -793,15 +778,6 @@ class EnemyManager {
   setPowerUpManager(manager) {
     this.powerUpManager = manager;
   }
-
-  // Move all enemies by offset (Vector3)
-  offsetEnemies(offset) {
-    for (const enemy of this.enemies) {
-      if (enemy && enemy.mesh && enemy.mesh.position) {
-        enemy.mesh.position.add(offset);
-      }
-    }
-  }
 }
 
 export default EnemyManager;
@@ -1,4 +1,47 @@
 // Enemy type definitions
+
+// Behaviors an enemy type can fight with (see EnemyAI.js)
+export const EnemyBehavior = {
+  PATROL: 'patrol', // Wander around the spawn point, not aware of the player
+  PURSUE: 'pursue', // Fly straight at the player
+  STRAFE: 'strafe', // Circle the player at a distance, switching sides
+  HOLD_DISTANCE: 'holdDistance', // Close in or back off to a distance
+  RETREAT: 'retreat', // Back away from the player, e.g. when damaged
+  SEARCH: 'search', // Fly to where the player was last seen
+};
+
+// Parts the members of an engaged squad play (see SquadManager.js)
+export const SquadRole = {
+  DECOY: 'decoy', // Keep in front of the player and draw its fire
+  FLANK: 'flank', // Circle round to the player's side
+};
+
+// Attacks of a boss phase (see BossManager.js)
+export const BossAttack = {
+  SPREAD: 'spread', // A fan of shots at the player
+  SWEEP: 'sweep', // A stream of laser shots swept across the player
+  SUMMON: 'summon', // Call in minions
+};
+
+// Each type names the behavior it fights with in `ai`, with the parameters
+// of that behavior under its name, and how it fires in `fire` (null for
+// types that never shoot). damageTaken scales the damage of player shots.
+// `mesh` names the mesh builder of a type that looks like another. Bosses
+// and mini-bosses fight in the phases of their `boss` entry:
+//   title           - name on the boss health bar
+//   range           - distance the attacks reach
+//   muzzle          - name prefix of the mesh parts the attacks fire from
+//   weakPoints      - [{ part, health }], mesh parts whose name starts with
+//                     `part`, each breaking off after `health` damage
+//   weakPointDamage - damage multiplier of hits on a weak point
+//   phases          - [{ health, behavior, message, attacks }], each starting
+//                     once the boss is down to `health` (a share of the
+//                     type's), optionally switching its behavior
+// Attacks repeat every `interval` ms and fire `projectile` shots:
+//   spread - `count` shots fanned across `angle` degrees
+//   sweep  - a shot every `rate` ms for `duration` ms, turning across
+//            `angle` degrees
+//   summon - `count` minions of `enemyType`, up to `max` at a time
 export const enemyTypes = [
   {
     name: 'scout',
@@ -8,6 +51,12 @@ export const enemyTypes = [
     speed: 0.05,
     damage: 5,
     pointValue: 50,
+    damageTaken: 1.0,
+    ai: {
+      behavior: EnemyBehavior.PURSUE,
+      jitter: 0.2, // Erratic
+    },
+    fire: null,
   },
   {
     name: 'fighter',
@@ -17,6 +66,14 @@ export const enemyTypes = [
     speed: 0.03,
     damage: 10,
     pointValue: 100,
+    damageTaken: 1.0,
+    ai: {
+      behavior: EnemyBehavior.STRAFE,
+      strafe: { distance: 10, switchTime: 2.5 },
+      retreatHealth: 0.25,
+      jitter: 0.2,
+    },
+    fire: { range: 22, interval: [2000, 3000] },
   },
   {
     name: 'bomber',
@@ -26,6 +83,15 @@ export const enemyTypes = [
     speed: 0.02,
     damage: 20,
     pointValue: 200,
+    damageTaken: 1.0,
+    ai: {
+      behavior: EnemyBehavior.PURSUE,
+      retreatHealth: 0.3,
+      jitter: [0.3, 0, 0.1],
+      bias: [0, 0.1, 0], // Climbs above the player to drop bombs
+    },
+    // Slower, more powerful explosives
+    fire: { range: 25, interval: [3000, 4000] },
   },
   {
     name: 'destroyer',
@@ -35,6 +101,14 @@ export const enemyTypes = [
     speed: 0.01,
     damage: 30,
     pointValue: 500,
+    damageTaken: 0.8, // Some armor
+    ai: {
+      behavior: EnemyBehavior.HOLD_DISTANCE,
+      holdDistance: { distance: 10, gain: 0.01, maxSpeed: 1.2 },
+      jitter: 0.1,
+      steering: 0.03,
+    },
+    fire: { range: 30, interval: [2000, 3000] },
   },
   {
     name: 'boss',
@@ -44,5 +118,141 @@ export const enemyTypes = [
     speed: 0.005,
     damage: 50,
     pointValue: 1000,
+    damageTaken: 0.7,
+    ai: {
+      behavior: EnemyBehavior.HOLD_DISTANCE,
+      holdDistance: { distance: 15, gain: 0.02, maxSpeed: 1.5 },
+      awareness: 40,
+      jitter: 0.05,
+      steering: 0.02,
+    },
+    fire: { range: 40, interval: [800, 1500] },
+    // The weapon pods are its weak points; the more of them are shot off,
+    // the fewer guns its attacks fire from
+    boss: {
+      title: 'Command Ship',
+      range: 40,
+      muzzle: 'boss_weapon_muzzle_',
+      weakPoints: [{ part: 'boss_weapon_pod_', health: 30 }],
+      weakPointDamage: 2,
+      phases: [
+        {
+          health: 1,
+          attacks: [
+            {
+              type: BossAttack.SPREAD,
+              interval: 3000,
+              count: 5,
+              angle: 40,
+              projectile: 'plasma',
+            },
+          ],
+        },
+        {
+          health: 0.6,
+          message: 'SHIELDS FAILING',
+          attacks: [
+            {
+              type: BossAttack.SPREAD,
+              interval: 3500,
+              count: 7,
+              angle: 60,
+              projectile: 'plasma',
+            },
+            {
+              type: BossAttack.SWEEP,
+              interval: 6000,
+              duration: 1500,
+              rate: 100,
+              angle: 60,
+              projectile: 'heavylaser',
+            },
+          ],
+        },
+        {
+          health: 0.3,
+          behavior: EnemyBehavior.STRAFE,
+          message: 'CALLING REINFORCEMENTS',
+          attacks: [
+            {
+              type: BossAttack.SWEEP,
+              interval: 4000,
+              duration: 2000,
+              rate: 80,
+              angle: 90,
+              projectile: 'heavylaser',
+            },
+            {
+              type: BossAttack.SUMMON,
+              interval: 8000,
+              enemyType: 'scout',
+              count: 2,
+              max: 4,
+            },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    name: 'dreadnought',
+    mesh: 'destroyer', // A larger destroyer, as a mini-boss
+    color: 0x33ff66,
+    size: 1.4,
+    health: 150,
+    speed: 0.008,
+    damage: 40,
+    pointValue: 750,
+    damageTaken: 0.6,
+    ai: {
+      behavior: EnemyBehavior.HOLD_DISTANCE,
+      holdDistance: { distance: 12, gain: 0.01, maxSpeed: 1.2 },
+      awareness: 35,
+      jitter: 0.05,
+      steering: 0.03,
+    },
+    fire: { range: 30, interval: [2000, 3000] },
+    // Its side turrets are its weak points and its guns
+    boss: {
+      title: 'Dreadnought',
+      range: 30,
+      muzzle: 'destroyer_turret_',
+      weakPoints: [{ part: 'destroyer_turret_', health: 25 }],
+      weakPointDamage: 2,
+      phases: [
+        {
+          health: 1,
+          attacks: [
+            {
+              type: BossAttack.SPREAD,
+              interval: 4000,
+              count: 3,
+              angle: 20,
+              projectile: 'plasma',
+            },
+          ],
+        },
+        {
+          health: 0.5,
+          attacks: [
+            {
+              type: BossAttack.SPREAD,
+              interval: 3500,
+              count: 5,
+              angle: 40,
+              projectile: 'plasma',
+            },
+            {
+              type: BossAttack.SWEEP,
+              interval: 7000,
+              duration: 1200,
+              rate: 120,
+              angle: 50,
+              projectile: 'laser',
+            },
+          ],
+        },
+      ],
+    },
   },
 ];
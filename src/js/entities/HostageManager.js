@@ -0,0 +1,178 @@
+// Hostage Manager for the rescuable hostages placed by level blueprints
+import * as THREE from 'three';
+
+class HostageManager {
+  constructor(
+    scene,
+    camera,
+    gameState,
+    audioManager,
+    uiManager,
+    levelManager = null
+  ) {
+    this.scene = scene;
+    this.camera = camera;
+    this.gameState = gameState;
+    this.audioManager = audioManager;
+    this.uiManager = uiManager;
+    this.levelManager = levelManager;
+
+    this.hostages = []; // { mesh, beacon, spawnIndex, time }
+    this.rescuedSpawns = new Set(); // Spawn indices picked up this level
+    this.pickupRadius = 1.5;
+    this.spawnDistance = 50; // Same range as predefined enemies
+  }
+
+  // Hostage pod: a small figure in an escape suit with a blinking beacon
+  createHostageMesh() {
+    const group = new THREE.Group();
+    group.name = 'hostage';
+
+    const suitMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff8833,
+      roughness: 0.6,
+      metalness: 0.2,
+    });
+
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.25, 0.3, 0.8, 8),
+      suitMaterial
+    );
+    group.add(body);
+
+    const head = new THREE.Mesh(
+      new THREE.SphereGeometry(0.22, 10, 10),
+      new THREE.MeshStandardMaterial({
+        color: 0xaaddff,
+        emissive: 0x224466,
+        roughness: 0.2,
+        metalness: 0.6,
+      })
+    );
+    head.position.y = 0.6;
+    group.add(head);
+
+    // Rescue beacon ring around the hostage
+    const beacon = new THREE.Mesh(
+      new THREE.TorusGeometry(0.7, 0.05, 8, 24),
+      new THREE.MeshBasicMaterial({
+        color: 0x00ff88,
+        transparent: true,
+        opacity: 0.8,
+      })
+    );
+    beacon.rotation.x = Math.PI / 2;
+    group.add(beacon);
+
+    return { group, beacon };
+  }
+
+  // Spawn the level's hostages near the player that are not rescued yet
+  spawnPredefinedHostages() {
+    if (!this.levelManager || !this.levelManager.currentLevel) return;
+
+    const level = this.levelManager.currentLevel;
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+
+    level.hostageSpawns.forEach((spawnPoint, spawnIndex) => {
+      if (this.rescuedSpawns.has(spawnIndex)) return;
+      if (this.hostages.some((h) => h.spawnIndex === spawnIndex)) return;
+
+      // Spawn positions are in level coordinates, which move with the level
+      const worldPosition = this.levelManager.levelToWorld(spawnPoint.position);
+      if (worldPosition.distanceTo(playerPosition) > this.spawnDistance) {
+        return;
+      }
+
+      const { group, beacon } = this.createHostageMesh();
+      group.position.copy(worldPosition);
+      this.scene.add(group);
+      this.hostages.push({ mesh: group, beacon, spawnIndex, time: 0 });
+    });
+  }
+
+  // Animate the hostages and pick up the ones the player reaches
+  update(delta) {
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+
+    for (let i = this.hostages.length - 1; i >= 0; i--) {
+      const hostage = this.hostages[i];
+      hostage.time += delta;
+
+      // Wave for attention and blink the beacon
+      hostage.mesh.rotation.y = Math.sin(hostage.time * 2) * 0.4;
+      hostage.beacon.material.opacity =
+        0.3 + 0.5 * Math.abs(Math.sin(hostage.time * 3));
+
+      const distance = hostage.mesh.position.distanceTo(playerPosition);
+      if (distance < this.pickupRadius) {
+        this.rescueHostage(i);
+      }
+    }
+  }
+
+  rescueHostage(index) {
+    const hostage = this.hostages[index];
+    this.rescuedSpawns.add(hostage.spawnIndex);
+    this.removeHostage(index);
+
+    this.gameState.hostagesOnBoard++;
+    this.updateHUD();
+
+    if (this.uiManager) {
+      this.uiManager.showMessage('HOSTAGE ON BOARD', 1500, '#00ff88');
+    }
+    if (this.audioManager && this.audioManager.initialized) {
+      this.audioManager.playSound('powerup', { volume: 0.5, pitch: 1.3 });
+    }
+  }
+
+  removeHostage(index) {
+    const hostage = this.hostages[index];
+    this.scene.remove(hostage.mesh);
+    hostage.mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.hostages.splice(index, 1);
+  }
+
+  // Hostages still on board when the ship is destroyed are gone for good
+  loseHostagesOnBoard() {
+    const lost = this.gameState.hostagesOnBoard;
+    if (lost === 0) return;
+
+    this.gameState.hostagesOnBoard = 0;
+    this.updateHUD();
+
+    if (this.uiManager) {
+      this.uiManager.showMessage(
+        `${lost} HOSTAGE${lost > 1 ? 'S' : ''} LOST`,
+        2500,
+        '#ff4444',
+        40
+      );
+    }
+  }
+
+  // Remove all hostages and start the tally of a new level
+  resetLevel() {
+    for (let i = this.hostages.length - 1; i >= 0; i--) {
+      this.removeHostage(i);
+    }
+    this.rescuedSpawns.clear();
+    this.gameState.hostagesOnBoard = 0;
+    this.updateHUD();
+  }
+
+  updateHUD() {
+    if (!this.uiManager || !this.uiManager.updateHostages) return;
+
+    const level = this.levelManager && this.levelManager.currentLevel;
+    const total =
+      level && !this.levelManager.isEndless ? level.hostageSpawns.length : 0;
+    this.uiManager.updateHostages(this.gameState.hostagesOnBoard, total);
+  }
+}
+
+export default HostageManager;
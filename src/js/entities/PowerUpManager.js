@@ -1,5 +1,7 @@
 // PowerUp Manager for handling all power-ups in the game
 import * as THREE from 'three';
+import SeededRandom from '../utils/SeededRandom.js';
+import { KeyColor, KeyColorValue } from '../core/levels/SegmentTypes.js';
 
 // Power-up type definitions
 export const powerupTypes = [
@@ -61,7 +63,7 @@ export const powerupTypes = [
     color: 0xff00ff, // Purple for weapon pickups
     size: 0.5,
     duration: 0,
-    effect: function (gameState, uiManager) {
+    effect: function (gameState, uiManager, rng = null) {
       // Randomly choose a weapon to give
       const weapons = ['laser', 'missile', 'plasma'];
       const weaponWeights = {
@@ -71,7 +73,7 @@ export const powerupTypes = [
       };
 
       // Weighted random selection
-      const rand = Math.random();
+      const rand = rng ? rng.next() : Math.random();
       let weapon;
       let cumulativeWeight = 0;
 
@@ -116,7 +118,7 @@ export const powerupTypes = [
     color: 0xff8800, // Orange for ammo pickups
     size: 0.4,
     duration: 0,
-    effect: function (gameState, uiManager) {
+    effect: function (gameState, uiManager, rng = null) {
       // Determine which weapon to give ammo for
       let ammoAdded = false;
 
@@ -147,8 +149,9 @@ export const powerupTypes = [
         );
 
         if (unlockedWeapons.length > 0) {
+          const rand = rng ? rng.next() : Math.random();
           const weapon =
-            unlockedWeapons[Math.floor(Math.random() * unlockedWeapons.length)];
+            unlockedWeapons[Math.floor(rand * unlockedWeapons.length)];
           const ammoAmounts = {
             laser: 15,
             missile: 8,
@@ -182,6 +185,24 @@ export const powerupTypes = [
     },
     message: 'Ammo Acquired!',
   },
+  // Keycards (blueKey, yellowKey, redKey) open the locked doors of their
+  // color. They are only placed by levels, never spawned at random.
+  ...Object.values(KeyColor).map((keyColor) => ({
+    name: `${keyColor}Key`,
+    color: KeyColorValue[keyColor],
+    size: 0.6,
+    duration: 0,
+    isKey: true,
+    effect: function (gameState, uiManager) {
+      gameState.addKey(keyColor);
+      uiManager.showMessage(
+        `${keyColor.toUpperCase()} KEY ACQUIRED`,
+        2000,
+        `#${KeyColorValue[keyColor].toString(16).padStart(6, '0')}`
+      );
+    },
+    message: 'Key Acquired!',
+  })),
 ];
 
 class PowerUpManager {
@@ -200,6 +221,10 @@ class PowerUpManager {
     this.uiManager = uiManager;
     this.levelManager = levelManager; // Add this
     this.powerups = [];
+    this.collectedSpawns = new Set(); // Spawn indices picked up this level
+
+    // Random stream for spawns and pickup contents (seeded by the game)
+    this.rng = new SeededRandom();
   }
 
   // Create a power-up mesh
@@ -208,11 +233,15 @@ class PowerUpManager {
     const powerupGroup = new THREE.Group();
     powerupGroup.name = `powerup_${powerupType.name}`;
 
-    // Core geometry - icosahedron for more interesting shape
-    const coreGeometry = new THREE.IcosahedronGeometry(
-      powerupType.size * 0.5,
-      1
-    );
+    // Core geometry - icosahedron for more interesting shape, a flat card
+    // for keys
+    const coreGeometry = powerupType.isKey
+      ? new THREE.BoxGeometry(
+          powerupType.size * 0.6,
+          powerupType.size * 0.9,
+          powerupType.size * 0.1
+        )
+      : new THREE.IcosahedronGeometry(powerupType.size * 0.5, 1);
     const coreMaterial = new THREE.MeshStandardMaterial({
       color: powerupType.color,
       emissive: powerupType.color,
@@ -253,9 +282,10 @@ class PowerUpManager {
   // Spawn a power-up at a position
   spawnPowerup(position, typeName = null) {
     // If no specific type requested, choose randomly
+    const randomTypes = powerupTypes.filter((t) => !t.isKey);
     const powerupType = typeName
       ? powerupTypes.find((t) => t.name === typeName)
-      : powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
+      : randomTypes[Math.floor(this.rng.next() * randomTypes.length)];
 
     const powerupMesh = this.createPowerupMesh(powerupType);
     powerupMesh.position.copy(position);
@@ -276,10 +306,13 @@ class PowerUpManager {
     // Animate the power-up
     this.animatePowerup(powerup);
 
-    // Remove automatically after 20 seconds
-    setTimeout(() => {
-      this.removePowerup(powerup.id);
-    }, 20000);
+    // Remove automatically after 20 seconds. Keys stay until picked up, or
+    // the level could no longer be finished.
+    if (!powerupType.isKey) {
+      setTimeout(() => {
+        this.removePowerup(powerup.id);
+      }, 20000);
+    }
 
     return powerup;
   }
@@ -291,7 +324,7 @@ class PowerUpManager {
     const floatFrequency = 0.5 + Math.random() * 0.5;
     const floatAmplitude = 0.1 + Math.random() * 0.1;
     const startTime = performance.now();
-    const initialY = powerup.mesh.position.y;
+    let lastOffset = 0;
 
     // Create animation function
     function animate(time) {
@@ -305,7 +338,9 @@ class PowerUpManager {
       // Float up and down
       const yOffset =
         Math.sin(elapsedSeconds * floatFrequency) * floatAmplitude;
-      powerup.mesh.position.y = initialY + yOffset;
+      // Relative to the last frame, as the world offset moves power-ups too
+      powerup.mesh.position.y += yOffset - lastOffset;
+      lastOffset = yOffset;
 
       // Also rotate the ring differently
       if (powerup.mesh.children.length > 1) {
@@ -323,8 +358,7 @@ class PowerUpManager {
 
   // Update power-ups, check for collisions with player
   update() {
-    const playerPosition = new THREE.Vector3();
-    this.camera.getWorldPosition(playerPosition);
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
 
     for (let i = this.powerups.length - 1; i >= 0; i--) {
       const powerup = this.powerups[i];
@@ -334,7 +368,17 @@ class PowerUpManager {
       if (distance < powerup.collisionRadius + 0.5) {
         // 0.5 is approx. player radius
         // Apply power-up effect
-        powerup.type.effect(this.gameState, this.uiManager);
+        powerup.type.effect(this.gameState, this.uiManager, this.rng);
+
+        // A level's own power-ups do not come back after a respawn
+        if (powerup.spawnIndex !== undefined) {
+          this.collectedSpawns.add(powerup.spawnIndex);
+        }
+
+        // Count the pickup towards collect objectives
+        if (this.objectiveManager) {
+          this.objectiveManager.onItemCollected(powerup.type.name);
+        }
 
         // Play sound
         if (this.audioManager && this.audioManager.initialized) {
@@ -378,22 +422,38 @@ class PowerUpManager {
 
   // Spawn a power-up in a random position in front of the player
   spawnRandomPowerup() {
-    const playerPosition = new THREE.Vector3();
-    this.camera.getWorldPosition(playerPosition);
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
 
     const playerDirection = new THREE.Vector3(0, 0, -1);
     playerDirection.applyQuaternion(this.camera.quaternion);
 
     // Position 10-20 units ahead of player
-    const distance = 10 + Math.random() * 10;
+    const distance = 10 + this.rng.next() * 10;
     const position = playerPosition
       .clone()
       .add(playerDirection.multiplyScalar(distance));
 
     // Add some randomness to position
-    position.x += (Math.random() - 0.5) * 8;
-    position.y += (Math.random() - 0.5) * 4;
+    const offsetX = (this.rng.next() - 0.5) * 8;
+    const offsetY = (this.rng.next() - 0.5) * 4;
+
+    // Keep it around the centre line of the segment at that distance, so it
+    // does not end up inside the wall where a curve swings out
+    const placement =
+      this.levelManager && this.levelManager.findSegmentAlong(position);
+    if (placement) {
+      return this.spawnPowerup(
+        this.levelManager.getPointAlongSegment(
+          placement.segment,
+          placement.t,
+          offsetX,
+          offsetY
+        )
+      );
+    }
 
+    position.x += offsetX;
+    position.y += offsetY;
     return this.spawnPowerup(position);
   }
 
@@ -402,26 +462,40 @@ class PowerUpManager {
     if (!this.levelManager || !this.levelManager.currentLevel) return;
 
     const level = this.levelManager.currentLevel;
+    const playerPosition = this.levelManager.getPlayerWorldPosition();
+
+    level.powerupSpawns.forEach((spawnPoint, spawnIndex) => {
+      if (this.collectedSpawns.has(spawnIndex)) return;
+
+      // Spawn positions are in level coordinates, which move with the level
+      const worldPosition = this.levelManager.levelToWorld(spawnPoint.position);
 
-    for (const spawnPoint of level.powerupSpawns) {
       // Check if power-up should be visible now (based on player position)
-      const distanceToPlayer = spawnPoint.position.distanceTo(
-        this.camera.position
-      );
+      const distanceToPlayer = worldPosition.distanceTo(playerPosition);
 
       // Only spawn if within reasonable distance and not already spawned
       if (distanceToPlayer < 50 && !spawnPoint.spawned) {
-        this.spawnPowerup(spawnPoint.position, spawnPoint.type);
+        const powerup = this.spawnPowerup(
+          worldPosition,
+          spawnPoint.powerupType
+        );
+        powerup.spawnIndex = spawnIndex;
         spawnPoint.spawned = true;
       }
-    }
+    });
   }
 
-  // Move all power-ups by offset (Vector3)
-  offsetPowerUps(offset) {
-    for (const powerUp of this.powerUps) {
-      if (powerUp && powerUp.mesh && powerUp.mesh.position) {
-        powerUp.mesh.position.add(offset);
+  // Remove all power-ups and let the level's predefined ones spawn again
+  resetLevel() {
+    for (let i = this.powerups.length - 1; i >= 0; i--) {
+      this.removePowerup(this.powerups[i].id);
+    }
+    this.collectedSpawns.clear();
+
+    const level = this.levelManager && this.levelManager.currentLevel;
+    if (level) {
+      for (const spawnPoint of level.powerupSpawns) {
+        spawnPoint.spawned = false;
       }
     }
   }
@@ -1,5 +1,7 @@
 // Projectile system
 import * as THREE from 'three';
+import { obstacleIntersectsSphere } from '../utils/collisionUtils.js';
+import SeededRandom from '../utils/SeededRandom.js';
 
 class ProjectileManager {
   constructor(scene, camera, audioManager) {
@@ -8,6 +10,7 @@ class ProjectileManager {
     this.audioManager = audioManager;
     this.projectiles = [];
     this.enemyProjectiles = [];
+    this.rng = new SeededRandom(); // Aim and choice of enemy shots (seeded)
 
     // Default projectile geometry
     this.projectileGeometry = new THREE.SphereGeometry(0.05, 8, 8);
@@ -30,6 +33,10 @@ class ProjectileManager {
 
     this.projectileSpeed = 15; // Units per second
     this.canvas = null; // Will be set from outside
+
+    // Assigned by main.js
+    this.levelManager = null;
+    this.effectsManager = null;
   }
 
   // Set the canvas reference for pointer lock checking
@@ -373,13 +380,15 @@ class ProjectileManager {
     return this.createProjectile(startPosition, startQuaternion, options);
   }
 
-  // Enemy projectile shooting method
-  fireEnemyProjectile(enemy, camera) {
+  // Enemy projectile shooting method. Boss attacks choose the projectile
+  // type, the world position it starts at and its direction in options;
+  // otherwise the enemy type decides and it flies at the player.
+  fireEnemyProjectile(enemy, camera, options = {}) {
     if (!enemy || !enemy.mesh) return;
 
     // Determine projectile type based on enemy type
     let projectileType;
-    switch (enemy.type.name) {
+    switch (enemy.type.mesh || enemy.type.name) {
       case 'fighter':
         projectileType = 'laser';
         break;
@@ -393,11 +402,12 @@ class ProjectileManager {
         // Bosses have a chance to fire different projectile types
         const bossProjectiles = ['heavylaser', 'plasma', 'missile'];
         projectileType =
-          bossProjectiles[Math.floor(Math.random() * bossProjectiles.length)];
+          bossProjectiles[Math.floor(this.rng.next() * bossProjectiles.length)];
         break;
       default:
         projectileType = 'standard';
     }
+    if (options.type) projectileType = options.type;
 
     if (!projectileType) return;
 
@@ -431,24 +441,34 @@ class ProjectileManager {
     );
 
     // Position the projectile in front of the enemy
-    const enemyForward = new THREE.Vector3(0, 0, 1).applyQuaternion(
-      enemy.mesh.quaternion
-    );
-    const projectilePos = enemy.mesh.position
-      .clone()
-      .add(enemyForward.multiplyScalar(enemy.type.size * 1.5));
-    projectileMesh.position.copy(projectilePos);
+    if (options.origin) {
+      projectileMesh.position.copy(options.origin);
+    } else {
+      const enemyForward = new THREE.Vector3(0, 0, 1).applyQuaternion(
+        enemy.mesh.quaternion
+      );
+      const projectilePos = enemy.mesh.position
+        .clone()
+        .add(enemyForward.multiplyScalar(enemy.type.size * 1.5));
+      projectileMesh.position.copy(projectilePos);
+    }
 
     // Calculate direction to player
     const direction = new THREE.Vector3();
-    direction.subVectors(camera.position, projectileMesh.position).normalize();
-
-    // Add a slight inaccuracy to make it more fair
-    const inaccuracy = 0.05;
-    direction.x += (Math.random() * 2 - 1) * inaccuracy;
-    direction.y += (Math.random() * 2 - 1) * inaccuracy;
-    direction.z += (Math.random() * 2 - 1) * inaccuracy;
-    direction.normalize();
+    if (options.direction) {
+      direction.copy(options.direction).normalize();
+    } else {
+      direction
+        .subVectors(this.getPlayerPosition(), projectileMesh.position)
+        .normalize();
+
+      // Add a slight inaccuracy to make it more fair
+      const inaccuracy = 0.05;
+      direction.x += (this.rng.next() * 2 - 1) * inaccuracy;
+      direction.y += (this.rng.next() * 2 - 1) * inaccuracy;
+      direction.z += (this.rng.next() * 2 - 1) * inaccuracy;
+      direction.normalize();
+    }
 
     // Scale by projectile speed
     const velocity = direction.multiplyScalar(10);
@@ -496,6 +516,11 @@ class ProjectileManager {
   // Update projectiles - now handling special behaviors like gravity, guided, etc.
   updateProjectiles(delta, camera, gameState, effectsManager) {
     const currentTime = Date.now();
+    const playerPosition = this.getPlayerPosition();
+
+    // Where the obstacles are this frame, for the player's shots to hit
+    const obstacles =
+      this.projectiles.length > 0 ? this.getObstacleColliders() : [];
 
     // Process player projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
@@ -506,6 +531,12 @@ class ProjectileManager {
         projectile.velocity.clone().multiplyScalar(delta)
       );
 
+      // Shots stop at obstacles and wear down the ones with hit points
+      if (this.checkObstacleHit(projectile, obstacles, effectsManager)) {
+        this.removeProjectile(projectile);
+        continue;
+      }
+
       // Apply special behaviors
 
       // Gravity effect
@@ -523,10 +554,10 @@ class ProjectileManager {
 
       // Heat-seeking behavior
       if (projectile.heatSeek) {
-        // Target is always camera (player) in this implementation
+        // Target is always the player in this implementation
         const direction = new THREE.Vector3();
         direction
-          .subVectors(this.camera.position, projectile.mesh.position)
+          .subVectors(playerPosition, projectile.mesh.position)
           .normalize();
 
         // Limited turn rate
@@ -541,7 +572,7 @@ class ProjectileManager {
       else if (projectile.guided) {
         const direction = new THREE.Vector3();
         direction
-          .subVectors(this.camera.position, projectile.mesh.position)
+          .subVectors(playerPosition, projectile.mesh.position)
           .normalize();
 
         // More aggressive turn rate than heat-seeking
@@ -598,9 +629,7 @@ class ProjectileManager {
           }
 
           // Add current position at the start
-          projectile.trailPositions[0] = projectile.mesh.position.x;
-          projectile.trailPositions[1] = projectile.mesh.position.y;
-          projectile.trailPositions[2] = projectile.mesh.position.z;
+          this.setTrailHead(projectile);
 
           projectile.trail.geometry.attributes.position.needsUpdate = true;
           projectile.lastTrailUpdate = currentTime;
@@ -654,9 +683,7 @@ class ProjectileManager {
             }
 
             // Set first position to current projectile position
-            projectile.trailPositions[0] = projectile.mesh.position.x;
-            projectile.trailPositions[1] = projectile.mesh.position.y;
-            projectile.trailPositions[2] = projectile.mesh.position.z;
+            this.setTrailHead(projectile);
 
             // Update the buffer attribute
             projectile.trail.geometry.attributes.position.needsUpdate = true;
@@ -665,9 +692,8 @@ class ProjectileManager {
 
         // Check for collision with player
         if (camera) {
-          const distanceToPlayer = projectile.mesh.position.distanceTo(
-            camera.position
-          );
+          const distanceToPlayer =
+            projectile.mesh.position.distanceTo(playerPosition);
           const collisionThreshold = 0.5; // Adjust based on player size
 
           if (
@@ -676,7 +702,7 @@ class ProjectileManager {
             distanceToPlayer < collisionThreshold
           ) {
             // Player takes damage
-            gameState.takeDamage(projectile.power || 10);
+            gameState.takeDamage(projectile.power || 10, 'enemyFire');
 
             // Create explosion effect if we have an effects manager
             if (effectsManager) {
@@ -700,6 +726,72 @@ class ProjectileManager {
     }
   }
 
+  // Where the player is, or the camera's position without a level manager
+  getPlayerPosition() {
+    if (!this.levelManager) return this.camera.position;
+
+    return this.levelManager.getPlayerWorldPosition();
+  }
+
+  // Obstacles of the loaded segments that stop shots, with their bounding
+  // boxes brought up to date. Open doors and force fields that are off let
+  // shots through. Moving obstacles are checked part by part instead. The
+  // reactor core is left to the ReactorManager, which counts its hits.
+  getObstacleColliders() {
+    if (!this.levelManager) return [];
+
+    return this.levelManager.obstacles.filter((obstacle) => {
+      if (obstacle.reactor) return false;
+      if (obstacle.door && obstacle.door.state !== 'locked') return false;
+      if (obstacle.forceField && !obstacle.forceField.active) return false;
+      if (obstacle.motion) return true;
+
+      if (!obstacle.mesh.userData.boundingBox) {
+        obstacle.mesh.userData.boundingBox = new THREE.Box3();
+      }
+      obstacle.mesh.userData.boundingBox.setFromObject(obstacle.mesh);
+      return true;
+    });
+  }
+
+  // Check a player projectile against the obstacles. An obstacle with hit
+  // points loses the projectile's power and breaks apart when it runs out.
+  // Returns whether the projectile hit anything.
+  checkObstacleHit(projectile, obstacles, effectsManager) {
+    const position = projectile.mesh.position;
+    const sphere = new THREE.Sphere(position, 0.1);
+    const obstacle = obstacles.find((o) =>
+      o.motion
+        ? obstacleIntersectsSphere(o, sphere)
+        : o.mesh.userData.boundingBox.containsPoint(position)
+    );
+    if (!obstacle) return false;
+
+    const effects = effectsManager || this.effectsManager;
+    if (effects) {
+      effects.createHitEffect(position.clone());
+    }
+
+    if (obstacle.health === undefined) {
+      return true;
+    }
+
+    obstacle.health -= projectile.power;
+    if (obstacle.health <= 0) {
+      if (effects) {
+        effects.createBreakApartEffect(obstacle.mesh);
+      }
+      if (this.audioManager) {
+        this.audioManager.playSound('explosion', { volume: 0.5 });
+      }
+      this.levelManager.destroyObstacle(obstacle);
+    } else if (this.audioManager) {
+      this.audioManager.playSound('hit', { volume: 0.3 });
+    }
+
+    return true;
+  }
+
   // Helper method to remove enemy projectiles
   removeEnemyProjectile(index) {
     if (
@@ -747,19 +839,21 @@ class ProjectileManager {
     }
   }
 
+  // Put the newest trail point at the projectile. The trail moves with the
+  // world like the projectile does, so its points are kept relative to it.
+  setTrailHead(projectile) {
+    const head = projectile.mesh.position
+      .clone()
+      .sub(projectile.trail.position);
+    projectile.trailPositions[0] = head.x;
+    projectile.trailPositions[1] = head.y;
+    projectile.trailPositions[2] = head.z;
+  }
+
   // Add getter method to expose projectiles array to other systems
   getProjectiles() {
     return this.projectiles;
   }
-
-  // Move all projectiles by offset (Vector3)
-  offsetProjectiles(offset) {
-    for (const proj of this.projectiles) {
-      if (proj && proj.mesh && proj.mesh.position) {
-        proj.mesh.position.add(offset);
-      }
-    }
-  }
 }
 
 export default ProjectileManager;
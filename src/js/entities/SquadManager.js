@@ -0,0 +1,99 @@
+// Squads: a leader and its wingmen, which fly in formation until one of
+// them notices the player. Then the squad breaks formation and fights
+// together: the leader keeps in front of the player to draw its fire while
+// the wingmen flank it, and whatever one member sees the others learn.
+import { SquadRole } from './EnemyTypes.js';
+
+class SquadManager {
+  constructor(ai) {
+    this.ai = ai; // The EnemyAI the members are moved by
+    this.squads = new Map(); // Squads by key
+  }
+
+  // Squad with a key, e.g. `level:2` for the third squad of a level, made
+  // when the first member joins
+  getSquad(key) {
+    if (!this.squads.has(key)) {
+      this.squads.set(key, { key, members: [], engaged: false });
+    }
+    return this.squads.get(key);
+  }
+
+  // Add an enemy at its slot in the formation. The member at the lowest
+  // slot leads, so a wingman takes over when the leader is shot down.
+  join(squad, enemy, slot) {
+    enemy.squad = squad;
+    enemy.squadSlot = slot;
+    squad.members.push(enemy);
+    squad.members.sort((a, b) => a.squadSlot - b.squadSlot);
+  }
+
+  // Drop members that are no longer among the enemies, and coordinate the
+  // rest of each squad
+  update(enemies) {
+    const active = new Set(enemies.filter((enemy) => enemy.isActive));
+
+    for (const [key, squad] of this.squads) {
+      squad.members = squad.members.filter((member) => active.has(member));
+      if (squad.members.length === 0) {
+        this.squads.delete(key);
+        continue;
+      }
+      this.updateSquad(squad);
+    }
+  }
+
+  // Break formation once any member noticed the player, then share where
+  // the player was seen and hand out the roles
+  updateSquad(squad) {
+    const members = squad.members;
+    squad.engaged = members.some((member) => this.ai.isEngaged(member));
+    if (!squad.engaged) {
+      members.forEach((member) => (member.ai.role = null));
+      return;
+    }
+
+    const spotter = members.find((member) => member.ai.canSee);
+    if (spotter) {
+      for (const member of members) {
+        if (member !== spotter) {
+          this.ai.alert(member, spotter.ai.lastSeenPosition);
+        }
+      }
+    }
+
+    // A lone survivor fights as its type does
+    if (members.length < 2) {
+      members[0].ai.role = null;
+      return;
+    }
+    members.forEach((member, index) => {
+      if (index === 0) {
+        member.ai.role = SquadRole.DECOY;
+      } else {
+        member.ai.role = SquadRole.FLANK;
+        member.ai.strafeSide = index % 2 === 1 ? -1 : 1;
+      }
+    });
+  }
+
+  // World position a wingman keeps in formation: where its spawn point lies
+  // from the leader's, taken from where the leader is now. null for
+  // leaders, loners and squads that broke formation.
+  getFormationTarget(enemy) {
+    const squad = enemy.squad;
+    if (!squad || squad.engaged) return null;
+
+    const leader = squad.members[0];
+    if (!leader || leader === enemy) return null;
+
+    return leader.mesh.position.clone().add(enemy.ai.home).sub(leader.ai.home);
+  }
+
+  // Forget all squads, e.g. for a new level
+  clear() {
+    this.squads.clear();
+  }
+}
+
+export default SquadManager;
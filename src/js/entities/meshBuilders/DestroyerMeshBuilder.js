@@ -125,11 +125,12 @@ class DestroyerMeshBuilder extends MeshBuilder {
       6
     );
 
-    // Create left secondary turret
+    // Create left secondary turret (a weak point of the mini-boss)
     const leftTurret = new THREE.Mesh(
       secondaryTurretGeometry,
       secondaryTurretMaterial
     );
+    leftTurret.name = 'destroyer_turret_left';
     leftTurret.position.set(
       -enemyType.size * 0.6,
       enemyType.size * 0.2,
@@ -147,6 +148,7 @@ class DestroyerMeshBuilder extends MeshBuilder {
       secondaryTurretGeometry,
       secondaryTurretMaterial
     );
+    rightTurret.name = 'destroyer_turret_right';
     rightTurret.position.set(
       enemyType.size * 0.6,
       enemyType.size * 0.2,
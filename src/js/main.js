@@ -7,12 +7,20 @@ import AudioManager from '../js/core/AudioManager.js';
 import GameState from '../js/core/GameState.js';
 import InputManager from '../js/core/InputManager.js';
 import LevelManager from '../js/core/LevelManager.js';
+import ReactorManager from '../js/core/ReactorManager.js';
+import ObjectiveManager from '../js/core/ObjectiveManager.js';
+import DoorManager from '../js/core/DoorManager.js';
+import HazardManager from '../js/core/HazardManager.js';
+import MovingObstacleManager from '../js/core/MovingObstacleManager.js';
+import CheckpointManager from '../js/core/CheckpointManager.js';
+import NavigationManager from '../js/core/NavigationManager.js';
 
 // Import entities
 import Spaceship from '../js/entities/Spaceship.js';
 import ProjectileManager from '../js/entities/ProjectileManager.js';
 import EnemyManager from '../js/entities/EnemyManager.js';
 import PowerUpManager from '../js/entities/PowerUpManager.js';
+import HostageManager from '../js/entities/HostageManager.js';
 
 // Import utils
 import {
@@ -27,15 +35,20 @@ import {
   shakeCamera,
 } from '../js/utils/effectsUtils.js';
 import { checkPlayerObstacleCollision } from '../js/utils/collisionUtils.js';
+import SeededRandom from '../js/utils/SeededRandom.js';
+import { DEFAULT_THEME } from '../js/core/levels/LevelThemes.js';
 
 // Import UI
 import UIManager from '../js/ui/UIManager.js';
+import LevelEditor from '../js/editor/LevelEditor.js';
+import Automap from '../js/ui/Automap.js';
 
 // Initialize the game
 export default class Game {
   constructor() {
     // Core systems
     this.clock = new THREE.Clock();
+    this.rng = new SeededRandom(); // Master seed for reproducible runs
     this.scene = new THREE.Scene();
     this.camera = null;
     this.renderer = null;
@@ -47,13 +60,25 @@ export default class Game {
     this.uiManager = null;
     this.inputManager = null;
     this.levelManager = null;
+    this.worldOrigin = null;
     this.projectileManager = null;
     this.enemyManager = null;
     this.powerUpManager = null;
+    this.hostageManager = null;
+    this.reactorManager = null;
+    this.objectiveManager = null;
+    this.doorManager = null;
+    this.hazardManager = null;
+    this.movingObstacleManager = null;
+    this.checkpointManager = null;
+    this.levelEditor = null;
+    this.automap = null;
 
     // Game entities
     this.spaceship = null;
     this.caveParticles = null;
+    this.ambientLight = null;
+    this.theme = null; // Environment theme of the level being played
 
     // Game state tracking
     this.activeAnimations = [];
@@ -97,6 +122,11 @@ export default class Game {
       this.inputManager.game = this;
 
       this.levelManager = new LevelManager(this.scene, this.camera);
+
+      // The world moves around the camera, which stays where it is
+      this.worldOrigin = this.levelManager.worldOrigin;
+      this.worldOrigin.pin(this.camera);
+
       this.projectileManager = new ProjectileManager(
         this.scene,
         this.camera,
@@ -111,6 +141,14 @@ export default class Game {
         this.uiManager,
         this.levelManager
       );
+      this.hostageManager = new HostageManager(
+        this.scene,
+        this.camera,
+        this.gameState,
+        this.audioManager,
+        this.uiManager,
+        this.levelManager
+      );
 
       this.enemyManager = new EnemyManager(
         this.scene,
@@ -122,6 +160,86 @@ export default class Game {
 
       // Connect EnemyManager to PowerUpManager so it can drop weapon pickups
       this.enemyManager.powerUpManager = this.powerUpManager;
+      this.enemyManager.bossManager.uiManager = this.uiManager;
+
+      // Boss room reactor and escape countdown
+      this.reactorManager = new ReactorManager(
+        this.scene,
+        this.levelManager,
+        this.gameState,
+        this.audioManager,
+        this.uiManager
+      );
+      this.reactorManager.effectsManager = this.enemyManager.effectsManager;
+      this.levelManager.reactorManager = this.reactorManager;
+
+      // Player shots stop at obstacles and break the destructible ones
+      this.projectileManager.levelManager = this.levelManager;
+      this.projectileManager.effectsManager = this.enemyManager.effectsManager;
+
+      // Mission objectives decide when a level is completed
+      this.objectiveManager = new ObjectiveManager(
+        this.levelManager,
+        this.gameState,
+        this.uiManager
+      );
+      this.objectiveManager.enemyManager = this.enemyManager;
+      this.objectiveManager.reactorManager = this.reactorManager;
+      this.levelManager.objectiveManager = this.objectiveManager;
+      this.powerUpManager.objectiveManager = this.objectiveManager;
+
+      // Locked doors and the keycards that open them
+      this.doorManager = new DoorManager(
+        this.levelManager,
+        this.gameState,
+        this.audioManager,
+        this.uiManager
+      );
+      this.levelManager.doorManager = this.doorManager;
+      this.levelManager.powerUpManager = this.powerUpManager;
+      this.levelManager.hostageManager = this.hostageManager;
+
+      // Lava floors, force fields and arc emitters
+      this.hazardManager = new HazardManager(
+        this.levelManager,
+        this.gameState,
+        this.uiManager
+      );
+      this.levelManager.hazardManager = this.hazardManager;
+
+      // Fans, pistons, sliding doors and orbiting debris
+      this.movingObstacleManager = new MovingObstacleManager(
+        this.levelManager,
+        this.gameState
+      );
+      this.levelManager.movingObstacleManager = this.movingObstacleManager;
+
+      // Waypoint graphs of the loaded segments the enemies find their way by
+      this.navigationManager = new NavigationManager(this.levelManager);
+      this.levelManager.navigationManager = this.navigationManager;
+      this.enemyManager.navigationManager = this.navigationManager;
+
+      // Checkpoints, and respawning at them after losing a life
+      this.checkpointManager = new CheckpointManager(
+        this.levelManager,
+        this.gameState,
+        this.audioManager,
+        this.uiManager
+      );
+      this.checkpointManager.enemyManager = this.enemyManager;
+      this.checkpointManager.projectileManager = this.projectileManager;
+      this.checkpointManager.objectiveManager = this.objectiveManager;
+      this.checkpointManager.powerUpManager = this.powerUpManager;
+      this.checkpointManager.hostageManager = this.hostageManager;
+      this.checkpointManager.reactorManager = this.reactorManager;
+      this.levelManager.checkpointManager = this.checkpointManager;
+      this.levelManager.game = this;
+
+      // Map of the explored segments, toggled with M
+      this.automap = new Automap(this);
+
+      // Give every random generation system its stream of the run seed
+      this.setSeed(this.rng.seed);
 
       // Give the LevelManager a reference to the EnemyManager
       if (this.levelManager) {
@@ -144,10 +262,16 @@ export default class Game {
       // Create the player's spaceship
       this.spaceship = new Spaceship();
       this.spaceship.attachToCamera(this.camera);
+      this.checkpointManager.spaceship = this.spaceship;
+      this.worldOrigin.player = this.spaceship.group;
 
       // Initialize cave dust particles
       this.caveParticles = createCaveParticles(this.scene); // Initialize level manager first
       await this.levelManager.initMaterials();
+      this.theme = DEFAULT_THEME;
+
+      // Add designer-made JSON levels to the level list
+      await this.levelManager.loadLevelManifest('/levels/manifest.json');
 
       // Select mode: endless or level-based
       if (this.isEndlessMode) {
@@ -163,7 +287,11 @@ export default class Game {
 
       // Create start screen and set up event listener
       const startButton = this.uiManager.createStartScreen();
-      startButton.addEventListener('click', () => this.startGame());
+      startButton.addEventListener('click', () => {
+        this.setSeed(this.uiManager.getSeed());
+        this.selectEndlessMode();
+        this.startGame();
+      });
       // Initialize the weapon UI if it exists
       if (this.gameState && this.uiManager) {
         this.gameState.resetWeaponInventory();
@@ -183,11 +311,41 @@ export default class Game {
     }
   }
 
-  initScene() {
-    this.scene = new THREE.Scene();
+  // Create the scene, or give it the fog and background of a new theme
+  initScene(theme = DEFAULT_THEME) {
+    if (!this.scene) {
+      this.scene = new THREE.Scene();
+    }
     // Add atmospheric fog to enhance cave feel
-    this.scene.fog = new THREE.FogExp2(0x000511, 0.03);
-    this.scene.background = new THREE.Color(0x000511); // Dark blue background
+    this.scene.fog = new THREE.FogExp2(theme.fogColor, theme.fogDensity);
+    this.scene.background = new THREE.Color(theme.fogColor);
+  }
+
+  // Dress the scene in a level's environment theme. Called by the level
+  // manager whenever a level loads.
+  applyTheme(theme) {
+    if (theme === this.theme) return;
+    this.theme = theme;
+
+    this.initScene(theme);
+    this.levelManager.initMaterials(theme);
+
+    if (this.ambientLight) {
+      this.ambientLight.color.setHex(theme.ambientColor);
+      this.ambientLight.intensity = theme.ambientIntensity;
+    }
+
+    if (this.caveParticles) {
+      this.scene.remove(this.caveParticles);
+      this.caveParticles.geometry.dispose();
+      this.caveParticles.material.dispose();
+    }
+    this.caveParticles = createCaveParticles(this.scene, theme.particles);
+
+    // Switch tracks only once the music has started with the game
+    if (this.audioManager.music) {
+      this.audioManager.playMusic(theme.music);
+    }
   }
 
   initCamera() {
@@ -220,11 +378,14 @@ export default class Game {
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0x333333, 0.3); // Dimmer ambient light for cave feel
     this.scene.add(ambientLight);
+    this.ambientLight = ambientLight;
+    this.worldOrigin.pin(ambientLight);
 
     // Main directional light (softer)
     const directionalLight = new THREE.DirectionalLight(0xcccccc, 0.5);
     directionalLight.position.set(5, 10, 7.5);
     this.scene.add(directionalLight);
+    this.worldOrigin.pin(directionalLight);
 
     // Add spotlight attached to player for flashlight effect
     const spotlight = new THREE.SpotLight(
@@ -288,6 +449,7 @@ export default class Game {
 
     // Reset weapon inventory to start with just the basic pulse weapon
     this.gameState.resetWeaponInventory();
+    this.gameState.resetLives();
 
     // Create empty sound for when out of ammo
     this.audioManager.createSound('empty', () => {
@@ -370,11 +532,9 @@ export default class Game {
     // Play background music with a slight delay to ensure audio context is running
     setTimeout(() => {
       console.log('Trying to play background music...');
-      const musicSource = this.audioManager.playSound('backgroundMusic', {
-        isMusic: true,
-        loop: true,
-        volume: 0.4,
-      });
+      const musicSource = this.audioManager.playMusic(
+        this.theme ? this.theme.music : DEFAULT_THEME.music
+      );
 
       if (musicSource) {
         console.log('Background music started successfully');
@@ -401,10 +561,27 @@ export default class Game {
     validateSceneGeometries(this.scene);
     console.log('Scene diagnostics complete.');
 
+    // Show the seed so the run can be shared
+    if (this.isEndlessMode) {
+      this.uiManager.showMessage(`SEED: ${this.rng.seed}`, 3000, '#00ddff', 60);
+    }
+
     // Request pointer lock to start the game
     this.canvas.requestPointerLock();
   }
 
+  // Seed the tunnel, enemy, enemy AI, power-up and drop generation. Each
+  // system gets its own stream so one system's rolls do not shift another's.
+  setSeed(seed = null) {
+    this.rng.setSeed(seed === null ? SeededRandom.randomSeed() : seed);
+    this.levelManager.rng = this.rng.fork('level');
+    this.enemyManager.rng = this.rng.fork('enemies');
+    this.enemyManager.dropRng = this.rng.fork('drops');
+    this.enemyManager.ai.rng = this.rng.fork('enemyAI');
+    this.enemyManager.projectileManager.rng = this.rng.fork('enemyShots');
+    this.powerUpManager.rng = this.rng.fork('powerups');
+  }
+
   animate() {
     try {
       requestAnimationFrame(() => this.animate());
@@ -440,7 +617,16 @@ export default class Game {
           console.warn('Error in animation function:', error);
           this.activeAnimations.splice(i, 1);
         }
-      } // Skip most updates if game not started yet or is paused
+      }
+
+      // The level editor takes over the scene while it is open
+      if (this.levelEditor && this.levelEditor.isActive) {
+        this.levelEditor.update(delta);
+        this.renderer.render(this.scene, this.levelEditor.camera);
+        return;
+      }
+
+      // Skip most updates if game not started yet or is paused
       if (
         this.gameState &&
         this.gameState.isGameStarted &&
@@ -448,6 +634,12 @@ export default class Game {
         !this.gameState.isPaused
       ) {
         try {
+          // Respawn a lost ship and save at checkpoints before anything
+          // else moves this frame
+          if (this.checkpointManager) {
+            this.checkpointManager.update(delta);
+          }
+
           // === Update player movement FIRST ===
           if (this.inputManager) {
             this.inputManager.updateMovement(delta);
@@ -464,37 +656,12 @@ export default class Game {
               this.spaceship.group,
               this.levelManager.obstacles,
               intendedMove,
-              this.levelManager.tunnelWidth,
-              this.levelManager.tunnelHeight
+              this.levelManager
             );
             if (!collision) {
-              // Instead of moving the ship, move the tunnel/obstacles/enemies in the opposite direction
-              this.levelManager.offsetLevel(intendedMove.clone().negate());
-              if (this.enemyManager)
-                this.enemyManager.offsetEnemies(intendedMove.clone().negate());
-              if (this.projectileManager)
-                this.projectileManager.offsetProjectiles(
-                  intendedMove.clone().negate()
-                );
-              if (this.powerUpManager)
-                this.powerUpManager.offsetPowerUps(
-                  intendedMove.clone().negate()
-                );
-              // Optionally, move cave particles too
-              if (this.caveParticles) {
-                for (
-                  let i = 0;
-                  i < this.caveParticles.geometry.attributes.position.count;
-                  i++
-                ) {
-                  this.caveParticles.geometry.attributes.position.setZ(
-                    i,
-                    this.caveParticles.geometry.attributes.position.getZ(i) -
-                      intendedMove.z
-                  );
-                }
-                this.caveParticles.geometry.attributes.position.needsUpdate = true;
-              }
+              // Instead of moving the ship, move the world in the opposite
+              // direction: tunnel, enemies, shots, pickups and effects alike
+              this.worldOrigin.shift(intendedMove.negate());
             } else {
               // Collision: stop velocity in that direction
               this.spaceship.velocity.set(0, 0, 0);
@@ -510,6 +677,12 @@ export default class Game {
             this.levelManager.updateLevel();
           }
 
+          // Move the kinematic obstacles before anything is checked against
+          // them
+          if (this.movingObstacleManager) {
+            this.movingObstacleManager.update(delta);
+          }
+
           // Update the enemy manager's reference to level segments
           if (this.enemyManager && this.levelManager) {
             const segments = this.levelManager.getLevelSegments();
@@ -531,11 +704,39 @@ export default class Game {
             }
           }
 
+          // Update the boss room reactor and escape countdown
+          if (this.reactorManager && this.projectileManager) {
+            this.reactorManager.update(
+              delta,
+              this.projectileManager.getProjectiles()
+            );
+          }
+
+          // Open locked doors the player holds the key for
+          if (this.doorManager) {
+            this.doorManager.update(delta);
+          }
+
+          // Switch force fields and hurt the ship near hazards
+          if (this.hazardManager) {
+            this.hazardManager.update(delta);
+          }
+
+          // Check the level objectives once everything has moved
+          if (this.objectiveManager) {
+            this.objectiveManager.update(delta);
+          }
+
           // Update power-ups
           if (this.powerUpManager) {
             this.powerUpManager.update();
           }
 
+          // Pick up hostages
+          if (this.hostageManager) {
+            this.hostageManager.update(delta);
+          }
+
           // Update particles
           if (this.caveParticles) {
             updateCaveParticles(this.caveParticles, delta);
@@ -551,10 +752,7 @@ export default class Game {
               currentTime - this.lastEnemySpawnTime > this.enemySpawnInterval
             ) {
               if (this.enemyManager && this.levelManager) {
-                const segmentLength = this.levelManager.getSegmentLength();
-                if (segmentLength !== undefined) {
-                  this.enemyManager.spawnEnemiesInTunnel(segmentLength);
-                }
+                this.enemyManager.spawnEnemiesInTunnel();
               }
 
               this.lastEnemySpawnTime = currentTime;
@@ -588,6 +786,10 @@ export default class Game {
             if (this.powerUpManager) {
               this.powerUpManager.spawnPredefinedPowerUps();
             }
+
+            if (this.hostageManager) {
+              this.hostageManager.spawnPredefinedHostages();
+            }
           }
 
           // Update HUD
@@ -612,11 +814,38 @@ export default class Game {
       if (this.renderer && this.scene && this.camera) {
         this.renderer.render(this.scene, this.camera);
       }
+
+      // Render budget readout, taken before the automap adds its own calls
+      if (this.uiManager && this.uiManager.isRenderReadoutVisible) {
+        this.uiManager.updateRenderReadout(this.getRenderStats());
+      }
+
+      // Draw the automap over the paused game
+      if (this.automap && this.automap.isOpen) {
+        this.automap.update(delta);
+        this.automap.render(this.renderer);
+      }
     } catch (error) {
       console.error('Critical error in animation loop:', error);
     }
   }
 
+  // Draw calls and GPU memory of the last frame, and the level's segment
+  // pools
+  getRenderStats() {
+    const { render, memory } = this.renderer.info;
+    return {
+      drawCalls: render.calls,
+      triangles: render.triangles,
+      geometries: memory.geometries,
+      textures: memory.textures,
+      heapMB: performance.memory
+        ? performance.memory.usedJSHeapSize / (1024 * 1024)
+        : null,
+      ...this.levelManager.getPoolStats(),
+    };
+  }
+
   // Select a specific level
   selectLevel(levelIndex) {
     this.currentLevelIndex = levelIndex;
@@ -637,15 +866,35 @@ export default class Game {
       this.levelManager.clearLevel();
       this.levelManager.initEndlessLevel();
     }
+
+    // The endless tunnel is always the plain cave
+    this.applyTheme(DEFAULT_THEME);
+
+    // Endless mode has no objectives or hostages
+    if (this.objectiveManager) {
+      this.objectiveManager.reset();
+    }
+    if (this.hostageManager) {
+      this.hostageManager.resetLevel();
+    }
   }
 
   // Restart current level
   restartLevel() {
+    // Replay the same run from the start
+    this.setSeed(this.rng.seed);
+
     if (this.isEndlessMode) {
       if (this.levelManager) {
         this.levelManager.clearLevel();
         this.levelManager.initEndlessLevel();
       }
+      if (this.objectiveManager) {
+        this.objectiveManager.reset();
+      }
+      if (this.hostageManager) {
+        this.hostageManager.resetLevel();
+      }
     } else {
       if (this.levelManager) {
         this.levelManager.loadLevel(this.currentLevelIndex);
@@ -669,6 +918,7 @@ export default class Game {
     this.gameState.isGameOver = false;
     this.gameState.score = 0;
     this.gameState.playerHealth = this.gameState.maxPlayerHealth;
+    this.gameState.resetLives();
 
     // Hide game over display
     if (this.uiManager && this.uiManager.hudElements.gameOverDisplay) {
@@ -693,6 +943,20 @@ export default class Game {
     this.uiManager.showMessage('Game Restarted!', 2000, '#00ff00');
   }
 
+  // Open the in-browser level editor
+  openLevelEditor() {
+    if (!this.levelEditor) {
+      this.levelEditor = new LevelEditor(this);
+    }
+
+    this.gameState.isGameStarted = false;
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+
+    this.levelEditor.open();
+  }
+
   // Method to show level selection screen
   showLevelSelection() {
     // Hide game over or start screen if visible
@@ -0,0 +1,405 @@
+// Automap showing the segments the player has visited, drawn in its own render
+// pass over the paused game
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { SegmentType, KeyColorValue } from '../core/levels/SegmentTypes.js';
+
+const SEGMENT_COLOR = 0x00aaff; // Segments without a light color
+const PLAYER_COLOR = 0xffffff;
+const EXIT_COLOR = 0x44ff44;
+
+function toCssColor(color) {
+  return `#${new THREE.Color(color).getHexString()}`;
+}
+
+class Automap {
+  constructor(game) {
+    this.game = game;
+    this.isOpen = false;
+
+    // The map has its own scene in level coordinates
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x000814);
+    this.camera = new THREE.PerspectiveCamera(50, 1, 0.5, 2000);
+    this.controls = null;
+
+    this.segmentGroup = new THREE.Group(); // Outlines of visited segments
+    this.markerGroup = new THREE.Group(); // Player, power-ups, doors and exit
+    this.scene.add(this.segmentGroup);
+    this.scene.add(this.markerGroup);
+    this.playerMarker = null;
+    this.time = 0;
+
+    this.viewportScale = 0.85; // Share of the screen the map covers
+    this.frame = null; // Border, title and legend around the map
+    this.titleElement = null;
+
+    this.onResize = this.onResize.bind(this);
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  // Open the map and pause the game while it is shown
+  open() {
+    const gameState = this.game.gameState;
+
+    // The pause menu has the screen while it is open
+    if (this.isOpen || gameState.isPaused) return;
+    this.isOpen = true;
+    gameState.isPaused = true;
+
+    // Free the mouse for rotating the map
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+
+    this.build();
+
+    // Start above and behind the player, looking the way they fly
+    const target = this.playerMarker.position.clone();
+    const forward = new THREE.Vector3();
+    this.game.camera.getWorldDirection(forward);
+    this.camera.position
+      .copy(target)
+      .addScaledVector(forward, -45)
+      .add(new THREE.Vector3(0, 60, 0));
+
+    this.controls = new OrbitControls(
+      this.camera,
+      this.game.renderer.domElement
+    );
+    this.controls.target.copy(target);
+    this.controls.enablePan = false;
+    this.controls.minDistance = 10;
+    this.controls.maxDistance = 400;
+    this.controls.update();
+
+    this.showFrame();
+    window.addEventListener('resize', this.onResize);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.game.gameState.isPaused = false;
+
+    window.removeEventListener('resize', this.onResize);
+
+    this.controls.dispose();
+    this.controls = null;
+    this.frame.style.display = 'none';
+
+    this.clearGroup(this.segmentGroup);
+    this.clearGroup(this.markerGroup);
+    this.playerMarker = null;
+  }
+
+  // Rebuild the map from what the level manager remembers
+  build() {
+    const levelManager = this.game.levelManager;
+    const current = levelManager.visitedSegments.get(
+      String(levelManager.currentNodeId)
+    );
+
+    for (const entry of levelManager.visitedSegments.values()) {
+      this.segmentGroup.add(this.createSegment(entry, entry === current));
+    }
+
+    for (const marker of [
+      ...this.createDoorMarkers(),
+      ...this.createExitMarkers(),
+      ...this.createPowerUpMarkers(),
+    ]) {
+      this.markerGroup.add(marker);
+    }
+
+    this.playerMarker = this.createPlayerMarker();
+    this.markerGroup.add(this.playerMarker);
+  }
+
+  // A segment drawn as a faint box with bright edges in its light color
+  createSegment(entry, isCurrent) {
+    const geometry = new THREE.BoxGeometry(
+      entry.width,
+      entry.height,
+      this.game.levelManager.segmentLength
+    );
+    const color = entry.lightColor || SEGMENT_COLOR;
+
+    const fill = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: isCurrent ? 0.3 : 0.08,
+        depthWrite: false,
+      })
+    );
+    fill.add(
+      new THREE.LineSegments(
+        new THREE.EdgesGeometry(geometry),
+        new THREE.LineBasicMaterial({ color })
+      )
+    );
+
+    fill.position.copy(entry.center);
+    fill.quaternion.copy(entry.quaternion);
+    return fill;
+  }
+
+  // Blueprint segments the player has seen: the visited ones and the ones
+  // leading off them
+  getKnownNodes() {
+    const levelManager = this.game.levelManager;
+    const graph = levelManager.tunnelGraph;
+    if (levelManager.isEndless || !graph) return [];
+
+    const known = new Set();
+    for (const id of levelManager.visitedSegments.keys()) {
+      known.add(id);
+      for (const neighbor of graph.getNeighbors(id)) {
+        known.add(neighbor);
+      }
+    }
+
+    return [...known]
+      .map((id) => graph.getNode(id))
+      .filter((node) => node && node.position);
+  }
+
+  // Locked doors, drawn across the entrance of their segment
+  createDoorMarkers() {
+    const levelManager = this.game.levelManager;
+
+    return this.getKnownNodes()
+      .filter(
+        (node) => node.def.door && !levelManager.openDoors.has(node.id)
+      )
+      .map((node) => {
+        const { width, height } = levelManager.tunnelGraph.getSize(node);
+        const marker = new THREE.Mesh(
+          new THREE.PlaneGeometry(width, height),
+          new THREE.MeshBasicMaterial({
+            color: KeyColorValue[node.def.door],
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+          })
+        );
+        marker.position.copy(node.position);
+        marker.quaternion.copy(node.quaternion);
+        return marker;
+      });
+  }
+
+  createExitMarkers() {
+    const graph = this.game.levelManager.tunnelGraph;
+
+    return this.getKnownNodes()
+      .filter((node) => node.def.type === SegmentType.END)
+      .map((node) => {
+        const marker = new THREE.Mesh(
+          new THREE.OctahedronGeometry(3),
+          new THREE.MeshBasicMaterial({ color: EXIT_COLOR, wireframe: true })
+        );
+        marker.position.copy(graph.getCenter(node));
+        return marker;
+      });
+  }
+
+  // Power-ups that are out in segments the player has visited
+  createPowerUpMarkers() {
+    const levelManager = this.game.levelManager;
+    const powerUpManager = this.game.powerUpManager;
+    if (!powerUpManager) return [];
+
+    const graph = levelManager.tunnelGraph;
+    const visitedIds = [...levelManager.visitedSegments.keys()];
+
+    return powerUpManager.powerups
+      .map((powerup) => ({
+        powerup,
+        position: levelManager.worldOrigin.worldToLevel(powerup.mesh.position),
+      }))
+      .filter(
+        ({ position }) =>
+          levelManager.isEndless ||
+          !graph ||
+          graph.findNodeAt(position, visitedIds)
+      )
+      .map(({ powerup, position }) => {
+        const marker = new THREE.Mesh(
+          new THREE.SphereGeometry(0.8, 8, 8),
+          new THREE.MeshBasicMaterial({ color: powerup.type.color })
+        );
+        marker.position.copy(position);
+        return marker;
+      });
+  }
+
+  // Arrow at the player's position pointing the way they face
+  createPlayerMarker() {
+    const geometry = new THREE.ConeGeometry(1.2, 4, 12);
+    geometry.rotateX(-Math.PI / 2); // Point the tip along -Z
+
+    const marker = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({ color: PLAYER_COLOR })
+    );
+    marker.position.copy(this.game.levelManager.getPlayerLevelPosition());
+    this.game.camera.getWorldQuaternion(marker.quaternion);
+    return marker;
+  }
+
+  clearGroup(group) {
+    for (const child of [...group.children]) {
+      group.remove(child);
+      child.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+    }
+  }
+
+  update(delta) {
+    if (!this.isOpen) return;
+
+    this.controls.update();
+
+    // Pulse the player marker so it is easy to find
+    this.time += delta;
+    this.playerMarker.scale.setScalar(1 + 0.25 * Math.sin(this.time * 5));
+  }
+
+  // Screen area of the map, centered and in CSS pixels
+  getViewport() {
+    const width = Math.floor(window.innerWidth * this.viewportScale);
+    const height = Math.floor(window.innerHeight * this.viewportScale);
+    return {
+      x: Math.floor((window.innerWidth - width) / 2),
+      y: Math.floor((window.innerHeight - height) / 2),
+      width,
+      height,
+    };
+  }
+
+  // Draw the map over the frame the game has already rendered
+  render(renderer) {
+    if (!this.isOpen) return;
+
+    const { x, y, width, height } = this.getViewport();
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    renderer.setViewport(x, y, width, height);
+    renderer.setScissor(x, y, width, height);
+    renderer.setScissorTest(true);
+    renderer.render(this.scene, this.camera);
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+  }
+
+  onResize() {
+    this.layoutFrame();
+  }
+
+  showFrame() {
+    if (!this.frame) {
+      this.createFrame();
+    }
+
+    const levelManager = this.game.levelManager;
+    const level = levelManager.currentLevel;
+    this.titleElement.textContent =
+      levelManager.isEndless || !level
+        ? 'AUTOMAP'
+        : `AUTOMAP - ${level.name.toUpperCase()}`;
+
+    this.layoutFrame();
+    this.frame.style.display = 'block';
+  }
+
+  layoutFrame() {
+    const { x, y, width, height } = this.getViewport();
+    this.frame.style.left = `${x}px`;
+    this.frame.style.top = `${y}px`;
+    this.frame.style.width = `${width}px`;
+    this.frame.style.height = `${height}px`;
+  }
+
+  // Border, title, legend and controls help drawn over the map area
+  createFrame() {
+    const frame = document.createElement('div');
+    frame.style.position = 'absolute';
+    frame.style.boxSizing = 'border-box';
+    frame.style.border = '2px solid #00aaff';
+    frame.style.boxShadow =
+      '0 0 15px rgba(0, 170, 255, 0.4), inset 0 0 20px rgba(0, 100, 200, 0.3)';
+    frame.style.pointerEvents = 'none';
+    frame.style.zIndex = '110';
+    frame.style.fontFamily = 'Arial, sans-serif';
+    frame.style.color = '#00ddff';
+    frame.style.display = 'none';
+
+    const title = document.createElement('div');
+    title.style.position = 'absolute';
+    title.style.top = '10px';
+    title.style.left = '15px';
+    title.style.fontFamily = 'Arial Black, sans-serif';
+    title.style.fontSize = '18px';
+    title.style.letterSpacing = '2px';
+    title.style.textShadow = '0 0 8px #00aaff';
+    frame.appendChild(title);
+    this.titleElement = title;
+
+    const legend = document.createElement('div');
+    legend.style.position = 'absolute';
+    legend.style.top = '12px';
+    legend.style.right = '15px';
+    legend.style.display = 'flex';
+    legend.style.gap = '14px';
+    legend.style.fontSize = '12px';
+
+    const legendItems = [
+      ['YOU', PLAYER_COLOR],
+      ['POWER-UP', 0xff00ff],
+      ['DOOR', KeyColorValue.yellow],
+      ['EXIT', EXIT_COLOR],
+    ];
+    for (const [label, color] of legendItems) {
+      const item = document.createElement('span');
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '10px';
+      swatch.style.height = '10px';
+      swatch.style.marginRight = '5px';
+      swatch.style.background = toCssColor(color);
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(label));
+      legend.appendChild(item);
+    }
+    frame.appendChild(legend);
+
+    const help = document.createElement('div');
+    help.style.position = 'absolute';
+    help.style.bottom = '10px';
+    help.style.width = '100%';
+    help.style.textAlign = 'center';
+    help.style.fontSize = '12px';
+    help.style.letterSpacing = '1px';
+    help.style.color = '#88ccff';
+    help.textContent = 'DRAG: ROTATE  |  WHEEL: ZOOM  |  M / ESC: CLOSE';
+    frame.appendChild(help);
+
+    document.body.appendChild(frame);
+    this.frame = frame;
+  }
+}
+
+export default Automap;
@@ -1,10 +1,25 @@
 // UI Manager for handling game interface elements
+import { KeyColor, KeyColorValue } from '../core/levels/SegmentTypes.js';
+
+// What a frame should stay within. The render readout shows a value in red
+// once it is over its budget.
+const RENDER_BUDGET = {
+  drawCalls: 300,
+  triangles: 300000,
+  geometries: 500,
+  textures: 32,
+  heapMB: 512,
+};
+
 class UIManager {
   constructor(gameState, audioManager) {
     this.gameState = gameState;
     this.audioManager = audioManager;
 
     this.startScreen = null;
+    this.seedValue = ''; // Seed typed on the start or level select screen
+    this.isRenderReadoutVisible = false; // Toggled with F3
+    this.lastRenderReadout = 0; // Time the readout was last refreshed
     this.hudElements = {
       healthBar: null,
       scoreDisplay: null,
@@ -244,43 +259,92 @@ class UIManager {
       scoreDisplay.textContent = '0';
       scoreContainer.appendChild(scoreDisplay);
 
-      // Enemy counter with tech frame
-      const enemyContainer = document.createElement('div');
-      enemyContainer.style.background =
+      // Ships left, one marker per life
+      const livesDisplay = document.createElement('div');
+      livesDisplay.id = 'lives-display';
+      livesDisplay.style.fontSize = '14px';
+      livesDisplay.style.fontWeight = 'bold';
+      livesDisplay.style.color = '#00ddff';
+      livesDisplay.style.letterSpacing = '3px';
+      livesDisplay.style.textShadow = '0 0 5px rgba(0, 200, 255, 0.7)';
+      livesDisplay.style.marginTop = '5px';
+      scoreContainer.appendChild(livesDisplay);
+
+      // Mission objectives with tech frame
+      const objectivesContainer = document.createElement('div');
+      objectivesContainer.style.background =
         'linear-gradient(rgba(0,10,20,0.7), rgba(0,20,40,0.7))';
-      enemyContainer.style.border = '1px solid #00aaff';
-      enemyContainer.style.borderRadius = '5px';
-      enemyContainer.style.padding = '8px 15px';
-      enemyContainer.style.boxShadow =
+      objectivesContainer.style.border = '1px solid #00aaff';
+      objectivesContainer.style.borderRadius = '5px';
+      objectivesContainer.style.padding = '8px 15px';
+      objectivesContainer.style.boxShadow =
         '0 0 8px rgba(0, 170, 255, 0.4), inset 0 0 10px rgba(0, 100, 200, 0.2)';
-      enemyContainer.style.width = '150px';
-      enemyContainer.style.textAlign = 'center';
-      rightHUD.appendChild(enemyContainer);
-
-      const enemyLabel = document.createElement('div');
-      enemyLabel.textContent = 'THREAT ANALYSIS';
-      enemyLabel.style.fontSize = '14px';
-      enemyLabel.style.fontWeight = 'bold';
-      enemyLabel.style.color = '#00ddff';
-      enemyLabel.style.textTransform = 'uppercase';
-      enemyLabel.style.letterSpacing = '1px';
-      enemyLabel.style.textShadow = '0 0 5px rgba(0, 200, 255, 0.7)';
-      enemyLabel.style.marginBottom = '5px';
-      enemyContainer.appendChild(enemyLabel);
-
-      const enemyCountDisplay = document.createElement('div');
-      enemyCountDisplay.id = 'enemy-count-display';
-      enemyCountDisplay.style.fontSize = '18px';
-      enemyCountDisplay.style.fontWeight = 'bold';
-      enemyCountDisplay.style.color = '#ff6600';
-      enemyCountDisplay.style.textShadow = '0 0 5px rgba(255, 102, 0, 0.7)';
-      enemyCountDisplay.textContent = 'SCANNING...';
-      enemyContainer.appendChild(enemyCountDisplay);
+      objectivesContainer.style.width = '190px';
+      objectivesContainer.style.textAlign = 'center';
+      rightHUD.appendChild(objectivesContainer);
+
+      const objectivesLabel = document.createElement('div');
+      objectivesLabel.textContent = 'OBJECTIVES';
+      objectivesLabel.style.fontSize = '14px';
+      objectivesLabel.style.fontWeight = 'bold';
+      objectivesLabel.style.color = '#00ddff';
+      objectivesLabel.style.textTransform = 'uppercase';
+      objectivesLabel.style.letterSpacing = '1px';
+      objectivesLabel.style.textShadow = '0 0 5px rgba(0, 200, 255, 0.7)';
+      objectivesLabel.style.marginBottom = '5px';
+      objectivesContainer.appendChild(objectivesLabel);
+
+      const objectivesList = document.createElement('div');
+      objectivesList.id = 'objectives-list';
+      objectivesList.style.fontSize = '13px';
+      objectivesList.style.fontWeight = 'bold';
+      objectivesList.style.textAlign = 'left';
+      objectivesList.style.color = '#ff6600';
+      objectivesList.style.textShadow = '0 0 5px rgba(255, 102, 0, 0.7)';
+      objectivesList.textContent = 'SCANNING...';
+      objectivesContainer.appendChild(objectivesList);
+
+      // Keycard slots, lit once the key is picked up
+      const keysRow = document.createElement('div');
+      keysRow.style.display = 'flex';
+      keysRow.style.justifyContent = 'center';
+      keysRow.style.gap = '8px';
+      keysRow.style.marginTop = '8px';
+      objectivesContainer.appendChild(keysRow);
+
+      const keyIcons = {};
+      for (const color of Object.values(KeyColor)) {
+        const hex = `#${KeyColorValue[color].toString(16).padStart(6, '0')}`;
+        const keyIcon = document.createElement('div');
+        keyIcon.title = `${color} key`;
+        keyIcon.style.width = '16px';
+        keyIcon.style.height = '22px';
+        keyIcon.style.border = `2px solid ${hex}`;
+        keyIcon.style.borderRadius = '3px';
+        keyIcon.style.opacity = '0.25';
+        keyIcon.style.transition = 'opacity 0.3s, background 0.3s';
+        keyIcon.dataset.color = hex;
+        keysRow.appendChild(keyIcon);
+        keyIcons[color] = keyIcon;
+      }
+
+      // Hostages on board out of those in the level
+      const hostageDisplay = document.createElement('div');
+      hostageDisplay.style.fontSize = '13px';
+      hostageDisplay.style.fontWeight = 'bold';
+      hostageDisplay.style.color = '#00ff88';
+      hostageDisplay.style.textShadow = '0 0 5px rgba(0, 255, 136, 0.7)';
+      hostageDisplay.style.marginTop = '6px';
+      hostageDisplay.style.display = 'none';
+      objectivesContainer.appendChild(hostageDisplay);
 
       this.hudElements.healthBar = healthBarInner;
       this.hudElements.healthPercentage = healthPercentage;
       this.hudElements.scoreDisplay = scoreDisplay;
-      this.hudElements.enemyCountDisplay = enemyCountDisplay;
+      this.hudElements.livesDisplay = livesDisplay;
+      this.hudElements.objectivesList = objectivesList;
+      this.hudElements.keyIcons = keyIcons;
+      this.hudElements.hostageDisplay = hostageDisplay;
 
       // Game over display (initially hidden)
       const gameOverDisplay = document.createElement('div');
@@ -533,6 +597,10 @@ class UIManager {
                   <span style="color: #ffffff;">Weapon Switch:</span> 
                   <span style="color: #00ddff; font-weight: bold;">1-4</span>
                 </p>
+                <p style="margin: 5px 0; display: flex; justify-content: space-between;">
+                  <span style="color: #ffffff;">Automap:</span> 
+                  <span style="color: #00ddff; font-weight: bold;">M</span>
+                </p>
               </div>
             </div>
           </div>
@@ -624,6 +692,11 @@ class UIManager {
       document.body.appendChild(startScreen);
       this.startScreen = startScreen;
 
+      // Seed field below the mode buttons
+      startScreen
+        .querySelector('.title-container')
+        .appendChild(this.createSeedField());
+
       // Add event listener for the level selection button
       const selectLevelBtn = document.getElementById('select-level-btn');
       if (selectLevelBtn) {
@@ -815,6 +888,7 @@ class UIManager {
       document.head.appendChild(style);
 
       levelBtn.addEventListener('click', () => {
+        this.game.setSeed(this.getSeed());
         this.game.selectLevel(index);
         menuContainer.remove();
         this.game.startGame();
@@ -826,6 +900,9 @@ class UIManager {
 
     contentContainer.appendChild(levelsContainer);
 
+    // Seed used for random tunnels, enemies and drops
+    contentContainer.appendChild(this.createSeedField());
+
     // Endless mode button (special styling)
     const endlessContainer = document.createElement('div');
     endlessContainer.style.marginTop = '30px';
@@ -901,6 +978,7 @@ class UIManager {
     document.head.appendChild(endlessShineStyle);
 
     endlessBtn.addEventListener('click', () => {
+      this.game.setSeed(this.getSeed());
       this.game.selectEndlessMode();
       menuContainer.remove();
       this.game.startGame();
@@ -909,6 +987,42 @@ class UIManager {
     endlessContainer.appendChild(endlessBtn);
     contentContainer.appendChild(endlessContainer);
 
+    // Level editor button
+    const editorContainer = document.createElement('div');
+    editorContainer.style.marginTop = '20px';
+
+    const editorButton = document.createElement('button');
+    editorButton.textContent = 'LEVEL EDITOR';
+    editorButton.style.width = '100%';
+    editorButton.style.padding = '12px 20px';
+    editorButton.style.background =
+      'linear-gradient(to bottom, #004433, #001811)';
+    editorButton.style.color = '#00ff88';
+    editorButton.style.border = '1px solid #00aa66';
+    editorButton.style.borderRadius = '5px';
+    editorButton.style.cursor = 'pointer';
+    editorButton.style.fontSize = '18px';
+    editorButton.style.fontWeight = 'bold';
+    editorButton.style.letterSpacing = '2px';
+    editorButton.style.transition = 'all 0.2s ease';
+    editorButton.addEventListener('click', () => {
+      menuContainer.remove();
+      this.game.openLevelEditor();
+    });
+
+    editorButton.onmouseover = () => {
+      editorButton.style.background =
+        'linear-gradient(to bottom, #006644, #002218)';
+    };
+
+    editorButton.onmouseout = () => {
+      editorButton.style.background =
+        'linear-gradient(to bottom, #004433, #001811)';
+    };
+
+    editorContainer.appendChild(editorButton);
+    contentContainer.appendChild(editorContainer);
+
     // Return button
     const backContainer = document.createElement('div');
     backContainer.style.marginTop = '25px';
@@ -952,6 +1066,49 @@ class UIManager {
     return menuContainer;
   }
 
+  // Create the seed input shared by the start and level select screens
+  createSeedField() {
+    const seedContainer = document.createElement('div');
+    seedContainer.style.marginTop = '25px';
+    seedContainer.style.display = 'flex';
+    seedContainer.style.justifyContent = 'center';
+    seedContainer.style.alignItems = 'center';
+    seedContainer.style.gap = '10px';
+
+    const seedLabel = document.createElement('label');
+    seedLabel.textContent = 'SEED';
+    seedLabel.style.color = '#ffffff';
+    seedLabel.style.fontWeight = 'bold';
+    seedLabel.style.letterSpacing = '2px';
+    seedLabel.style.textShadow = '0 0 5px #00aaff';
+    seedContainer.appendChild(seedLabel);
+
+    const seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.value = this.seedValue;
+    seedInput.placeholder = 'random';
+    seedInput.style.width = '180px';
+    seedInput.style.padding = '8px 10px';
+    seedInput.style.background = '#001830';
+    seedInput.style.color = '#00ddff';
+    seedInput.style.border = '1px solid #0088cc';
+    seedInput.style.borderRadius = '5px';
+    seedInput.style.fontSize = '16px';
+    seedInput.style.textAlign = 'center';
+    seedInput.addEventListener('input', () => {
+      this.seedValue = seedInput.value;
+    });
+    seedContainer.appendChild(seedInput);
+
+    return seedContainer;
+  }
+
+  // Get the seed the player entered, or null for a random run
+  getSeed() {
+    const seed = this.seedValue.trim();
+    return seed === '' ? null : seed;
+  }
+
   hideLevelSelect() {
     if (this.levelSelectMenu) {
       this.levelSelectMenu.style.display = 'none';
@@ -1300,45 +1457,321 @@ class UIManager {
 
     // Update score
     this.hudElements.scoreDisplay.textContent = `${this.gameState.score}`;
+
+    // Update lives
+    if (this.hudElements.livesDisplay) {
+      this.hudElements.livesDisplay.textContent = `SHIPS ${'▲'.repeat(
+        this.gameState.lives
+      )}`;
+    }
   }
 
   // Update enemy count display
-  updateEnemyCount(destroyedCount, totalCount) {
-    if (!this.hudElements.enemyCountDisplay) {
-      // Create enemy count display if it doesn't exist
-      const enemyCountDisplay = document.createElement('div');
-      enemyCountDisplay.id = 'enemy-count-display';
-      enemyCountDisplay.style.fontSize = '18px';
-      enemyCountDisplay.style.fontWeight = 'bold';
-      enemyCountDisplay.style.marginTop = '10px';
-      enemyCountDisplay.style.textShadow = '0 0 5px rgba(0, 0, 0, 0.7)';
-      enemyCountDisplay.style.color = '#ff6600';
-
-      const hudContainer = document.getElementById('hud-container');
-      if (hudContainer) {
-        hudContainer.appendChild(enemyCountDisplay);
-      } else {
-        document.body.appendChild(enemyCountDisplay);
-      }
+  // Show the mission objectives, each as { text, complete }
+  updateObjectives(objectives) {
+    const list = this.hudElements.objectivesList;
+    if (!list) return;
 
-      this.hudElements.enemyCountDisplay = enemyCountDisplay;
+    list.innerHTML = '';
+
+    if (objectives.length === 0) {
+      list.textContent = 'SCANNING...';
+      return;
     }
 
-    // Update the display with current counts
-    if (this.hudElements.enemyCountDisplay) {
-      this.hudElements.enemyCountDisplay.textContent = `ENEMIES: ${destroyedCount}/${totalCount}`;
-
-      // Change color based on progress
-      const percentComplete = (destroyedCount / totalCount) * 100;
-      if (percentComplete < 33) {
-        this.hudElements.enemyCountDisplay.style.color = '#ff6600'; // Red-orange when just starting
-      } else if (percentComplete < 66) {
-        this.hudElements.enemyCountDisplay.style.color = '#ffdd00'; // Yellow when halfway done
-      } else if (percentComplete < 100) {
-        this.hudElements.enemyCountDisplay.style.color = '#00ffaa'; // Cyan-green when almost done
-      } else {
-        this.hudElements.enemyCountDisplay.style.color = '#00ff00'; // Bright green when complete
+    for (const objective of objectives) {
+      const line = document.createElement('div');
+      const box = objective.complete ? '■' : '□';
+      line.textContent = `${box} ${objective.text}`;
+      line.style.margin = '2px 0';
+      // Orange while open, green once met
+      line.style.color = objective.complete ? '#00ff00' : '#ff6600';
+      line.style.textShadow = objective.complete
+        ? '0 0 5px rgba(0, 255, 0, 0.7)'
+        : '0 0 5px rgba(255, 102, 0, 0.7)';
+      list.appendChild(line);
+    }
+  }
+
+  // Light up the icons of the keycards the player holds
+  updateKeys(keys) {
+    const keyIcons = this.hudElements.keyIcons;
+    if (!keyIcons) return;
+
+    for (const [color, keyIcon] of Object.entries(keyIcons)) {
+      const held = keys.has(color);
+      keyIcon.style.opacity = held ? '1' : '0.25';
+      keyIcon.style.background = held ? keyIcon.dataset.color : 'transparent';
+      keyIcon.style.boxShadow = held ? `0 0 8px ${keyIcon.dataset.color}` : '';
+    }
+  }
+
+  // Hostage tally, hidden in levels without hostages
+  updateHostages(onBoard, total) {
+    const display = this.hudElements.hostageDisplay;
+    if (!display) return;
+
+    display.style.display = total > 0 ? 'block' : 'none';
+    display.textContent = `HOSTAGES ON BOARD: ${onBoard}/${total}`;
+  }
+
+  // Countdown shown while escaping from a destroyed reactor
+  showEscapeTimer(secondsLeft) {
+    if (!this.hudElements.escapeTimer) {
+      const escapeTimer = document.createElement('div');
+      escapeTimer.id = 'escape-timer';
+      escapeTimer.style.position = 'absolute';
+      escapeTimer.style.top = '90px';
+      escapeTimer.style.left = '50%';
+      escapeTimer.style.transform = 'translateX(-50%)';
+      escapeTimer.style.padding = '8px 20px';
+      escapeTimer.style.background =
+        'linear-gradient(rgba(40,0,0,0.8), rgba(80,0,0,0.8))';
+      escapeTimer.style.border = '2px solid #ff2200';
+      escapeTimer.style.borderRadius = '5px';
+      escapeTimer.style.boxShadow = '0 0 15px rgba(255, 34, 0, 0.6)';
+      escapeTimer.style.textAlign = 'center';
+      escapeTimer.style.fontFamily = 'Arial Black, sans-serif';
+      escapeTimer.style.pointerEvents = 'none';
+      escapeTimer.style.zIndex = '120';
+
+      const label = document.createElement('div');
+      label.textContent = 'REACTOR CRITICAL';
+      label.style.fontSize = '12px';
+      label.style.color = '#ffaa88';
+      label.style.letterSpacing = '2px';
+      escapeTimer.appendChild(label);
+
+      const time = document.createElement('div');
+      time.style.fontSize = '32px';
+      time.style.color = '#ff3300';
+      time.style.textShadow = '0 0 10px rgba(255, 51, 0, 0.8)';
+      escapeTimer.appendChild(time);
+
+      document.body.appendChild(escapeTimer);
+      this.hudElements.escapeTimer = escapeTimer;
+      this.hudElements.escapeTimerText = time;
+    }
+
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = Math.floor(secondsLeft % 60);
+    this.hudElements.escapeTimerText.textContent = `${minutes}:${String(
+      seconds
+    ).padStart(2, '0')}`;
+
+    // Blink during the last ten seconds
+    this.hudElements.escapeTimerText.style.visibility =
+      secondsLeft < 10 && secondsLeft % 0.5 < 0.25 ? 'hidden' : 'visible';
+    this.hudElements.escapeTimer.style.display = 'block';
+  }
+
+  hideEscapeTimer() {
+    if (this.hudElements.escapeTimer) {
+      this.hudElements.escapeTimer.style.display = 'none';
+    }
+  }
+
+  // Health bar of the boss being fought, with the phase it is in
+  showBossHealth(title, share, phase, phaseCount) {
+    if (!this.hudElements.bossHealth) {
+      const bossHealth = document.createElement('div');
+      bossHealth.id = 'boss-health';
+      bossHealth.style.position = 'absolute';
+      bossHealth.style.top = '20px';
+      bossHealth.style.left = '50%';
+      bossHealth.style.transform = 'translateX(-50%)';
+      bossHealth.style.width = '360px';
+      bossHealth.style.padding = '6px 12px';
+      bossHealth.style.background =
+        'linear-gradient(rgba(40,0,10,0.7), rgba(60,0,20,0.7))';
+      bossHealth.style.border = '1px solid #ff3355';
+      bossHealth.style.borderRadius = '5px';
+      bossHealth.style.boxShadow = '0 0 10px rgba(255, 51, 85, 0.5)';
+      bossHealth.style.fontFamily = 'Arial, sans-serif';
+      bossHealth.style.pointerEvents = 'none';
+      bossHealth.style.zIndex = '120';
+
+      const header = document.createElement('div');
+      header.style.display = 'flex';
+      header.style.justifyContent = 'space-between';
+      header.style.marginBottom = '4px';
+      header.style.fontSize = '13px';
+      header.style.fontWeight = 'bold';
+      header.style.letterSpacing = '1px';
+      header.style.textTransform = 'uppercase';
+      bossHealth.appendChild(header);
+
+      const name = document.createElement('div');
+      name.style.color = '#ff6677';
+      header.appendChild(name);
+
+      const phaseLabel = document.createElement('div');
+      phaseLabel.style.color = '#ffaa88';
+      header.appendChild(phaseLabel);
+
+      const barContainer = document.createElement('div');
+      barContainer.style.height = '10px';
+      barContainer.style.background = 'rgba(0, 0, 0, 0.5)';
+      barContainer.style.border = '1px solid #ff3355';
+      barContainer.style.borderRadius = '3px';
+      barContainer.style.overflow = 'hidden';
+      bossHealth.appendChild(barContainer);
+
+      const bar = document.createElement('div');
+      bar.style.height = '100%';
+      bar.style.background = 'linear-gradient(90deg, #aa0022, #ff3355)';
+      bar.style.transition = 'width 0.2s ease-out';
+      barContainer.appendChild(bar);
+
+      document.body.appendChild(bossHealth);
+      this.hudElements.bossHealth = bossHealth;
+      this.hudElements.bossName = name;
+      this.hudElements.bossPhase = phaseLabel;
+      this.hudElements.bossBar = bar;
+    }
+
+    this.hudElements.bossName.textContent = title;
+    this.hudElements.bossPhase.textContent =
+      phaseCount > 1 ? `PHASE ${phase}/${phaseCount}` : '';
+    this.hudElements.bossBar.style.width = `${Math.round(share * 100)}%`;
+    this.hudElements.bossHealth.style.display = 'block';
+  }
+
+  hideBossHealth() {
+    if (this.hudElements.bossHealth) {
+      this.hudElements.bossHealth.style.display = 'none';
+    }
+  }
+
+  // Warning about the nearest environmental hazard, in the hazard's color.
+  // It blinks while the hazard is hurting the ship.
+  showHazardWarning(text, color, isHurting = false) {
+    if (!this.hudElements.hazardWarning) {
+      const hazardWarning = document.createElement('div');
+      hazardWarning.id = 'hazard-warning';
+      hazardWarning.style.position = 'absolute';
+      hazardWarning.style.bottom = '120px';
+      hazardWarning.style.left = '50%';
+      hazardWarning.style.transform = 'translateX(-50%)';
+      hazardWarning.style.padding = '6px 18px';
+      hazardWarning.style.background = 'rgba(0, 0, 0, 0.6)';
+      hazardWarning.style.borderRadius = '5px';
+      hazardWarning.style.fontFamily = 'Arial Black, sans-serif';
+      hazardWarning.style.fontSize = '16px';
+      hazardWarning.style.letterSpacing = '2px';
+      hazardWarning.style.pointerEvents = 'none';
+      hazardWarning.style.zIndex = '120';
+
+      // Blink animation for hazards that are hurting the ship
+      const style = document.createElement('style');
+      style.textContent = `
+        @keyframes hazardBlink {
+          0%, 100% { opacity: 1; }
+          50% { opacity: 0.3; }
+        }
+      `;
+      document.head.appendChild(style);
+
+      document.body.appendChild(hazardWarning);
+      this.hudElements.hazardWarning = hazardWarning;
+    }
+
+    const hazardWarning = this.hudElements.hazardWarning;
+    hazardWarning.textContent = `⚠ ${text}`;
+    hazardWarning.style.color = color;
+    hazardWarning.style.border = `2px solid ${color}`;
+    hazardWarning.style.boxShadow = `0 0 12px ${color}`;
+    hazardWarning.style.animation = isHurting
+      ? 'hazardBlink 0.4s infinite'
+      : 'none';
+    hazardWarning.style.display = 'block';
+  }
+
+  hideHazardWarning() {
+    if (this.hudElements.hazardWarning) {
+      this.hudElements.hazardWarning.style.display = 'none';
+    }
+  }
+
+  // Level complete screen listing each bonus, given { lines, total }
+  showLevelBreakdown(breakdown) {
+    if (!this.hudElements.levelBreakdown) {
+      const panel = document.createElement('div');
+      panel.id = 'level-breakdown';
+      panel.style.position = 'absolute';
+      panel.style.top = '50%';
+      panel.style.left = '50%';
+      panel.style.transform = 'translate(-50%, -50%)';
+      panel.style.width = '380px';
+      panel.style.padding = '25px 30px';
+      panel.style.background =
+        'linear-gradient(rgba(0,10,20,0.9), rgba(0,40,20,0.9))';
+      panel.style.border = '2px solid #00ff88';
+      panel.style.borderRadius = '10px';
+      panel.style.boxShadow =
+        '0 0 30px rgba(0, 255, 136, 0.4), inset 0 0 30px rgba(0, 255, 136, 0.15)';
+      panel.style.fontFamily = 'Arial, sans-serif';
+      panel.style.color = '#ffffff';
+      panel.style.pointerEvents = 'none';
+      panel.style.zIndex = '200';
+
+      const title = document.createElement('h2');
+      title.textContent = 'LEVEL COMPLETE';
+      title.style.margin = '0 0 20px 0';
+      title.style.textAlign = 'center';
+      title.style.color = '#00ff88';
+      title.style.fontSize = '30px';
+      title.style.fontFamily = 'Arial Black, sans-serif';
+      title.style.letterSpacing = '3px';
+      title.style.textShadow = '0 0 10px rgba(0, 255, 136, 0.7)';
+      panel.appendChild(title);
+
+      const rows = document.createElement('div');
+      panel.appendChild(rows);
+
+      document.body.appendChild(panel);
+      this.hudElements.levelBreakdown = panel;
+      this.hudElements.levelBreakdownRows = rows;
+    }
+
+    const rows = this.hudElements.levelBreakdownRows;
+    rows.innerHTML = '';
+
+    const addRow = (label, points, isTotal = false) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.padding = '4px 0';
+      row.style.fontSize = isTotal ? '20px' : '16px';
+      row.style.fontWeight = 'bold';
+      row.style.color = isTotal ? '#ffff00' : '#00ddff';
+      if (isTotal) {
+        row.style.borderTop = '1px solid #00ff88';
+        row.style.marginTop = '10px';
+        row.style.paddingTop = '10px';
       }
+
+      const labelElement = document.createElement('span');
+      labelElement.textContent = label;
+      const pointsElement = document.createElement('span');
+      pointsElement.textContent = `+${points}`;
+
+      row.appendChild(labelElement);
+      row.appendChild(pointsElement);
+      rows.appendChild(row);
+    };
+
+    for (const line of breakdown.lines) {
+      addRow(line.label, line.points);
+    }
+    addRow('TOTAL', breakdown.total, true);
+
+    this.hudElements.levelBreakdown.style.display = 'block';
+  }
+
+  hideLevelBreakdown() {
+    if (this.hudElements.levelBreakdown) {
+      this.hudElements.levelBreakdown.style.display = 'none';
     }
   }
 
@@ -1353,6 +1786,70 @@ class UIManager {
     }
   }
 
+  // Show or hide the render budget readout
+  toggleRenderReadout() {
+    if (!this.hudElements.renderReadout) {
+      const readout = document.createElement('div');
+      readout.id = 'render-readout';
+      readout.style.position = 'absolute';
+      readout.style.bottom = '10px';
+      readout.style.left = '10px';
+      readout.style.padding = '6px 10px';
+      readout.style.background = 'rgba(0, 0, 0, 0.6)';
+      readout.style.border = '1px solid #335566';
+      readout.style.borderRadius = '4px';
+      readout.style.fontFamily = 'monospace';
+      readout.style.fontSize = '12px';
+      readout.style.lineHeight = '1.4';
+      readout.style.whiteSpace = 'pre';
+      readout.style.pointerEvents = 'none';
+      readout.style.zIndex = '120';
+      document.body.appendChild(readout);
+      this.hudElements.renderReadout = readout;
+    }
+
+    this.isRenderReadoutVisible = !this.isRenderReadoutVisible;
+    this.hudElements.renderReadout.style.display = this.isRenderReadoutVisible
+      ? 'block'
+      : 'none';
+    this.lastRenderReadout = 0;
+  }
+
+  // Draw calls, GPU memory and streaming pools of the last frame against the
+  // render budget, refreshed four times a second
+  updateRenderReadout(stats) {
+    const readout = this.hudElements.renderReadout;
+    const now = Date.now();
+    if (!readout || now - this.lastRenderReadout < 250) return;
+    this.lastRenderReadout = now;
+
+    const line = (label, value, budget) => {
+      const text = `${label.padEnd(12)}${String(value).padStart(8)}`;
+      if (budget === undefined) return `<span>${text}</span>`;
+      const color = value > budget ? '#ff4444' : '#00ff88';
+      return `<span style="color: ${color}">${text} / ${budget}</span>`;
+    };
+
+    const lines = [
+      line('draw calls', stats.drawCalls, RENDER_BUDGET.drawCalls),
+      line('triangles', stats.triangles, RENDER_BUDGET.triangles),
+      line('geometries', stats.geometries, RENDER_BUDGET.geometries),
+      line('textures', stats.textures, RENDER_BUDGET.textures),
+      line('segments', stats.loadedSegments),
+      line('pooled', stats.pooledSegments),
+      line('materials', stats.sharedMaterials),
+    ];
+    // Only Chromium browsers report the JavaScript heap
+    if (stats.heapMB !== null) {
+      lines.push(
+        line('heap MB', Math.round(stats.heapMB), RENDER_BUDGET.heapMB)
+      );
+    }
+
+    readout.style.color = '#aaccdd';
+    readout.innerHTML = lines.join('\n');
+  }
+
   showMessage(message, duration = 2000, color = '#ffffff', verticalOffset = 0) {
     const messageElement = document.createElement('div');
     messageElement.style.position = 'absolute';
@@ -0,0 +1,112 @@
+// Seeded 3D gradient noise (improved Perlin noise) for organic shapes
+
+// Gradient directions towards the edges of a cube
+const GRADIENTS = [
+  [1, 1, 0],
+  [-1, 1, 0],
+  [1, -1, 0],
+  [-1, -1, 0],
+  [1, 0, 1],
+  [-1, 0, 1],
+  [1, 0, -1],
+  [-1, 0, -1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [0, 1, -1],
+  [0, -1, -1],
+];
+
+// Smooth the interpolation so the noise has no visible grid creases
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function grad(hash, x, y, z) {
+  const g = GRADIENTS[hash % 12];
+  return g[0] * x + g[1] * y + g[2] * z;
+}
+
+class Noise3D {
+  // rng: a SeededRandom, so the same seed always gives the same noise
+  constructor(rng) {
+    const table = [];
+    for (let i = 0; i < 256; i++) {
+      table.push(i);
+    }
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [table[i], table[j]] = [table[j], table[i]];
+    }
+
+    // Doubled so lookups never need to wrap
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = table[i & 255];
+    }
+  }
+
+  // Noise value in about [-1, 1], smooth in all three directions
+  noise(x, y, z) {
+    const X = Math.floor(x);
+    const Y = Math.floor(y);
+    const Z = Math.floor(z);
+    x -= X;
+    y -= Y;
+    z -= Z;
+
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+
+    // Hash the eight corners of the lattice cell around the point
+    const p = this.perm;
+    const a = p[X & 255] + (Y & 255);
+    const aa = p[a] + (Z & 255);
+    const ab = p[a + 1] + (Z & 255);
+    const b = p[(X + 1) & 255] + (Y & 255);
+    const ba = p[b] + (Z & 255);
+    const bb = p[b + 1] + (Z & 255);
+
+    return lerp(
+      lerp(
+        lerp(grad(p[aa], x, y, z), grad(p[ba], x - 1, y, z), u),
+        lerp(grad(p[ab], x, y - 1, z), grad(p[bb], x - 1, y - 1, z), u),
+        v
+      ),
+      lerp(
+        lerp(grad(p[aa + 1], x, y, z - 1), grad(p[ba + 1], x - 1, y, z - 1), u),
+        lerp(
+          grad(p[ab + 1], x, y - 1, z - 1),
+          grad(p[bb + 1], x - 1, y - 1, z - 1),
+          u
+        ),
+        v
+      ),
+      w
+    );
+  }
+
+  // Fractal noise: several octaves of finer and weaker detail, in about [-1, 1]
+  fbm(x, y, z, octaves = 3) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      sum +=
+        amplitude * this.noise(x * frequency, y * frequency, z * frequency);
+      total += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+
+    return sum / total;
+  }
+}
+
+export default Noise3D;
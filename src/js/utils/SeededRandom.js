@@ -0,0 +1,48 @@
+// Seeded random number generator so runs can be reproduced and shared
+
+// Hash any seed value (number or text) into a 32-bit integer state
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  // Create a fresh seed for players who did not enter one
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000000);
+  }
+
+  // Restart the sequence from a seed
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  // Next number in [0, 1), drop-in replacement for Math.random()
+  next() {
+    // mulberry32
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Independent generator derived from this seed and a key. The result only
+  // depends on the seed, so e.g. a tunnel segment looks the same no matter
+  // when or in which order it is generated.
+  fork(key) {
+    return new SeededRandom(`${this.seed}:${key}`);
+  }
+}
+
+export default SeededRandom;
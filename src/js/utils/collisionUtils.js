@@ -6,16 +6,14 @@ import * as THREE from 'three';
  * @param {THREE.Camera} camera - The player's camera
  * @param {Array} obstacles - Array of obstacle objects
  * @param {THREE.Vector3} moveDirection - The direction the player is moving
- * @param {Number} tunnelWidth - Width of the tunnel
- * @param {Number} tunnelHeight - Height of the tunnel
+ * @param {LevelManager} levelManager - Provides the walls of the loaded segments
  * @returns {Boolean} - Whether a collision would occur
  */
 export function checkPlayerObstacleCollision(
   camera,
   obstacles,
   moveDirection,
-  tunnelWidth,
-  tunnelHeight
+  levelManager
 ) {
   // Create a bounding sphere around the player for collision
   const playerPosition = new THREE.Vector3();
@@ -37,6 +35,24 @@ export function checkPlayerObstacleCollision(
     )
       continue;
 
+    // Doors only block until they are unlocked with the matching key
+    if (obstacle.door && obstacle.door.state !== 'locked') continue;
+
+    // Force fields only block while they are on
+    if (obstacle.forceField && !obstacle.forceField.active) continue;
+
+    // Moving obstacles are checked part by part. One the ship is already
+    // caught in (it moved into the ship) lets the ship fly out.
+    if (obstacle.motion) {
+      if (
+        !obstacleIntersectsSphere(obstacle, playerCollider) &&
+        obstacleIntersectsSphere(obstacle, nextCollider)
+      ) {
+        return true;
+      }
+      continue;
+    }
+
     // Create or update bounding box for obstacle if it doesn't exist
     if (!obstacle.mesh.userData.boundingBox) {
       obstacle.mesh.userData.boundingBox = new THREE.Box3().setFromObject(
@@ -48,6 +64,17 @@ export function checkPlayerObstacleCollision(
       obstacle.mesh.userData.boundingBox.setFromObject(obstacle.mesh);
     }
 
+    // A force field that switched on around the ship lets it fly out
+    if (
+      obstacle.forceField &&
+      checkSphereBoxIntersection(
+        playerCollider,
+        obstacle.mesh.userData.boundingBox
+      )
+    ) {
+      continue;
+    }
+
     // Check if player sphere intersects with obstacle box
     if (
       checkSphereBoxIntersection(
@@ -59,10 +86,11 @@ export function checkPlayerObstacleCollision(
     }
   }
 
-  // Check tunnel bounds (prevent going through walls)
+  // Check tunnel bounds (prevent going through walls). Segments can face any
+  // direction, so the bounds are checked in the frame of each segment.
   if (
-    Math.abs(nextPosition.x) > tunnelWidth / 2 - playerRadius ||
-    Math.abs(nextPosition.y) > tunnelHeight / 2 - playerRadius
+    levelManager &&
+    !levelManager.isInsideTunnel(nextPosition, playerRadius)
   ) {
     return true;
   }
@@ -70,6 +98,33 @@ export function checkPlayerObstacleCollision(
   return false; // No collision
 }
 
+/**
+ * Check whether a sphere touches one of the parts of a moving obstacle. Each
+ * part is tested in its own frame, so the gaps between the blades of a
+ * spinning fan stay open where a world bounding box would close them.
+ * @param {Object} obstacle - Obstacle entry with a parts array of meshes
+ * @param {THREE.Sphere} sphere - Sphere in world coordinates
+ * @returns {Boolean} - Whether the sphere touches a part
+ */
+export function obstacleIntersectsSphere(obstacle, sphere) {
+  const local = new THREE.Vector3();
+
+  for (const part of obstacle.parts) {
+    if (!part.geometry.boundingBox) {
+      part.geometry.computeBoundingBox();
+    }
+
+    // Parts are not scaled, so distances in their frame are world distances
+    local.copy(sphere.center);
+    part.worldToLocal(local);
+    if (part.geometry.boundingBox.distanceToPoint(local) < sphere.radius) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
 /**
  * Helper function to check if a sphere intersects with a box
  * @param {THREE.Sphere} sphere - The sphere to check
@@ -124,3 +179,43 @@ export function checkProjectileEnemyCollision(projectile, enemy) {
 
   return false;
 }
+
+const sightRaycaster = new THREE.Raycaster();
+
+/**
+ * Check whether nothing blocks the straight line between two points: no
+ * tunnel wall and no obstacle that stops the ship. Open doors and force
+ * fields that are off do not block.
+ * @param {THREE.Vector3} from - Start of the line in world coordinates
+ * @param {THREE.Vector3} to - End of the line in world coordinates
+ * @param {LevelManager} levelManager - Provides the walls and obstacles
+ * @param {Number} wallStep - Distance between the points checked against the
+ *   walls
+ * @returns {Boolean} - Whether the line is clear
+ */
+export function hasLineOfSight(from, to, levelManager, wallStep = 1) {
+  const direction = new THREE.Vector3().subVectors(to, from);
+  const distance = direction.length();
+  if (distance < 1e-6) return true;
+  direction.divideScalar(distance);
+
+  // Walls, sampled along the line. The ends may sit close to a wall.
+  const point = new THREE.Vector3();
+  for (let s = wallStep; s < distance - wallStep / 2; s += wallStep) {
+    point.copy(from).addScaledVector(direction, s);
+    if (!levelManager.isInsideTunnel(point)) return false;
+  }
+
+  // Obstacles, hit by their triangles
+  const blockers = [];
+  for (const obstacle of levelManager.obstacles) {
+    if (!obstacle.mesh.userData.isObstacle) continue;
+    if (obstacle.door && obstacle.door.state !== 'locked') continue;
+    if (obstacle.forceField && !obstacle.forceField.active) continue;
+    blockers.push(obstacle.mesh);
+  }
+
+  sightRaycaster.set(from, direction);
+  sightRaycaster.far = distance;
+  return sightRaycaster.intersectObjects(blockers, true).length === 0;
+}
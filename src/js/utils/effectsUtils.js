@@ -71,12 +71,40 @@ export function createExplosionEffect(scene, position) {
   return animateExplosion;
 }
 
-// Create cave dust particle system
-export function createCaveParticles(scene) {
-  const particleCount = 1000;
+// Dust of the default cave theme: faint blue specks drifting towards the
+// player
+const DEFAULT_PARTICLE_STYLE = {
+  color: 0x80b3ff,
+  count: 1000,
+  size: 0.05,
+  opacity: 0.6,
+  drift: 0.5,
+  rise: 0,
+};
+
+// Place a particle somewhere in the cylinder ahead of the player
+function resetCaveParticle(positions, i, spread, centerOffset) {
+  const angle = Math.random() * Math.PI * 2;
+  const radius = Math.random() * 5;
+
+  positions[i] = Math.cos(angle) * radius; // x
+  positions[i + 1] = Math.sin(angle) * radius; // y
+  positions[i + 2] = -Math.random() * spread - centerOffset; // z (ahead of player)
+}
+
+// Create cave dust particle system. style sets the color, count, size and
+// opacity of the specks and how fast they drift towards the player and rise
+// (see the particles of a level theme).
+export function createCaveParticles(scene, style = DEFAULT_PARTICLE_STYLE) {
+  const particleCount = style.count;
   const particles = new THREE.BufferGeometry();
   const positions = new Float32Array(particleCount * 3);
   const colors = new Float32Array(particleCount * 3);
+  // Vertex colors are used as they are, without the sRGB conversion
+  const color = new THREE.Color().setHex(
+    style.color,
+    THREE.LinearSRGBColorSpace
+  );
 
   // Range for particles
   const spread = 30;
@@ -85,18 +113,13 @@ export function createCaveParticles(scene) {
   // Fill arrays with random positions and colors
   for (let i = 0; i < particleCount * 3; i += 3) {
     // Position particles in a cylindrical distribution ahead of player
-    const angle = Math.random() * Math.PI * 2;
-    const radius = Math.random() * 5;
-
-    positions[i] = Math.cos(angle) * radius; // x
-    positions[i + 1] = Math.sin(angle) * radius; // y
-    positions[i + 2] = -Math.random() * spread - centerOffset; // z (ahead of player)
+    resetCaveParticle(positions, i, spread, centerOffset);
 
-    // Slight blue/white color variation
+    // Slight brightness variation of the style color
     const brightness = 0.2 + Math.random() * 0.3;
-    colors[i] = brightness * 0.5; // R
-    colors[i + 1] = brightness * 0.7; // G
-    colors[i + 2] = brightness; // B (brightest)
+    colors[i] = brightness * color.r; // R
+    colors[i + 1] = brightness * color.g; // G
+    colors[i + 2] = brightness * color.b; // B
   }
 
   particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -104,43 +127,55 @@ export function createCaveParticles(scene) {
 
   // Material that will catch the lights
   const particleMaterial = new THREE.PointsMaterial({
-    size: 0.05,
+    size: style.size,
     transparent: true,
-    opacity: 0.6,
+    opacity: style.opacity,
     vertexColors: true,
     blending: THREE.AdditiveBlending,
     sizeAttenuation: true,
   });
 
   const particleSystem = new THREE.Points(particles, particleMaterial);
+  particleSystem.userData.style = style;
   scene.add(particleSystem);
 
   return particleSystem;
 }
 
-// Update dust particle positions relative to player
+// Update dust particle positions relative to player. The dust moves with
+// the world like everything else; that move is taken into the particles
+// themselves, so the cloud stays around the player and the specks that fall
+// out of it come back in ahead.
 export function updateCaveParticles(particleSystem, delta) {
+  const style = particleSystem.userData.style || DEFAULT_PARTICLE_STYLE;
   const positions = particleSystem.geometry.attributes.position.array;
   const particleCount = positions.length / 3;
   const spread = 30;
   const centerOffset = 10;
+  const shift = particleSystem.position;
 
   for (let i = 0; i < particleCount * 3; i += 3) {
-    // Move particles slowly toward player
-    positions[i + 2] += (0.5 + Math.random() * 0.5) * delta;
-
-    // If particle is behind player, reset it ahead
-    if (positions[i + 2] > 5) {
-      positions[i + 2] = -Math.random() * spread - centerOffset;
-
-      // Also randomize X and Y when resetting
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 5;
-      positions[i] = Math.cos(angle) * radius;
-      positions[i + 1] = Math.sin(angle) * radius;
+    positions[i] += shift.x;
+    positions[i + 1] += shift.y;
+    positions[i + 2] += shift.z;
+
+    // Move particles slowly toward player, and up or down
+    positions[i + 2] += style.drift * (1 + Math.random()) * delta;
+    positions[i + 1] += style.rise * (0.5 + Math.random()) * delta;
+
+    // If particle is behind player, too far ahead or left the tunnel, reset
+    // it ahead
+    if (
+      positions[i + 2] > 5 ||
+      positions[i + 2] < -spread - centerOffset ||
+      Math.abs(positions[i]) > 5 ||
+      Math.abs(positions[i + 1]) > 5
+    ) {
+      resetCaveParticle(positions, i, spread, centerOffset);
     }
   }
 
+  shift.set(0, 0, 0);
   particleSystem.geometry.attributes.position.needsUpdate = true;
 }
 
@@ -0,0 +1,645 @@
+// A script to check every level blueprint without a browser: it builds each
+// level the way the game does and reports spawns outside the tunnel or inside
+// obstacles, segments the ship cannot get through, levels whose exit cannot
+// be reached, and a difficulty summary.
+//
+// Usage: node validate-levels.js [--seed=<seed> ...] [level id or name ...]
+// Random obstacle layouts depend on the run seed, so every level is checked
+// with a few seeds (1, 2 and 3 unless given). Exits with code 1 when a level
+// has errors.
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import * as THREE from 'three';
+import LevelManager from './src/js/core/LevelManager.js';
+import MovingObstacleManager from './src/js/core/MovingObstacleManager.js';
+import {
+  validateLevelData,
+  parseLevel,
+  serializeLevel,
+} from './src/js/core/levels/LevelLoader.js';
+import { obstacleIntersectsSphere } from './src/js/utils/collisionUtils.js';
+import { isChamberType } from './src/js/core/levels/TunnelGraph.js';
+import { SegmentType } from './src/js/core/levels/SegmentTypes.js';
+import { enemyTypes } from './src/js/entities/EnemyTypes.js';
+import { powerupTypes } from './src/js/entities/PowerUpManager.js';
+import SeededRandom from './src/js/utils/SeededRandom.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// JSON levels are listed in this manifest, as the game loads them
+const manifestPath = path.join(__dirname, 'public', 'levels', 'manifest.json');
+
+const SHIP_RADIUS = 0.5; // Same as the player collision checks
+const GRID_STEP = 0.5; // Spacing of the points searched for a way through
+const MOTION_SAMPLES = 16; // Poses checked over one cycle of a moving obstacle
+const DIFFICULTY_SCALE = 2.5; // Threat per segment to difficulty points
+const DIFFICULTY_TOLERANCE = 1.5; // Estimate this far off the declared one
+const DEFAULT_SEEDS = [1, 2, 3];
+
+// Rough threat of an enemy type for the difficulty estimate
+function getEnemyThreat(type) {
+  return (type.health + type.damage * 2) / 50;
+}
+
+// Read the JSON levels of the manifest. Files that fail validation are
+// reported instead of loaded.
+function loadJsonLevels(report) {
+  if (!fs.existsSync(manifestPath)) return [];
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const levels = [];
+  for (const entry of manifest.levels || []) {
+    const file = path.join(path.dirname(manifestPath), entry);
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      levels.push(parseLevel(data, entry));
+    } catch (error) {
+      const messages = error.errors || [error.message];
+      report.push({
+        name: entry,
+        errors: messages.map((message) => `${entry}: ${message}`),
+        warnings: [],
+      });
+    }
+  }
+  return levels;
+}
+
+// Build the whole level at once: every reachable segment, with its
+// obstacles, doors and hazards
+function buildLevel(levelManager, index) {
+  levelManager.buffer = levelManager.levels[index].segments.length;
+  levelManager.loadLevel(index);
+  levelManager.scene.updateMatrixWorld(true);
+}
+
+// Static obstacles with their world bounding boxes. Doors and force fields
+// open, and moving obstacles are checked over their cycle instead.
+function getStaticObstacles(levelManager) {
+  return levelManager.obstacles
+    .filter((obstacle) => !obstacle.motion)
+    .map((obstacle) => ({
+      obstacle,
+      box: new THREE.Box3().setFromObject(obstacle.mesh),
+      gate: Boolean(obstacle.door || obstacle.forceField),
+    }));
+}
+
+function describeObstacle(obstacle) {
+  if (obstacle.door) return `${obstacle.door.color} door`;
+  if (obstacle.forceField) return 'force field';
+  return obstacle.type || 'obstacle';
+}
+
+function formatPosition(position) {
+  return `[${position
+    .toArray()
+    .map((value) => Math.round(value * 10) / 10)
+    .join(', ')}]`;
+}
+
+// Whether a point in a segment's local frame is inside the tunnel, at least
+// `margin` away from the walls
+function isInsideSegment(segment, local, margin) {
+  const { collider, bounds, centerline, segmentLength } = segment.userData;
+  if (collider) return collider.containsPoint(local, margin);
+
+  const t = -local.z / segmentLength;
+  if (t < 0 || t > 1) return false;
+  const center = centerline.getPoint(t);
+  return (
+    Math.abs(local.x - center.x) <= bounds.width / 2 - margin &&
+    Math.abs(local.y - center.y) <= bounds.height / 2 - margin
+  );
+}
+
+// Check one spawn: it must sit in a segment, clear of the walls and of every
+// obstacle. Moving obstacles sweeping through it are only warned about.
+function checkSpawn(context, spawn, label, radius) {
+  const { levelManager, obstacles, moving, errors, warnings } = context;
+  const graph = levelManager.tunnelGraph;
+
+  if (!spawn.position) {
+    errors.push(`${label} has no position`);
+    return null;
+  }
+
+  const where = formatPosition(spawn.position);
+  const node = graph.findNodeAt(spawn.position);
+  if (!node) {
+    errors.push(`${label} at ${where} is outside every segment`);
+    return null;
+  }
+
+  const segment = levelManager.loadedNodes.get(node.id);
+  const world = levelManager.levelToWorld(spawn.position);
+  const local = segment.worldToLocal(world.clone());
+  if (!isInsideSegment(segment, local, radius)) {
+    errors.push(
+      `${label} at ${where} is inside the wall of segment "${node.id}"`
+    );
+  }
+
+  const sphere = new THREE.Sphere(world, radius);
+  const hit = obstacles.find(({ box }) => box.intersectsSphere(sphere));
+  if (hit) {
+    errors.push(
+      `${label} at ${where} is inside a ${describeObstacle(hit.obstacle)}`
+    );
+  }
+
+  for (const obstacle of moving) {
+    if (sweepsThrough(context, obstacle, sphere)) {
+      warnings.push(
+        `${label} at ${where} is in the path of a moving ${obstacle.type}`
+      );
+    }
+  }
+
+  return node;
+}
+
+// Whether a moving obstacle touches a sphere at some point of its cycle
+function sweepsThrough(context, obstacle, sphere) {
+  const { motionManager } = context;
+  const { motion } = obstacle;
+  const cycle = motion.rotate
+    ? (Math.PI * 2) / Math.max(Math.abs(motion.rotate.speed), 0.01)
+    : motion.period || 1;
+
+  let hit = false;
+  for (let i = 0; i < MOTION_SAMPLES && !hit; i++) {
+    motionManager.pose(obstacle, (cycle * i) / MOTION_SAMPLES);
+    obstacle.mesh.updateMatrixWorld(true);
+    hit = obstacleIntersectsSphere(obstacle, sphere);
+  }
+
+  motionManager.pose(obstacle, 0);
+  obstacle.mesh.updateMatrixWorld(true);
+  return hit;
+}
+
+// Search a grid of points through a tunnel segment for a way from its
+// entry to its far end that keeps the ship clear of the walls and of the
+// segment's static obstacles. Doors, force fields and moving obstacles open
+// up at some point, so they do not count.
+function hasPassage(segment, obstacles) {
+  const { bounds, centerline, segmentLength } = segment.userData;
+  const boxes = obstacles
+    .filter((entry) => !entry.gate && entry.obstacle.segment === segment)
+    .map((entry) => entry.box);
+
+  const nx = Math.floor(bounds.width / GRID_STEP) + 1;
+  const ny = Math.floor(bounds.height / GRID_STEP) + 1;
+  const nz = Math.floor(segmentLength / GRID_STEP) + 1;
+  const free = new Uint8Array(nx * ny * nz);
+  const local = new THREE.Vector3();
+  const world = new THREE.Vector3();
+  const center = new THREE.Vector3();
+  const sphere = new THREE.Sphere(world, SHIP_RADIUS);
+
+  for (let k = 0; k < nz; k++) {
+    const t = k / (nz - 1);
+    centerline.getPoint(t, center);
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        local.set(
+          center.x - bounds.width / 2 + i * GRID_STEP,
+          center.y - bounds.height / 2 + j * GRID_STEP,
+          -t * segmentLength
+        );
+        if (!isInsideSegment(segment, local, SHIP_RADIUS)) continue;
+
+        world.copy(local).applyMatrix4(segment.matrixWorld);
+        if (boxes.some((box) => box.intersectsSphere(sphere))) continue;
+
+        free[(k * ny + j) * nx + i] = 1;
+      }
+    }
+  }
+
+  // Flood fill from the free points of the entry
+  const queue = [];
+  const seen = new Uint8Array(free.length);
+  for (let cell = 0; cell < nx * ny; cell++) {
+    if (free[cell]) {
+      seen[cell] = 1;
+      queue.push(cell);
+    }
+  }
+
+  const steps = [
+    [1, 0, 0],
+    [-1, 0, 0],
+    [0, 1, 0],
+    [0, -1, 0],
+    [0, 0, 1],
+    [0, 0, -1],
+  ];
+  while (queue.length > 0) {
+    const cell = queue.pop();
+    const i = cell % nx;
+    const j = Math.floor(cell / nx) % ny;
+    const k = Math.floor(cell / (nx * ny));
+    if (k === nz - 1) return true;
+
+    for (const [di, dj, dk] of steps) {
+      const ni = i + di;
+      const nj = j + dj;
+      const nk = k + dk;
+      if (ni < 0 || nj < 0 || nk < 0 || ni >= nx || nj >= ny || nk >= nz) {
+        continue;
+      }
+      const next = (nk * ny + nj) * nx + ni;
+      if (free[next] && !seen[next]) {
+        seen[next] = 1;
+        queue.push(next);
+      }
+    }
+  }
+
+  return false;
+}
+
+// Fly through the level from the start: locked doors only let the ship in
+// once their key was picked up somewhere it could already reach, and blocked
+// segments cannot be flown through. Returns the ids of the segments reached.
+function simulatePlaythrough(graph, blocked, keysByNode) {
+  const keys = new Set();
+  let reached = new Set();
+
+  for (;;) {
+    reached = new Set();
+    const queue = graph.startId !== null ? [graph.startId] : [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (reached.has(id)) continue;
+
+      const node = graph.getNode(id);
+      if (!node.position) continue;
+      if (node.def.door && !keys.has(node.def.door)) continue;
+      reached.add(id);
+
+      if (blocked.has(id)) continue;
+      queue.push(...graph.getNeighbors(id));
+    }
+
+    // Go round again if new keys open more doors
+    const keyCount = keys.size;
+    for (const id of reached) {
+      for (const color of keysByNode.get(id) || []) keys.add(color);
+    }
+    if (keys.size === keyCount) return reached;
+  }
+}
+
+// Keycards of a level by the segment they are in, out in the open or inside
+// a crate
+function getKeysByNode(levelManager, level) {
+  const graph = levelManager.tunnelGraph;
+  const keysByNode = new Map();
+  const add = (node, powerupName) => {
+    const type = powerupTypes.find((t) => t.name === powerupName);
+    if (!node || !type || !type.isKey) return;
+    const color = powerupName.replace(/Key$/, '');
+    if (!keysByNode.has(node.id)) keysByNode.set(node.id, []);
+    keysByNode.get(node.id).push(color);
+  };
+
+  for (const spawn of level.powerupSpawns) {
+    if (spawn.position) {
+      add(graph.findNodeAt(spawn.position), spawn.powerupType);
+    }
+  }
+  for (const obstacle of levelManager.obstacles) {
+    if (obstacle.contents) {
+      const node = graph.getNode(obstacle.segment.userData.nodeId);
+      add(node, obstacle.contents);
+    }
+  }
+  return keysByNode;
+}
+
+function checkLevel(levelManager, index) {
+  const level = levelManager.levels[index];
+  const errors = [];
+  const warnings = [];
+
+  // The same checks as JSON level files, for the built-in levels too
+  for (const message of validateLevelData(serializeLevel(level))) {
+    errors.push(message);
+  }
+
+  buildLevel(levelManager, index);
+  const graph = levelManager.tunnelGraph;
+  warnings.push(...graph.warnings);
+
+  const context = {
+    levelManager,
+    obstacles: getStaticObstacles(levelManager),
+    moving: levelManager.obstacles.filter((obstacle) => obstacle.motion),
+    motionManager: new MovingObstacleManager(levelManager, null),
+    errors,
+    warnings,
+  };
+
+  // Per-segment tallies for the report, in blueprint order
+  const rows = new Map();
+  for (const node of graph.nodes.values()) {
+    rows.set(node.id, {
+      node,
+      enemies: [],
+      powerups: [],
+      hostages: 0,
+      checkpoints: 0,
+    });
+  }
+
+  level.enemySpawns.forEach((spawn, i) => {
+    const type = enemyTypes.find((t) => t.name === spawn.enemyType);
+    const label = `enemySpawns[${i}] (${spawn.enemyType})`;
+    const node = checkSpawn(context, spawn, label, type ? type.size : 0.5);
+    if (node) rows.get(node.id).enemies.push(spawn.enemyType);
+  });
+  level.powerupSpawns.forEach((spawn, i) => {
+    const label = `powerupSpawns[${i}] (${spawn.powerupType})`;
+    const node = checkSpawn(context, spawn, label, 0.5);
+    if (node) rows.get(node.id).powerups.push(spawn.powerupType);
+  });
+  level.hostageSpawns.forEach((spawn, i) => {
+    const node = checkSpawn(context, spawn, `hostageSpawns[${i}]`, 0.5);
+    if (node) rows.get(node.id).hostages++;
+  });
+  level.checkpoints.forEach((checkpoint, i) => {
+    const node = checkSpawn(context, checkpoint, `checkpoints[${i}]`, 0.5);
+    if (node) rows.get(node.id).checkpoints++;
+  });
+
+  // Crates count as power-ups of the segment they are in
+  for (const obstacle of levelManager.obstacles) {
+    if (obstacle.contents) {
+      const row = rows.get(obstacle.segment.userData.nodeId);
+      if (row) row.powerups.push(`${obstacle.contents} (crate)`);
+    }
+  }
+
+  // Tunnel segments with obstacles in them need a way through
+  const blocked = new Set();
+  for (const [id, segment] of levelManager.loadedNodes) {
+    const hasObstacles = context.obstacles.some(
+      (entry) => !entry.gate && entry.obstacle.segment === segment
+    );
+    if (
+      hasObstacles &&
+      !isChamberType(segment.userData.type) &&
+      !hasPassage(segment, context.obstacles)
+    ) {
+      blocked.add(id);
+      errors.push(
+        `segment "${id}" (${segment.userData.type}, ` +
+          `${graph.getNode(id).def.obstacles}) has no gap the ship fits through`
+      );
+    }
+  }
+
+  // The exit and every hostage must be reachable in a playthrough
+  const reached = simulatePlaythrough(
+    graph,
+    blocked,
+    getKeysByNode(levelManager, level)
+  );
+  const ends = [...graph.nodes.values()].filter(
+    (node) => node.def.type === SegmentType.END
+  );
+  if (level.endSegment && ends.length === 0) {
+    errors.push('hasEndSegment is true but the level has no END segment');
+  } else if (ends.length > 0 && !ends.some((node) => reached.has(node.id))) {
+    errors.push('no END segment can be reached from the start');
+  }
+  for (const row of rows.values()) {
+    if (reached.has(row.node.id)) continue;
+    const items =
+      row.enemies.length +
+      row.powerups.length +
+      row.hostages +
+      row.checkpoints;
+    if (items > 0) {
+      warnings.push(
+        `segment "${row.node.id}" holds ${items} spawn(s) but cannot be reached`
+      );
+    }
+  }
+
+  const result = {
+    name: `Level ${level.id} "${level.name}"`,
+    level,
+    errors,
+    warnings,
+    rows: [...rows.values()],
+    reached,
+    obstacleCount: context.obstacles.filter((entry) => !entry.gate).length,
+    movingCount: context.moving.length,
+    hazardCount: levelManager.hazards.length,
+  };
+
+  const estimate = estimateDifficulty(result);
+  if (Math.abs(estimate - level.difficulty) >= DIFFICULTY_TOLERANCE) {
+    warnings.push(
+      `plays like difficulty ${estimate.toFixed(1)}, ` +
+        `but declares ${level.difficulty}`
+    );
+  }
+
+  return result;
+}
+
+function countBy(names) {
+  const counts = {};
+  for (const name of names) counts[name] = (counts[name] || 0) + 1;
+  return Object.entries(counts)
+    .map(([name, count]) => `${name} x${count}`)
+    .join(', ');
+}
+
+// Estimate how hard a level plays on the scale of the declared difficulty:
+// the threat of its enemies and of the obstacles and hazards in the way,
+// less the health pick-ups, per segment
+function estimateDifficulty(result) {
+  const enemies = result.rows.flatMap((row) => row.enemies);
+  const powerups = result.rows.flatMap((row) => row.powerups);
+
+  let threat = 0;
+  for (const name of enemies) {
+    const type = enemyTypes.find((t) => t.name === name);
+    if (type) threat += getEnemyThreat(type);
+  }
+  threat += result.obstacleCount * 0.1;
+  threat += result.movingCount * 0.5;
+  threat += result.hazardCount * 1;
+  threat -= powerups.filter((name) => name.startsWith('health')).length * 1;
+
+  const segments = Math.max(
+    result.rows.filter((row) => row.node.position).length,
+    1
+  );
+  return Math.max(0, (threat / segments) * DIFFICULTY_SCALE);
+}
+
+function printReport(result) {
+  console.log(`\n${result.name}`);
+
+  if (result.rows) {
+    console.log('  segment      type         obstacles    enemies / power-ups');
+    for (const row of result.rows) {
+      const { node, enemies, powerups, hostages, checkpoints } = row;
+      const contents = [
+        enemies.length > 0 ? countBy(enemies) : '',
+        powerups.length > 0 ? countBy(powerups) : '',
+        hostages > 0 ? `hostage x${hostages}` : '',
+        checkpoints > 0 ? `checkpoint x${checkpoints}` : '',
+      ]
+        .filter(Boolean)
+        .join(' / ');
+      const unreached = result.reached.has(node.id) ? '' : ' (unreachable)';
+      console.log(
+        `  ${node.id.padEnd(12)} ${String(node.def.type).padEnd(12)} ` +
+          `${String(node.def.obstacles).padEnd(12)} ${contents || '-'}` +
+          unreached
+      );
+    }
+
+    const enemies = result.rows.flatMap((row) => row.enemies);
+    const powerups = result.rows.flatMap((row) => row.powerups);
+    const types = enemies
+      .map((name) => enemyTypes.find((t) => t.name === name))
+      .filter(Boolean);
+    const health = types.reduce((sum, type) => sum + type.health, 0);
+    const damage = types.reduce((sum, type) => sum + type.damage, 0);
+    const estimate = estimateDifficulty(result);
+
+    console.log(
+      `  Enemies: ${enemies.length}` +
+        (enemies.length > 0 ? ` (${countBy(enemies)})` : '') +
+        `, ${health} hit points, ${damage} contact damage`
+    );
+    console.log(
+      `  Power-ups: ${powerups.length}` +
+        (powerups.length > 0 ? ` (${countBy(powerups)})` : '') +
+        `, hostages: ${result.level.hostageSpawns.length}`
+    );
+    console.log(
+      `  Obstacles: ${result.obstacleCount}, moving: ${result.movingCount}, ` +
+        `hazards: ${result.hazardCount}`
+    );
+    console.log(
+      `  Difficulty: ${estimate.toFixed(1)} estimated, ` +
+        `${result.level.difficulty} declared`
+    );
+  }
+
+  for (const warning of result.warnings) {
+    console.log(`  WARNING: ${warning}`);
+  }
+  for (const error of result.errors) {
+    console.log(`  ERROR: ${error}`);
+  }
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    console.log('  OK');
+  }
+}
+
+// Check a level once per seed, seeding the level the way the game does.
+// Problems that only some seeds show are marked with those seeds; the
+// report itself is the one of the first seed.
+function checkLevelWithSeeds(levelManager, index, seeds) {
+  const runs = seeds.map((seed) => {
+    levelManager.rng = new SeededRandom(seed).fork('level');
+    return checkLevel(levelManager, index);
+  });
+
+  const merge = (key) => {
+    const seen = new Map(); // key: message, value: seeds showing it
+    runs.forEach((run, i) => {
+      for (const message of run[key]) {
+        if (!seen.has(message)) seen.set(message, []);
+        seen.get(message).push(seeds[i]);
+      }
+    });
+    return [...seen].map(([message, found]) =>
+      found.length === seeds.length
+        ? message
+        : `${message} (seed ${found.join(', ')})`
+    );
+  };
+
+  return { ...runs[0], errors: merge('errors'), warnings: merge('warnings') };
+}
+
+// Run a function with the game's console logging muted, since building
+// levels logs every segment
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const seedArgs = args.filter((arg) => arg.startsWith('--seed='));
+  const filters = args.filter((arg) => !arg.startsWith('--'));
+  const seeds =
+    seedArgs.length > 0
+      ? seedArgs.map((arg) => arg.slice('--seed='.length))
+      : DEFAULT_SEEDS;
+  const results = [];
+
+  const levelManager = quietly(
+    () => new LevelManager(new THREE.Scene(), new THREE.PerspectiveCamera())
+  );
+  levelManager.wallMaterial = new THREE.MeshBasicMaterial();
+  levelManager.floorMaterial = new THREE.MeshBasicMaterial();
+  levelManager.levels.push(...loadJsonLevels(results));
+
+  levelManager.levels.forEach((level, index) => {
+    if (level.endless) return;
+    if (
+      filters.length > 0 &&
+      !filters.includes(String(level.id)) &&
+      !filters.includes(level.name)
+    ) {
+      return;
+    }
+
+    try {
+      results.push(
+        quietly(() => checkLevelWithSeeds(levelManager, index, seeds))
+      );
+    } catch (error) {
+      results.push({
+        name: `Level ${level.id} "${level.name}"`,
+        errors: [`could not be built: ${error.message}`],
+        warnings: [],
+      });
+    }
+  });
+
+  results.forEach(printReport);
+
+  const failed = results.filter((result) => result.errors.length > 0);
+  console.log(
+    `\n${results.length} level(s) checked with seed ${seeds.join(', ')}, ` +
+      `${failed.length} with errors`
+  );
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+main();